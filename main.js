@@ -2,7 +2,7 @@
 const path = require('path');
 require('dotenv').config({ path: path.join(__dirname, '.env.local'), override: true });
 require('dotenv').config({ path: path.join(__dirname, '.env') });
-const { app, BrowserWindow, Tray, Menu, globalShortcut, ipcMain, clipboard, Notification, dialog, shell } = require('electron');
+const { app, BrowserWindow, Tray, Menu, globalShortcut, ipcMain, clipboard, Notification, dialog, shell, net } = require('electron');
 const { spawn } = require('child_process');
 const fs = require('fs');
 const os = require('os');
@@ -31,7 +31,24 @@ process.on('unhandledRejection', (reason, promise) => {
 const Store = require('electron-store');
 const audioRecorder = require('./src/audioRecorderFFmpeg');
 const apiClient = require('./src/apiClient');
+const network = require('./src/network');
+const errors = require('./src/errors');
 const vadController = require('./src/vad-controller');
+const jobQueue = require('./src/job-queue');
+const processingPipeline = require('./src/pipeline/processingPipeline');
+const workerPool = require('./src/pipeline/workerPool');
+const denoise = require('./src/pipeline/denoise');
+const qualityReport = require('./src/pipeline/qualityReport');
+const folderWatch = require('./src/folder-watch');
+const recordingContext = require('./src/recording-context');
+const history = require('./src/history');
+const localApi = require('./src/local-api');
+const docModes = require('./src/doc-modes');
+const regenerate = require('./src/regenerate');
+const modeCompare = require('./src/mode-compare');
+const usageGuard = require('./src/usage-guard');
+const connectivity = require('./src/connectivity');
+const secureStore = require('./src/secure-store');
 
 // Early debug logging
 const DEBUG_LOG = path.join(os.tmpdir(), 'dentdoc-main-debug.log');
@@ -62,7 +79,9 @@ try {
   throw error;
 }
 
-const store = new Store();
+// Token, user and iPhone pairing are stored encrypted (src/secure-store)
+const settingsStore = new Store();
+const store = secureStore.wrap(settingsStore);
 
 let tray = null;
 let loginWindow = null;
@@ -71,6 +90,7 @@ let statusOverlay = null;
 let statusOverlayReady = false;
 let pendingStatusUpdate = null;
 let isRecording = false;
+let isPaused = false; // Recording paused (paused time is not part of the recording)
 let isProcessing = false;
 let isEnrolling = false;
 let currentRecordingPath = null;
@@ -83,7 +103,15 @@ let autoHideTimeout = null;
 let lastDocumentation = null;
 let lastTranscript = null;
 let lastShortenings = null;
+let lastResult = null; // Result shown as "last documentation" (regenerate from the overlay)
+let recentResults = []; // Finished jobs, newest first (tray: "Fertige Dokumentationen")
+const MAX_RECENT_RESULTS = 10;
+let lastOverlayState = null; // { type, extra } - for resizing when the job list changes
+const processingJobControls = new Map(); // jobId -> { controller, cancelQueued } - cancel via overlay/tray
+let currentRecordingContext = null; // Patient/room/treatment of the running recording
+let contextFormWindow = null;
 let heartbeatInterval = null;
+let retryQueueInterval = null;
 
 // Single instance lock
 const gotTheLock = app.requestSingleInstanceLock();
@@ -257,6 +285,9 @@ function registerShortcut(shortcut) {
   if (registered) {
     currentShortcut = shortcut;
     store.set('shortcut', shortcut);
+    // unregisterAll() above also removed the pause and context shortcuts
+    registerPauseShortcut(store.get('pauseShortcut', ''));
+    registerContextShortcut(store.get('contextShortcut', ''));
     updateTrayMenu();
     return true;
   } else {
@@ -280,6 +311,88 @@ function registerShortcut(shortcut) {
   }
 }
 
+/**
+ * Register the pause/resume shortcut (second hotkey next to the recording shortcut)
+ * @param {string} shortcut - Accelerator, empty to disable
+ * @returns {boolean} True if registered (or disabled)
+ */
+function registerPauseShortcut(shortcut) {
+  // Reject before touching the old shortcut - it keeps working
+  if (shortcut && (shortcut === currentShortcut || shortcut === store.get('contextShortcut', ''))) {
+    console.error('Pause shortcut must differ from the recording and context shortcuts');
+    return false;
+  }
+
+  const oldShortcut = store.get('pauseShortcut', '');
+  if (oldShortcut && globalShortcut.isRegistered(oldShortcut) && oldShortcut !== currentShortcut) {
+    globalShortcut.unregister(oldShortcut);
+  }
+
+  if (!shortcut) {
+    store.set('pauseShortcut', '');
+    return true;
+  }
+
+  const registered = globalShortcut.register(shortcut, () => {
+    togglePause();
+  });
+
+  if (registered) {
+    store.set('pauseShortcut', shortcut);
+    return true;
+  }
+
+  console.error(`Pause shortcut ${shortcut} registration failed`);
+  // Keep the previous pause shortcut working
+  if (oldShortcut && oldShortcut !== currentShortcut) {
+    globalShortcut.register(oldShortcut, () => {
+      togglePause();
+    });
+  }
+  return false;
+}
+
+/**
+ * Register the shortcut that opens the patient/context form
+ * @param {string} shortcut - Accelerator, empty to disable
+ * @returns {boolean} True if registered (or disabled)
+ */
+function registerContextShortcut(shortcut) {
+  const pauseShortcut = store.get('pauseShortcut', '');
+  // Reject before touching the old shortcut - it keeps working
+  if (shortcut && (shortcut === currentShortcut || shortcut === pauseShortcut)) {
+    console.error('Context shortcut must differ from the recording and pause shortcuts');
+    return false;
+  }
+
+  const oldShortcut = store.get('contextShortcut', '');
+  if (oldShortcut && globalShortcut.isRegistered(oldShortcut) && oldShortcut !== currentShortcut && oldShortcut !== pauseShortcut) {
+    globalShortcut.unregister(oldShortcut);
+  }
+
+  if (!shortcut) {
+    store.set('contextShortcut', '');
+    return true;
+  }
+
+  const registered = globalShortcut.register(shortcut, () => {
+    openContextForm();
+  });
+
+  if (registered) {
+    store.set('contextShortcut', shortcut);
+    return true;
+  }
+
+  console.error(`Context shortcut ${shortcut} registration failed`);
+  if (oldShortcut && oldShortcut !== currentShortcut && oldShortcut !== pauseShortcut) {
+    globalShortcut.register(oldShortcut, () => {
+      openContextForm();
+    });
+  }
+  return false;
+}
+
 /**
  * Extract doctors and ZFAs from speaker mapping
  * @param {Object} speakerMapping - Speaker mapping object (e.g., { "A": "Arzt - Dr. Notle", "B": "ZFA - Maria" })
@@ -379,6 +492,51 @@ function saveAudioImmediately(tempAudioPath) {
   }
 }
 
+// Header line with the transcription ID (history reads it for "Neu erstellen")
+const TRANSCRIPTION_ID_LABEL = 'Transkriptions-ID:';
+
+/**
+ * "KÜRZUNGEN" section of a saved transcript (empty without shortenings)
+ * @param {Object|null} shortenings - Shortenings from v1.2 hybrid mode
+ * @returns {string}
+ */
+function buildShorteningsSection(shortenings) {
+  let shorteningsSection = '';
+  if (shortenings) {
+    const shorteningParts = [];
+    if (shortenings.keywords90) {
+      shorteningParts.push(`── Stichworte (90% kürzer) ──\n\n${shortenings.keywords90}`);
+    }
+    if (shortenings.chef70) {
+      shorteningParts.push(`── Chef Ultra (70% kürzer) ──\n\n${shortenings.chef70}`);
+    }
+    if (shortenings.chef50) {
+      shorteningParts.push(`── Chef (50% kürzer) ──\n\n${shortenings.chef50}`);
+    }
+    if (shortenings.pvs40) {
+      shorteningParts.push(`── PVS (40% kürzer) ──\n\n${shortenings.pvs40}`);
+    }
+    if (shortenings.zfa30) {
+      shorteningParts.push(`── ZFA (30% kürzer) ──\n\n${shortenings.zfa30}`);
+    }
+    if (shortenings.normalized) {
+      shorteningParts.push(`── Normalisiert (sprachlich optimiert) ──\n\n${shortenings.normalized}`);
+    }
+    if (shorteningParts.length > 0) {
+      shorteningsSection = `
+
+────────────────────────────────────────────────────────────────────
+  KÜRZUNGEN
+────────────────────────────────────────────────────────────────────
+
+${shorteningParts.join('\n\n')}
+`;
+    }
+  }
+
+  return shorteningsSection;
+}
+
 /**
  * Saves transcript and/or audio to the user's configured folder.
  * Files are organized by doctor name (from speaker recognition) in subfolders.
@@ -392,13 +550,16 @@ function saveAudioImmediately(tempAudioPath) {
  * @param {boolean} options.saveTranscript - Whether to save transcript
  * @param {boolean} options.saveAudio - Whether to save audio
  * @param {Object} options.shortenings - Shortenings from v1.2 hybrid mode
+ * @param {string} options.transcriptionId - Written to the header (regenerating from the history)
+ * @returns {string[]} Paths of the written transcript files
  */
 function saveRecordingFiles(baseFolderPath, summary, transcript, speakerMapping = null, options = {}) {
-  const { tempAudioPath = null, saveTranscript = true, saveAudio = false, shortenings = null } = options;
+  const { tempAudioPath = null, saveTranscript = true, saveAudio = false, shortenings = null, assignTo = null, backupAudioPath = null, context = null, transcriptionId = null } = options;
+  const savedTranscripts = [];
 
   // Nothing to save
   if (!saveTranscript && !saveAudio) {
-    return;
+    return savedTranscripts;
   }
 
   // Extract unique job ID from temp audio filename (e.g., "recording-1705312345678.webm" -> "1705312345678")
@@ -424,43 +585,23 @@ function saveRecordingFiles(baseFolderPath, summary, transcript, speakerMapping
   aerzte.forEach(name => nameParts.push(sanitizeFilename(name)));
   zfa.forEach(name => nameParts.push(sanitizeFilename(name)));
 
-  // Create base filename: YYYY-MM-DD_HH-MM_JobID_[Names]
-  let filenameSuffix = nameParts.length > 0 ? nameParts.join('_') : 'Unbekannt';
-  const baseFilename = `${year}-${month}-${day}_${hours}-${minutes}_${jobId}_${filenameSuffix}`;
+  // Patient/room/treatment in the filename (optional) - helps finding a recording again
+  const contextParts = store.get('contextInFilename', true)
+    ? recordingContext.getFilenameParts(context).map(part => sanitizeFilename(part))
+    : [];
 
-  // Build shortenings section if available
-  let shorteningsSection = '';
-  if (shortenings) {
-    const shorteningParts = [];
-    if (shortenings.keywords90) {
-      shorteningParts.push(`── Stichworte (90% kürzer) ──\n\n${shortenings.keywords90}`);
-    }
-    if (shortenings.chef70) {
-      shorteningParts.push(`── Chef Ultra (70% kürzer) ──\n\n${shortenings.chef70}`);
-    }
-    if (shortenings.chef50) {
-      shorteningParts.push(`── Chef (50% kürzer) ──\n\n${shortenings.chef50}`);
-    }
-    if (shortenings.pvs40) {
-      shorteningParts.push(`── PVS (40% kürzer) ──\n\n${shortenings.pvs40}`);
-    }
-    if (shortenings.zfa30) {
-      shorteningParts.push(`── ZFA (30% kürzer) ──\n\n${shortenings.zfa30}`);
-    }
-    if (shortenings.normalized) {
-      shorteningParts.push(`── Normalisiert (sprachlich optimiert) ──\n\n${shortenings.normalized}`);
-    }
-    if (shorteningParts.length > 0) {
-      shorteningsSection = `
+  // Create base filename: YYYY-MM-DD_HH-MM_JobID_[Context]_[Names]
+  let filenameSuffix = nameParts.length > 0 ? nameParts.join('_') : 'Unbekannt';
+  const baseFilename = [`${year}-${month}-${day}_${hours}-${minutes}_${jobId}`, ...contextParts, filenameSuffix].join('_');
 
-────────────────────────────────────────────────────────────────────
-  KÜRZUNGEN
-────────────────────────────────────────────────────────────────────
+  const shorteningsSection = buildShorteningsSection(shortenings);
 
-${shorteningParts.join('\n\n')}
-`;
-    }
+  // Context lines below date/time in the file header
+  const contextLines = recordingContext.formatHeaderLines(context);
+  if (transcriptionId) {
+    contextLines.push(`${TRANSCRIPTION_ID_LABEL} ${transcriptionId}`);
   }
+  const contextHeader = contextLines.length > 0 ? '\n' + contextLines.join('\n') : '';
 
   // Create file content for transcript
   const content = `╔════════════════════════════════════════════════════════════════════╗
@@ -468,7 +609,7 @@ ${shorteningParts.join('\n\n')}
 ╚════════════════════════════════════════════════════════════════════╝
 
 Datum:    ${now.toLocaleDateString('de-DE', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })}
-Uhrzeit:  ${now.toLocaleTimeString('de-DE')}
+Uhrzeit:  ${now.toLocaleTimeString('de-DE')}${contextHeader}
 
 ────────────────────────────────────────────────────────────────────
   ZUSAMMENFASSUNG
@@ -492,7 +633,10 @@ ${transcript}
   // Determine target folders based on doctors
   const targetFolders = [];
 
-  if (aerzte.length > 0) {
+  if (assignTo) {
+    // Manually assigned (failed-jobs queue) - overrides speaker recognition
+    targetFolders.push(path.join(baseFolderPath, sanitizeFilename(assignTo)));
+  } else if (aerzte.length > 0) {
     // Create one folder per doctor
     aerzte.forEach(arzt => {
       targetFolders.push(path.join(baseFolderPath, sanitizeFilename(arzt)));
@@ -513,6 +657,7 @@ ${transcript}
     if (saveTranscript) {
       const transcriptPath = path.join(folderPath, `${baseFilename}.txt`);
       fs.writeFileSync(transcriptPath, content, 'utf8');
+      savedTranscripts.push(transcriptPath);
     }
 
     // Save audio if enabled and source exists
@@ -540,14 +685,45 @@ ${transcript}
   }
 
   // Delete backup audio from "Fehlgeschlagen" folder after successful transcription
-  if (savedAudioPathInBackup && fs.existsSync(savedAudioPathInBackup)) {
+  if (backupAudioPath && fs.existsSync(backupAudioPath)) {
     try {
-      fs.unlinkSync(savedAudioPathInBackup);
-      savedAudioPathInBackup = null;
+      fs.unlinkSync(backupAudioPath);
     } catch (err) {
       // Ignore cleanup errors
     }
   }
+
+  return savedTranscripts;
+}
+
+/**
+ * Replace documentation and shortenings in saved transcript files
+ * (regenerated version chosen by the user). Header and transcript stay as they are.
+ * @param {string[]} filePaths - Files written by saveRecordingFiles
+ * @param {string} summary - New documentation
+ * @param {Object|null} shortenings - New shortenings (null removes the section)
+ * @returns {number} Number of updated files
+ */
+function updateSavedDocumentation(filePaths, summary, shortenings) {
+  const sectionRegex = /(^─{10,}\n {2}ZUSAMMENFASSUNG\n─{10,}$)[\s\S]*?(?=^─{10,}\n {2}VOLLSTÄNDIGES TRANSKRIPT$)/m;
+  const body = `\n\n${summary}\n${buildShorteningsSection(shortenings)}\n\n`;
+  let updated = 0;
+
+  filePaths.forEach(filePath => {
+    try {
+      const content = fs.readFileSync(filePath, 'utf8');
+      if (!sectionRegex.test(content)) {
+        console.warn('[Regenerate] Unbekanntes Dateiformat, nicht geändert:', filePath);
+        return;
+      }
+      fs.writeFileSync(filePath, content.replace(sectionRegex, (match, heading) => heading + body), 'utf8');
+      updated++;
+    } catch (err) {
+      console.error('[Regenerate] Datei konnte nicht aktualisiert werden:', filePath, err.message);
+    }
+  });
+
+  return updated;
 }
 
 function createLoginWindow() {
@@ -655,10 +831,7 @@ function buildTrayMenu() {
   // Determine menu label based on state
   let recordingLabel;
   let recordingEnabled = true;
-  if (isProcessing) {
-    recordingLabel = '⏳ Verarbeitung läuft...';
-    recordingEnabled = false;
-  } else if (isRecording) {
+  if (isRecording) {
     recordingLabel = `⏺ Aufnahme stoppen (${shortcut})`;
   } else {
     recordingLabel = `▶ Aufnahme starten (${shortcut})`;
@@ -691,6 +864,8 @@ function buildTrayMenu() {
       enabled: trialExpired ? true : false,
       click: trialExpired ? () => openWebDashboard('/subscription') : undefined,
     },
+    // Connection state (only shown when uploads are not possible)
+    ...buildConnectivityMenu(),
     // If trial expired or no subscription, show upgrade link
     ...(trialExpired || (!hasActiveSubscription && !isRealTrial) ? [{
       label: '🛒 JETZT ABO KAUFEN →',
@@ -710,9 +885,19 @@ function buildTrayMenu() {
         }
       }
     },
+    ...(isRecording ? [{
+      label: getPauseMenuLabel(),
+      click: () => togglePause()
+    }] : []),
+    {
+      label: getContextMenuLabel(),
+      click: () => openContextForm()
+    },
+    // In-flight jobs (worker pool)
+    ...buildProcessingJobsMenu(),
     {
-      label: 'Audio-Datei transkribieren...',
-      enabled: !isRecording && !isProcessing && !noActiveSubscription,
+      label: 'Audio-Dateien transkribieren...',
+      enabled: !noActiveSubscription,
       click: () => {
         selectAndTranscribeAudioFile();
       }
@@ -724,6 +909,16 @@ function buildTrayMenu() {
         showLastResult();
       }
     },
+    {
+      label: 'Fertige Dokumentationen',
+      enabled: recentResults.length > 0,
+      submenu: recentResults.length > 0
+        ? recentResults.map(result => ({
+            label: `${result.label} (fertig ${new Date(result.finishedAt).toLocaleTimeString('de-DE', { hour: '2-digit', minute: '2-digit' })})`,
+            click: () => showProcessingResult(result, { copy: true, message: 'Dokumentation in Zwischenablage kopiert (Strg+V)' })
+          }))
+        : [{ label: 'Keine', enabled: false }]
+    },
     { type: 'separator' },
     {
       label: 'App öffnen',
@@ -742,8 +937,7 @@ function buildTrayMenu() {
         if (token) {
           await apiClient.logout(token, store);
         }
-        store.delete('authToken');
-        store.delete('user');
+        clearCredentials();
 
         // Close dashboard window
         if (dashboardWindow && !dashboardWindow.isDestroyed()) {
@@ -766,290 +960,714 @@ function buildTrayMenu() {
   ]);
 }
 
+/**
+ * Tray entry for offline/limited connection
+ * @returns {Array} Menu template items
+ */
+function buildConnectivityMenu() {
+  const status = getConnectivityStatus();
+  if (status.status === 'online') return [];
+
+  const waiting = status.waitingUploads > 0
+    ? ` - ${status.waitingUploads} ${status.waitingUploads !== 1 ? 'Uploads warten' : 'Upload wartet'}`
+    : '';
+  return [{
+    label: `${status.status === 'offline' ? '⚠️ Offline' : '⚠️ Upload-Server nicht erreichbar'}${waiting}`,
+    submenu: [{
+      label: 'Verbindung jetzt prüfen',
+      click: () => connectivity.checkNow()
+    }]
+  }];
+}
+
+/**
+ * Tray entries for jobs that are still processing
+ * @returns {Array} Menu template items
+ */
+function buildProcessingJobsMenu() {
+  const jobs = workerPool.getJobs();
+  if (jobs.length === 0) return [];
+
+  return [
+    { label: `⏳ In Verarbeitung (${jobs.length})`, enabled: false },
+    ...jobs.map(job => ({
+      label: `    ${job.label}: ${job.status === 'queued' ? 'Wartet' : (processingPipeline.STAGE_LABELS[job.stage] || 'Startet')}`,
+      submenu: [{
+        label: 'Verarbeitung abbrechen',
+        click: () => cancelProcessingJob(job.id)
+      }]
+    }))
+  ];
+}
+
 // Legacy function for compatibility - just calls buildTrayMenu
 function updateTrayMenu() {
   // No longer sets a static menu - menu is built dynamically on right-click
   // This function is kept for compatibility with other code that calls it
+  // Called on every recording/processing state change - push it to API clients
+  broadcastLocalApiStatus();
 }
 
-// Select and transcribe an existing audio file
-async function selectAndTranscribeAudioFile() {
-  const token = store.get('authToken');
-  if (!token) {
-    showNotification('Fehler', 'Bitte melden Sie sich zuerst an');
-    createLoginWindow();
-    return;
-  }
+// ============================================================================
+// Failed-jobs queue (retry for recordings in "Fehlgeschlagen")
+// ============================================================================
 
-  if (isProcessing || isRecording) {
-    showNotification('Bitte warten', 'Es läuft bereits eine Verarbeitung...');
-    return;
-  }
+function getFailedFolderPath() {
+  const defaultTranscriptPath = path.join(app.getPath('documents'), 'DentDoc', 'Transkripte');
+  const baseFolderPath = store.get('transcriptPath') || defaultTranscriptPath;
+  return path.join(baseFolderPath, 'Fehlgeschlagen');
+}
 
-  // Open file dialog
-  const { dialog } = require('electron');
-  const result = await dialog.showOpenDialog({
-    title: 'Audio-Datei auswählen',
-    filters: [
-      { name: 'Audio-Dateien', extensions: ['mp3', 'wav', 'webm', 'm4a', 'ogg', 'flac', 'aac'] },
-      { name: 'Alle Dateien', extensions: ['*'] }
-    ],
-    properties: ['openFile']
-  });
+function isInFailedFolder(filePath) {
+  return !!filePath && path.dirname(path.resolve(filePath)) === path.resolve(getFailedFolderPath());
+}
 
-  if (result.canceled || !result.filePaths || result.filePaths.length === 0) {
+function notifyFailedJobsChanged() {
+  if (dashboardWindow && !dashboardWindow.isDestroyed()) {
+    dashboardWindow.webContents.send('failed-jobs-updated');
+  }
+}
+
+/**
+ * Remember a failed pipeline job so it can be retried (resumed) later
+ * @param {Object} pipelineJob - Pipeline job state (see processingPipeline)
+ * @param {Error|string} error - The error that stopped the pipeline
+ */
+function queueFailedJob(pipelineJob, error) {
+  const audioPath = [pipelineJob.backupPath, pipelineJob.audioPath].find(p => p && fs.existsSync(p));
+  if (!audioPath) {
+    console.log('[JobQueue] Kein Audio vorhanden - Job wird nicht gespeichert');
+    processingPipeline.discardJob(pipelineJob.id);
     return;
   }
 
-  const audioFilePath = result.filePaths[0];
-  console.log('Selected audio file:', audioFilePath);
-  debugLog(`Selected audio file: ${audioFilePath}`);
+  const errorMessage = error && error.message ? error.message : String(error || '');
+  const job = jobQueue.addFailedJob({
+    audioPath,
+    source: pipelineJob.source,
+    failedStep: pipelineJob.currentStage || processingPipeline.getNextStage(pipelineJob),
+    error: errorMessage,
+    errorCode: errors.getErrorCode(error),
+    transcriptionId: pipelineJob.transcriptionId,
+    checkpointId: pipelineJob.id,
+    context: pipelineJob.context,
+    channelLayout: pipelineJob.channelLayout,
+    qualityReport: pipelineJob.qualityReport
+  });
 
-  // Set currentRecordingPath so audio can be saved if keepAudio is enabled
-  currentRecordingPath = audioFilePath;
+  console.log(`[JobQueue] Job gespeichert: ${job.id} (Schritt: ${job.failedStep}, Versuch ${job.attempts})`);
+  debugLog(`[JobQueue] Failed job ${job.id} at step ${job.failedStep}: ${errorMessage}`);
+  notifyFailedJobsChanged();
+}
 
-  // Process the selected audio file
-  await processAudioFile(audioFilePath);
+function getRetryJobAssignment(retryJobId) {
+  if (!retryJobId) return null;
+  const job = jobQueue.getJob(retryJobId);
+  return job ? job.assignedTo : null;
 }
 
-// Process an audio file (shared by recording and file selection)
-// @param {string} audioFilePath - Path to audio file
-// @param {Object} options - Options
-// @param {string} options.source - Audio source: 'iphone' | 'mic' (default: 'mic')
-async function processAudioFile(audioFilePath, options = {}) {
-  const { source = 'mic' } = options;
-  const token = store.get('authToken');
+/**
+ * Remove a successfully retried job (and its backup audio) from the queue
+ * @param {string|null} retryJobId - Job ID
+ */
+function completeRetryJob(retryJobId) {
+  if (!retryJobId) return;
+  const job = jobQueue.getJob(retryJobId);
+  if (!job) return;
 
-  isProcessing = true;
-  updateTrayMenu();
+  jobQueue.removeJob(retryJobId, { deleteAudio: isInFailedFolder(job.audioPath) });
+  console.log(`[JobQueue] Job erfolgreich nachverarbeitet: ${retryJobId}`);
+  notifyFailedJobsChanged();
 
-  // Change tray icon to processing state (use regular icon)
-  const processingIconPath = path.join(__dirname, 'assets', 'tray-icon.png');
-  tray.setImage(processingIconPath);
-  tray.setToolTip('DentDoc - Verarbeitung...');
+  // Watched files have no backup copy - the job points at the file in the folder
+  if (job.source === 'file' && folderWatch.isKnownFile(job.audioPath)) {
+    folderWatch.setFileStatus(job.audioPath, 'done');
+    notifyWatchFolderChanged();
+  }
+}
 
-  // Check if VAD is enabled for silence removal
-  const vadEnabled = store.get('vadEnabled', true);
+/**
+ * Process a failed job again
+ * @param {string} jobId - Job ID
+ * @param {Object} options
+ * @param {boolean} options.automatic - Triggered by the scheduler (no clipboard overwrite)
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function retryFailedJob(jobId, options = {}) {
+  const { automatic = false } = options;
 
-  if (vadEnabled) {
-    // Use VAD pipeline to remove silence, then send to AssemblyAI
-    // Pass source for correct Auto-Level strategy (iPhone = always loudnorm)
-    console.log(`[processAudioFile] VAD enabled - source: ${source}`);
-    await processFileWithVAD(audioFilePath, token, { source });
-    return;
+  if (!store.get('authToken')) {
+    return { success: false, error: 'Nicht angemeldet' };
   }
 
-  // Standard AssemblyAI flow (no VAD)
-  console.log('[processAudioFile] Using standard AssemblyAI flow');
+  const job = jobQueue.getJob(jobId);
+  if (!job) {
+    return { success: false, error: 'Job nicht gefunden' };
+  }
+  if (job.status === 'retrying') {
+    return { success: false, error: 'Job wird bereits verarbeitet' };
+  }
+  if (!fs.existsSync(job.audioPath)) {
+    jobQueue.removeJob(jobId);
+    notifyFailedJobsChanged();
+    return { success: false, error: 'Audio-Datei nicht mehr vorhanden' };
+  }
 
-  updateStatusOverlay('Verarbeitung...', 'Audio wird gesendet...', 'processing', { step: 1, uploadProgress: 0 });
+  console.log(`[JobQueue] ${automatic ? 'Automatischer' : 'Manueller'} Wiederholungsversuch: ${jobId}`);
+  jobQueue.updateJob(jobId, { status: 'retrying' });
+  notifyFailedJobsChanged();
 
-  try {
-    // Upload audio with progress tracking
-    const onProgress = (progressInfo) => {
-      if (progressInfo.phase === 'upload') {
-        // Direct 0-100% display - no more confusing scaling
-        updateStatusOverlay(
-          'Verarbeitung...',
-          `Audio wird hochgeladen... ${progressInfo.percent}%`,
-          'processing',
-          { step: 1, uploadProgress: progressInfo.percent }
-        );
-      } else if (progressInfo.phase === 'submit') {
-        // Backend is starting transcription
-        updateStatusOverlay(
-          'Verarbeitung...',
-          'Transkription wird gestartet...',
-          'processing',
-          { step: 1, uploadProgress: 100 }
-        );
-      } else if (progressInfo.phase === 'submitted') {
-        updateStatusOverlay(
-          'Verarbeitung...',
-          'Audio übermittelt',
-          'processing',
-          { step: 1, uploadProgress: 100 }
-        );
-      }
-    };
-    const transcriptionId = await apiClient.uploadAudio(audioFilePath, token, onProgress);
+  // Backup is deleted by saveRecordingFiles after a successful save
+  savedAudioPathInBackup = isInFailedFolder(job.audioPath) ? job.audioPath : null;
 
-    // Poll for real transcription status from AssemblyAI
-    let transcriptionResult;
-    let attempts = 0;
-    const maxAttempts = 180; // 3 minutes max (180 * 1 second)
-    let lastStatus = '';
+  // Resume from the pipeline checkpoint if there is one (no second upload)
+  await processAudioFile(job.audioPath, {
+    source: job.source,
+    transcriptionId: job.transcriptionId,
+    checkpointId: job.checkpointId,
+    context: job.context,
+    channelLayout: job.channelLayout,
+    retryJobId: job.id,
+    copyToClipboard: !automatic,
+    // The user saw the quality warning and retries on purpose
+    allowPoorAudio: !automatic
+  });
 
-    while (attempts < maxAttempts) {
-      transcriptionResult = await apiClient.getTranscriptionStatus(transcriptionId, token);
+  notifyFailedJobsChanged();
+  return { success: true };
+}
 
-      // Update UI with real status (user-friendly messages)
-      if (transcriptionResult.status !== lastStatus) {
-        lastStatus = transcriptionResult.status;
+/**
+ * Scheduler: retries due jobs with backoff while idle and online
+ */
+function checkRetryQueue() {
+  if (!connectivity.canUpload() || isRecording || isProcessing || !store.get('authToken')) {
+    return;
+  }
 
-        if (transcriptionResult.status === 'queued') {
-          updateStatusOverlay('Verarbeitung...', 'Warte auf Verarbeitung...', 'processing', { step: 2 });
-        } else if (transcriptionResult.status === 'processing') {
-          updateStatusOverlay('Verarbeitung...', 'Sprache wird erkannt...', 'processing', { step: 2 });
-        }
-      }
+  const job = jobQueue.getNextDueJob();
+  if (job) {
+    retryFailedJob(job.id, { automatic: true }).catch(err => {
+      console.error('[JobQueue] Retry error:', err);
+    });
+  }
+}
 
-      if (transcriptionResult.status === 'completed') {
-        updateStatusOverlay('Verarbeitung...', 'Sprache erkannt', 'processing', { step: 2 });
-        break;
-      } else if (transcriptionResult.status === 'error') {
-        throw new Error(transcriptionResult.error || 'Transkription fehlgeschlagen');
-      }
+/**
+ * Pipeline jobs with a checkpoint but no queue entry were interrupted
+ * (app crashed or was closed during processing) - queue them for resuming
+ */
+function recoverInterruptedJobs() {
+  for (const pipelineJob of processingPipeline.listUnfinishedJobs()) {
+    const queued = jobQueue.getAllJobs().some(j => j.checkpointId === pipelineJob.id);
+    if (queued) continue;
 
-      await new Promise(resolve => setTimeout(resolve, 1000)); // Poll every 1 second
-      attempts++;
-    }
+    console.log(`[Pipeline] Unterbrochener Job gefunden: ${pipelineJob.id} (nächster Schritt: ${processingPipeline.getNextStage(pipelineJob)})`);
+    queueFailedJob(pipelineJob, 'Verarbeitung wurde unterbrochen (App beendet)');
+  }
+}
+
+function startRetryQueue() {
+  jobQueue.cleanup();
+  recoverInterruptedJobs();
 
-    if (attempts >= maxAttempts) {
-      throw new Error('Zeitüberschreitung bei der Transkription');
+  // One-time import of recordings that failed before the queue existed
+  if (!store.get('jobQueueImported', false)) {
+    const imported = jobQueue.importUntrackedFiles(getFailedFolderPath());
+    if (imported > 0) {
+      console.log(`[JobQueue] ${imported} Datei(en) aus "Fehlgeschlagen" übernommen`);
     }
+    store.set('jobQueueImported', true);
+  }
 
-    const transcript = transcriptionResult.transcriptText;
+  if (retryQueueInterval) {
+    clearInterval(retryQueueInterval);
+  }
+  retryQueueInterval = setInterval(checkRetryQueue, 30 * 1000);
+}
 
-    // Handle utterances (can be string or object from backend)
-    const utterances = typeof transcriptionResult.utterances === 'string'
-      ? JSON.parse(transcriptionResult.utterances)
-      : transcriptionResult.utterances;
+// ============================================================================
+// Connectivity (API + upload proxy) - offline mode
+// ============================================================================
 
-    // Check if speech was detected
-    if (!utterances || utterances.length === 0) {
-      throw new Error('Keine Sprache erkannt. Bitte sprechen Sie deutlich ins Mikrofon und versuchen Sie es erneut.');
-    }
+/**
+ * Recordings waiting for the connection (stopped before the upload)
+ * @returns {number}
+ */
+function getOfflineJobCount() {
+  return jobQueue.getAllJobs().filter(j => j.status === 'failed' && j.errorCode === errors.CODES.OFFLINE).length;
+}
 
-    // Speaker recognition
-    let currentSpeakerMapping = null;
-    updateStatusOverlay('Sprecher werden erkannt...', 'Stimmen werden analysiert...', 'processing', { step: 3 });
+/**
+ * Connection state for tray and dashboard
+ * @returns {{status: string, api: boolean, proxy: boolean, checkedAt: string|null, offlineSince: string|null, waitingUploads: number}}
+ */
+function getConnectivityStatus() {
+  return { ...connectivity.getState(), waitingUploads: getOfflineJobCount() };
+}
 
-    try {
-      if (speakerRecognition && utterances && utterances.length > 0) {
-        debugLog(`Utterances count: ${utterances.length}`);
-        debugLog('Calling speakerRecognition.identifySpeakersFromUtterances...');
+/**
+ * Push the connection state (and waiting uploads) to tray and dashboard
+ */
+function notifyConnectivityChanged() {
+  updateTrayMenu();
+  if (dashboardWindow && !dashboardWindow.isDestroyed()) {
+    dashboardWindow.webContents.send('connectivity-changed', getConnectivityStatus());
+  }
+}
 
-        currentSpeakerMapping = await speakerRecognition.identifySpeakersFromUtterances(
-          audioFilePath,
-          utterances
-        );
+function onConnectivityChange(state, previous) {
+  notifyConnectivityChanged();
 
-        debugLog('Speaker mapping result: ' + JSON.stringify(currentSpeakerMapping));
+  if (state.status === 'online') {
+    // Connection is back - retry network failures (and waiting uploads) right away
+    const count = jobQueue.rescheduleNetworkFailures();
+    if (count > 0) {
+      console.log(`[JobQueue] Verbindung wieder da - ${count} Job(s) werden erneut versucht`);
+      showCustomNotification('Wieder online', `${count} Aufnahme${count !== 1 ? 'n werden' : ' wird'} jetzt hochgeladen.`, 'success');
+      notifyFailedJobsChanged();
+    }
+    checkRetryQueue();
+  } else if (previous.status === 'online') {
+    showCustomNotification(
+      state.status === 'offline' ? 'Keine Verbindung' : 'Upload-Server nicht erreichbar',
+      'Aufnehmen ist weiter möglich. Aufnahmen werden vorbereitet und hochgeladen, sobald die Verbindung wieder da ist.',
+      'warning'
+    );
+  }
+}
 
-        // Update backend with speaker mapping
-        await apiClient.updateSpeakerMapping(transcriptionId, currentSpeakerMapping, token);
-        debugLog('Speaker mapping updated in backend successfully');
+function startConnectivityMonitor() {
+  connectivity.start({
+    check: () => apiClient.checkConnection(),
+    isNetworkAvailable: () => net.isOnline(),
+    onChange: onConnectivityChange
+  });
+}
 
-        // Store optimization data if there are unrecognized speakers
-        const hasUnrecognized = Object.values(currentSpeakerMapping).some(
-          label => label.startsWith('Sprecher ')
-        );
+ipcMain.handle('get-connectivity', () => getConnectivityStatus());
 
-        if (hasUnrecognized) {
-          // Store data for potential speaker optimization
-          // Note: optimizationSession is set by IPC handler, but we prepare the data here
+ipcMain.handle('check-connectivity', async () => {
+  await connectivity.checkNow();
+  return getConnectivityStatus();
+});
 
-          // Copy audio file to last-recording.wav for optimization
-          // This ensures the audio is available until the next recording
-          const tempDir = path.join(app.getPath('temp'), 'dentdoc');
-          const lastRecordingPath = path.join(tempDir, 'last-recording.wav');
+// ============================================================================
+// Network settings (environment, corporate proxy, CA certificates)
+// ============================================================================
 
-          try {
-            // Ensure temp directory exists
-            if (!fs.existsSync(tempDir)) {
-              fs.mkdirSync(tempDir, { recursive: true });
-            }
+// Chromium: issuer not trusted (the only error our own CAs may override)
+const ERR_CERT_AUTHORITY_INVALID = -202;
 
-            // Copy current recording to last-recording.wav
-            if (fs.existsSync(audioFilePath)) {
-              fs.copyFileSync(audioFilePath, lastRecordingPath);
-              debugLog(`[SpeakerOptimization] Audio copied to ${lastRecordingPath}`);
-            }
-          } catch (copyError) {
-            console.error('Failed to copy audio for optimization:', copyError);
-            debugLog(`[SpeakerOptimization] Failed to copy audio: ${copyError.message}`);
-          }
+/**
+ * Electron sessions that talk to the internet: windows and electron-updater
+ * (which downloads through its own partition)
+ */
+function getNetworkSessions() {
+  const { session } = require('electron');
+  return [session.defaultSession, session.fromPartition('electron-updater', { cache: false })];
+}
 
-          const optimizationData = {
-            transcriptionId,
-            audioFilePath: lastRecordingPath, // Use the persisted path
-            utterances,
-            speakerMapping: currentSpeakerMapping
-          };
-          // Store temporarily for the status overlay to access
-          global.pendingOptimizationData = optimizationData;
-          debugLog(`[SpeakerOptimization] ${Object.values(currentSpeakerMapping).filter(l => l.startsWith('Sprecher ')).length} unrecognized speakers - optimization available`);
-        }
-      }
-    } catch (speakerError) {
-      console.error('Speaker recognition failed:', speakerError);
-      debugLog('Speaker recognition error: ' + speakerError.message);
-      // Continue anyway - speaker identification is optional
-    }
-
-    // Generate documentation
-    const docMode = store.get('docMode', 'single');
-    let result;
-
-    if (docMode === 'agent-chain') {
-      // Agent-Kette: Use V2 endpoint with Bausteine
-      updateStatusOverlay('Dokumentation wird erstellt...', 'Agent-Kette analysiert Kategorien...', 'processing', { step: 4 });
-      const bausteine = bausteineManager.getAllBausteine();
-      result = await apiClient.getDocumentationV2(transcriptionId, token, bausteine);
-    } else if (docMode === 'hybrid-v1.2') {
-      // Hybrid V1.2: 1 API call, 60% cost savings
-      updateStatusOverlay('Dokumentation...', 'Hybrid-KI verarbeitet...', 'processing', { step: 4 });
-      result = await apiClient.getDocumentationV1_2(transcriptionId, token);
-    } else if (docMode === 'single-v1.1') {
-      // Single Prompt V1.1: Use experimental endpoint
-      updateStatusOverlay('Dokumentation wird erstellt...', 'KI generiert Zusammenfassung (V1.1)...', 'processing', { step: 4 });
-      result = await apiClient.getDocumentationV1_1(transcriptionId, token);
-    } else if (docMode === 'megaprompt') {
-      // Megaprompt: 7-Step Pipeline mit paralleler Extraktion
-      updateStatusOverlay('Dokumentation wird erstellt...', 'Megaprompt-Pipeline verarbeitet (7 Schritte)...', 'processing', { step: 4 });
-      result = await apiClient.getDocumentationMegaprompt(transcriptionId, token);
-    } else {
-      // Single Prompt: Use standard endpoint
-      updateStatusOverlay('Dokumentation wird erstellt...', 'KI generiert Zusammenfassung...', 'processing', { step: 4 });
-      result = await apiClient.getDocumentation(transcriptionId, token);
-    }
-
-    const documentation = result.documentation;
-    const finalTranscript = result.transcript || transcript;
-    const shortenings = result.shortenings || null;
-
-    // Store for "show last result"
-    lastDocumentation = documentation;
-    lastTranscript = finalTranscript;
-    lastShortenings = shortenings;
-    store.set('lastDocumentationTime', new Date().toISOString());
-
-    // Copy to clipboard
-    clipboard.writeText(documentation);
-
-    // Auto-save transcript and/or audio if enabled
-    const autoExport = store.get('autoExport', true);
-    const keepAudio = store.get('keepAudio', false);
-    console.log('Save settings - autoExport:', autoExport, 'keepAudio:', keepAudio);
-    console.log('currentRecordingPath:', currentRecordingPath);
-    const defaultTranscriptPath = path.join(app.getPath('documents'), 'DentDoc', 'Transkripte');
-    const transcriptPath = store.get('transcriptPath') || defaultTranscriptPath;
-    if ((autoExport || keepAudio) && finalTranscript) {
-      try {
-        saveRecordingFiles(transcriptPath, documentation, finalTranscript, currentSpeakerMapping, {
-          tempAudioPath: currentRecordingPath,
-          saveTranscript: autoExport,
-          saveAudio: keepAudio,
-          shortenings: shortenings
-        });
-      } catch (error) {
-        console.error('Failed to save recording files:', error);
+/**
+ * Hand the proxy settings to Electron's network stack (updater). Node requests
+ * (axios, upload, relay) pick them up per request via src/network.
+ */
+async function applyNetworkSettings() {
+  for (const networkSession of getNetworkSessions()) {
+    try {
+      await networkSession.setProxy(network.getChromiumProxyConfig());
+      await networkSession.closeAllConnections();
+    } catch (error) {
+      console.error('[Network] Proxy konnte nicht übernommen werden:', error.message);
+    }
+  }
+}
+
+function setupNetwork() {
+  // Custom CA certificates (TLS-inspecting proxy) - Chromium only knows the Windows store
+  for (const networkSession of getNetworkSessions()) {
+    networkSession.setCertificateVerifyProc((request, callback) => {
+      if (request.errorCode === ERR_CERT_AUTHORITY_INVALID && network.isTrustedByCustomCa(request.certificate)) {
+        callback(0);
+        return;
       }
+      callback(-3); // Chromium's own result
+    });
+  }
+
+  // Proxy login for windows (the updater has its own event, see Auto-Update)
+  app.on('login', (event, webContents, details, authInfo, callback) => {
+    const credentials = authInfo.isProxy ? network.getProxyCredentials() : null;
+    if (credentials) {
+      event.preventDefault();
+      callback(credentials.username, credentials.password);
     }
+  });
 
-    isProcessing = false;
+  const environment = network.getActiveEnvironment();
+  if (environment.id !== 'production') {
+    console.log(`[Network] Umgebung: ${environment.name} (${environment.apiUrl})`);
+  }
+  applyNetworkSettings();
+}
+
+/**
+ * Network settings were saved - the login belongs to the old backend when the environment changed
+ * @param {boolean} environmentChanged
+ */
+async function onNetworkSettingsChanged(environmentChanged) {
+  await applyNetworkSettings();
+  connectivity.checkNow().then(() => notifyConnectivityChanged());
+
+  if (environmentChanged && store.get('authToken')) {
+    console.log(`[Network] Umgebung gewechselt (${network.getActiveEnvironment().name}) - lokale Abmeldung`);
+    stopHeartbeat();
+    clearCredentials();
     updateTrayMenu();
+    if (dashboardWindow && !dashboardWindow.isDestroyed()) {
+      dashboardWindow.destroy();
+    }
+    showCustomNotification('Umgebung gewechselt', `Bitte melden Sie sich bei "${network.getActiveEnvironment().name}" an.`, 'info');
+    createLoginWindow();
+  }
+}
+
+ipcMain.handle('get-network-info', () => network.getConfig());
+
+ipcMain.handle('add-network-environment', (event, data) => {
+  try {
+    const environment = network.addEnvironment(data);
+    return { success: true, environment, config: network.getConfig() };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('remove-network-environment', async (event, id) => {
+  const before = network.getActiveEnvironment().id;
+  network.removeEnvironment(id);
+  const environmentChanged = network.getActiveEnvironment().id !== before;
+  if (environmentChanged) {
+    await onNetworkSettingsChanged(true);
+  }
+  return { success: true, environmentChanged, config: network.getConfig() };
+});
+
+ipcMain.handle('import-ca-certificate', async () => {
+  const result = await dialog.showOpenDialog(dashboardWindow, {
+    title: 'CA-Zertifikat importieren',
+    filters: [
+      { name: 'Zertifikate', extensions: ['pem', 'crt', 'cer'] },
+      { name: 'Alle Dateien', extensions: ['*'] }
+    ],
+    properties: ['openFile']
+  });
+  if (result.canceled || result.filePaths.length === 0) {
+    return { success: false, canceled: true };
+  }
+
+  try {
+    const filePath = result.filePaths[0];
+    const count = network.addCaCertificates(path.basename(filePath), fs.readFileSync(filePath));
+    await onNetworkSettingsChanged(false);
+    return { success: true, count, config: network.getConfig() };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('remove-ca-certificate', async (event, id) => {
+  network.removeCaCertificate(id);
+  await onNetworkSettingsChanged(false);
+  return { success: true, config: network.getConfig() };
+});
+
+// Select and transcribe existing audio files (multi-select)
+async function selectAndTranscribeAudioFile() {
+  const token = store.get('authToken');
+  if (!token) {
+    showNotification('Fehler', 'Bitte melden Sie sich zuerst an');
+    createLoginWindow();
+    return;
+  }
+
+  // Open file dialog
+  const { dialog } = require('electron');
+  const result = await dialog.showOpenDialog({
+    title: 'Audio-Dateien auswählen',
+    filters: [
+      { name: 'Audio-Dateien', extensions: ['mp3', 'wav', 'webm', 'm4a', 'ogg', 'flac', 'aac'] },
+      { name: 'Alle Dateien', extensions: ['*'] }
+    ],
+    properties: ['openFile', 'multiSelections']
+  });
+
+  if (result.canceled || !result.filePaths || result.filePaths.length === 0) {
+    return;
+  }
+
+  console.log(`Selected ${result.filePaths.length} audio file(s):`, result.filePaths);
+  debugLog(`Selected audio files: ${result.filePaths.join(', ')}`);
+
+  // Each file becomes its own job in the worker pool
+  const batch = result.filePaths.length > 1;
+  await Promise.all(result.filePaths.map(audioFilePath => processAudioFile(audioFilePath, {
+    source: 'file',
+    label: path.basename(audioFilePath),
+    // Batch results are saved with the transcripts - nobody copies ten results by hand
+    forceExport: batch
+  })));
+}
+
+// ============================================================================
+// Watched folder (dictaphone exports, PVS-triggered recordings)
+// ============================================================================
+
+function notifyWatchFolderChanged() {
+  if (dashboardWindow && !dashboardWindow.isDestroyed()) {
+    dashboardWindow.webContents.send('watch-folder-updated');
+  }
+}
+
+/**
+ * A new, complete audio file appeared in the watched folder
+ * Runs through the VAD pipeline; the result is saved with the transcripts.
+ * @param {string} filePath - Audio file
+ */
+function onWatchedFileReady(filePath) {
+  if (!store.get('authToken')) {
+    // Not logged in - the file stays unknown and is picked up by a later scan
+    return;
+  }
+
+  folderWatch.setFileStatus(filePath, 'queued');
+  notifyWatchFolderChanged();
+
+  processAudioFile(filePath, {
+    source: 'file',
+    label: path.basename(filePath),
+    vadEnabled: true,
+    forceExport: true,
+    copyToClipboard: false,
+    onStart: () => {
+      folderWatch.setFileStatus(filePath, 'processing');
+      notifyWatchFolderChanged();
+    }
+  }).then(({ success, error }) => {
+    folderWatch.setFileStatus(filePath, success ? 'done' : 'failed', success ? {} : { error });
+    notifyWatchFolderChanged();
+  }).catch(error => {
+    console.error('[FolderWatch] Verarbeitung fehlgeschlagen:', filePath, error);
+    folderWatch.setFileStatus(filePath, 'failed', { error: error.message });
+    notifyWatchFolderChanged();
+  });
+}
+
+/**
+ * Start (or stop) watching the folder from the settings
+ * @returns {boolean} True if a folder is watched
+ */
+function startFolderWatch() {
+  const folder = store.get('watchFolderPath', '');
+  if (!folder) {
+    folderWatch.stop();
+    return false;
+  }
+  return folderWatch.start(folder, onWatchedFileReady);
+}
+
+// Process an audio file (shared by recording and file selection)
+// Creates a pipeline job and hands it to the worker pool - recording can continue meanwhile
+// @param {string} audioFilePath - Path to audio file
+// @param {Object} options - Options
+// @param {string} options.source - Audio source: 'iphone' | 'mic' (default: 'mic')
+// @param {string} options.transcriptionId - Existing transcription (retry: skips upload)
+// @param {string} options.checkpointId - Resume an interrupted pipeline job
+// @param {string} options.retryJobId - Job ID when retrying from the failed-jobs queue
+// @param {boolean} options.copyToClipboard - Copy documentation to clipboard (default: true)
+// @param {string} options.label - Display label (default: "Aufnahme HH:MM")
+// @param {boolean} options.vadEnabled - Override the VAD setting
+// @param {boolean} options.forceExport - Save the transcript even if auto-export is off
+// @param {Function} options.onStart - Called when the worker pool starts the job
+// @param {Object} options.context - Patient/room/treatment (see recording-context)
+// @param {string} options.channelLayout - 'doctor-room' for two-channel recordings
+// @param {boolean} options.allowPoorAudio - Upload even if the quality check finds the audio unusable
+// @returns {Promise<{success: boolean, canceled?: boolean, error?: string}>} Resolves when the job has finished or was cancelled
+function processAudioFile(audioFilePath, options = {}) {
+  const { source = 'mic' } = options;
+
+  // Resume from checkpoint or start a new pipeline job
+  let job = options.checkpointId ? processingPipeline.loadJob(options.checkpointId) : null;
+  if (!job) {
+    job = processingPipeline.createJob({
+      audioPath: audioFilePath,
+      backupPath: savedAudioPathInBackup,
+      source,
+      vadEnabled: options.vadEnabled !== undefined ? options.vadEnabled : store.get('vadEnabled', true),
+      docMode: store.get('docMode', docModes.DEFAULT_MODE),
+      denoisePreset: store.get('denoisePreset', denoise.DEFAULT_PRESET),
+      uploadFormat: store.get('uploadFormat', apiClient.DEFAULT_UPLOAD_FORMAT),
+      transcriptionId: options.transcriptionId,
+      context: options.context,
+      channelLayout: options.channelLayout
+    });
+  }
+  // The job owns the backup audio from now on
+  savedAudioPathInBackup = null;
+
+  const createdAt = new Date(job.createdAt);
+  const contextLabel = recordingContext.formatLabel(job.context);
+  const baseLabel = options.label || `Aufnahme ${createdAt.toLocaleTimeString('de-DE', { hour: '2-digit', minute: '2-digit' })}`;
+  const label = contextLabel ? `${baseLabel} · ${contextLabel}` : baseLabel;
+  job.label = label;
+
+  const controller = new AbortController();
+  processingJobControls.set(job.id, {
+    controller,
+    cancelQueued: () => finishCanceledJob(job, new errors.ApiError(errors.CODES.CANCELED))
+  });
+
+  return workerPool.enqueue(job.id, label, () => runProcessingJob(job, { ...options, signal: controller.signal }))
+    .finally(() => processingJobControls.delete(job.id));
+}
+
+/**
+ * Cancel a job in the worker pool (waiting or running)
+ * Running jobs abort their requests/FFmpeg and end in runProcessingJob.
+ * @param {string} jobId - Pipeline job ID
+ * @returns {boolean} True if the job was found
+ */
+function cancelProcessingJob(jobId) {
+  const control = processingJobControls.get(jobId);
+  if (!control || control.controller.signal.aborted) return false;
+
+  console.log(`[WorkerPool] Job wird abgebrochen: ${jobId}`);
+  control.controller.abort();
+
+  const poolJob = workerPool.getJobs().find(j => j.id === jobId);
+  if (poolJob && poolJob.status === 'queued') {
+    // Not started yet - take it out of the queue right away
+    workerPool.dequeue(jobId, control.cancelQueued());
+  } else {
+    workerPool.updateJob(jobId, { message: 'Wird abgebrochen...' });
+  }
+  return true;
+}
+
+/**
+ * A job was cancelled by the user: nothing is documented or copied.
+ * The audio stays in "Fehlgeschlagen" (manual retry only), so an accidental
+ * cancel does not lose the recording.
+ * @param {Object} job - Pipeline job state
+ * @param {Error} error - The CANCELED error
+ * @returns {{success: boolean, canceled: boolean, error: string}}
+ */
+function finishCanceledJob(job, error) {
+  console.log(`[WorkerPool] Job abgebrochen: ${job.label} (Schritt: ${job.currentStage || 'wartend'})`);
+  debugLog(`Processing cancelled (${job.currentStage || 'queued'}): ${job.label}`);
+
+  queueFailedJob(job, error);
+
+  if (lastOverlayState && lastOverlayState.extra.jobId === job.id && statusOverlay && !statusOverlay.isDestroyed()) {
+    updateStatusOverlay('Abgebrochen', 'Die Aufnahme wurde nicht dokumentiert. Sie liegt unter "Fehlgeschlagen".', 'error');
+  }
+
+  return { success: false, canceled: true, error: 'Verarbeitung abgebrochen' };
+}
+
+/**
+ * Is this job the one shown in the overlay? (newest job, no recording running)
+ * @param {string} jobId - Pipeline job ID
+ */
+function isForegroundJob(jobId) {
+  return !isRecording && workerPool.getNewestJobId() === jobId;
+}
+
+/**
+ * Pool state changed - update processing flag, tray and overlay job list
+ */
+function onWorkerPoolChange(jobs) {
+  isProcessing = jobs.length > 0;
+  updateTrayMenu();
+
+  if (!isRecording && tray) {
+    tray.setToolTip(isProcessing
+      ? `DentDoc - Verarbeitung (${jobs.length})...`
+      : 'DentDoc - Bereit zum Aufnehmen');
+  }
+
+  sendJobsToOverlay();
+}
+
+/**
+ * Run one pipeline job (called by the worker pool)
+ * @param {Object} job - Pipeline job state
+ * @param {Object} options - See processAudioFile
+ */
+async function runProcessingJob(job, options = {}) {
+  const { retryJobId = null, copyToClipboard = true, forceExport = false } = options;
+  const token = store.get('authToken');
+  let optimizationData = null;
+  let savedFiles = [];
+
+  if (options.onStart) {
+    options.onStart();
+  }
+
+  if (isForegroundJob(job.id)) {
+    updateStatusOverlay('Verarbeitung...', 'Audio wird vorbereitet...', 'processing', { step: 1, uploadProgress: 0, jobId: job.id });
+  }
+
+  try {
+    await processingPipeline.runPipeline(job, {
+      token,
+      signal: options.signal,
+      apiClient,
+      speakerRecognition,
+      getBausteine: () => bausteineManager.getAllBausteine(),
+      canUpload: () => connectivity.canUpload(),
+      allowPoorAudio: !!options.allowPoorAudio,
+      onQualityReport: (report) => {
+        debugLog(`[Qualität] ${job.id}: ${qualityReport.formatSummary(report)}`);
+        if (report.warnings.length === 0) return;
+        showCustomNotification(`${job.label}: Audioqualität`, report.warnings.map(w => w.message).join(' · '), 'warning');
+      },
+      onProgress: ({ stage, step, title, message, uploadProgress }) => {
+        workerPool.updateJob(job.id, { stage, message });
+        if (!isForegroundJob(job.id)) return;
+
+        const extra = { step, jobId: job.id };
+        if (uploadProgress !== undefined) extra.uploadProgress = uploadProgress;
+        updateStatusOverlay(title || 'Verarbeitung...', message, 'processing', extra);
+      },
+      onSpeakersIdentified: (data) => {
+        optimizationData = data;
+      },
+      save: async (finishedJob, processedAudioPath) => {
+        // Auto-save transcript and/or audio if enabled
+        const autoExport = store.get('autoExport', true) || forceExport;
+        const keepAudio = store.get('keepAudio', false);
+        console.log('Save settings - autoExport:', autoExport, 'keepAudio:', keepAudio);
+        const defaultTranscriptPath = path.join(app.getPath('documents'), 'DentDoc', 'Transkripte');
+        const transcriptPath = store.get('transcriptPath') || defaultTranscriptPath;
+        if ((autoExport || keepAudio) && finishedJob.finalTranscript) {
+          savedFiles = saveRecordingFiles(transcriptPath, finishedJob.documentation, finishedJob.finalTranscript, finishedJob.speakerMapping, {
+            tempAudioPath: processedAudioPath,
+            saveTranscript: autoExport,
+            saveAudio: keepAudio,
+            shortenings: finishedJob.shortenings,
+            assignTo: getRetryJobAssignment(retryJobId),
+            backupAudioPath: finishedJob.backupPath,
+            context: finishedJob.context,
+            transcriptionId: finishedJob.transcriptionId
+          });
+          notifyHistoryChanged();
+        }
+      }
+    });
+
+    completeRetryJob(retryJobId);
+    debugLog(`[Pipeline] ${job.id} fertig - Entrauschen: ${job.denoiseStrategy || 'aus'}, Auto-Level: ${job.levelStrategy || '-'}, Upload: ${job.uploadStats ? processingPipeline.formatUploadStats(job.uploadStats) : '-'}`);
 
     // Increment today's recording count
     const todayStart = new Date();
@@ -1062,18 +1680,35 @@ async function processAudioFile(audioFilePath, options = {}) {
       store.set('todayRecordings', { date: todayStr, count: 1 });
     }
 
-    // Reset tray icon
-    const iconPath = path.join(__dirname, 'assets', 'tray-icon.png');
-    tray.setImage(iconPath);
-    tray.setToolTip('DentDoc - Bereit zum Aufnehmen');
+    const result = {
+      id: job.id,
+      label: job.label,
+      documentation: job.documentation,
+      transcript: job.finalTranscript,
+      shortenings: job.shortenings,
+      optimizationData,
+      finishedAt: new Date().toISOString(),
+      // For "Neu erstellen" (other documentation mode, same transcription)
+      transcriptionId: job.transcriptionId,
+      docMode: job.docMode,
+      context: job.context,
+      savedFiles
+    };
+    addRecentResult(result);
+    localApi.broadcast('documentation', toLocalApiResult(result));
 
-    const autoClose = store.get('autoCloseOverlay', false);
-    updateStatusOverlay(
-      'Fertig!',
-      'Dokumentation in Zwischenablage kopiert (Strg+V)',
-      'success',
-      { documentation, transcript: finalTranscript, shortenings, autoClose }
-    );
+    if (copyToClipboard && isForegroundJob(job.id)) {
+      // Nothing else going on - copy and show right away
+      showProcessingResult(result, { copy: true, message: 'Dokumentation in Zwischenablage kopiert (Strg+V)' });
+    } else {
+      // Another recording/job is in front - don't touch clipboard or lastDocumentation
+      showCustomNotification(
+        'Dokumentation fertig',
+        `${job.label}: Klicken Sie hier zum Kopieren.`,
+        'success',
+        () => showProcessingResult(result, { copy: true, message: 'Dokumentation in Zwischenablage kopiert (Strg+V)' })
+      );
+    }
 
     // Update user minutes
     try {
@@ -1091,301 +1726,196 @@ async function processAudioFile(audioFilePath, options = {}) {
       dashboardWindow.webContents.send('recording-completed');
     }
 
+    return { success: true };
+
   } catch (error) {
-    console.error('Audio file processing error:', error);
-    debugLog('Audio file processing error: ' + error.message);
+    if (errors.isCanceled(error)) {
+      localApi.broadcast('job-canceled', { id: job.id, label: job.label });
+      return finishCanceledJob(job, error);
+    }
 
-    // Only delete temporary audio for "no speech detected" error
-    // For other errors, keep the audio as backup in "Fehlgeschlagen" folder
-    if (error.message && error.message.includes('Keine Sprache erkannt')) {
-      if (savedAudioPathInBackup && fs.existsSync(savedAudioPathInBackup)) {
+    console.log('');
+    console.log('!!!!! FEHLER !!!!!');
+    console.log(`  Schritt: ${job.currentStage}`);
+    console.log(`  ${error.message}`);
+    console.log('!!!!!!!!!!!!!!!!!!');
+    debugLog(`Audio file processing error (${job.currentStage}): ${error.message}`);
+
+    // Only delete the backup audio for "no speech detected" error
+    // For other errors, keep the audio in "Fehlgeschlagen" and the checkpoint for resuming
+    if (errors.getErrorCode(error) === errors.CODES.NO_SPEECH) {
+      processingPipeline.discardJob(job.id);
+      if (job.backupPath && fs.existsSync(job.backupPath)) {
         try {
-          fs.unlinkSync(savedAudioPathInBackup);
-          console.log('Deleted backup audio from Fehlgeschlagen folder (no speech detected):', savedAudioPathInBackup);
-          savedAudioPathInBackup = null;
+          fs.unlinkSync(job.backupPath);
+          console.log('Deleted backup audio from Fehlgeschlagen folder (no speech detected):', job.backupPath);
         } catch (err) {
           console.error('Failed to delete temporary audio:', err);
         }
       }
-    } else if (savedAudioPathInBackup) {
-      console.log('Keeping backup audio in Fehlgeschlagen folder:', savedAudioPathInBackup);
-      savedAudioPathInBackup = null; // Reset variable but keep file
+      if (retryJobId) jobQueue.removeJob(retryJobId);
+      notifyFailedJobsChanged();
+    } else {
+      queueFailedJob(job, error);
     }
 
-    isProcessing = false;
-    updateTrayMenu();
+    // A request failed on the connection - check now instead of waiting for the next interval
+    const failedCode = errors.getErrorCode(error);
+    if (errors.isNetworkCode(failedCode) && failedCode !== errors.CODES.OFFLINE) {
+      connectivity.checkNow();
+    }
+    if (failedCode === errors.CODES.OFFLINE) {
+      // Tray/dashboard show the number of waiting uploads
+      notifyConnectivityChanged();
+    }
 
-    // Reset tray icon
-    const iconPath = path.join(__dirname, 'assets', 'tray-icon.png');
-    tray.setImage(iconPath);
-    tray.setToolTip('DentDoc - Bereit zum Aufnehmen');
+    // Title/text and follow-up action (e.g. subscription page) come from the error table.
+    // The action only runs for the foreground job - not once per background, batch or watched-folder job
+    const foreground = isForegroundJob(job.id);
+    const { code: errorCode, title: errorTitle, message: errorMessage } = foreground ? handleApiError(error) : errors.describe(error);
+
+    localApi.broadcast('job-failed', { id: job.id, label: job.label, stage: job.currentStage, code: errorCode, error: error.message || 'Unbekannter Fehler' });
+
+    if (foreground) {
+      updateStatusOverlay(errorTitle, errorMessage, 'error', { jobId: job.id });
+    } else {
+      // Strip HTML (settings link) for the notification popup
+      showCustomNotification(`${job.label}: ${errorTitle}`, errorMessage.replace(/<[^>]+>/g, ' '), 'error');
+    }
 
-    // Categorize errors for better UX
-    let errorTitle = 'Fehler';
-    let errorMessage = error.message || 'Unbekannter Fehler';
-
-    if (error.message.startsWith('TRIAL_EXPIRED:')) {
-      errorTitle = 'Testphase beendet';
-      errorMessage = error.message.substring('TRIAL_EXPIRED:'.length);
-      // Open dashboard for subscription
-      setTimeout(() => openWebDashboard(), 2000);
-    } else if (error.message.startsWith('SUBSCRIPTION_INACTIVE:')) {
-      errorTitle = 'Abonnement inaktiv';
-      errorMessage = error.message.substring('SUBSCRIPTION_INACTIVE:'.length);
-      // Open dashboard for subscription
-      setTimeout(() => openWebDashboard(), 2000);
-    } else if (error.message.includes('Keine Sprache erkannt')) {
-      errorTitle = 'Keine Sprache erkannt';
-      errorMessage = 'Bitte sprechen Sie deutlich ins Mikrofon und versuchen Sie es erneut.<br><a href="#" class="settings-link" data-action="open-microphone-settings">Mikrofon-Einstellungen überprüfen →</a>';
-    } else if (error.message.includes('zu kurz') || error.message.includes('leer')) {
-      errorTitle = 'Aufnahme zu kurz';
-      errorMessage = 'Bitte sprechen Sie mindestens 2-3 Sekunden.';
-    } else if (error.message.includes('Minuten') || error.message.includes('Guthaben')) {
-      errorTitle = 'Kein Guthaben';
-      errorMessage = 'Bitte laden Sie Ihr Minuten-Guthaben im Dashboard auf.';
-    } else if (error.message.includes('Server') || error.message.includes('Internet')) {
-      errorTitle = 'Verbindungsfehler';
-      errorMessage = 'Bitte prüfen Sie Ihre Internetverbindung.';
-    }
-
-    updateStatusOverlay(errorTitle, errorMessage, 'error');
+    return { success: false, error: error.message || 'Unbekannter Fehler' };
   }
 }
 
 /**
- * Process an uploaded audio file with VAD for silence removal
- * Then sends the speech-only audio to AssemblyAI
- *
- * @param {string} audioFilePath - Path to audio file
- * @param {string} token - Auth token
- * @param {Object} options - Options
- * @param {string} options.source - Audio source: 'iphone' | 'mic' (default: 'mic')
+ * Remember a finished result (tray "Fertige Dokumentationen")
+ * @param {Object} result - { id, label, documentation, transcript, shortenings, finishedAt, transcriptionId, docMode, context, savedFiles }
  */
-async function processFileWithVAD(audioFilePath, token, options = {}) {
-  const { source = 'mic' } = options;
-
-  console.log('');
-  console.log('========================================');
-  console.log('       VERARBEITUNG GESTARTET');
-  console.log('========================================');
-  console.log(`  Datei: ${path.basename(audioFilePath)}`);
-  console.log(`  Quelle: ${source}`);
-  console.log('');
-
-  updateStatusOverlay('Verarbeitung...', 'VAD wird gestartet...', 'processing', { step: 1 });
-
-  try {
-    const pipeline = require('./src/pipeline');
-
-    console.log('///// SCHRITT 1: VAD /////');
-    console.log('  Stille wird erkannt und entfernt...');
-
-    // Run VAD on the file to get speech-only audio
-    // Pass source for correct Auto-Level strategy (iPhone = always loudnorm)
-    const { wavPath } = await pipeline.processFileWithVAD(audioFilePath, {
-      source,
-      onProgress: (progress) => {
-        updateStatusOverlay('Verarbeitung...', progress.message, 'processing', { step: 1 });
-      }
-    });
-
-    // Now send the speech-only file to AssemblyAI
-    console.log('///// SCHRITT 2: UPLOAD /////');
-    console.log('  Audio wird an AssemblyAI gesendet...');
-    updateStatusOverlay('Verarbeitung...', 'Audio wird gesendet...', 'processing', { step: 1, uploadProgress: 0 });
-
-    // Upload audio with progress tracking
-    const onProgress = (progressInfo) => {
-      if (progressInfo.phase === 'upload') {
-        updateStatusOverlay(
-          'Verarbeitung...',
-          `Audio wird hochgeladen... ${progressInfo.percent}%`,
-          'processing',
-          { step: 1, uploadProgress: progressInfo.percent }
-        );
-      } else if (progressInfo.phase === 'submit') {
-        updateStatusOverlay(
-          'Verarbeitung...',
-          'Transkription wird gestartet...',
-          'processing',
-          { step: 1, uploadProgress: 100 }
-        );
-      } else if (progressInfo.phase === 'submitted') {
-        updateStatusOverlay(
-          'Verarbeitung...',
-          'Audio übermittelt',
-          'processing',
-          { step: 1, uploadProgress: 100 }
-        );
-      }
-    };
-
-    // Upload the speech-only file (not the original)
-    const transcriptionId = await apiClient.uploadAudio(wavPath, token, onProgress);
-
-    // Poll for real transcription status from AssemblyAI
-    let transcriptionResult;
-    let attempts = 0;
-    const maxAttempts = 180; // 3 minutes max
-    let lastStatus = '';
-
-    while (attempts < maxAttempts) {
-      transcriptionResult = await apiClient.getTranscriptionStatus(transcriptionId, token);
+function addRecentResult(result) {
+  recentResults.unshift(result);
+  if (recentResults.length > MAX_RECENT_RESULTS) {
+    recentResults.length = MAX_RECENT_RESULTS;
+  }
+}
 
-      if (transcriptionResult.status !== lastStatus) {
-        lastStatus = transcriptionResult.status;
+/**
+ * Show a finished result in the overlay and make it the "last documentation"
+ * @param {Object} result - Entry from recentResults
+ * @param {Object} options - { copy: boolean, message: string }
+ */
+function showProcessingResult(result, options = {}) {
+  const { copy = false, message = 'Dokumentation bereit' } = options;
 
-        if (transcriptionResult.status === 'queued') {
-          updateStatusOverlay('Verarbeitung...', 'Warte auf Verarbeitung...', 'processing', { step: 2 });
-        } else if (transcriptionResult.status === 'processing') {
-          updateStatusOverlay('Verarbeitung...', 'Sprache wird erkannt...', 'processing', { step: 2 });
-        }
-      }
+  lastResult = result;
+  lastDocumentation = result.documentation;
+  lastTranscript = result.transcript;
+  lastShortenings = result.shortenings;
+  store.set('lastDocumentationTime', result.finishedAt);
 
-      if (transcriptionResult.status === 'completed') {
-        updateStatusOverlay('Verarbeitung...', 'Sprache erkannt', 'processing', { step: 2 });
-        break;
-      } else if (transcriptionResult.status === 'error') {
-        throw new Error(transcriptionResult.error || 'Transkription fehlgeschlagen');
-      }
+  if (copy) {
+    clipboard.writeText(result.documentation);
+  }
 
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      attempts++;
-    }
+  // Speaker optimization refers to the result currently shown
+  global.pendingOptimizationData = null;
+  if (result.optimizationData) {
+    storeOptimizationData(result.optimizationData);
+  }
 
-    if (attempts >= maxAttempts) {
-      throw new Error('Zeitüberschreitung bei der Transkription');
+  const autoClose = store.get('autoCloseOverlay', false);
+  updateStatusOverlay(
+    'Fertig!',
+    message,
+    'success',
+    {
+      documentation: result.documentation,
+      transcript: result.transcript,
+      shortenings: result.shortenings,
+      canRegenerate: !!result.transcriptionId,
+      autoClose
     }
+  );
+}
 
-    console.log('///// SCHRITT 3: TRANSKRIPTION /////');
-    console.log('  AssemblyAI Transkription abgeschlossen');
+/**
+ * Keep data for the speaker optimization dialog if speakers were not recognized
+ * @param {Object} data - { transcriptionId, audioFilePath, utterances, speakerMapping }
+ */
+function storeOptimizationData(data) {
+  const hasUnrecognized = Object.values(data.speakerMapping || {}).some(
+    label => label.startsWith('Sprecher ')
+  );
+  if (!hasUnrecognized) return;
 
-    const transcript = transcriptionResult.transcriptText;
-    const utterances = typeof transcriptionResult.utterances === 'string'
-      ? JSON.parse(transcriptionResult.utterances)
-      : transcriptionResult.utterances;
+  // Copy audio file to last-recording.wav for optimization
+  // This ensures the audio is available until the next recording
+  const tempDir = path.join(app.getPath('temp'), 'dentdoc');
+  const lastRecordingPath = path.join(tempDir, 'last-recording.wav');
 
-    if (!utterances || utterances.length === 0) {
-      throw new Error('Keine Sprache erkannt. Bitte sprechen Sie deutlich ins Mikrofon und versuchen Sie es erneut.');
+  try {
+    // Ensure temp directory exists
+    if (!fs.existsSync(tempDir)) {
+      fs.mkdirSync(tempDir, { recursive: true });
     }
 
-    console.log(`  Utterances: ${utterances.length}`);
-    console.log('');
-
-    // Speaker recognition
-    console.log('///// SCHRITT 4: SPEAKER /////');
-    console.log('  Sprecher werden identifiziert...');
-    let currentSpeakerMapping = null;
-    updateStatusOverlay('Sprecher werden erkannt...', 'Stimmen werden analysiert...', 'processing', { step: 3 });
-
-    try {
-      if (speakerRecognition && utterances && utterances.length > 0) {
-        currentSpeakerMapping = await speakerRecognition.identifySpeakersFromUtterances(
-          wavPath,
-          utterances
-        );
-
-        // Update backend with speaker mapping
-        await apiClient.updateSpeakerMapping(transcriptionId, currentSpeakerMapping, token);
-      }
-    } catch (speakerError) {
-      console.log('  [!] Fehler bei Sprechererkennung');
-    }
-
-    // Generate documentation
-    console.log('///// SCHRITT 5: DOKUMENTATION /////');
-    console.log('  KI erstellt Dokumentation...');
-    updateStatusOverlay('Verarbeitung...', 'Dokumentation wird erstellt...', 'processing', { step: 4 });
-
-    const docMode = store.get('docMode', 'single');
-    let docResponse;
-
-    if (docMode === 'agent-chain') {
-      const bausteine = bausteineManager.getAllBausteine();
-      docResponse = await apiClient.getDocumentationV2(transcriptionId, token, bausteine);
-    } else if (docMode === 'hybrid-v1.2') {
-      docResponse = await apiClient.getDocumentationV1_2(transcriptionId, token);
-    } else if (docMode === 'single-v1.1') {
-      docResponse = await apiClient.getDocumentationV1_1(transcriptionId, token);
-    } else if (docMode === 'megaprompt') {
-      docResponse = await apiClient.getDocumentationMegaprompt(transcriptionId, token);
-    } else {
-      docResponse = await apiClient.getDocumentation(transcriptionId, token);
+    // Copy current recording to last-recording.wav
+    if (fs.existsSync(data.audioFilePath)) {
+      fs.copyFileSync(data.audioFilePath, lastRecordingPath);
+      debugLog(`[SpeakerOptimization] Audio copied to ${lastRecordingPath}`);
     }
+  } catch (copyError) {
+    console.error('Failed to copy audio for optimization:', copyError);
+    debugLog(`[SpeakerOptimization] Failed to copy audio: ${copyError.message}`);
+  }
 
-    const documentation = docResponse.documentation;
-    const finalTranscript = docResponse.transcript || transcript;  // Use formatted transcript with speaker labels
-    const shortenings = docResponse.shortenings || [];
-
-    // Store for potential retry/copy
-    lastDocumentation = documentation;
-    lastTranscript = finalTranscript;
-    lastShortenings = shortenings;
-    store.set('lastDocumentationTime', new Date().toISOString());
-
-    // Copy to clipboard
-    clipboard.writeText(documentation);
-
-    // Auto-save if enabled
-    const autoExport = store.get('autoExport', true);
-    const keepAudio = store.get('keepAudio', false);
-    const defaultTranscriptPath = path.join(app.getPath('documents'), 'DentDoc', 'Transkripte');
-    const transcriptPath = store.get('transcriptPath') || defaultTranscriptPath;
+  // Store temporarily for the status overlay to access
+  global.pendingOptimizationData = {
+    transcriptionId: data.transcriptionId,
+    audioFilePath: lastRecordingPath, // Use the persisted path
+    utterances: data.utterances,
+    speakerMapping: data.speakerMapping
+  };
+  debugLog(`[SpeakerOptimization] ${Object.values(data.speakerMapping).filter(l => l.startsWith('Sprecher ')).length} unrecognized speakers - optimization available`);
+}
 
-    console.log('  Dokumentation erstellt!');
-    console.log('');
+// Pre-flight refresh must not delay the recording noticeably
+const PREFLIGHT_USER_TIMEOUT_MS = 3000;
+// Remaining trial balance of the running recording (null = not limited)
+let minutesWatch = null;
 
-    if ((autoExport || keepAudio) && finalTranscript) {
-      console.log('///// SCHRITT 6: SPEICHERN /////');
-      try {
-        saveRecordingFiles(transcriptPath, documentation, finalTranscript, currentSpeakerMapping, {
-          tempAudioPath: wavPath,
-          saveTranscript: autoExport,
-          saveAudio: keepAudio,
-          shortenings: shortenings
-        });
-      } catch (error) {
-        console.log('  [!] Fehler beim Speichern:', error.message);
+/**
+ * Follow the recorded time against the trial balance (all recording modes)
+ * @param {Object} account - Result of usageGuard.checkAccount
+ */
+function startMinutesWatch(account) {
+  if (minutesWatch) minutesWatch.stop();
+  minutesWatch = null;
+  if (!account.limited) return;
+
+  minutesWatch = usageGuard.startMinutesWatch(account.minutesRemaining, {
+    isRecording: () => isRecording,
+    isPaused: () => isPaused,
+    onUpdate: (info) => {
+      if (statusOverlay && !statusOverlay.isDestroyed() && statusOverlayReady && lastOverlayState?.type === 'recording') {
+        statusOverlay.webContents.send('update-minutes', info);
+      }
+    },
+    onLevelChange: (level) => {
+      if (level === 'low') {
+        showCustomNotification('Guthaben fast aufgebraucht', 'Ihre Testminuten reichen nur noch ca. 1 Minute.', 'warning', () => openWebDashboard('/subscription'));
+      } else if (level === 'exceeded') {
+        showCustomNotification('Guthaben aufgebraucht', 'Die Aufnahme ist länger als Ihr Restguthaben und wird evtl. nicht verarbeitet.', 'error', () => openWebDashboard('/subscription'));
       }
     }
+  });
+}
 
-    // Show success
-    console.log('========================================');
-    console.log('       VERARBEITUNG ABGESCHLOSSEN');
-    console.log('========================================');
-    console.log('  Dokumentation in Zwischenablage!');
-    console.log('');
-
-    const autoClose = store.get('autoCloseOverlay', false);
-    updateStatusOverlay(
-      'Fertig!',
-      'Dokumentation in Zwischenablage kopiert (Strg+V)',
-      'success',
-      { documentation, transcript: finalTranscript, shortenings, autoClose }
-    );
-
-    // Reset tray
-    const normalIconPath = path.join(__dirname, 'assets', 'tray-icon.png');
-    tray.setImage(normalIconPath);
-    tray.setToolTip('DentDoc - Bereit');
-
-  } catch (error) {
-    console.log('');
-    console.log('!!!!! FEHLER !!!!!');
-    console.log(`  ${error.message}`);
-    console.log('!!!!!!!!!!!!!!!!!!');
-
-    updateStatusOverlay('Fehler', error.message, 'error');
-    showCustomNotification('Fehler', error.message, 'error');
-
-    const normalIconPath = path.join(__dirname, 'assets', 'tray-icon.png');
-    tray.setImage(normalIconPath);
-    tray.setToolTip('DentDoc - Bereit');
-
-  } finally {
-    isProcessing = false;
-    updateTrayMenu();
-  }
+/**
+ * Remaining-balance line for the recording overlay
+ * @returns {Object|null} { remainingSeconds, level, text } or null if not limited
+ */
+function getRecordingMinutesInfo() {
+  return minutesWatch && isRecording ? minutesWatch.getInfo() : null;
 }
 
 async function startRecording() {
@@ -1396,36 +1926,45 @@ async function startRecording() {
     return;
   }
 
-  // Prevent starting new recording while processing
-  if (isProcessing) {
-    showNotification('Bitte warten', 'Die vorherige Aufnahme wird noch verarbeitet...');
-    return;
-  }
+  // Previous recordings keep processing in the worker pool - no need to wait
 
-  // Fetch fresh user data from server to check trial/subscription status
+  // Quick refresh of trial/subscription status - the cached state is used when offline
   let user = store.get('user');
   try {
-    const freshUser = await apiClient.getUser(token);
+    const freshUser = await apiClient.getUser(token, { timeout: PREFLIGHT_USER_TIMEOUT_MS });
     if (freshUser) {
       user = freshUser;
       store.set('user', freshUser);
       updateTrayMenu();
     }
   } catch (e) {
+    if (e.code === errors.CODES.SESSION_EXPIRED) {
+      handleApiError(e);
+      return;
+    }
     console.log('Could not fetch fresh user data, using cached:', e.message);
   }
 
-  // Check trial/subscription status before recording
-  const isTrialUser = user?.planTier === 'free_trial';
-  const hasActiveSubscription = user?.subscriptionStatus === 'active';
-  const minutesRemaining = user?.minutesRemaining ?? 0;
-
-  console.log('Recording check - planTier:', user?.planTier, 'subscriptionStatus:', user?.subscriptionStatus, 'minutesRemaining:', minutesRemaining);
+  // Block before recording instead of after the upload
+  const account = usageGuard.checkAccount(user);
+  console.log('Recording check - planTier:', user?.planTier, 'subscriptionStatus:', user?.subscriptionStatus, 'minutesRemaining:', user?.minutesRemaining);
 
-  if (isTrialUser && minutesRemaining <= 0 && !hasActiveSubscription) {
-    updateStatusOverlay('Testphase beendet', 'Bitte abonnieren Sie DentDoc Pro um fortzufahren.', 'error');
+  if (!account.allowed) {
+    updateStatusOverlay(account.title, account.message, 'error');
+    showCustomNotification(account.title, account.message, 'error', () => openWebDashboard('/subscription'));
     return;
   }
+  if (account.warn) {
+    showCustomNotification(account.title, account.message, 'warning', () => openWebDashboard('/subscription'));
+  }
+  startMinutesWatch(account);
+
+  // Context entered before the recording belongs to this recording
+  currentRecordingContext = recordingContext.takePending();
+  if (!currentRecordingContext && store.get('askContextOnRecord', false)) {
+    // Recording starts right away - the form can be filled while recording
+    setTimeout(() => openContextForm(), 500);
+  }
 
   // Check if iPhone microphone is enabled
   const microphoneSource = store.get('microphoneSource', 'desktop');
@@ -1452,7 +1991,8 @@ async function startRecording() {
   // Get keepAudio setting - cleanup is handled by audioRecorder
   // keepAudio: false (default) = delete recordings, true = keep them
   const keepAudio = store.get('keepAudio', false);
-  const deleteAudio = !keepAudio;
+  // Never clean up temp recordings while older jobs are still processing them
+  const deleteAudio = !keepAudio && !isProcessing;
   console.log('keepAudio setting:', keepAudio, '-> deleteAudio:', deleteAudio);
   debugLog(`keepAudio setting: ${keepAudio} -> deleteAudio: ${deleteAudio}`);
 
@@ -1479,7 +2019,7 @@ async function startRecording() {
 
     // Get selected microphone (browser device ID)
     const microphoneId = store.get('microphoneId') || null;
-    currentRecordingPath = await audioRecorder.startRecording(deleteAudio, microphoneId);
+    currentRecordingPath = await audioRecorder.startRecording(deleteAudio, microphoneId, null, { channels: getChannelOptions() });
 
     const shortcut = store.get('shortcut') || 'F9';
     updateStatusOverlay('Aufnahme läuft...', `Drücken Sie ${shortcut} zum Stoppen`, 'recording');
@@ -1556,10 +2096,12 @@ async function startRecordingWithIphone() {
     });
 
     // Connect to Relay
-    const relayUrl = process.env.AUDIO_RELAY_URL || 'wss://dentdoc-desktop-production-a7a1.up.railway.app';
+    const relayUrl = network.getActiveEnvironment().relayUrl;
     console.log('[iPhone] Connecting to relay:', relayUrl);
 
-    iphoneRelayWs = new WebSocket(`${relayUrl}/stream?device=${iphoneDeviceId}&role=desktop&token=${token}`);
+    iphoneRelayWs = new WebSocket(`${relayUrl}/stream?device=${iphoneDeviceId}&role=desktop&token=${token}`, {
+      agent: network.getAgent(relayUrl)
+    });
 
     await new Promise((resolve, reject) => {
       const timeout = setTimeout(() => {
@@ -1595,8 +2137,8 @@ async function startRecordingWithIphone() {
             }
           }
 
-          // Binary PCM audio data - write to FFmpeg (only if still recording)
-          if (isIphoneSession && iphoneFfmpegProcess && iphoneFfmpegProcess.stdin && !iphoneFfmpegProcess.stdin.destroyed) {
+          // Binary PCM audio data - write to FFmpeg (only if still recording and not paused)
+          if (isIphoneSession && !isPaused && iphoneFfmpegProcess && iphoneFfmpegProcess.stdin && !iphoneFfmpegProcess.stdin.destroyed) {
             try {
               iphoneFfmpegProcess.stdin.write(data);
 
@@ -1818,6 +2360,30 @@ async function stopRecordingWithIphone() {
   }
 }
 
+/**
+ * Two-channel recording from the settings (doctor mic + room mic)
+ * @returns {Object|null} options.channels for audioRecorder.startRecording()
+ */
+function getChannelOptions() {
+  const channelMode = store.get('channelMode', 'off');
+  const device = store.get('channelMicrophone') || null;
+  if (channelMode === 'two-devices' && store.get('roomMicrophone')) {
+    return { mode: 'two-devices', device, roomDevice: store.get('roomMicrophone') };
+  }
+  if (channelMode === 'stereo') {
+    return { mode: 'stereo', device, doctorChannel: store.get('doctorChannel', 'left') };
+  }
+  return null;
+}
+
+/**
+ * Channel layout of the recording that just stopped (for the speaker recognition)
+ * @returns {string|null} 'doctor-room' or null for mono
+ */
+function getRecordedChannelLayout() {
+  return audioRecorder.getSessionChannels() ? 'doctor-room' : null;
+}
+
 // ============================================================================
 // VAD Recording Mode (Post-Processing - wie Upload)
 // ============================================================================
@@ -1828,7 +2394,8 @@ async function startRecordingWithVAD() {
   console.log('[VAD] ========== Start Recording (Offline-VAD Mode) ==========');
   try {
     const microphoneId = store.get('microphoneId') || null;
-    const deleteAudio = store.get('deleteAudio', true);
+    // Never clean up temp recordings while older jobs are still processing them
+    const deleteAudio = store.get('deleteAudio', true) && !isProcessing;
     console.log('[VAD] microphoneId:', microphoneId);
 
     isRecording = true;
@@ -1841,7 +2408,7 @@ async function startRecordingWithVAD() {
     tray.setToolTip('DentDoc - 🔴 Aufnahme läuft (VAD)...');
 
     // Start normale FFmpeg Aufnahme (wie im Standard-Modus)
-    currentRecordingPath = await audioRecorder.startRecording(deleteAudio, microphoneId);
+    currentRecordingPath = await audioRecorder.startRecording(deleteAudio, microphoneId, null, { channels: getChannelOptions() });
     console.log('[VAD] Recording started:', currentRecordingPath);
 
     const shortcut = store.get('shortcut') || 'F9';
@@ -1894,8 +2461,7 @@ async function stopRecordingWithVAD() {
     // This will: 1) Run VAD 2) Remove silence 3) Send to AssemblyAI
     // source='mic' for RMS-based Auto-Level strategy
     console.log('[Recording] >>> Processing with source: mic (RMS-based: loudnorm < -50dB, mild_gain -50 to -28dB, none > -28dB)');
-    const token = store.get('authToken');
-    await processFileWithVAD(currentRecordingPath, token, { source: 'mic' });
+    processAudioFile(currentRecordingPath, { source: 'mic', context: takeRecordingContext(), channelLayout: getRecordedChannelLayout() });
 
   } catch (error) {
     console.error('[VAD] Stop error:', error);
@@ -1915,6 +2481,9 @@ async function stopRecordingWithVAD() {
 }
 
 async function stopRecording() {
+  // Stopping ends a pause - the recorder joins the recorded parts
+  isPaused = false;
+
   // Check if we're in iPhone mode
   if (isIphoneSession) {
     console.log('[Recording] iPhone mode active - stopping iPhone session');
@@ -1924,60 +2493,395 @@ async function stopRecording() {
       // Save audio immediately
       saveAudioImmediately(recordingPath);
       // Process the recorded audio - source='iphone' for correct Auto-Level (always loudnorm)
-      await processAudioFile(recordingPath, { source: 'iphone' });
+      processAudioFile(recordingPath, { source: 'iphone', context: takeRecordingContext() });
     } catch (error) {
       console.error('[iPhone] Stop error:', error);
       updateStatusOverlay('iPhone Fehler', error.message, 'error');
     }
-    return;
+    return;
+  }
+
+  // Check if we're in VAD mode
+  if (isVadSession) {
+    console.log('[Recording] VAD mode active - stopping VAD session');
+    await stopRecordingWithVAD();
+    return;
+  }
+
+  // Notify dashboard to stop audio monitoring immediately
+  console.log('[MAIN] Sending recording-stopped to dashboard (from stopRecording - normal mode)');
+  if (dashboardWindow && !dashboardWindow.isDestroyed()) {
+    dashboardWindow.webContents.send('recording-stopped');
+  }
+
+  try {
+    tray.setToolTip('DentDoc - Verarbeite Aufnahme...');
+
+    await audioRecorder.stopRecording();
+    isRecording = false;
+    updateTrayMenu();
+
+    // Reset tray icon
+    const iconPath = path.join(__dirname, 'assets', 'tray-icon.png');
+    tray.setImage(iconPath);
+
+    // Save audio immediately (before transcription) so it's preserved if something fails
+    saveAudioImmediately(currentRecordingPath);
+
+    // Process the recorded audio file (same as manual file upload)
+    // Runs in the worker pool - the next recording can start right away
+    processAudioFile(currentRecordingPath, { context: takeRecordingContext(), channelLayout: getRecordedChannelLayout() });
+
+  } catch (error) {
+    console.error('Stop recording error:', error);
+
+    // Reset state on error
+    isRecording = false;
+    updateTrayMenu();
+
+    // Reset tray icon
+    const iconPath = path.join(__dirname, 'assets', 'tray-icon.png');
+    tray.setImage(iconPath);
+    tray.setToolTip('DentDoc - Bereit zum Aufnehmen');
+
+    updateStatusOverlay('Fehler', error.message || 'Aufnahme konnte nicht gestoppt werden', 'error');
+  }
+}
+
+// ============================================================================
+// Pause / Resume
+// ============================================================================
+let pauseToggleInProgress = false;
+
+function getPauseMenuLabel() {
+  const pauseShortcut = store.get('pauseShortcut', '');
+  const suffix = pauseShortcut ? ` (${pauseShortcut})` : '';
+  return isPaused ? `▶ Aufnahme fortsetzen${suffix}` : `⏸ Aufnahme pausieren${suffix}`;
+}
+
+/**
+ * Pause or resume the running recording (pause shortcut, tray, overlay)
+ * The paused time is not part of the recording - the result is one
+ * continuous file as if the pause never happened.
+ */
+async function togglePause() {
+  if (!isRecording || pauseToggleInProgress) return;
+  pauseToggleInProgress = true;
+
+  const pause = !isPaused;
+  try {
+    if (isIphoneSession) {
+      // The relay keeps streaming - audio chunks are dropped while paused,
+      // FFmpeg simply continues writing when data arrives again
+    } else if (vadController.isEnabled()) {
+      const success = pause ? await vadController.pauseSession() : await vadController.resumeSession();
+      if (!success) {
+        throw new Error('VAD-Sitzung hat den Wechsel abgelehnt');
+      }
+    } else if (pause) {
+      await audioRecorder.pauseRecording();
+    } else {
+      await audioRecorder.resumeRecording();
+    }
+  } catch (error) {
+    console.error('[Recording] Pause/resume failed:', error);
+    showNotification('Fehler', pause ? 'Aufnahme konnte nicht pausiert werden' : 'Aufnahme konnte nicht fortgesetzt werden');
+    return;
+  } finally {
+    pauseToggleInProgress = false;
+  }
+
+  // Recording was stopped while switching
+  if (!isRecording) return;
+
+  isPaused = pause;
+  console.log(`[Recording] ${isPaused ? 'Paused' : 'Resumed'}`);
+  showPauseState();
+}
+
+/**
+ * Reflect the pause state in tray and status overlay
+ */
+function showPauseState() {
+  const shortcut = store.get('shortcut') || 'F9';
+  const pauseShortcut = store.get('pauseShortcut', '');
+
+  const iconName = isPaused ? 'tray-icon.png' : 'tray-icon-recording.png';
+  tray.setImage(path.join(__dirname, 'assets', iconName));
+
+  if (isPaused) {
+    tray.setToolTip('DentDoc - ⏸ Aufnahme pausiert');
+    const resumeHint = pauseShortcut ? `${pauseShortcut} zum Fortsetzen, ` : '';
+    updateStatusOverlay('Aufnahme pausiert', `${resumeHint}${shortcut} zum Stoppen`, 'recording', { paused: true });
+  } else {
+    tray.setToolTip(isIphoneSession ? 'DentDoc - 🔴 iPhone-Aufnahme läuft...' : 'DentDoc - 🔴 Aufnahme läuft...');
+    updateStatusOverlay(isIphoneSession ? 'iPhone-Aufnahme...' : 'Aufnahme läuft...', `Drücken Sie ${shortcut} zum Stoppen`, 'recording');
+  }
+
+  updateTrayMenu();
+}
+
+// ============================================================================
+// Local control API (PVS macros, external buttons, scripts)
+// ============================================================================
+
+let lastLocalApiStatus = null;
+
+/**
+ * Recording/processing state as returned by GET /api/status
+ */
+function getLocalApiStatus() {
+  return {
+    recording: isRecording,
+    paused: isPaused,
+    processing: isProcessing,
+    context: getActiveRecordingContext(),
+    jobs: workerPool.getJobs().map(({ id, label, status, stage, message }) => ({ id, label, status, stage, message }))
+  };
+}
+
+/**
+ * Push the state to event clients - only when it actually changed
+ */
+function broadcastLocalApiStatus() {
+  if (!localApi.isRunning()) return;
+  const status = getLocalApiStatus();
+  const serialized = JSON.stringify(status);
+  if (serialized === lastLocalApiStatus) return;
+  lastLocalApiStatus = serialized;
+  localApi.broadcast('status', status);
+}
+
+function toLocalApiResult(result) {
+  return {
+    id: result.id,
+    label: result.label,
+    documentation: result.documentation,
+    transcript: result.transcript,
+    shortenings: result.shortenings || null,
+    finishedAt: result.finishedAt
+  };
+}
+
+const localApiHandlers = {
+  getStatus: getLocalApiStatus,
+
+  startRecording: async () => {
+    if (isRecording) {
+      return { success: false, error: 'Aufnahme läuft bereits' };
+    }
+    if (!store.get('authToken')) {
+      return { success: false, error: 'Nicht angemeldet' };
+    }
+    await startRecording();
+    return getLocalApiStatus();
+  },
+
+  stopRecording: async () => {
+    if (!isRecording) {
+      return { success: false, error: 'Keine Aufnahme aktiv' };
+    }
+    await stopRecording();
+    return getLocalApiStatus();
+  },
+
+  toggleRecording: async () => {
+    if (isRecording) {
+      await stopRecording();
+    } else {
+      if (!store.get('authToken')) {
+        return { success: false, error: 'Nicht angemeldet' };
+      }
+      await startRecording();
+    }
+    return getLocalApiStatus();
+  },
+
+  cancelRecording: async () => {
+    const canceled = await cancelRecording();
+    if (!canceled) {
+      return { success: false, error: 'Keine Aufnahme aktiv' };
+    }
+    return getLocalApiStatus();
+  },
+
+  togglePause: async () => {
+    if (!isRecording) {
+      return { success: false, error: 'Keine Aufnahme aktiv' };
+    }
+    await togglePause();
+    return getLocalApiStatus();
+  },
+
+  setContext: (body) => {
+    const context = setRecordingContext(body);
+    return { context };
+  },
+
+  cancelJob: (jobId) => {
+    if (!cancelProcessingJob(jobId)) {
+      return { success: false, status: 404, error: 'Kein laufender Job mit dieser ID' };
+    }
+    return getLocalApiStatus();
+  },
+
+  getLastDocumentation: () => {
+    if (recentResults.length === 0) {
+      return { success: false, status: 404, error: 'Noch keine Dokumentation vorhanden' };
+    }
+    return toLocalApiResult(recentResults[0]);
+  }
+};
+
+/**
+ * (Re)start the local API according to its settings
+ * @returns {Promise<boolean>} True if the API is listening
+ */
+async function startLocalApi() {
+  lastLocalApiStatus = null;
+  return localApi.start(localApiHandlers);
+}
+
+ipcMain.handle('get-local-api-info', () => {
+  const config = localApi.getConfig();
+  return {
+    running: localApi.isRunning(),
+    url: `http://127.0.0.1:${config.port}`,
+    secret: config.secret
+  };
+});
+
+ipcMain.handle('regenerate-local-api-secret', async () => {
+  try {
+    const secret = localApi.regenerateSecret();
+    // Drop connected event clients that still use the old secret
+    if (localApi.isRunning()) {
+      await startLocalApi();
+    }
+    return { success: true, secret };
+  } catch (error) {
+    return { success: false, error: error.message };
   }
+});
 
-  // Check if we're in VAD mode
-  if (isVadSession) {
-    console.log('[Recording] VAD mode active - stopping VAD session');
-    await stopRecordingWithVAD();
-    return;
-  }
+// ============================================================================
+// Patient / Session Context
+// ============================================================================
 
-  // Notify dashboard to stop audio monitoring immediately
-  console.log('[MAIN] Sending recording-stopped to dashboard (from stopRecording - normal mode)');
-  if (dashboardWindow && !dashboardWindow.isDestroyed()) {
-    dashboardWindow.webContents.send('recording-stopped');
+/**
+ * Context shown/edited in the form: running recording or the next one
+ */
+function getActiveRecordingContext() {
+  return isRecording ? currentRecordingContext : recordingContext.getPending();
+}
+
+/**
+ * Set the context (form, external trigger). While recording it belongs to
+ * the running recording, otherwise to the next one.
+ * @param {Object|null} raw - { patient, room, treatment }
+ * @returns {Object|null} Normalized context
+ */
+function setRecordingContext(raw) {
+  let context;
+  if (isRecording) {
+    context = recordingContext.normalize(raw);
+    recordingContext.rememberSuggestions(context);
+    currentRecordingContext = context;
+  } else {
+    context = recordingContext.setPending(raw);
   }
 
-  try {
-    tray.setToolTip('DentDoc - Verarbeite Aufnahme...');
+  console.log(`[Context] ${isRecording ? 'Laufende' : 'Nächste'} Aufnahme: ${recordingContext.formatLabel(context) || '(leer)'}`);
+  updateTrayMenu();
+  return context;
+}
 
-    await audioRecorder.stopRecording();
-    isRecording = false;
-    updateTrayMenu();
+/**
+ * Context of the stopped recording - handed over to its pipeline job
+ */
+function takeRecordingContext() {
+  const context = currentRecordingContext;
+  currentRecordingContext = null;
+  return context;
+}
 
-    // Reset tray icon
-    const iconPath = path.join(__dirname, 'assets', 'tray-icon.png');
-    tray.setImage(iconPath);
+function getContextMenuLabel() {
+  const contextShortcut = store.get('contextShortcut', '');
+  const suffix = contextShortcut ? ` (${contextShortcut})` : '';
+  const label = recordingContext.formatLabel(getActiveRecordingContext());
+  return label ? `👤 ${label}${suffix}` : `👤 Patient/Kontext angeben...${suffix}`;
+}
 
-    // Save audio immediately (before transcription) so it's preserved if something fails
-    saveAudioImmediately(currentRecordingPath);
+/**
+ * Small always-on-top form for patient/room/treatment
+ */
+function openContextForm() {
+  if (contextFormWindow && !contextFormWindow.isDestroyed()) {
+    contextFormWindow.show();
+    contextFormWindow.focus();
+    return;
+  }
 
-    // Process the recorded audio file (same as manual file upload)
-    await processAudioFile(currentRecordingPath);
+  const { screen } = require('electron');
+  const workArea = screen.getPrimaryDisplay().workArea;
+  const width = 400;
+  const height = 390;
+
+  contextFormWindow = new BrowserWindow({
+    width,
+    height,
+    x: workArea.x + Math.round((workArea.width - width) / 2),
+    y: workArea.y + Math.round((workArea.height - height) / 3),
+    frame: false,
+    transparent: true,
+    alwaysOnTop: true,
+    skipTaskbar: true,
+    resizable: false,
+    webPreferences: {
+      nodeIntegration: true,
+      contextIsolation: false
+    }
+  });
 
-  } catch (error) {
-    console.error('Stop recording error:', error);
+  contextFormWindow.loadFile('src/context-form.html');
+  contextFormWindow.once('ready-to-show', () => contextFormWindow.focus());
 
-    // Reset state on error
-    isRecording = false;
-    isProcessing = false;
-    updateTrayMenu();
+  contextFormWindow.on('closed', () => {
+    contextFormWindow = null;
+  });
+}
 
-    // Reset tray icon
-    const iconPath = path.join(__dirname, 'assets', 'tray-icon.png');
-    tray.setImage(iconPath);
-    tray.setToolTip('DentDoc - Bereit zum Aufnehmen');
+/**
+ * Extract the context from command line arguments
+ * (`--context "patient=123;room=2"` or `--context=...`)
+ * @param {string[]} argv
+ * @returns {string|null} Raw context string
+ */
+function getContextArgument(argv) {
+  const index = argv.findIndex(arg => arg === '--context' || arg.startsWith('--context='));
+  if (index === -1) return null;
+  return argv[index].startsWith('--context=')
+    ? argv[index].slice('--context='.length)
+    : (argv[index + 1] || '');
+}
 
-    updateStatusOverlay('Fehler', error.message || 'Aufnahme konnte nicht gestoppt werden', 'error');
+ipcMain.handle('get-recording-context', () => {
+  return {
+    context: getActiveRecordingContext(),
+    suggestions: recordingContext.getSuggestions(),
+    isRecording
+  };
+});
+
+ipcMain.handle('save-recording-context', (event, raw) => {
+  return { success: true, context: setRecordingContext(raw) };
+});
+
+ipcMain.on('close-context-form', () => {
+  if (contextFormWindow && !contextFormWindow.isDestroyed()) {
+    contextFormWindow.close();
   }
-}
+});
 
 function showNotification(title, body, onClick = null) {
   const notification = new Notification({
@@ -2115,10 +3019,23 @@ function getValidOverlayPosition() {
 }
 
 // Deterministic overlay size based on state (main process controls size, not renderer)
+// Height of the in-flight job list in the overlay
+function getOverlayJobsHeight(jobs) {
+  if (!jobs || jobs.length === 0) return 0;
+  return 14 + Math.min(jobs.length, 4) * 20;
+}
+
 function getOverlaySizeForState(type, extra = {}) {
+  const size = getOverlayBaseSize(type, extra);
+  size.height += getOverlayJobsHeight(extra.jobs);
+  return size;
+}
+
+function getOverlayBaseSize(type, extra = {}) {
   switch (type) {
     case 'recording':
-      return { width: 402, height: 96 };
+      // Trial balance line below the timer
+      return { width: 402, height: extra.minutes ? 116 : 96 };
 
     case 'processing':
       return { width: 402, height: 151 };
@@ -2126,7 +3043,9 @@ function getOverlaySizeForState(type, extra = {}) {
     case 'success':
       // Smaller height if no shortenings (e.g., "Letzte Dokumentation anzeigen")
       const hasShorts = extra.shortenings && Object.keys(extra.shortenings).length > 0;
-      return { width: 402, height: hasShorts ? 417 : 277 };
+      // "Neu erstellen" row below the copy buttons
+      const regenerateHeight = extra.canRegenerate ? 44 : 0;
+      return { width: 402, height: (hasShorts ? 417 : 277) + regenerateHeight };
 
     case 'error':
       return { width: 402, height: 141 };
@@ -2307,8 +3226,14 @@ function updateStatusOverlay(title, message, type, extra = {}) {
 
   const overlay = createStatusOverlay();
 
+  // Background jobs (other than the one shown) are listed below the status
+  const jobs = getOverlayJobs(extra.jobId);
+  // Trial balance line while recording (kept in the state for resizing)
+  const minutes = type === 'recording' ? getRecordingMinutesInfo() : null;
+  lastOverlayState = { type, extra: { ...extra, minutes } };
+
   // Set correct size for this state (pass extra for success size calculation)
-  const { width, height } = getOverlaySizeForState(type, extra);
+  const { width, height } = getOverlaySizeForState(type, { ...extra, jobs, minutes });
   overlay.setSize(width, height, false);
 
   const statusData = {
@@ -2319,7 +3244,12 @@ function updateStatusOverlay(title, message, type, extra = {}) {
     uploadProgress: extra.uploadProgress,
     documentation: extra.documentation || null,
     transcript: extra.transcript || null,
-    shortenings: extra.shortenings || null
+    shortenings: extra.shortenings || null,
+    canRegenerate: extra.canRegenerate || false,
+    paused: extra.paused || false,
+    minutes,
+    jobId: extra.jobId || null,
+    jobs
   };
 
   // Store the data to send
@@ -2352,6 +3282,35 @@ function updateStatusOverlay(title, message, type, extra = {}) {
   }
 }
 
+/**
+ * In-flight jobs for the overlay list (without the job the overlay currently shows)
+ * @param {string|null} shownJobId - Job shown in the main status area
+ */
+function getOverlayJobs(shownJobId = null) {
+  return workerPool.getJobs()
+    .filter(job => job.id !== shownJobId)
+    .map(job => ({
+      label: job.label,
+      state: job.status === 'queued' ? 'Wartet' : (processingPipeline.STAGE_LABELS[job.stage] || 'Startet')
+    }));
+}
+
+/**
+ * Refresh only the job list of a visible overlay (keeps recording timer etc.)
+ */
+function sendJobsToOverlay() {
+  if (!statusOverlay || statusOverlay.isDestroyed() || !statusOverlay.isVisible() || !lastOverlayState) return;
+
+  const { type, extra } = lastOverlayState;
+  const jobs = getOverlayJobs(extra.jobId);
+  const { width, height } = getOverlaySizeForState(type, { ...extra, jobs });
+  statusOverlay.setSize(width, height, false);
+
+  if (statusOverlayReady && !statusOverlay.webContents.isDestroyed()) {
+    statusOverlay.webContents.send('update-jobs', jobs);
+  }
+}
+
 function hideStatusOverlay() {
   if (autoHideTimeout) {
     clearTimeout(autoHideTimeout);
@@ -2392,86 +3351,502 @@ ipcMain.on('close-status-overlay', () => {
 // IPC handler removed - main already sets size in updateStatusOverlay()
 // The renderer notification is no longer needed
 
-// IPC handler for opening microphone settings from error overlay
-ipcMain.on('open-microphone-settings', () => {
-  hideStatusOverlay();
+// IPC handler for opening microphone settings from error overlay
+ipcMain.on('open-microphone-settings', () => {
+  hideStatusOverlay();
+  openLocalDashboard();
+  setTimeout(() => {
+    if (dashboardWindow && !dashboardWindow.isDestroyed()) {
+      dashboardWindow.webContents.send('switch-view', 'settings');
+    }
+  }, 500);
+});
+
+// IPC handler for cancelling recording (X button during recording)
+/**
+ * Stop the running recording without processing it (audio is discarded)
+ * @returns {Promise<boolean>} True if a recording was cancelled
+ */
+async function cancelRecording() {
+  if (isRecording) {
+    isPaused = false;
+    try {
+      // Stop the recording without processing
+      if (isIphoneSession) {
+        const recordingPath = await stopRecordingWithIphone();
+        if (recordingPath && fs.existsSync(recordingPath)) {
+          fs.unlinkSync(recordingPath);
+        }
+      } else {
+        await audioRecorder.stopRecording();
+      }
+    } catch (error) {
+      console.log('Error stopping recorder:', error);
+    }
+
+    if (dashboardWindow && !dashboardWindow.isDestroyed()) {
+      dashboardWindow.webContents.send('recording-stopped');
+    }
+
+    isRecording = false;
+    isVadSession = false;
+    isIphoneSession = false;
+    currentRecordingPath = null;
+    currentRecordingContext = null;
+
+    // Reset tray icon
+    const iconPath = path.join(__dirname, 'assets', 'tray-icon.png');
+    tray.setImage(iconPath);
+    tray.setToolTip('DentDoc - Bereit');
+    updateTrayMenu();
+
+    console.log('Recording cancelled by user');
+    return true;
+  }
+  return false;
+}
+
+ipcMain.on('cancel-recording', async () => {
+  await cancelRecording();
+});
+
+// IPC handler for cancelling processing (overlay button) - defaults to the job shown in the overlay
+ipcMain.on('cancel-processing', (event, jobId) => {
+  const targetJobId = jobId || (lastOverlayState && lastOverlayState.extra.jobId);
+  if (targetJobId) {
+    cancelProcessingJob(targetJobId);
+  }
+});
+
+// Pause/resume from the status overlay
+ipcMain.on('toggle-pause', () => {
+  togglePause();
+});
+
+// IPC handlers for status overlay
+ipcMain.handle('get-auto-close-setting', () => {
+  return store.get('autoCloseOverlay', false);
+});
+
+ipcMain.handle('set-auto-close-setting', (event, value) => {
+  store.set('autoCloseOverlay', value);
+  return true;
+});
+
+// Theme handlers
+ipcMain.handle('get-theme', () => {
+  return store.get('theme', 'dark');
+});
+
+ipcMain.handle('set-theme', (event, theme) => {
+  store.set('theme', theme);
+  return true;
+});
+
+// Dashboard statistics handlers
+ipcMain.handle('get-dashboard-stats', () => {
+  const todayStart = new Date();
+  todayStart.setHours(0, 0, 0, 0);
+
+  // Get today's recordings count from store
+  const todayRecordings = store.get('todayRecordings', { date: null, count: 0 });
+  const todayStr = todayStart.toISOString().split('T')[0];
+
+  // Reset count if it's a new day
+  const count = todayRecordings.date === todayStr ? todayRecordings.count : 0;
+
+  // Get profile count
+  const profiles = voiceProfiles.getAllProfiles();
+  const profileCount = profiles.length;
+
+  // Get bausteine count
+  const bausteine = bausteineManager.getAllBausteine();
+  const bausteineCount = bausteine.length;
+
+  return {
+    todayRecordings: count,
+    profileCount,
+    bausteineCount
+  };
+});
+
+// Failed-jobs queue handlers
+ipcMain.handle('get-failed-jobs', () => {
+  return jobQueue.getAllJobs()
+    .filter(job => fs.existsSync(job.audioPath))
+    .map(job => ({ ...job, fileName: path.basename(job.audioPath) }));
+});
+
+ipcMain.handle('retry-failed-job', async (event, jobId) => {
+  try {
+    return await retryFailedJob(jobId);
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('reassign-failed-job', (event, jobId, doctorName) => {
+  const job = jobQueue.updateJob(jobId, { assignedTo: doctorName || null });
+  if (!job) {
+    return { success: false, error: 'Job nicht gefunden' };
+  }
+  notifyFailedJobsChanged();
+  return { success: true };
+});
+
+ipcMain.handle('delete-failed-job', (event, jobId) => {
+  const job = jobQueue.getJob(jobId);
+  if (!job) {
+    return { success: false, error: 'Job nicht gefunden' };
+  }
+  if (job.status === 'retrying') {
+    return { success: false, error: 'Job wird gerade verarbeitet' };
+  }
+  // Only delete audio we own (backup copies), never the user's original file
+  jobQueue.removeJob(jobId, { deleteAudio: isInFailedFolder(job.audioPath) });
+  if (job.checkpointId) {
+    processingPipeline.discardJob(job.checkpointId);
+  }
+  notifyFailedJobsChanged();
+  return { success: true };
+});
+
+// Watched folder: current folder and per-file status
+ipcMain.handle('get-watch-folder-status', () => {
+  return {
+    folder: folderWatch.getWatchedFolder(),
+    files: folderWatch.getFileStatuses()
+  };
+});
+
+ipcMain.handle('open-failed-folder', () => {
+  const folder = getFailedFolderPath();
+  if (!fs.existsSync(folder)) {
+    fs.mkdirSync(folder, { recursive: true });
+  }
+  shell.openPath(folder);
+  return true;
+});
+
+// Recording history (saved transcripts)
+function notifyHistoryChanged() {
+  if (dashboardWindow && !dashboardWindow.isDestroyed()) {
+    dashboardWindow.webContents.send('history-updated');
+  }
+}
+
+ipcMain.handle('refresh-history', async () => {
+  const defaultTranscriptPath = path.join(app.getPath('documents'), 'DentDoc', 'Transkripte');
+  const transcriptPath = store.get('transcriptPath') || defaultTranscriptPath;
+  try {
+    const count = await history.refresh(transcriptPath);
+    return { success: true, count, folder: transcriptPath };
+  } catch (error) {
+    console.error('[History] Index failed:', error.message);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('search-history', (event, query, filters) => {
+  return history.search(query || '', filters || {});
+});
+
+ipcMain.handle('get-history-entry', async (event, key) => {
+  try {
+    const entry = await history.getEntry(key);
+    if (!entry) {
+      return { success: false, error: 'Aufnahme nicht gefunden' };
+    }
+    return { success: true, entry };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('open-history-file', async (event, key) => {
+  const entry = await history.getEntry(key).catch(() => null);
+  if (!entry) {
+    return { success: false, error: 'Aufnahme nicht gefunden' };
+  }
+  shell.openPath(entry.filePath);
+  return { success: true };
+});
+
+// Regenerate documentation with another mode (overlay: last result, history: saved file)
+/**
+ * Current version of a regeneration target
+ * @param {Object} target - { type: 'last', resultId } | { type: 'history', key }
+ * @returns {Promise<Object|null>} { transcriptionId, documentation, shortenings, docMode, context, files, result }
+ *   result = entry in recentResults (kept in sync when the new version is chosen)
+ */
+async function getRegenerateSource(target) {
+  if (!target) return null;
+
+  if (target.type === 'history') {
+    const entry = await history.getEntry(target.key).catch(() => null);
+    if (!entry) return null;
+    return {
+      transcriptionId: entry.transcriptionId,
+      documentation: entry.summary,
+      shortenings: Object.keys(entry.variants).length > 0 ? entry.variants : null,
+      docMode: null, // not stored in the file
+      context: entry.context,
+      files: entry.filePaths,
+      result: recentResults.find(result => (result.savedFiles || []).includes(entry.filePath)) || null
+    };
+  }
+
+  const result = recentResults.find(item => item.id === target.resultId);
+  if (!result) return null;
+  return {
+    transcriptionId: result.transcriptionId || null,
+    documentation: result.documentation,
+    shortenings: result.shortenings || null,
+    docMode: result.docMode || null,
+    context: result.context || null,
+    files: result.savedFiles || [],
+    result
+  };
+}
+
+// Overlay "Neu erstellen" - comparison runs in the dashboard
+ipcMain.on('open-regenerate-modal', () => {
+  if (!lastResult) return;
+  const target = { type: 'last', resultId: lastResult.id };
   openLocalDashboard();
   setTimeout(() => {
     if (dashboardWindow && !dashboardWindow.isDestroyed()) {
-      dashboardWindow.webContents.send('switch-view', 'settings');
+      dashboardWindow.webContents.send('show-regenerate-modal', target);
     }
   }, 500);
 });
 
-// IPC handler for cancelling recording (X button during recording)
-ipcMain.on('cancel-recording', async () => {
-  if (isRecording) {
-    try {
-      // Stop the audio recorder without processing
-      await audioRecorder.stopRecording();
-    } catch (error) {
-      console.log('Error stopping recorder:', error);
-    }
+ipcMain.handle('get-regenerate-source', async (event, target) => {
+  const source = await getRegenerateSource(target);
+  if (!source) {
+    return { success: false, error: 'Aufnahme nicht gefunden' };
+  }
+  if (!source.transcriptionId) {
+    return { success: false, error: 'Diese Aufnahme wurde mit einer älteren Version gespeichert und kann nicht neu erstellt werden.' };
+  }
+  return {
+    success: true,
+    documentation: source.documentation,
+    docMode: source.docMode,
+    modeLabel: source.docMode ? docModes.getMode(source.docMode).label : null
+  };
+});
 
-    isRecording = false;
-    isProcessing = false;
-    currentRecordingPath = null;
+ipcMain.handle('regenerate-documentation', async (event, target, docModeId) => {
+  const token = store.get('authToken');
+  if (!token) {
+    return { success: false, error: 'Bitte melden Sie sich zuerst an' };
+  }
+  const source = await getRegenerateSource(target);
+  if (!source || !source.transcriptionId) {
+    return { success: false, error: 'Aufnahme nicht gefunden' };
+  }
 
-    // Reset tray icon
-    const iconPath = path.join(__dirname, 'assets', 'tray-icon.png');
-    tray.setImage(iconPath);
-    tray.setToolTip('DentDoc - Bereit');
-    updateTrayMenu();
+  const mode = docModes.getMode(docModeId);
+  const controller = regenerate.begin(target);
+  console.log(`[Regenerate] Transkription ${source.transcriptionId} wird neu dokumentiert (${mode.label})`);
 
-    console.log('Recording cancelled by user');
+  try {
+    const result = await processingPipeline.createDocumentation(source.transcriptionId, mode.id, {
+      apiClient,
+      token,
+      signal: controller.signal,
+      context: source.context,
+      getBausteine: () => bausteineManager.getAllBausteine()
+    });
+    const version = {
+      documentation: result.documentation,
+      shortenings: result.shortenings || null,
+      docMode: mode.id
+    };
+    regenerate.finish(target, controller, version);
+
+    return {
+      success: true,
+      documentation: version.documentation,
+      modeLabel: mode.label,
+      hasShortenings: !!version.shortenings,
+      diff: regenerate.diffWords(source.documentation, version.documentation)
+    };
+  } catch (error) {
+    regenerate.fail(target, controller);
+    if (errors.isCanceled(error)) {
+      return { success: false, canceled: true };
+    }
+    console.error('[Regenerate] Fehlgeschlagen:', error.message);
+    const result = apiErrorResult(error, { success: false });
+    // Dashboard shows plain text (NO_SPEECH carries a settings link)
+    return { ...result, error: result.error.replace(/<[^>]+>/g, ' ').trim() };
   }
 });
 
-// IPC handlers for status overlay
-ipcMain.handle('get-auto-close-setting', () => {
-  return store.get('autoCloseOverlay', false);
-});
+/**
+ * Keep one version: 'new' replaces documentation/shortenings in the saved
+ * files and the last result, both choices copy the chosen text.
+ */
+ipcMain.handle('apply-regenerated-documentation', async (event, target, choice) => {
+  const source = await getRegenerateSource(target);
+  if (!source) {
+    return { success: false, error: 'Aufnahme nicht gefunden' };
+  }
 
-ipcMain.handle('set-auto-close-setting', (event, value) => {
-  store.set('autoCloseOverlay', value);
-  return true;
-});
+  let chosen = source;
+  let updatedFiles = 0;
 
-// Theme handlers
-ipcMain.handle('get-theme', () => {
-  return store.get('theme', 'dark');
+  if (choice === 'new') {
+    const candidate = regenerate.getCandidate(target);
+    if (!candidate) {
+      return { success: false, error: 'Keine neue Version vorhanden' };
+    }
+    chosen = candidate;
+    updatedFiles = updateSavedDocumentation(source.files, candidate.documentation, candidate.shortenings);
+
+    if (source.result) {
+      Object.assign(source.result, {
+        documentation: candidate.documentation,
+        shortenings: candidate.shortenings,
+        docMode: candidate.docMode
+      });
+      if (source.result === lastResult) {
+        lastDocumentation = candidate.documentation;
+        lastShortenings = candidate.shortenings;
+        // Overlay still open - its copy buttons have to use the new version
+        if (statusOverlay && !statusOverlay.isDestroyed() && statusOverlay.isVisible()) {
+          showProcessingResult(lastResult, { message: 'Neue Version übernommen und kopiert' });
+        }
+      }
+    }
+    console.log(`[Regenerate] Neue Version übernommen (${updatedFiles} Datei(en) aktualisiert)`);
+    if (updatedFiles > 0) notifyHistoryChanged();
+  }
+
+  regenerate.cancel(target);
+  regenerate.discard(target);
+  clipboard.writeText(chosen.documentation);
+  return { success: true, updatedFiles };
 });
 
-ipcMain.handle('set-theme', (event, theme) => {
-  store.set('theme', theme);
-  return true;
+// Modal closed - stop a running request and forget the unchosen version
+ipcMain.on('close-regenerate', (event, target) => {
+  if (!target) return;
+  regenerate.cancel(target);
+  regenerate.discard(target);
 });
 
-// Dashboard statistics handlers
-ipcMain.handle('get-dashboard-stats', () => {
-  const todayStart = new Date();
-  todayStart.setHours(0, 0, 0, 0);
+// Documentation mode comparison (dashboard "Modus-Vergleich")
+let modeComparison = null; // { controller, result } - last run, for export
 
-  // Get today's recordings count from store
-  const todayRecordings = store.get('todayRecordings', { date: null, count: 0 });
-  const todayStr = todayStart.toISOString().split('T')[0];
+ipcMain.handle('run-mode-comparison', async (event, key, modeIds) => {
+  const token = store.get('authToken');
+  if (!token) {
+    return { success: false, error: 'Bitte melden Sie sich zuerst an' };
+  }
+  if (modeComparison && modeComparison.controller) {
+    return { success: false, error: 'Es läuft bereits ein Vergleich' };
+  }
 
-  // Reset count if it's a new day
-  const count = todayRecordings.date === todayStr ? todayRecordings.count : 0;
+  const entry = await history.getEntry(key).catch(() => null);
+  if (!entry || !entry.transcriptionId) {
+    return { success: false, error: 'Aufnahme nicht gefunden oder ohne Transkriptions-ID' };
+  }
 
-  // Get profile count
-  const profiles = voiceProfiles.getAllProfiles();
-  const profileCount = profiles.length;
+  const modes = (modeIds || []).map(id => docModes.getMode(id)).filter((mode, i, all) => all.indexOf(mode) === i);
+  if (modes.length === 0) {
+    return { success: false, error: 'Bitte mindestens einen Modus auswählen' };
+  }
 
-  // Get bausteine count
+  const controller = new AbortController();
+  modeComparison = { controller, result: null };
+  // Same Bausteine for every mode and for the coverage check
   const bausteine = bausteineManager.getAllBausteine();
-  const bausteineCount = bausteine.length;
+  console.log(`[ModeCompare] Transkription ${entry.transcriptionId}: ${modes.map(mode => mode.id).join(', ')}`);
 
-  return {
-    todayRecordings: count,
-    profileCount,
-    bausteineCount
+  let results;
+  try {
+    results = await modeCompare.runComparison({
+      modes,
+      transcript: entry.transcript,
+      bausteine,
+      signal: controller.signal,
+      generate: (modeId, signal) => processingPipeline.createDocumentation(entry.transcriptionId, modeId, {
+        apiClient,
+        token,
+        signal,
+        context: entry.context,
+        getBausteine: () => bausteine
+      }),
+      onResult: (result, index) => {
+        if (!event.sender.isDestroyed()) {
+          event.sender.send('mode-comparison-result', { index, result });
+        }
+      }
+    });
+  } catch (error) {
+    modeComparison = null;
+    return { success: false, error: error.message };
+  }
+
+  const canceled = controller.signal.aborted;
+  modeComparison = {
+    controller: null,
+    result: {
+      createdAt: new Date().toISOString(),
+      recording: {
+        date: entry.date,
+        doctors: entry.doctors,
+        room: entry.context?.room || null,
+        treatment: entry.context?.treatment || null,
+        transcriptionId: entry.transcriptionId
+      },
+      results
+    }
   };
+
+  // Logged out / session ended during the run
+  const sessionError = results.find(result => result.code === errors.CODES.SESSION_EXPIRED);
+  if (sessionError) {
+    handleApiError(new errors.ApiError(errors.CODES.SESSION_EXPIRED));
+  }
+
+  return { success: true, canceled, results };
+});
+
+ipcMain.on('cancel-mode-comparison', () => {
+  if (modeComparison && modeComparison.controller) {
+    modeComparison.controller.abort();
+  }
+});
+
+ipcMain.handle('export-mode-comparison', async () => {
+  if (!modeComparison || !modeComparison.result || modeComparison.result.results.length === 0) {
+    return { success: false, error: 'Kein Vergleich vorhanden' };
+  }
+
+  const date = new Date(modeComparison.result.createdAt);
+  const stamp = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+  const { canceled, filePath } = await dialog.showSaveDialog(dashboardWindow, {
+    title: 'Modus-Vergleich exportieren',
+    defaultPath: path.join(app.getPath('documents'), `DentDoc-Modus-Vergleich_${stamp}.md`),
+    filters: [
+      { name: 'Markdown', extensions: ['md'] },
+      { name: 'Text', extensions: ['txt'] }
+    ]
+  });
+  if (canceled || !filePath) {
+    return { success: false, canceled: true };
+  }
+
+  try {
+    fs.writeFileSync(filePath, modeCompare.formatReport(modeComparison.result), 'utf8');
+    return { success: true, filePath };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
 });
 
 ipcMain.handle('increment-recording-count', () => {
@@ -2685,7 +4060,7 @@ ipcMain.handle('toggle-recording', async () => {
 });
 
 ipcMain.handle('get-recording-state', () => {
-  return { isRecording, isProcessing };
+  return { isRecording, isPaused, isProcessing };
 });
 
 // Onboarding tour handlers (supports multiple tours: 'login', 'settings', etc.)
@@ -2769,24 +4144,72 @@ function startHeartbeat() {
       return;
     }
 
-    const isValid = await apiClient.heartbeat(token, store);
-    if (!isValid) {
+    try {
+      await apiClient.heartbeat(token, store);
+    } catch (error) {
       // Session expired - device was logged out remotely
-      console.log('Session expired - logging out locally');
-      stopHeartbeat();
-      store.delete('authToken');
-      store.delete('user');
-      updateTrayMenu();
-      showNotification('Sitzung beendet', 'Sie wurden von einem anderen Gerät abgemeldet.');
-      createLoginWindow();
+      handleApiError(error);
     }
   }, 5 * 60 * 1000); // 5 minutes
 
   // Also send immediate heartbeat on start
   const token = store.get('authToken');
   if (token) {
-    apiClient.heartbeat(token, store).catch(console.error);
+    apiClient.heartbeat(token, store).catch(handleApiError);
+  }
+}
+
+/**
+ * Map an error to overlay/notification text (one table for all callers,
+ * see src/errors) and run the follow-up action of its code
+ * @param {Error} error - Error from apiClient or the pipeline
+ * @returns {{code: string, title: string, message: string, action: string|null, retryable: boolean}}
+ */
+function handleApiError(error) {
+  const ux = errors.describe(error);
+
+  if (ux.action === 'open-dashboard') {
+    // Trial/subscription problems: open dashboard for subscription
+    setTimeout(() => openWebDashboard(), 2000);
+  } else if (ux.action === 'relogin') {
+    endSession(ux);
   }
+  return ux;
+}
+
+/**
+ * IPC result for a failed API call - renderers get the table text and the code
+ * @param {Error} error - Error from apiClient
+ * @param {Object} fields - Additional result fields, e.g. { success: false }
+ * @returns {Object}
+ */
+function apiErrorResult(error, fields = {}) {
+  const ux = handleApiError(error);
+  return { ...fields, error: ux.message, code: ux.code };
+}
+
+/**
+ * Remove the stored login (logout, expired session, environment change)
+ */
+function clearCredentials() {
+  store.delete('authToken');
+  store.delete('user');
+  store.delete('iphoneAuthToken');
+}
+
+/**
+ * Session is no longer valid (e.g. logged out from another device) - log out locally
+ * @param {{title: string, message: string}} ux - Notification text
+ */
+function endSession(ux) {
+  if (!store.get('authToken')) return;
+
+  console.log('Session expired - logging out locally');
+  stopHeartbeat();
+  clearCredentials();
+  updateTrayMenu();
+  showNotification(ux.title, ux.message);
+  createLoginWindow();
 }
 
 // Refresh user data and check for subscription changes
@@ -2896,12 +4319,8 @@ ipcMain.handle('login', async (event, email, password) => {
 
     return { success: true };
   } catch (error) {
-    // Check for max devices error
-    if (error.message.startsWith('MAX_DEVICES:')) {
-      const message = error.message.substring('MAX_DEVICES:'.length);
-      return { success: false, error: message, code: 'MAX_DEVICES' };
-    }
-    return { success: false, error: error.message };
+    // code MAX_DEVICES etc. for the login window
+    return apiErrorResult(error, { success: false });
   }
 });
 
@@ -2914,8 +4333,7 @@ ipcMain.handle('logout', async () => {
   if (token) {
     await apiClient.logout(token, store);
   }
-  store.delete('authToken');
-  store.delete('user');
+  clearCredentials();
 
   // Close dashboard window
   if (dashboardWindow && !dashboardWindow.isDestroyed()) {
@@ -2929,7 +4347,7 @@ ipcMain.handle('logout', async () => {
 });
 
 // IPC Handlers for settings
-// Get Windows audio devices (FFmpeg DirectShow)
+// Get audio devices of the FFmpeg recorder (WASAPI/DirectShow, PulseAudio/ALSA, AVFoundation)
 ipcMain.handle('get-audio-devices', async () => {
   try {
     const devices = await audioRecorder.listAudioDevices();
@@ -2940,6 +4358,16 @@ ipcMain.handle('get-audio-devices', async () => {
   }
 });
 
+// Documentation modes for settings and setup wizard
+ipcMain.handle('get-doc-modes', () => {
+  return docModes.listModes();
+});
+
+// Denoise presets for settings (see src/pipeline/denoise.js)
+ipcMain.handle('get-denoise-presets', () => {
+  return denoise.listPresets();
+});
+
 ipcMain.handle('get-settings', async () => {
   // Default paths in Documents folder
   const documentsPath = app.getPath('documents');
@@ -2955,6 +4383,8 @@ ipcMain.handle('get-settings', async () => {
 
   return {
     shortcut: store.get('shortcut') || 'F9',
+    pauseShortcut: store.get('pauseShortcut', ''),
+    contextShortcut: store.get('contextShortcut', ''),
     microphoneId: store.get('microphoneId') || null,      // Browser device ID (WebRTC)
     microphoneSource: store.get('microphoneSource', 'desktop'),  // 'desktop' | 'iphone'
     iphoneDeviceId: store.get('iphoneDeviceId') || null,
@@ -2964,14 +4394,34 @@ ipcMain.handle('get-settings', async () => {
     autoClose: store.get('autoCloseOverlay', false),
     autoExport: store.get('autoExport', true),
     keepAudio: store.get('keepAudio', false),
-    docMode: store.get('docMode', 'single'),
+    docMode: docModes.getMode(store.get('docMode')).id,
     theme: store.get('theme', 'dark'),
-    vadEnabled: store.get('vadEnabled', true)
+    vadEnabled: store.get('vadEnabled', true),
+    denoisePreset: denoise.getPresetId(store.get('denoisePreset')),
+    uploadFormat: store.get('uploadFormat', apiClient.DEFAULT_UPLOAD_FORMAT), // 'flac' | 'opus' | 'wav'
+    channelMode: store.get('channelMode', 'off'),           // 'off' | 'two-devices' | 'stereo'
+    channelMicrophone: store.get('channelMicrophone') || '', // FFmpeg device: doctor mic / stereo interface
+    roomMicrophone: store.get('roomMicrophone') || '',       // FFmpeg device: room mic
+    doctorChannel: store.get('doctorChannel', 'left'),      // Stereo interface: 'left' | 'right'
+    watchFolderPath: store.get('watchFolderPath', ''),
+    askContextOnRecord: store.get('askContextOnRecord', false),
+    contextInFilename: store.get('contextInFilename', true),
+    localApiEnabled: localApi.getConfig().enabled,
+    localApiPort: localApi.getConfig().port,
+    networkEnvironment: network.getConfig().environment,
+    proxyEnabled: network.getConfig().proxy.enabled,
+    proxyUrl: network.getConfig().proxy.url,
+    proxyUsername: network.getConfig().proxy.username,
+    proxyHasPassword: network.getConfig().proxy.hasPassword,
+    proxyNoProxy: network.getConfig().proxy.noProxy
   };
 });
 
 ipcMain.handle('save-settings', async (event, settings) => {
-  console.log('save-settings called with:', JSON.stringify(settings, null, 2));
+  console.log('save-settings called with:', JSON.stringify({
+    ...settings,
+    proxyPassword: settings.proxyPassword ? '***' : settings.proxyPassword
+  }, null, 2));
 
   // Save microphone (browser device ID for WebRTC)
   if (settings.microphoneId !== undefined) {
@@ -3013,7 +4463,7 @@ ipcMain.handle('save-settings', async (event, settings) => {
 
   // Save documentation mode
   if (settings.docMode !== undefined) {
-    store.set('docMode', settings.docMode);
+    store.set('docMode', docModes.getMode(settings.docMode).id);
   }
 
   // Save theme
@@ -3027,6 +4477,82 @@ ipcMain.handle('save-settings', async (event, settings) => {
     console.log('Saved vadEnabled:', settings.vadEnabled);
   }
 
+  // Save denoise preset
+  if (settings.denoisePreset !== undefined) {
+    store.set('denoisePreset', denoise.getPresetId(settings.denoisePreset));
+  }
+
+  // Upload format (proxy must accept it, otherwise WAV - see apiClient.uploadAudio)
+  if (settings.uploadFormat !== undefined) {
+    store.set('uploadFormat', ['flac', 'opus', 'wav'].includes(settings.uploadFormat) ? settings.uploadFormat : apiClient.DEFAULT_UPLOAD_FORMAT);
+  }
+
+  // Two-channel recording (FFmpeg device names, see get-audio-devices)
+  if (settings.channelMode !== undefined) {
+    store.set('channelMode', ['two-devices', 'stereo'].includes(settings.channelMode) ? settings.channelMode : 'off');
+  }
+  if (settings.channelMicrophone !== undefined) {
+    store.set('channelMicrophone', settings.channelMicrophone);
+  }
+  if (settings.roomMicrophone !== undefined) {
+    store.set('roomMicrophone', settings.roomMicrophone);
+  }
+  if (settings.doctorChannel !== undefined) {
+    store.set('doctorChannel', settings.doctorChannel === 'right' ? 'right' : 'left');
+  }
+
+  // Watched folder ('' = off) - only files added from now on are processed
+  if (settings.watchFolderPath !== undefined && settings.watchFolderPath !== store.get('watchFolderPath', '')) {
+    const watchFolderPath = settings.watchFolderPath;
+    if (watchFolderPath) {
+      const transcriptPath = store.get('transcriptPath') || path.join(app.getPath('documents'), 'DentDoc', 'Transkripte');
+      if (path.resolve(watchFolderPath) === path.resolve(transcriptPath)) {
+        throw new Error('Der überwachte Ordner darf nicht der Transkript-Ordner sein.');
+      }
+      const skipped = folderWatch.skipExistingFiles(watchFolderPath);
+      console.log(`[FolderWatch] ${skipped} vorhandene Datei(en) werden übersprungen`);
+    }
+    store.set('watchFolderPath', watchFolderPath);
+    startFolderWatch();
+    notifyWatchFolderChanged();
+  }
+
+  // Patient/session context
+  if (settings.askContextOnRecord !== undefined) {
+    store.set('askContextOnRecord', settings.askContextOnRecord);
+  }
+  if (settings.contextInFilename !== undefined) {
+    store.set('contextInFilename', settings.contextInFilename);
+  }
+
+  // Local control API - restart only if something changed
+  if (settings.localApiEnabled !== undefined || settings.localApiPort !== undefined) {
+    const before = localApi.getConfig();
+    localApi.setConfig({ enabled: settings.localApiEnabled, port: settings.localApiPort });
+    const after = localApi.getConfig();
+    if (before.enabled !== after.enabled || before.port !== after.port) {
+      await startLocalApi();
+    }
+  }
+
+  // Environment and proxy - password '' keeps the stored one
+  if (settings.networkEnvironment !== undefined || settings.proxyEnabled !== undefined) {
+    const before = JSON.stringify(network.getConfig());
+    const { environmentChanged } = network.setConfig({
+      environment: settings.networkEnvironment,
+      proxy: settings.proxyEnabled === undefined ? undefined : {
+        enabled: settings.proxyEnabled,
+        url: settings.proxyUrl,
+        username: settings.proxyUsername,
+        password: settings.proxyPassword,
+        noProxy: settings.proxyNoProxy
+      }
+    });
+    if (environmentChanged || settings.proxyPassword || JSON.stringify(network.getConfig()) !== before) {
+      await onNetworkSettingsChanged(environmentChanged);
+    }
+  }
+
   // Save microphone source (desktop/iphone)
   if (settings.microphoneSource !== undefined) {
     store.set('microphoneSource', settings.microphoneSource);
@@ -3041,6 +4567,22 @@ ipcMain.handle('save-settings', async (event, settings) => {
     }
   }
 
+  // Register pause shortcut ('' = disabled)
+  if (settings.pauseShortcut !== undefined && settings.pauseShortcut !== store.get('pauseShortcut', '')) {
+    const success = registerPauseShortcut(settings.pauseShortcut);
+    if (!success) {
+      throw new Error('Pause-Taste konnte nicht registriert werden. Sie muss sich von der Aufnahme- und der Kontext-Taste unterscheiden.');
+    }
+  }
+
+  // Register context form shortcut ('' = disabled)
+  if (settings.contextShortcut !== undefined && settings.contextShortcut !== store.get('contextShortcut', '')) {
+    const success = registerContextShortcut(settings.contextShortcut);
+    if (!success) {
+      throw new Error('Kontext-Taste konnte nicht registriert werden. Sie muss sich von der Aufnahme- und der Pause-Taste unterscheiden.');
+    }
+  }
+
   return { success: true, message: 'Einstellungen gespeichert' };
 });
 
@@ -3086,7 +4628,7 @@ ipcMain.handle('iphone-pair-start', async () => {
     }
   } catch (error) {
     console.error('[iPhone] Pairing start error:', error);
-    return { success: false, error: error.message };
+    return apiErrorResult(error, { success: false });
   }
 });
 
@@ -3118,7 +4660,7 @@ ipcMain.handle('iphone-pair-status', async (event, pairingId) => {
     return status;
   } catch (error) {
     console.error('[iPhone] Status check error:', error);
-    return { paired: false, error: error.message };
+    return apiErrorResult(error, { paired: false });
   }
 });
 
@@ -3158,7 +4700,7 @@ ipcMain.handle('iphone-get-status', async () => {
     return status;
   } catch (error) {
     console.error('[iPhone] Status check error:', error);
-    return { paired: false, error: error.message };
+    return apiErrorResult(error, { paired: false });
   }
 });
 
@@ -3204,7 +4746,7 @@ ipcMain.handle('iphone-test-connection', async () => {
   }
 
   // Use HTTP endpoint to check iPhone status (simpler than WebSocket)
-  const relayUrl = process.env.AUDIO_RELAY_URL || 'wss://dentdoc-desktop-production-a7a1.up.railway.app';
+  const relayUrl = network.getActiveEnvironment().relayUrl;
   // Convert wss:// to https:// for HTTP request
   const httpUrl = relayUrl.replace('wss://', 'https://').replace('ws://', 'http://');
   const statusUrl = `${httpUrl}/status/${iphoneDeviceId}`;
@@ -3214,24 +4756,26 @@ ipcMain.handle('iphone-test-connection', async () => {
   const startTime = Date.now();
 
   try {
-    const response = await fetch(statusUrl, {
-      method: 'GET',
+    // axios instead of fetch: uses the proxy/CA settings (Einstellungen → Netzwerk)
+    const axios = require('axios');
+    const response = await axios.get(statusUrl, {
       headers: {
         'Authorization': `Bearer ${token}`
       },
-      signal: AbortSignal.timeout(5000) // 5 second timeout
+      timeout: 5000, // 5 second timeout
+      validateStatus: () => true
     });
 
     const latency = Date.now() - startTime;
 
-    if (!response.ok) {
+    if (response.status < 200 || response.status >= 300) {
       if (response.status === 401) {
         return { connected: false, error: 'Authentifizierung fehlgeschlagen' };
       }
       return { connected: false, error: `Relay-Fehler: ${response.status}` };
     }
 
-    const data = await response.json();
+    const data = response.data;
     console.log('[iPhone] Status response:', data);
 
     if (data.iphoneConnected) {
@@ -3249,7 +4793,7 @@ ipcMain.handle('iphone-test-connection', async () => {
   } catch (err) {
     console.error('[iPhone] Status check error:', err.message);
 
-    if (err.name === 'TimeoutError' || err.name === 'AbortError') {
+    if (err.code === 'ECONNABORTED' || err.code === 'ETIMEDOUT') {
       return { connected: false, error: 'Relay antwortet nicht (Timeout)' };
     }
 
@@ -3338,7 +4882,7 @@ ipcMain.handle('iphone-audio-test', async (event) => {
   ]);
 
   // Connect to relay
-  const relayUrl = process.env.AUDIO_RELAY_URL || 'wss://dentdoc-desktop-production-a7a1.up.railway.app';
+  const relayUrl = network.getActiveEnvironment().relayUrl;
   let testWs = null;
   let peakLevel = 0;
   let totalSamples = 0;
@@ -3458,7 +5002,9 @@ ipcMain.handle('iphone-audio-test', async (event) => {
     }, 15000);
 
     try {
-      testWs = new WebSocket(`${relayUrl}/stream?device=${iphoneDeviceId}&role=desktop&token=${token}`);
+      testWs = new WebSocket(`${relayUrl}/stream?device=${iphoneDeviceId}&role=desktop&token=${token}`, {
+        agent: network.getAgent(relayUrl)
+      });
 
       testWs.on('open', () => {
         console.log('[iPhone Test] Connected to relay');
@@ -3628,7 +5174,7 @@ ipcMain.handle('api-get-praxis-einstellungen', async (event, token) => {
     return result;
   } catch (error) {
     console.error('[Praxis-Einstellungen] GET error:', error.message);
-    return { error: error.message };
+    return apiErrorResult(error);
   }
 });
 
@@ -3637,7 +5183,7 @@ ipcMain.handle('api-add-textbaustein', async (event, token, key, text) => {
     const result = await apiClient.addTextbaustein(token, key, text);
     return result;
   } catch (error) {
-    return { error: error.message };
+    return apiErrorResult(error);
   }
 });
 
@@ -3646,7 +5192,7 @@ ipcMain.handle('api-remove-textbaustein', async (event, token, key) => {
     const result = await apiClient.removeTextbaustein(token, key);
     return result;
   } catch (error) {
-    return { error: error.message };
+    return apiErrorResult(error);
   }
 });
 
@@ -3655,7 +5201,7 @@ ipcMain.handle('api-reset-praxis-einstellungen', async (event, token) => {
     const result = await apiClient.resetPraxisEinstellungen(token);
     return result;
   } catch (error) {
-    return { error: error.message };
+    return apiErrorResult(error);
   }
 });
 
@@ -3664,7 +5210,7 @@ ipcMain.handle('api-add-themen-anpassung', async (event, token, themenAnpassung)
     const result = await apiClient.addThemenAnpassung(token, themenAnpassung);
     return result;
   } catch (error) {
-    return { error: error.message };
+    return apiErrorResult(error);
   }
 });
 
@@ -3673,7 +5219,7 @@ ipcMain.handle('api-remove-themen-anpassung', async (event, token, thema) => {
     const result = await apiClient.removeThemenAnpassung(token, thema);
     return result;
   } catch (error) {
-    return { error: error.message };
+    return apiErrorResult(error);
   }
 });
 
@@ -3683,7 +5229,7 @@ ipcMain.handle('api-update-praxis-einstellungen', async (event, token, updates)
     const result = await apiClient.updatePraxisEinstellungen(token, updates);
     return result;
   } catch (error) {
-    return { error: error.message };
+    return apiErrorResult(error);
   }
 });
 
@@ -4767,6 +6313,16 @@ const { autoUpdater } = require('electron-updater');
 // Allow update checks in dev mode
 autoUpdater.forceDevUpdateConfig = true;
 
+// Corporate proxy with login (Einstellungen → Netzwerk)
+autoUpdater.on('login', (authInfo, callback) => {
+  const credentials = authInfo.isProxy ? network.getProxyCredentials() : null;
+  if (credentials) {
+    callback(credentials.username, credentials.password);
+  } else {
+    callback();
+  }
+});
+
 autoUpdater.on('update-available', (info) => {
   console.log('Update available:', info.version);
 
@@ -4848,6 +6404,11 @@ ipcMain.handle('get-app-version', () => {
 });
 
 app.whenReady().then(() => {
+  // Plain credentials of older versions are encrypted now (safeStorage needs the ready event)
+  secureStore.migrate(settingsStore);
+  network.migrateSecrets();
+  localApi.migrateSecrets();
+
   createTray();
 
   // Initialize VAD Controller
@@ -4873,6 +6434,36 @@ app.whenReady().then(() => {
   const savedShortcut = store.get('shortcut') || 'F9';
   registerShortcut(savedShortcut);
 
+  // Background processing: recordings are processed while the next one is recorded
+  workerPool.configure({
+    concurrency: store.get('maxParallelJobs', workerPool.DEFAULT_CONCURRENCY),
+    onChange: onWorkerPoolChange
+  });
+
+  // Start retry scheduler for failed recordings
+  startRetryQueue();
+
+  // Environment, proxy and CA certificates for Electron's own requests (updater)
+  setupNetwork();
+
+  // API/upload proxy reachability - uploads wait while offline
+  startConnectivityMonitor();
+
+  // Watch folder for audio files (dictaphone exports, PVS)
+  startFolderWatch();
+
+  // Local control API (opt-in)
+  startLocalApi().catch(err => {
+    console.error('[LocalAPI]', err.message);
+    showNotification('Lokale Schnittstelle', err.message);
+  });
+
+  // Context passed when the app was started by an external trigger
+  const startupContextArg = getContextArgument(process.argv);
+  if (startupContextArg) {
+    setRecordingContext(recordingContext.parse(startupContextArg));
+  }
+
   // Check for updates (only in production)
   if (!app.isPackaged) {
     console.log('Development mode - skipping auto-update check');
@@ -4897,78 +6488,95 @@ app.whenReady().then(() => {
   if (!token) {
     createLoginWindow();
   } else {
-    // Validate token and start heartbeat
-    apiClient.heartbeat(token, store).then(isValid => {
-      if (isValid) {
-        // Token valid, start heartbeat and get user data
-        startHeartbeat();
-        return apiClient.getUser(token);
-      } else {
-        // Session expired
-        throw new Error('Session expired');
-      }
-    }).then(user => {
-      store.set('user', user);
-      updateTrayMenu();
-
-      // Create dashboard window hidden at startup (for F9 audio monitoring)
-      // The renderer needs to be running to handle getUserMedia for real audio levels
-      if (!dashboardWindow || dashboardWindow.isDestroyed()) {
-        createDashboardWindow();
-        // Don't show it - user opens it via tray menu
-      }
+    // Validate token, then get user data
+    // Only an expired session logs out - without connection the app starts
+    // with the cached user (recordings are processed locally and wait for the upload)
+    apiClient.heartbeat(token, store)
+      .then(() => apiClient.getUser(token))
+      .then(user => {
+        store.set('user', user);
+        startLoggedInSession(user, { notify: true });
+      }, error => {
+        const code = errors.getErrorCode(error);
+        if (code === errors.CODES.SESSION_EXPIRED) {
+          stopHeartbeat();
+          clearCredentials();
+          createLoginWindow();
+          return;
+        }
 
-      // Check trial/subscription status on app start and show notification if needed
-      const isTrialUser = user?.planTier === 'free_trial';
-      const hasActiveSubscription = user?.subscriptionStatus === 'active';
-      const isCanceled = user?.subscriptionStatus === 'canceled';
-      const minutesRemaining = user?.minutesRemaining || 0;
-
-      // Distinguish between true trial users and ex-subscribers
-      const wasSubscriber = isCanceled || (isTrialUser && user?.stripeCustomerId);
-      const trialExpired = isTrialUser && !wasSubscriber && minutesRemaining <= 0 && !hasActiveSubscription;
-
-      if (wasSubscriber && !hasActiveSubscription) {
-        // Ex-subscriber - show "no active subscription" notification
-        setTimeout(() => {
-          showCustomNotification(
-            'Kein aktives Abo',
-            'Ihr Abonnement ist nicht mehr aktiv. Klicken Sie hier um es zu reaktivieren.',
-            'error',
-            () => openWebDashboard('/subscription')
-          );
-        }, 2000);
-      } else if (trialExpired) {
-        // True trial expired - show notification after a short delay
-        setTimeout(() => {
-          showCustomNotification(
-            'Testphase beendet',
-            'Ihre kostenlosen Testminuten sind aufgebraucht. Klicken Sie hier für ein Abo.',
-            'error',
-            () => openWebDashboard('/subscription')
-          );
-        }, 2000);
-      } else if (isTrialUser && !wasSubscriber && minutesRemaining > 0 && minutesRemaining <= 10) {
-        // Trial running low
-        setTimeout(() => {
-          showCustomNotification(
-            'Testphase endet bald',
-            `Nur noch ${minutesRemaining} Minuten übrig. Jetzt Abo kaufen!`,
-            'warning',
-            () => openWebDashboard('/subscription')
-          );
-        }, 2000);
-      }
-    }).catch(() => {
-      // Token invalid or session expired, show login
-      stopHeartbeat();
-      store.delete('authToken');
-      store.delete('user');
-      createLoginWindow();
-    });
+        console.log(`[App] Start ohne Serververbindung (${code}) - gespeicherte Benutzerdaten werden verwendet`);
+        debugLog(`Startup without server (${code}): ${error.message}`);
+        startLoggedInSession(store.get('user') || null, { notify: false });
+        if (errors.isNetworkCode(code)) {
+          // Connectivity monitor shows the offline state and starts waiting uploads when back online
+          connectivity.checkNow().then(() => notifyConnectivityChanged());
+        }
+      });
   }
 });
 
+/**
+ * Start heartbeat, tray and hidden dashboard for a logged-in user (app start)
+ * @param {Object|null} user - Current user, or the cached one when offline
+ * @param {Object} options - { notify: show trial/subscription notifications (needs fresh user data) }
+ */
+function startLoggedInSession(user, options = {}) {
+  startHeartbeat();
+  updateTrayMenu();
+
+  // Create dashboard window hidden at startup (for F9 audio monitoring)
+  // The renderer needs to be running to handle getUserMedia for real audio levels
+  if (!dashboardWindow || dashboardWindow.isDestroyed()) {
+    createDashboardWindow();
+    // Don't show it - user opens it via tray menu
+  }
+
+  if (!options.notify || !user) return;
+
+  // Check trial/subscription status on app start and show notification if needed
+  const isTrialUser = user?.planTier === 'free_trial';
+  const hasActiveSubscription = user?.subscriptionStatus === 'active';
+  const isCanceled = user?.subscriptionStatus === 'canceled';
+  const minutesRemaining = user?.minutesRemaining || 0;
+
+  // Distinguish between true trial users and ex-subscribers
+  const wasSubscriber = isCanceled || (isTrialUser && user?.stripeCustomerId);
+  const trialExpired = isTrialUser && !wasSubscriber && minutesRemaining <= 0 && !hasActiveSubscription;
+
+  if (wasSubscriber && !hasActiveSubscription) {
+    // Ex-subscriber - show "no active subscription" notification
+    setTimeout(() => {
+      showCustomNotification(
+        'Kein aktives Abo',
+        'Ihr Abonnement ist nicht mehr aktiv. Klicken Sie hier um es zu reaktivieren.',
+        'error',
+        () => openWebDashboard('/subscription')
+      );
+    }, 2000);
+  } else if (trialExpired) {
+    // True trial expired - show notification after a short delay
+    setTimeout(() => {
+      showCustomNotification(
+        'Testphase beendet',
+        'Ihre kostenlosen Testminuten sind aufgebraucht. Klicken Sie hier für ein Abo.',
+        'error',
+        () => openWebDashboard('/subscription')
+      );
+    }, 2000);
+  } else if (isTrialUser && !wasSubscriber && minutesRemaining > 0 && minutesRemaining <= 10) {
+    // Trial running low
+    setTimeout(() => {
+      showCustomNotification(
+        'Testphase endet bald',
+        `Nur noch ${minutesRemaining} Minuten übrig. Jetzt Abo kaufen!`,
+        'warning',
+        () => openWebDashboard('/subscription')
+      );
+    }, 2000);
+  }
+}
+
 app.on('window-all-closed', (e) => {
   // Don't quit the app when all windows are closed (stay in tray)
   e.preventDefault();
@@ -4979,9 +6587,20 @@ app.on('will-quit', () => {
   globalShortcut.unregisterAll();
   // Clean up mic test file
   cleanupMicTestFile();
+  // Stop watching the audio folder
+  folderWatch.stop();
+  // Close the local control API
+  localApi.stop();
 });
 
 // Handle second instance
-app.on('second-instance', () => {
+// External trigger: `DentDoc.exe --context "patient=123;room=2;treatment=Füllung"`
+app.on('second-instance', (event, argv) => {
+  const contextArg = getContextArgument(argv);
+  if (contextArg !== null) {
+    const context = setRecordingContext(recordingContext.parse(contextArg));
+    showNotification('Kontext übernommen', recordingContext.formatLabel(context) || 'Kontext gelöscht');
+    return;
+  }
   showNotification('DentDoc läuft bereits', 'Die App ist bereits im System Tray aktiv');
 });
@@ -0,0 +1,59 @@
+/**
+ * Feste Testdaten für das Mock-Backend
+ *
+ * Ein kurzes Gespräch (Füllungstherapie 36) mit zwei Sprechern im
+ * AssemblyAI-Format (Zeiten in ms) plus passende Dokumentation und Kürzungen.
+ */
+
+const UTTERANCES = [
+  { speaker: 'A', start: 400, end: 4200, confidence: 0.94, text: 'Guten Morgen, was führt Sie heute zu uns?' },
+  { speaker: 'B', start: 4800, end: 10100, confidence: 0.91, text: 'Ich habe seit ein paar Tagen Schmerzen unten links, vor allem bei Kaltem.' },
+  { speaker: 'A', start: 10600, end: 16900, confidence: 0.93, text: 'Dann schauen wir uns das an. Am Sechsunddreißiger sehe ich eine Karies distal, der Kältetest ist positiv.' },
+  { speaker: 'A', start: 17300, end: 24800, confidence: 0.92, text: 'Ich würde eine Kunststofffüllung machen. Es gibt auch die Möglichkeit einer Amalgamalternative als Kassenleistung, die Mehrkosten für Komposit besprechen wir.' },
+  { speaker: 'B', start: 25300, end: 28100, confidence: 0.95, text: 'Okay, dann machen wir die Kunststofffüllung.' },
+  { speaker: 'A', start: 28700, end: 35400, confidence: 0.9, text: 'Gut. Wir machen eine Leitungsanästhesie, danach kann die Lippe zwei bis drei Stunden taub sein, bitte bis dahin nichts essen.' }
+];
+
+const TRANSCRIPT_TEXT = UTTERANCES.map(u => u.text).join(' ');
+
+const DOCUMENTATION = `Anamnese:
+Patient berichtet über Kälteempfindlichkeit regio 36 seit einigen Tagen.
+
+Befund:
+36 Karies distal, Sensibilität (Kältetest) positiv.
+
+Aufklärung:
+Therapiealternativen besprochen (Komposit vs. zuzahlungsfreie Versorgung), Mehrkosten für Komposit erläutert. Hinweis auf Taubheitsgefühl nach Anästhesie, 2-3 Std. keine Nahrungsaufnahme.
+
+Therapie:
+36 Leitungsanästhesie, Kompositfüllung distal.
+
+Patient ist mit der Behandlung einverstanden.`;
+
+const SHORTENINGS = {
+  keywords90: '36 Karies distal, Kälte+, LA, Komposit d, MK aufgeklärt',
+  chef70: '36: Karies d, Kältetest +. LA, Kompositfüllung d. Alternativen + Mehrkosten aufgeklärt.',
+  chef50: '36 Karies distal, Kältetest positiv. Alternativen und Mehrkosten besprochen. Leitungsanästhesie, Kompositfüllung distal. Hinweis Taubheit.',
+  pvs40: 'Befund: 36 Karies d, Sens. +. Aufklärung: Alternativen, Mehrkosten Komposit, Verhalten nach Anästhesie. Therapie: 36 LA, Komposit d.',
+  zfa30: 'Patient hat Kälteschmerz an 36. Befund: Karies distal, Kältetest positiv. Aufklärung zu Alternativen und Mehrkosten, Hinweis auf Taubheit nach Anästhesie. Behandlung: Leitungsanästhesie, Kompositfüllung distal.',
+  normalized: 'Der Patient berichtet über Kälteempfindlichkeit im Bereich 36. Befund: Karies distal an 36, Kältetest positiv. Der Patient wurde über Therapiealternativen und Mehrkosten aufgeklärt sowie auf das Taubheitsgefühl nach der Anästhesie hingewiesen. Therapie: Leitungsanästhesie, Kompositfüllung distal an 36.'
+};
+
+const AVAILABLE_THEMEN = [
+  'Füllung',
+  'Extraktion',
+  'Endodontie',
+  'PZR',
+  'Prothetik',
+  'Implantologie',
+  'Parodontologie',
+  'Kontrolle'
+];
+
+module.exports = {
+  UTTERANCES,
+  TRANSCRIPT_TEXT,
+  DOCUMENTATION,
+  SHORTENINGS,
+  AVAILABLE_THEMEN
+};
@@ -0,0 +1,643 @@
+/**
+ * DentDoc Mock-Backend (nur für Entwicklung/Tests)
+ *
+ * Ersetzt lokal alles, was apiClient.js anspricht - Vercel-API und
+ * Upload-Proxy - damit Aufnahme, Sprecherzuordnung, Speichern und
+ * Fehlerfälle ohne Produktion durchgespielt werden können:
+ * - Login/Logout, Heartbeat, Benutzer, Geräte-Sessions
+ * - Upload (/upload bzw. in Teilen über /upload/sessions) und Transkription (Status: queued -> processing -> completed)
+ * - Status-Ereignisse der Transkription per Server-Sent Events (/api/transcriptions/:id/events)
+ * - Alle generate-doc Varianten (V1.2 inkl. Kürzungen), update-speakers
+ * - Praxis-Einstellungen (Textbausteine, Themen), Feedback
+ * - iPhone-Pairing (wird nach ein paar Sekunden automatisch "gekoppelt")
+ *
+ * Keine Abhängigkeiten, alles im Speicher. Start: npm run mock-backend
+ * Szenario beim Start per MOCK_SCENARIO oder zur Laufzeit:
+ *   curl -X POST http://127.0.0.1:4010/mock/scenario -d '{"scenario":"trial_expired"}'
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const fixtures = require('./fixtures');
+
+const PORT = parseInt(process.env.MOCK_PORT || '4010', 10);
+const HOST = '127.0.0.1';
+// Must match UPLOAD_PROXY_TOKEN in the app's .env.local
+const UPLOAD_TOKEN = process.env.MOCK_UPLOAD_TOKEN || 'mock-upload-token';
+// Transcription runs this long after /start (queued for the first third)
+const TRANSCRIBE_MS = parseInt(process.env.MOCK_TRANSCRIBE_MS || '6000', 10);
+// Longer than the 3 minute client timeout of the V1.2/megaprompt/agent modes
+const DOC_TIMEOUT_MS = parseInt(process.env.MOCK_DOC_TIMEOUT_MS || '200000', 10);
+const PAIRING_MS = 5000;
+
+const SCENARIOS = {
+  ok: 'Alles funktioniert',
+  trial_expired: 'Testminuten aufgebraucht (Upload wird abgelehnt)',
+  subscription_inactive: 'Abo nicht aktiv (Upload wird abgelehnt)',
+  max_devices: 'Login: maximale Anzahl Geräte erreicht',
+  session_expired: 'Heartbeat: Sitzung abgelaufen (App meldet sich ab)',
+  transcription_error: 'Transkription schlägt fehl',
+  transcription_timeout: 'Transkription bleibt in "processing" hängen',
+  no_speech: 'Transkription ohne Sprache (keine Utterances)',
+  doc_timeout: 'Dokumentation antwortet erst nach MOCK_DOC_TIMEOUT_MS',
+  doc_error: 'Dokumentation liefert einen Serverfehler',
+  upload_flaky: 'Jeder zweite Teil-Upload bricht die Verbindung ab (Retry testen)',
+  no_push: 'Keine Status-Ereignisse (App fragt nur per Polling ab)',
+  wav_only: 'Upload-Proxy nennt keine Upload-Formate (App sendet WAV wie ältere Proxys)'
+};
+
+// Formats the upload proxy forwards (GET /health, see apiClient.getUploadFormats)
+const UPLOAD_FORMATS = ['wav', 'flac', 'opus'];
+
+let scenario = process.env.MOCK_SCENARIO || 'ok';
+if (!SCENARIOS[scenario]) {
+  console.error(`[MockBackend] Unbekanntes Szenario "${scenario}" - verfügbar: ${Object.keys(SCENARIOS).join(', ')}`);
+  process.exit(1);
+}
+
+// In-memory state (reset on restart)
+const sessions = new Map(); // token -> { email, deviceId, deviceName, lastHeartbeatAt }
+const transcriptions = new Map(); // id -> { id, fileName, uploadUrl, createdAt, speakerMapping }
+const pairings = new Map(); // pairingId -> { createdAt }
+const uploadSessions = new Map(); // uploadId -> { size, chunkSize, chunkCount, received: Set }
+let chunkRequests = 0;
+let nextTranscriptionId = 1000;
+let pairedIphone = null;
+let praxisEinstellungen = defaultEinstellungen();
+
+function defaultEinstellungen() {
+  return { textbausteine: {}, themenAnpassungen: [] };
+}
+
+function buildUser(session) {
+  const user = {
+    id: 1,
+    email: session.email,
+    name: 'Dr. Mock',
+    planTier: 'pro',
+    planName: 'DentDoc Pro',
+    subscriptionStatus: 'active',
+    minutesRemaining: 500,
+    maxDevices: 2,
+    stripeCustomerId: 'cus_mock',
+    currentPeriodEnd: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString()
+  };
+
+  if (scenario === 'trial_expired') {
+    return { ...user, planTier: 'free_trial', planName: null, subscriptionStatus: null, minutesRemaining: 0, stripeCustomerId: null, currentPeriodEnd: null };
+  }
+  if (scenario === 'subscription_inactive') {
+    return { ...user, subscriptionStatus: 'past_due' };
+  }
+  return user;
+}
+
+// ============================================================================
+// Route handlers: (req, ctx) => [status, body] | Promise<[status, body]>
+// ctx = { params, query, body, session }
+// ============================================================================
+
+function login(req, { body }) {
+  if (!body.email || !body.password) {
+    return [401, { error: 'E-Mail oder Passwort falsch' }];
+  }
+  if (scenario === 'max_devices') {
+    return [403, { error: 'max_devices_reached', message: 'Maximale Anzahl an Geräten erreicht (2). Bitte melden Sie ein anderes Gerät ab.' }];
+  }
+
+  const token = `mock_${crypto.randomBytes(16).toString('hex')}`;
+  const session = {
+    email: body.email,
+    deviceId: body.deviceId || crypto.randomUUID(),
+    deviceName: body.deviceName || 'Unbekannt',
+    lastHeartbeatAt: new Date().toISOString()
+  };
+  sessions.set(token, session);
+  return [200, { token, user: buildUser(session) }];
+}
+
+function logout(req, { token }) {
+  sessions.delete(token);
+  return [200, { success: true }];
+}
+
+function heartbeat(req, { session }) {
+  if (scenario === 'session_expired') {
+    return [401, { error: 'session_expired' }];
+  }
+  session.lastHeartbeatAt = new Date().toISOString();
+  return [200, { success: true }];
+}
+
+function getUser(req, { session }) {
+  return [200, buildUser(session)];
+}
+
+function getDeviceSessions(req, { session }) {
+  const list = [...sessions.values()].filter(s => s.email === session.email);
+  return [200, {
+    activeCount: list.length,
+    maxDevices: buildUser(session).maxDevices,
+    sessions: list.map(s => ({ deviceId: s.deviceId, deviceName: s.deviceName, lastHeartbeatAt: s.lastHeartbeatAt }))
+  }];
+}
+
+// Upload-Proxy replacement: consumes the audio, returns a fake AssemblyAI URL
+async function upload(req) {
+  if (!checkUploadToken(req)) return [401, { error: 'Unauthorized' }];
+  const size = await drainBody(req);
+  console.log(`[MockBackend] Upload erhalten (${(size / 1024).toFixed(0)} KB)`);
+  return [200, { upload_url: `http://${HOST}:${PORT}/mock-audio/${crypto.randomUUID()}` }];
+}
+
+function checkUploadToken(req) {
+  return req.headers.authorization === `Bearer ${UPLOAD_TOKEN}`;
+}
+
+function uploadSessionInfo(uploadId, session) {
+  return {
+    uploadId,
+    size: session.size,
+    chunkSize: session.chunkSize,
+    chunkCount: session.chunkCount,
+    received: [...session.received].sort((a, b) => a - b)
+  };
+}
+
+// Chunked upload (same API as railway-upload-proxy), chunks are only counted
+function createUploadSession(req, { body }) {
+  if (!checkUploadToken(req)) return [401, { error: 'Unauthorized' }];
+  const size = Number(body.size);
+  const chunkSize = Number(body.chunkSize) || 5 * 1024 * 1024;
+  if (!Number.isInteger(size) || size <= 0) {
+    return [400, { error: 'size fehlt oder ist ungültig' }];
+  }
+  const uploadId = crypto.randomUUID();
+  const session = { size, chunkSize, chunkCount: Math.ceil(size / chunkSize), received: new Set() };
+  uploadSessions.set(uploadId, session);
+  return [200, uploadSessionInfo(uploadId, session)];
+}
+
+function getUploadSession(req, { params }) {
+  if (!checkUploadToken(req)) return [401, { error: 'Unauthorized' }];
+  const session = uploadSessions.get(params.id);
+  if (!session) return [404, { error: 'Upload-Session nicht gefunden' }];
+  return [200, uploadSessionInfo(params.id, session)];
+}
+
+async function uploadChunk(req, { params }) {
+  if (!checkUploadToken(req)) return [401, { error: 'Unauthorized' }];
+  const session = uploadSessions.get(params.id);
+  if (!session) return [404, { error: 'Upload-Session nicht gefunden' }];
+
+  const index = parseInt(params.index, 10);
+  if (!Number.isInteger(index) || index < 0 || index >= session.chunkCount) {
+    return [400, { error: 'Ungültiger Teil-Index' }];
+  }
+
+  if (scenario === 'upload_flaky' && ++chunkRequests % 2 === 0) {
+    console.log(`[MockBackend] upload_flaky: Verbindung bei Teil ${index} getrennt`);
+    req.socket.destroy();
+    return [500, { error: 'Verbindung getrennt' }];
+  }
+
+  const size = await drainBody(req);
+  const expected = Math.min(session.chunkSize, session.size - index * session.chunkSize);
+  if (size !== expected) {
+    return [400, { error: `Teil ${index}: ${size} Bytes erhalten, ${expected} erwartet` }];
+  }
+  session.received.add(index);
+  return [200, { index, received: session.received.size, chunkCount: session.chunkCount }];
+}
+
+function completeUploadSession(req, { params }) {
+  if (!checkUploadToken(req)) return [401, { error: 'Unauthorized' }];
+  const session = uploadSessions.get(params.id);
+  if (!session) return [404, { error: 'Upload-Session nicht gefunden' }];
+
+  const missing = [];
+  for (let i = 0; i < session.chunkCount; i++) {
+    if (!session.received.has(i)) missing.push(i);
+  }
+  if (missing.length > 0) {
+    return [409, { error: 'Es fehlen noch Teile', missing }];
+  }
+  uploadSessions.delete(params.id);
+  console.log(`[MockBackend] Upload in ${session.chunkCount} Teilen erhalten (${(session.size / 1024).toFixed(0)} KB)`);
+  return [200, { upload_url: `http://${HOST}:${PORT}/mock-audio/${crypto.randomUUID()}` }];
+}
+
+function startTranscription(req, { body }) {
+  if (scenario === 'trial_expired') {
+    return [403, { error: 'trial_expired' }];
+  }
+  if (scenario === 'subscription_inactive') {
+    return [403, { error: 'subscription_inactive' }];
+  }
+  if (!body.upload_url) {
+    return [400, { error: 'upload_url fehlt' }];
+  }
+
+  const id = nextTranscriptionId++;
+  transcriptions.set(id, {
+    id,
+    fileName: body.fileName || null,
+    uploadUrl: body.upload_url,
+    createdAt: Date.now(),
+    speakerMapping: null
+  });
+  return [200, { id, status: 'queued' }];
+}
+
+function getTranscriptionStatus(req, { params }) {
+  const transcription = findTranscription(params.id);
+  if (!transcription) {
+    return [404, { error: 'Transkription nicht gefunden' }];
+  }
+
+  const elapsed = Date.now() - transcription.createdAt;
+  let status = 'completed';
+  if (elapsed < TRANSCRIBE_MS / 3) {
+    status = 'queued';
+  } else if (elapsed < TRANSCRIBE_MS || scenario === 'transcription_timeout') {
+    status = 'processing';
+  }
+
+  if (status !== 'completed') {
+    return [200, { id: transcription.id, status }];
+  }
+  if (scenario === 'transcription_error') {
+    return [200, { id: transcription.id, status: 'error', error: 'Audio konnte nicht transkribiert werden (Mock)' }];
+  }
+
+  const utterances = scenario === 'no_speech' ? [] : fixtures.UTTERANCES;
+  return [200, {
+    id: transcription.id,
+    status,
+    transcriptText: scenario === 'no_speech' ? '' : fixtures.TRANSCRIPT_TEXT,
+    // The real backend stores utterances as a JSON string
+    utterances: JSON.stringify(utterances)
+  }];
+}
+
+// Interval in which the event stream checks the status
+const EVENTS_CHECK_MS = 500;
+
+/**
+ * Server-Sent Events: one event per status change, ends after completed/error.
+ * Writes the response itself (returns null).
+ */
+function transcriptionEvents(req, ctx) {
+  if (scenario === 'no_push') {
+    return [404, { error: 'Keine Status-Ereignisse (Szenario no_push)' }];
+  }
+  if (!findTranscription(ctx.params.id)) {
+    return [404, { error: 'Transkription nicht gefunden' }];
+  }
+
+  const { res } = ctx;
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+
+  let lastStatus = null;
+  const send = () => {
+    const [, body] = getTranscriptionStatus(req, ctx);
+    if (body.status === lastStatus) return;
+    lastStatus = body.status;
+    res.write(`event: status\ndata: ${JSON.stringify({ id: body.id, status: body.status })}\n\n`);
+    if (body.status === 'completed' || body.status === 'error') {
+      clearInterval(interval);
+      res.end();
+    }
+  };
+  const interval = setInterval(send, EVENTS_CHECK_MS);
+  req.socket.once('close', () => clearInterval(interval));
+  send();
+  return null;
+}
+
+function getTranscription(req, { params }) {
+  const transcription = findTranscription(params.id);
+  if (!transcription) {
+    return [404, { error: 'Transkription nicht gefunden' }];
+  }
+  return [200, {
+    id: transcription.id,
+    fileName: transcription.fileName,
+    status: 'completed',
+    transcriptText: fixtures.TRANSCRIPT_TEXT,
+    speakerMapping: transcription.speakerMapping,
+    createdAt: new Date(transcription.createdAt).toISOString()
+  }];
+}
+
+function updateSpeakers(req, { params, body }) {
+  const transcription = findTranscription(params.id);
+  if (!transcription) {
+    return [404, { error: 'Transkription nicht gefunden' }];
+  }
+  transcription.speakerMapping = body.speakerMapping || null;
+  console.log('[MockBackend] Sprecher-Zuordnung:', JSON.stringify(transcription.speakerMapping));
+  return [200, { success: true }];
+}
+
+function generateDoc(endpoint) {
+  return async (req, { params, body }) => {
+    const transcription = findTranscription(params.id);
+    if (!transcription) {
+      return [404, { error: 'Transkription nicht gefunden' }];
+    }
+    console.log(`[MockBackend] ${endpoint} für #${transcription.id}${body.context ? ` (Kontext: ${JSON.stringify(body.context)})` : ''}`);
+
+    if (scenario === 'doc_timeout') {
+      await wait(DOC_TIMEOUT_MS, req);
+    } else if (scenario === 'doc_error') {
+      return [500, { error: 'Interner Fehler bei der Dokumentation (Mock)' }];
+    } else if (scenario === 'no_speech') {
+      return [400, { error: 'No transcript text available' }];
+    }
+
+    // Formatted transcript with the speaker names from update-speakers
+    const mapping = transcription.speakerMapping || {};
+    const transcript = fixtures.UTTERANCES
+      .map(u => `${mapping[u.speaker] || `Sprecher ${u.speaker}`}: ${u.text}`)
+      .join('\n\n');
+
+    const result = {
+      documentation: fixtures.DOCUMENTATION,
+      transcript,
+      meta: { mock: true, endpoint, bausteine: Object.keys(body.bausteine || {}).length }
+    };
+    if (endpoint === 'generate-doc-v1.2') {
+      result.shortenings = fixtures.SHORTENINGS;
+    }
+    return [200, result];
+  };
+}
+
+function submitFeedback(req, { body }) {
+  console.log(`[MockBackend] Feedback (${body.category}): ${body.message}`);
+  return [200, { success: true }];
+}
+
+function getEinstellungen() {
+  return [200, {
+    einstellungen: praxisEinstellungen,
+    isDefault: Object.keys(praxisEinstellungen.textbausteine).length === 0 && praxisEinstellungen.themenAnpassungen.length === 0,
+    availableThemen: fixtures.AVAILABLE_THEMEN
+  }];
+}
+
+function updateEinstellungen(req, { body }) {
+  const { addTextbaustein, removeTextbaustein, addThemenAnpassung, removeThema, ...rest } = body;
+
+  if (addTextbaustein) {
+    if (!addTextbaustein.key || !addTextbaustein.text) {
+      return [400, { error: 'Schlüssel und Text sind erforderlich' }];
+    }
+    praxisEinstellungen.textbausteine[addTextbaustein.key] = addTextbaustein.text;
+  }
+  if (removeTextbaustein) {
+    delete praxisEinstellungen.textbausteine[removeTextbaustein];
+  }
+  if (addThemenAnpassung) {
+    praxisEinstellungen.themenAnpassungen = praxisEinstellungen.themenAnpassungen
+      .filter(t => t.thema !== addThemenAnpassung.thema)
+      .concat(addThemenAnpassung);
+  }
+  if (removeThema) {
+    praxisEinstellungen.themenAnpassungen = praxisEinstellungen.themenAnpassungen.filter(t => t.thema !== removeThema);
+  }
+  praxisEinstellungen = { ...praxisEinstellungen, ...rest };
+
+  return [200, { einstellungen: praxisEinstellungen, updatedAt: new Date().toISOString() }];
+}
+
+function resetEinstellungen() {
+  praxisEinstellungen = defaultEinstellungen();
+  return [200, { einstellungen: praxisEinstellungen, isDefault: true }];
+}
+
+function iphonePairStart() {
+  const pairingId = crypto.randomUUID();
+  pairings.set(pairingId, { createdAt: Date.now() });
+  return [200, { pairingId, pairingUrl: `dentdoc://pair?pairingId=${pairingId}` }];
+}
+
+// Pairing "succeeds" after PAIRING_MS, as if the QR code had been scanned
+function iphonePairStatus(req, { query }) {
+  const pairing = pairings.get(query.get('pairingId'));
+  if (!pairing) {
+    return [200, { status: 'expired' }];
+  }
+  if (Date.now() - pairing.createdAt < PAIRING_MS) {
+    return [200, { status: 'pending', expiresAt: new Date(pairing.createdAt + 5 * 60 * 1000).toISOString() }];
+  }
+
+  pairedIphone = pairedIphone || {
+    iphoneDeviceId: `iphone_${crypto.randomBytes(6).toString('hex')}`,
+    deviceName: 'iPhone (Mock)',
+    lastSeen: new Date().toISOString()
+  };
+  return [200, { status: 'paired', device: { iphoneDeviceId: pairedIphone.iphoneDeviceId, deviceName: pairedIphone.deviceName } }];
+}
+
+function iphoneStatus() {
+  if (!pairedIphone) {
+    return [200, { paired: false }];
+  }
+  return [200, { paired: true, deviceName: pairedIphone.deviceName, lastSeen: pairedIphone.lastSeen }];
+}
+
+function iphoneUnpair() {
+  pairedIphone = null;
+  return [200, { success: true }];
+}
+
+function health() {
+  return [200, scenario === 'wav_only' ? { status: 'ok', scenario } : { status: 'ok', scenario, uploadFormats: UPLOAD_FORMATS }];
+}
+
+// Mock control (no auth)
+function getScenario() {
+  return [200, { scenario, available: SCENARIOS }];
+}
+
+function setScenario(req, { body }) {
+  if (!SCENARIOS[body.scenario]) {
+    return [400, { error: `Unbekanntes Szenario: ${body.scenario}`, available: SCENARIOS }];
+  }
+  scenario = body.scenario;
+  console.log(`[MockBackend] Szenario: ${scenario} (${SCENARIOS[scenario]})`);
+  return [200, { scenario }];
+}
+
+// "METHOD /path", handler, requires login token
+const ROUTES = [
+  ['GET', '/health', health, false],
+  ['GET', '/mock/scenario', getScenario, false],
+  ['POST', '/mock/scenario', setScenario, false],
+  ['POST', '/upload', upload, false],
+  ['POST', '/upload/sessions', createUploadSession, false],
+  ['GET', '/upload/sessions/:id', getUploadSession, false],
+  ['PUT', '/upload/sessions/:id/chunks/:index', uploadChunk, false],
+  ['POST', '/upload/sessions/:id/complete', completeUploadSession, false],
+  ['POST', '/api/auth/login', login, false],
+  ['POST', '/api/auth/logout', logout, true],
+  ['POST', '/api/device/heartbeat', heartbeat, true],
+  ['GET', '/api/device/sessions', getDeviceSessions, true],
+  ['GET', '/api/user', getUser, true],
+  ['POST', '/api/transcriptions/start', startTranscription, true],
+  ['GET', '/api/transcriptions/:id', getTranscription, true],
+  ['GET', '/api/transcriptions/:id/status', getTranscriptionStatus, true],
+  ['GET', '/api/transcriptions/:id/events', transcriptionEvents, true],
+  ['POST', '/api/transcriptions/:id/update-speakers', updateSpeakers, true],
+  ['POST', '/api/transcriptions/:id/generate-doc', generateDoc('generate-doc'), true],
+  ['POST', '/api/transcriptions/:id/generate-doc-v1.1', generateDoc('generate-doc-v1.1'), true],
+  ['POST', '/api/transcriptions/:id/generate-doc-v1.2', generateDoc('generate-doc-v1.2'), true],
+  ['POST', '/api/transcriptions/:id/generate-doc-megaprompt', generateDoc('generate-doc-megaprompt'), true],
+  ['POST', '/api/transcriptions/:id/generate-doc-v2', generateDoc('generate-doc-v2'), true],
+  ['POST', '/api/feedback', submitFeedback, true],
+  ['GET', '/api/praxis/einstellungen', getEinstellungen, true],
+  ['PATCH', '/api/praxis/einstellungen', updateEinstellungen, true],
+  ['DELETE', '/api/praxis/einstellungen', resetEinstellungen, true],
+  ['POST', '/api/iphone/pair/start', iphonePairStart, true],
+  ['GET', '/api/iphone/pair/status', iphonePairStatus, true],
+  ['GET', '/api/iphone/status', iphoneStatus, true],
+  ['DELETE', '/api/iphone/unpair', iphoneUnpair, true]
+];
+
+// ============================================================================
+// HTTP plumbing
+// ============================================================================
+
+function findTranscription(id) {
+  return transcriptions.get(parseInt(id, 10));
+}
+
+function matchRoute(method, pathname) {
+  const parts = pathname.replace(/\/+$/, '').split('/');
+  for (const [routeMethod, routePath, handler, requiresAuth] of ROUTES) {
+    if (routeMethod !== method) continue;
+    const routeParts = routePath.split('/');
+    if (routeParts.length !== parts.length) continue;
+
+    const params = {};
+    const matches = routeParts.every((part, i) => {
+      if (part.startsWith(':')) {
+        params[part.slice(1)] = parts[i];
+        return true;
+      }
+      return part === parts[i];
+    });
+    if (matches) return { handler, params, requiresAuth };
+  }
+  return null;
+}
+
+function drainBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    req.on('data', (chunk) => { size += chunk.length; });
+    req.on('end', () => resolve(size));
+    req.on('error', reject);
+  });
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8').trim();
+      try {
+        resolve(text ? JSON.parse(text) : {});
+      } catch (err) {
+        reject(err);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+// Resolves after ms, or never if the client gives up first (axios timeout/abort)
+function wait(ms, req) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(resolve, ms);
+    req.socket.once('close', () => clearTimeout(timer));
+  });
+}
+
+function sendJson(res, status, body) {
+  if (res.writableEnded || res.destroyed) return;
+  const payload = JSON.stringify(body);
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(payload)
+  });
+  res.end(payload);
+}
+
+async function handleRequest(req, res) {
+  // apiClient mixes "${API_URL}/api" and "${API_URL}api" - collapse "//"
+  const url = new URL(req.url.replace(/\/{2,}/g, '/'), `http://${HOST}`);
+  const route = matchRoute(req.method, url.pathname);
+
+  console.log(`[MockBackend] ${req.method} ${url.pathname}`);
+
+  if (!route) {
+    return sendJson(res, 404, { error: `Nicht im Mock-Backend: ${req.method} ${url.pathname}` });
+  }
+
+  try {
+    const ctx = { params: route.params, query: url.searchParams, body: {}, res };
+
+    if (route.requiresAuth) {
+      const authHeader = req.headers.authorization || '';
+      const token = authHeader.startsWith('Bearer ') ? authHeader.slice('Bearer '.length) : null;
+      const session = token && sessions.get(token);
+      if (!session) {
+        return sendJson(res, 401, { error: 'Nicht angemeldet' });
+      }
+      ctx.token = token;
+      ctx.session = session;
+    }
+
+    // /upload and chunk uploads read the raw audio themselves
+    if (route.handler !== upload && ['POST', 'PATCH'].includes(req.method)) {
+      ctx.body = await readJson(req);
+    }
+
+    // null = handler answered itself (event stream)
+    const output = await route.handler(req, ctx);
+    if (output) {
+      sendJson(res, output[0], output[1]);
+    }
+  } catch (error) {
+    console.error('[MockBackend] Fehler:', error.message);
+    sendJson(res, 500, { error: error.message });
+  }
+}
+
+const server = http.createServer((req, res) => {
+  handleRequest(req, res);
+});
+
+server.listen(PORT, HOST, () => {
+  console.log('========================================');
+  console.log('       DENTDOC MOCK-BACKEND');
+  console.log('========================================');
+  console.log(`  URL:        http://${HOST}:${PORT}/`);
+  console.log(`  Szenario:   ${scenario} (${SCENARIOS[scenario]})`);
+  console.log('');
+  console.log('  App starten mit (.env.local):');
+  console.log(`    API_URL=http://${HOST}:${PORT}/`);
+  console.log(`    UPLOAD_PROXY_URL=http://${HOST}:${PORT}`);
+  console.log(`    UPLOAD_PROXY_TOKEN=${UPLOAD_TOKEN}`);
+  console.log('');
+  console.log(`  Szenarien: ${Object.keys(SCENARIOS).join(', ')}`);
+  console.log('========================================');
+});
@@ -1,8 +1,22 @@
 /**
  * DentDoc Upload-Proxy für Railway
  * Reiner Stream-Passthrough - kein Parsing, kein Buffer
+ *
+ * Zwei Wege:
+ * - POST /upload: ganze Datei in einem Request (alte Desktop-Versionen)
+ * - Upload-Sessions (/upload/sessions/...): Datei in Teilen, jeder Teil wird
+ *   einzeln bestätigt. Bricht die Verbindung ab, lädt die App nur die
+ *   fehlenden Teile nach. Teile liegen bis zum Abschluss im Temp-Ordner,
+ *   werden dann in Reihenfolge zu AssemblyAI gestreamt und gelöscht
+ *   (unvollständige Sessions nach SESSION_TTL_MS).
  */
 
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
 const fastify = require('fastify')({ logger: true });
 // Node 18+ hat natives fetch - kein node-fetch nötig
 
@@ -18,53 +32,227 @@ const ASSEMBLYAI_API_KEY = process.env.ASSEMBLYAI_API_KEY;
 const DENTDOC_AUTH_TOKEN = process.env.DENTDOC_AUTH_TOKEN;
 const PORT = process.env.PORT || 3000;
 
+// Chunked upload sessions
+const CHUNK_DIR = path.join(os.tmpdir(), 'dentdoc-upload-chunks');
+const MAX_CHUNK_SIZE = 16 * 1024 * 1024;
+const MAX_UPLOAD_SIZE = 2 * 1024 * 1024 * 1024;
+const SESSION_TTL_MS = 60 * 60 * 1000;
+const sessions = new Map(); // uploadId -> { dir, size, chunkSize, chunkCount, received: Set, updatedAt }
+
+// Sessions live in memory - chunks left over from a previous run are useless
+fs.rmSync(CHUNK_DIR, { recursive: true, force: true });
+
 if (!ASSEMBLYAI_API_KEY || !DENTDOC_AUTH_TOKEN) {
   console.error('Missing env vars: ASSEMBLYAI_API_KEY or DENTDOC_AUTH_TOKEN');
   process.exit(1);
 }
 
+// Formats AssemblyAI transcribes - the app only sends FLAC/Opus if they are listed here
+const UPLOAD_FORMATS = ['wav', 'flac', 'opus'];
+
 fastify.get('/health', async () => {
-  return { status: 'ok', timestamp: new Date().toISOString() };
+  return { status: 'ok', timestamp: new Date().toISOString(), uploadFormats: UPLOAD_FORMATS };
 });
 
-fastify.post('/upload', async (request, reply) => {
-  // Auth
-  const authHeader = request.headers.authorization;
-  if (authHeader !== `Bearer ${DENTDOC_AUTH_TOKEN}`) {
+// Auth for every upload route
+fastify.addHook('onRequest', async (request, reply) => {
+  if (!request.url.startsWith('/upload')) return;
+  if (request.headers.authorization !== `Bearer ${DENTDOC_AUTH_TOKEN}`) {
     reply.code(401).send({ error: 'Unauthorized' });
-    return;
+    return reply;
+  }
+});
+
+/**
+ * Stream a body to AssemblyAI, returns { upload_url }
+ */
+async function forwardToAssemblyAI(body) {
+  const upstream = await fetch('https://api.assemblyai.com/v2/upload', {
+    method: 'POST',
+    headers: {
+      authorization: ASSEMBLYAI_API_KEY,
+      'content-type': 'application/octet-stream'
+    },
+    body,
+    duplex: 'half'
+  });
+
+  if (!upstream.ok) {
+    const text = await upstream.text();
+    console.error('AssemblyAI error:', upstream.status, text);
+    const error = new Error('AssemblyAI upload failed');
+    error.statusCode = 502;
+    error.details = text;
+    throw error;
   }
 
+  return upstream.json();
+}
+
+fastify.post('/upload', async (request, reply) => {
   console.log('Upload started');
 
   try {
-    const upstream = await fetch('https://api.assemblyai.com/v2/upload', {
-      method: 'POST',
-      headers: {
-        authorization: ASSEMBLYAI_API_KEY,
-        'content-type': 'application/octet-stream'
-      },
-      body: request.raw, // DAS IST DER STREAM - kein Buffer!
-      duplex: 'half'
-    });
-
-    if (!upstream.ok) {
-      const text = await upstream.text();
-      console.error('AssemblyAI error:', upstream.status, text);
-      reply.code(502).send({ error: 'AssemblyAI upload failed', details: text });
-      return;
-    }
-
-    const json = await upstream.json();
+    // DAS IST DER STREAM - kein Buffer!
+    const json = await forwardToAssemblyAI(request.raw);
     console.log('Upload successful');
     reply.send(json);
 
   } catch (err) {
     console.error('Upload error:', err.message);
-    reply.code(500).send({ error: 'Upload failed', message: err.message });
+    reply.code(err.statusCode || 500).send({ error: 'Upload failed', message: err.message, details: err.details });
   }
 });
 
+// ============================================================================
+// Chunked upload sessions
+// ============================================================================
+
+function chunkPath(session, index) {
+  return path.join(session.dir, `${index}.part`);
+}
+
+function expectedChunkSize(session, index) {
+  return index === session.chunkCount - 1
+    ? session.size - index * session.chunkSize
+    : session.chunkSize;
+}
+
+function removeSession(uploadId) {
+  const session = sessions.get(uploadId);
+  if (!session) return;
+  sessions.delete(uploadId);
+  fs.rm(session.dir, { recursive: true, force: true }, () => {});
+}
+
+function sessionInfo(uploadId, session) {
+  return {
+    uploadId,
+    size: session.size,
+    chunkSize: session.chunkSize,
+    chunkCount: session.chunkCount,
+    received: [...session.received].sort((a, b) => a - b)
+  };
+}
+
+// Start a session: { size, chunkSize } -> { uploadId, chunkSize, chunkCount, received: [] }
+fastify.post('/upload/sessions', async (request, reply) => {
+  const size = parseInt(request.body?.size, 10);
+  const chunkSize = Math.min(parseInt(request.body?.chunkSize, 10) || MAX_CHUNK_SIZE, MAX_CHUNK_SIZE);
+  if (!Number.isInteger(size) || size <= 0 || size > MAX_UPLOAD_SIZE || chunkSize <= 0) {
+    return reply.code(400).send({ error: 'Ungültige Größe' });
+  }
+
+  const uploadId = crypto.randomUUID();
+  const session = {
+    dir: path.join(CHUNK_DIR, uploadId),
+    size,
+    chunkSize,
+    chunkCount: Math.ceil(size / chunkSize),
+    received: new Set(),
+    updatedAt: Date.now()
+  };
+  await fs.promises.mkdir(session.dir, { recursive: true });
+  sessions.set(uploadId, session);
+
+  console.log(`Upload session ${uploadId}: ${size} bytes, ${session.chunkCount} chunks`);
+  return sessionInfo(uploadId, session);
+});
+
+// Which chunks arrived (for resuming after a connection drop)
+fastify.get('/upload/sessions/:uploadId', async (request, reply) => {
+  const session = sessions.get(request.params.uploadId);
+  if (!session) {
+    return reply.code(404).send({ error: 'Session nicht gefunden' });
+  }
+  return sessionInfo(request.params.uploadId, session);
+});
+
+// Store one chunk (raw bytes); re-sending a chunk overwrites it
+fastify.put('/upload/sessions/:uploadId/chunks/:index', async (request, reply) => {
+  const { uploadId } = request.params;
+  const session = sessions.get(uploadId);
+  if (!session) {
+    return reply.code(404).send({ error: 'Session nicht gefunden' });
+  }
+
+  const index = parseInt(request.params.index, 10);
+  if (!Number.isInteger(index) || index < 0 || index >= session.chunkCount) {
+    return reply.code(400).send({ error: 'Ungültiger Teil' });
+  }
+
+  // Write to a temp file first - an aborted request never leaves a half chunk
+  const target = chunkPath(session, index);
+  const tempPath = `${target}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  try {
+    await pipeline(request.raw, fs.createWriteStream(tempPath));
+    const { size } = await fs.promises.stat(tempPath);
+    if (size !== expectedChunkSize(session, index)) {
+      await fs.promises.rm(tempPath, { force: true });
+      return reply.code(400).send({ error: `Teil ${index} unvollständig (${size} Bytes)` });
+    }
+    await fs.promises.rename(tempPath, target);
+  } catch (err) {
+    await fs.promises.rm(tempPath, { force: true });
+    throw err;
+  }
+
+  session.received.add(index);
+  session.updatedAt = Date.now();
+  return { index, received: session.received.size, chunkCount: session.chunkCount };
+});
+
+// All chunks there: stream them in order to AssemblyAI -> { upload_url }
+fastify.post('/upload/sessions/:uploadId/complete', async (request, reply) => {
+  const { uploadId } = request.params;
+  const session = sessions.get(uploadId);
+  if (!session) {
+    return reply.code(404).send({ error: 'Session nicht gefunden' });
+  }
+
+  const missing = [];
+  for (let i = 0; i < session.chunkCount; i++) {
+    if (!session.received.has(i)) missing.push(i);
+  }
+  if (missing.length > 0) {
+    return reply.code(409).send({ error: 'Teile fehlen', missing });
+  }
+  if (session.completing) {
+    return reply.code(409).send({ error: 'Wird bereits abgeschlossen' });
+  }
+
+  async function* readChunks() {
+    for (let i = 0; i < session.chunkCount; i++) {
+      yield* fs.createReadStream(chunkPath(session, i));
+    }
+  }
+
+  session.completing = true;
+  try {
+    session.updatedAt = Date.now();
+    const json = await forwardToAssemblyAI(Readable.from(readChunks()));
+    console.log(`Upload session ${uploadId} forwarded`);
+    removeSession(uploadId);
+    return json;
+  } catch (err) {
+    // Chunks stay - the client can call complete again
+    session.completing = false;
+    console.error('Upload error:', err.message);
+    return reply.code(err.statusCode || 500).send({ error: 'Upload failed', message: err.message, details: err.details });
+  }
+});
+
+// Drop abandoned sessions
+setInterval(() => {
+  const now = Date.now();
+  for (const [uploadId, session] of sessions) {
+    if (now - session.updatedAt > SESSION_TTL_MS) {
+      console.log(`Upload session ${uploadId} expired`);
+      removeSession(uploadId);
+    }
+  }
+}, 5 * 60 * 1000).unref();
+
 fastify.listen({ port: PORT, host: '0.0.0.0' }).then(() => {
   console.log(`DentDoc Upload-Proxy running on port ${PORT}`);
 });
@@ -3,15 +3,57 @@ const FormData = require('form-data');
 const fs = require('fs');
 const os = require('os');
 const crypto = require('crypto');
-const { convertForAssemblyAI } = require('./audio-converter');
+const { convertForAssemblyAI, encodeForUpload } = require('./audio-converter');
+const errors = require('./errors');
+const { ApiError, CODES, isCanceled } = errors;
+const network = require('./network');
+
+// Proxy and custom CA certificates from the settings apply to every axios request
+network.attachToAxios(axios);
+
+// DentDoc API and Railway Upload-Proxy (API-Key bleibt auf Railway, nicht im Desktop!)
+// come from the selected environment (Einstellungen → Netzwerk)
+function getApiBaseUrl() {
+  return network.getActiveEnvironment().apiUrl;
+}
 
-// DentDoc Vercel API URL
-const API_BASE_URL = process.env.API_URL || 'https://dentdoc-app.vercel.app/';
+function getUploadProxyUrl() {
+  return network.getActiveEnvironment().uploadProxyUrl.replace(/\/$/, '');
+}
 
-// Railway Upload-Proxy URL (API-Key bleibt auf Railway, nicht im Desktop!)
-const UPLOAD_PROXY_URL = process.env.UPLOAD_PROXY_URL || 'https://dentdoc-upload-proxy.up.railway.app';
 const UPLOAD_PROXY_TOKEN = process.env.UPLOAD_PROXY_TOKEN;
 
+/**
+ * ApiError for a failed request - a 401 only ends the session when it comes
+ * from the DentDoc API of the active environment
+ * @param {Error} error - Error from axios / https
+ * @param {string} fallbackMessage - See errors.fromRequestError
+ * @param {Object} messages - See errors.fromRequestError
+ * @returns {ApiError}
+ */
+function fromRequestError(error, fallbackMessage, messages = {}) {
+  return errors.fromRequestError(error, fallbackMessage, messages, { apiBaseUrl: getApiBaseUrl() });
+}
+
+/**
+ * Check if an error comes from an aborted request (user cancelled the processing)
+ * @param {Error} error - Error from axios / https
+ * @returns {boolean}
+ */
+function isCanceledError(error) {
+  return axios.isCancel(error) || error.name === 'AbortError' || isCanceled(error);
+}
+
+/**
+ * Add the recording context (patient/room/treatment) to a request body
+ * @param {Object} body - Request body
+ * @param {Object} options - { context }
+ * @returns {Object}
+ */
+function withContext(body, options = {}) {
+  return options.context ? { ...body, context: options.context } : body;
+}
+
 /**
  * Get or create a unique device ID for this installation
  * @param {Object} store - electron-store instance
@@ -50,7 +92,7 @@ async function login(email, password, store) {
     const deviceId = getDeviceId(store);
     const deviceInfo = getDeviceInfo();
 
-    const response = await axios.post(`${API_BASE_URL}/api/auth/login`, {
+    const response = await axios.post(`${getApiBaseUrl()}/api/auth/login`, {
       email,
       password,
       deviceId,
@@ -60,14 +102,13 @@ async function login(email, password, store) {
 
     return response.data;
   } catch (error) {
-    const errorData = error.response?.data;
+    const apiError = fromRequestError(error, 'Login fehlgeschlagen');
 
-    // Handle max devices reached error
-    if (errorData?.error === 'max_devices_reached') {
-      throw new Error(`MAX_DEVICES:${errorData.message}`);
+    // Wrong credentials are not an expired session - show the server's message
+    if (apiError.code === CODES.SESSION_EXPIRED || apiError.code === CODES.BAD_REQUEST) {
+      throw new ApiError(CODES.LOGIN_FAILED, error.response?.data?.error || 'Login fehlgeschlagen', { status: apiError.status });
     }
-
-    throw new Error(errorData?.error || 'Login fehlgeschlagen');
+    throw apiError;
   }
 }
 
@@ -82,7 +123,7 @@ async function logout(token, store) {
     const deviceId = store.get('deviceId');
     if (!deviceId) return;
 
-    await axios.post(`${API_BASE_URL}/api/auth/logout`,
+    await axios.post(`${getApiBaseUrl()}/api/auth/logout`,
       { deviceId },
       {
         headers: {
@@ -100,14 +141,15 @@ async function logout(token, store) {
  * Send heartbeat to keep device session active
  * @param {string} token - Auth token
  * @param {Object} store - electron-store instance
- * @returns {Promise<boolean>} True if successful, false if session expired
+ * @returns {Promise<boolean>} True if the session is active (or the server is unreachable)
+ * @throws {ApiError} SESSION_EXPIRED if the device was logged out remotely
  */
 async function heartbeat(token, store) {
   try {
     const deviceId = store.get('deviceId');
-    if (!deviceId) return false;
+    if (!deviceId) throw new ApiError(CODES.SESSION_EXPIRED);
 
-    const response = await axios.post(`${API_BASE_URL}/api/device/heartbeat`,
+    const response = await axios.post(`${getApiBaseUrl()}/api/device/heartbeat`,
       { deviceId },
       {
         headers: {
@@ -116,13 +158,16 @@ async function heartbeat(token, store) {
       }
     );
 
-    return response.data.success;
+    if (!response.data.success) {
+      throw new ApiError(CODES.SESSION_EXPIRED);
+    }
+    return true;
   } catch (error) {
-    const errorData = error.response?.data;
+    const apiError = fromRequestError(error, 'Heartbeat fehlgeschlagen');
 
     // Session expired - device was logged out remotely
-    if (errorData?.error === 'session_expired' || error.response?.status === 401) {
-      return false;
+    if (apiError.code === CODES.SESSION_EXPIRED) {
+      throw apiError;
     }
 
     console.error('Heartbeat error:', error.response?.data || error.message);
@@ -131,551 +176,600 @@ async function heartbeat(token, store) {
   }
 }
 
-async function getUser(token) {
+/**
+ * Current user (plan, subscription, remaining minutes)
+ * @param {string} token - Auth token
+ * @param {Object} options - { timeout: ms, e.g. short before a recording starts }
+ */
+async function getUser(token, options = {}) {
   try {
-    const response = await axios.get(`${API_BASE_URL}/api/user`, {
+    const response = await axios.get(`${getApiBaseUrl()}/api/user`, {
       headers: {
         'Authorization': `Bearer ${token}`,
         'Cookie': `session=${token}`
-      }
+      },
+      timeout: options.timeout || 0
     });
 
     return response.data;
   } catch (error) {
-    throw new Error('Benutzerdaten konnten nicht abgerufen werden');
+    throw fromRequestError(error, 'Benutzerdaten konnten nicht abgerufen werden');
   }
 }
 
+// Reachability check must answer quickly - it decides whether uploads wait
+const CONNECTION_CHECK_TIMEOUT_MS = 5000;
+
 /**
- * Upload audio file with progress tracking
- * NEW: Direct upload to AssemblyAI (bypasses Vercel 4.5MB limit)
- *
- * Flow:
- * 1. Get upload URL from backend
- * 2. Upload directly to AssemblyAI
- * 3. Tell backend to start transcription
- *
- * @param {string} audioFilePath - Path to audio file
- * @param {string} token - Auth token
- * @param {Function} onProgress - Progress callback: (progressInfo) => void
- *   progressInfo: { phase, percent, message }
- *     - phase: 'prepare' | 'upload' | 'submit' | 'submitted'
- *     - percent: 0-100
- *     - message: Human-readable status
- * @returns {Promise<number>} Transcription ID
+ * Is the server reachable? Any answer below 500 counts (also 401/404)
+ * @param {string} url - URL to request
  */
-async function uploadAudio(audioFilePath, token, onProgress = null) {
-  let optimizedFilePath = null;
-
+async function isReachable(url) {
   try {
-    // Check if file exists and has content
-    const stats = fs.statSync(audioFilePath);
-    if (stats.size < 5000) {
-      throw new Error('EMPTY_RECORDING');
-    }
+    const response = await axios.get(url, {
+      timeout: CONNECTION_CHECK_TIMEOUT_MS,
+      validateStatus: () => true
+    });
+    return response.status < 500;
+  } catch (error) {
+    return false;
+  }
+}
 
-    // STEP 0: Convert audio with AssemblyAI-optimized filters
-    // (highpass=200Hz, lowpass=3000Hz for better transcription)
-    if (onProgress) {
-      onProgress({ phase: 'prepare', percent: 0, message: 'Audio wird optimiert...' });
-    }
+/**
+ * Reachability of backend API and upload proxy (connectivity monitor)
+ * @returns {Promise<{api: boolean, proxy: boolean}>}
+ */
+async function checkConnection() {
+  const [api, proxy] = await Promise.all([
+    isReachable(getApiBaseUrl()),
+    isReachable(`${getUploadProxyUrl()}/health`)
+  ]);
+  return { api, proxy };
+}
 
-    optimizedFilePath = await convertForAssemblyAI(audioFilePath);
+// =============================================================================
+// UPLOAD-PROXY (in Teilen, fortsetzbar)
+// =============================================================================
 
-    const fileName = require('path').basename(optimizedFilePath);
-    const fileBuffer = fs.readFileSync(optimizedFilePath);
-    const optimizedSizeMB = (fileBuffer.length / (1024 * 1024)).toFixed(2);
-    console.log(`  [TEMP] Erstellt: ${fileName} (${optimizedSizeMB} MB)`);
-    console.log(`         Pfad: ${optimizedFilePath}`);
+// Upload format from convertForAssemblyAI: 16 kHz, mono, 16-bit PCM WAV
+const WAV_HEADER_BYTES = 44;
+const WAV_BYTES_PER_SECOND = 16000 * 2;
 
-    // STEP 1: Upload via Railway Proxy (API-Key bleibt auf Railway, nicht im Desktop!)
-    if (onProgress) {
-      onProgress({ phase: 'prepare', percent: 5, message: 'Vorbereiten...' });
-    }
+// Compressed copy of that WAV for the upload: 'flac' (lossless, ~half the size),
+// 'opus' (~1/20, lossy) or 'wav'. Only formats the proxy lists in GET /health
+// (uploadFormats) are sent - older proxies list none, then WAV as before.
+const UPLOAD_FORMATS = ['flac', 'opus', 'wav'];
+const DEFAULT_UPLOAD_FORMAT = 'flac';
+let uploadFormatsCache = null; // { proxyUrl, formats }
 
-    if (!UPLOAD_PROXY_TOKEN) {
-      throw new Error('Upload-Proxy Token nicht konfiguriert. Bitte UPLOAD_PROXY_TOKEN in .env setzen.');
-    }
+// Chunk size: a connection drop costs at most one chunk
+const UPLOAD_CHUNK_SIZE = 2 * 1024 * 1024;
+// Waits before retrying a failed chunk (~1 minute in total, then the job fails and resumes later)
+const UPLOAD_RETRY_DELAYS_MS = [1000, 2000, 5000, 10000, 15000, 30000];
+const UPLOAD_REQUEST_TIMEOUT_MS = 60000;
 
-    if (onProgress) {
-      onProgress({ phase: 'upload', percent: 0, message: 'Upload läuft...' });
+/**
+ * One request to the upload proxy. Native http(s) instead of axios for real
+ * write progress (plain http only for a local proxy, e.g. the mock backend).
+ * @param {string} method - HTTP method
+ * @param {string} pathname - e.g. '/upload/sessions'
+ * @param {Buffer|Object|null} body - Buffer = audio bytes, Object = JSON
+ * @param {Object} options - { signal, timeout, onBytesWritten: (bytes) => void }
+ * @returns {Promise<Object>} Response JSON
+ * @throws {ApiError} For non-2xx answers (with status), timeouts and cancel
+ */
+function proxyRequest(method, pathname, body, options = {}) {
+  const { signal = null, timeout = UPLOAD_REQUEST_TIMEOUT_MS, onBytesWritten = null } = options;
+
+  return new Promise((resolve, reject) => {
+    const target = new URL(`${getUploadProxyUrl()}${pathname}`);
+    const isHttp = target.protocol === 'http:';
+    const transport = isHttp ? require('http') : require('https');
+    const isBinary = Buffer.isBuffer(body);
+    const payload = body === null ? null : (isBinary ? body : Buffer.from(JSON.stringify(body)));
+
+    const headers = { 'Authorization': `Bearer ${UPLOAD_PROXY_TOKEN}` };
+    if (payload) {
+      headers['Content-Type'] = isBinary ? 'application/octet-stream' : 'application/json';
+      headers['Content-Length'] = payload.length;
     }
 
-    // Use native https for real upload progress tracking
-    const fileSize = fileBuffer.length;
-    const https = require('https');
-    const url = require('url');
-
-    const upload_url = await new Promise((resolve, reject) => {
-      const proxyUrl = new url.URL(`${UPLOAD_PROXY_URL}/upload`);
-
-      const options = {
-        hostname: proxyUrl.hostname,
-        port: proxyUrl.port || 443,
-        path: proxyUrl.pathname,
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${UPLOAD_PROXY_TOKEN}`,
-          'Content-Type': 'application/octet-stream',
-          'Content-Length': fileSize,
-        },
-      };
-
-      const req = https.request(options, (res) => {
-        let data = '';
-        res.on('data', (chunk) => { data += chunk; });
-        res.on('end', () => {
-          try {
-            const json = JSON.parse(data);
-            if (res.statusCode >= 200 && res.statusCode < 300) {
-              if (!json.upload_url) {
-                reject(new Error('Keine upload_url vom Proxy erhalten'));
-                return;
-              }
-              resolve(json.upload_url);
-            } else if (res.statusCode === 401) {
-              reject(new Error('Upload-Proxy Authentifizierung fehlgeschlagen. Bitte Token prüfen.'));
-            } else {
-              reject(new Error(json.error || json.message || `Upload failed with status ${res.statusCode}`));
-            }
-          } catch (e) {
-            reject(new Error(`Ungültige Antwort vom Upload-Proxy: ${data}`));
-          }
-        });
-      });
-
-      req.on('error', (err) => {
-        if (err.code === 'ECONNREFUSED') {
-          reject(new Error('Upload-Proxy nicht erreichbar. Bitte später erneut versuchen.'));
+    const req = transport.request({
+      hostname: target.hostname,
+      port: target.port || (isHttp ? 80 : 443),
+      path: target.pathname,
+      method,
+      headers,
+      agent: network.getAgent(target)
+    }, (res) => {
+      let data = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => {
+        let json;
+        try {
+          json = data ? JSON.parse(data) : {};
+        } catch (e) {
+          reject(new ApiError(CODES.SERVER_ERROR, `Ungültige Antwort vom Upload-Proxy: ${data}`, { status: res.statusCode }));
+          return;
+        }
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          resolve(json);
+        } else if (res.statusCode === 401) {
+          reject(new ApiError(CODES.UPLOAD_CONFIG, 'Upload-Proxy Authentifizierung fehlgeschlagen. Bitte Token prüfen.', { status: 401 }));
         } else {
-          reject(err);
+          const message = json.error || json.message || `Upload failed with status ${res.statusCode}`;
+          reject(new ApiError(res.statusCode >= 500 ? CODES.SERVER_ERROR : CODES.BAD_REQUEST, message, { status: res.statusCode }));
         }
       });
+    });
 
-      // Timeout handling
-      req.setTimeout(300000, () => {
-        req.destroy(new Error('Upload timeout'));
-      });
-
-      // Track progress using chunked writing for accurate progress reporting
-      const chunkSize = 512 * 1024; // 512KB chunks
-      let lastReportedPercent = 0;
-      let offset = 0;
-
-      const writeNextChunk = () => {
-        while (offset < fileSize) {
-          const end = Math.min(offset + chunkSize, fileSize);
-          const chunk = fileBuffer.slice(offset, end);
-          offset = end;
-
-          const percent = Math.round(offset * 100 / fileSize);
-          if (percent !== lastReportedPercent) {
-            lastReportedPercent = percent;
-            onProgress?.({ phase: 'upload', percent, message: `Upload ${percent}%` });
-          }
-
-          if (!req.write(chunk)) {
-            // Buffer full, wait for drain and continue
-            req.once('drain', writeNextChunk);
-            return;
-          }
-        }
-        // All chunks written
-        req.end();
-      };
-
-      writeNextChunk();
+    const abort = () => req.destroy(new ApiError(CODES.CANCELED));
+    req.on('error', (err) => {
+      if (err.code === 'ECONNREFUSED') {
+        reject(new ApiError(CODES.NETWORK, 'Upload-Proxy nicht erreichbar. Bitte später erneut versuchen.'));
+      } else {
+        reject(err);
+      }
+    });
+    req.on('close', () => {
+      if (signal) signal.removeEventListener('abort', abort);
+    });
+    req.setTimeout(timeout, () => {
+      req.destroy(new ApiError(CODES.TIMEOUT, 'Upload-Timeout. Die Verbindung ist zu langsam oder unterbrochen.'));
     });
 
-    if (!upload_url) {
-      throw new Error('No upload_url received from upload proxy');
+    if (signal) {
+      if (signal.aborted) return abort();
+      signal.addEventListener('abort', abort, { once: true });
     }
 
-    // STEP 2: Tell backend to start transcription (creates DB entry)
-    if (onProgress) {
-      onProgress({ phase: 'submit', percent: 90, message: 'Starte Transkription...' });
+    if (!payload) {
+      req.end();
+      return;
     }
 
-    const startResponse = await axios.post(
-      `${API_BASE_URL}api/transcriptions/start`,
-      { upload_url, fileName },
-      {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Cookie': `session=${token}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: 30000
+    // Write in slices so progress follows the bytes actually handed to the socket
+    const sliceSize = 256 * 1024;
+    let offset = 0;
+    const writeNextSlice = () => {
+      if (req.destroyed) return;
+      while (offset < payload.length) {
+        const end = Math.min(offset + sliceSize, payload.length);
+        const flushed = req.write(payload.subarray(offset, end));
+        offset = end;
+        if (onBytesWritten) onBytesWritten(offset);
+        if (!flushed) {
+          req.once('drain', writeNextSlice);
+          return;
+        }
       }
-    );
+      req.end();
+    };
+    writeNextSlice();
+  });
+}
 
-    if (onProgress) {
-      onProgress({ phase: 'submitted', percent: 100, message: 'Übermittelt' });
+/**
+ * Wait before the next retry - rejects with CANCELED when the job is cancelled
+ */
+function waitForRetry(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    function onAbort() {
+      clearTimeout(timer);
+      reject(new ApiError(CODES.CANCELED));
     }
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
 
-    // Cleanup optimized temp file
-    if (optimizedFilePath && fs.existsSync(optimizedFilePath)) {
-      try {
-        fs.unlinkSync(optimizedFilePath);
-        console.log(`  [TEMP] Geloescht: ${require('path').basename(optimizedFilePath)}`);
-      } catch (cleanupErr) {
-        // Ignore cleanup errors
+/**
+ * Run a proxy request, retrying network/timeout/5xx errors with backoff
+ * @param {string} label - For the log, e.g. 'Teil 3/12'
+ * @param {Function} request - () => Promise
+ * @param {Object} options - { signal, onRetry: ({ attempt, delayMs, error }) => void }
+ */
+async function withUploadRetry(label, request, options = {}) {
+  const { signal = null, onRetry = null } = options;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await request();
+    } catch (error) {
+      if (isCanceledError(error)) {
+        throw new ApiError(CODES.CANCELED);
       }
-    }
-
-    return startResponse.data.id;
-
-  } catch (error) {
-    // Cleanup optimized temp file on error too
-    if (optimizedFilePath && fs.existsSync(optimizedFilePath)) {
-      try {
-        fs.unlinkSync(optimizedFilePath);
-        console.log(`  [TEMP] Geloescht (Fehler): ${require('path').basename(optimizedFilePath)}`);
-      } catch (cleanupErr) {
-        // Ignore cleanup errors
+      const apiError = fromRequestError(error, 'Audio-Upload fehlgeschlagen. Bitte versuchen Sie es erneut.');
+      if (!apiError.retryable || attempt >= UPLOAD_RETRY_DELAYS_MS.length) {
+        throw apiError;
       }
-    }
 
-    if (error.message === 'EMPTY_RECORDING') {
-      throw new Error('Die Aufnahme war zu kurz oder leer. Bitte sprechen Sie mindestens 2-3 Sekunden.');
+      const delayMs = UPLOAD_RETRY_DELAYS_MS[attempt];
+      console.log(`  [Upload] ${label} fehlgeschlagen (${apiError.message}) - neuer Versuch in ${delayMs / 1000}s`);
+      if (onRetry) onRetry({ attempt: attempt + 1, delayMs, error: apiError });
+      await waitForRetry(delayMs, signal);
     }
+  }
+}
 
-    if (error.code === 'ECONNABORTED' || error.message.includes('timeout')) {
-      throw new Error('Upload-Timeout. Die Datei ist möglicherweise zu groß oder die Verbindung zu langsam. Bitte versuchen Sie es erneut.');
-    }
+/**
+ * Upload formats the proxy accepts (asked once per proxy URL)
+ * @param {AbortSignal} signal - Cancels the request
+ * @returns {Promise<Array<string>>} e.g. ['wav', 'flac', 'opus'], at least ['wav']
+ */
+async function getUploadFormats(signal = null) {
+  const proxyUrl = getUploadProxyUrl();
+  if (uploadFormatsCache && uploadFormatsCache.proxyUrl === proxyUrl) {
+    return uploadFormatsCache.formats;
+  }
 
-    // Network errors during upload
-    if (error.code === 'ECONNRESET' || error.code === 'EPIPE' || error.message.includes('socket hang up')) {
-      throw new Error('Verbindung während des Uploads abgebrochen. Bitte prüfen Sie Ihre Internetverbindung und versuchen Sie es erneut.');
+  try {
+    const json = await proxyRequest('GET', '/health', null, { signal, timeout: 10000 });
+    const formats = Array.isArray(json.uploadFormats)
+      ? ['wav', ...json.uploadFormats.filter(format => format !== 'wav' && UPLOAD_FORMATS.includes(format))]
+      : ['wav'];
+    uploadFormatsCache = { proxyUrl, formats };
+    return formats;
+  } catch (error) {
+    if (isCanceledError(error)) {
+      throw new ApiError(CODES.CANCELED);
     }
+    // Not cached - the upload itself reports connection problems
+    console.log(`  [Upload] Upload-Formate nicht abfragbar (${error.message}) - WAV wird gesendet`);
+    return ['wav'];
+  }
+}
 
-    if (error.code === 'ERR_NETWORK' || error.message.includes('Network Error')) {
-      throw new Error('Netzwerkfehler beim Upload. Bitte prüfen Sie Ihre Internetverbindung.');
+/**
+ * Upload the audio to the proxy in chunks and get the AssemblyAI upload_url.
+ * Every chunk is confirmed by the proxy; failed chunks are retried, and a
+ * session from an earlier attempt (same file) only sends the missing chunks.
+ * Proxies without session support get the whole file in one request.
+ *
+ * @param {Buffer} fileBuffer - Optimized audio
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - Cancels the upload
+ * @param {Function} options.onProgress - ({ phase, percent, message, bytes, totalBytes }) => void
+ * @param {Object|null} options.resume - Session from onSession of an earlier attempt
+ * @param {Function} options.onSession - (session) => void, called when the session should be persisted
+ *   session: { uploadId, fileHash, uploadUrl? } - uploadUrl once the proxy forwarded the file
+ * @returns {Promise<string>} upload_url
+ */
+async function uploadToProxy(fileBuffer, options = {}) {
+  const { signal = null, onProgress = null, resume = null, onSession = null } = options;
+  const fileSize = fileBuffer.length;
+  const fileHash = crypto.createHash('sha256').update(fileBuffer).digest('hex');
+
+  let lastReportedPercent = -1;
+  const reportProgress = (bytes) => {
+    const percent = Math.min(100, Math.round(bytes * 100 / fileSize));
+    if (percent !== lastReportedPercent && onProgress) {
+      lastReportedPercent = percent;
+      onProgress({ phase: 'upload', percent, message: `Upload ${percent}%`, bytes, totalBytes: fileSize });
     }
-
-    const serverError = error.response?.data?.error;
-    if (serverError) {
-      // Handle trial expired
-      if (serverError === 'trial_expired') {
-        throw new Error('TRIAL_EXPIRED:Ihre kostenlosen Testminuten sind aufgebraucht. Bitte abonnieren Sie, um fortzufahren.');
-      }
-      // Handle subscription inactive
-      if (serverError === 'subscription_inactive') {
-        throw new Error('SUBSCRIPTION_INACTIVE:Ihr Abonnement ist nicht aktiv. Bitte überprüfen Sie Ihren Zahlungsstatus.');
-      }
-      // Legacy minutes error
-      if (serverError.includes('minutes') || serverError.includes('Minuten')) {
-        throw new Error('Nicht genügend Minuten übrig. Bitte laden Sie Ihr Guthaben auf.');
-      }
-      throw new Error(`Upload fehlgeschlagen: ${serverError}`);
+  };
+  const onRetry = ({ delayMs }) => {
+    if (onProgress) {
+      onProgress({
+        phase: 'retry',
+        percent: Math.max(lastReportedPercent, 0),
+        message: `Verbindung unterbrochen - neuer Versuch in ${Math.round(delayMs / 1000)}s...`
+      });
     }
+  };
+  const retryOptions = { signal, onRetry };
+
+  // Same file as the earlier attempt? (conversion runs again on every attempt)
+  const resumable = resume && resume.uploadId && resume.fileHash === fileHash;
+  if (resumable && resume.uploadUrl) {
+    console.log('  [Upload] Bereits übertragen - Upload wird übersprungen');
+    reportProgress(fileSize);
+    return resume.uploadUrl;
+  }
 
-    if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
-      throw new Error('Server nicht erreichbar. Bitte prüfen Sie Ihre Internetverbindung.');
+  let session = null;
+  if (resumable) {
+    try {
+      session = await withUploadRetry('Status', () => proxyRequest('GET', `/upload/sessions/${resume.uploadId}`, null, { signal }), retryOptions);
+      console.log(`  [Upload] Fortsetzung: ${session.received.length}/${session.chunkCount} Teile bereits übertragen`);
+    } catch (error) {
+      if (error.status !== 404) throw error;
+      console.log('  [Upload] Session abgelaufen - Upload startet neu');
     }
-
-    throw new Error('Audio-Upload fehlgeschlagen. Bitte versuchen Sie es erneut.');
   }
-}
 
-async function getDocumentation(transcriptionId, token) {
-  try {
-    const response = await axios.post(
-      `${API_BASE_URL}api/transcriptions/${transcriptionId}/generate-doc`,
-      {},
-      {
-        headers: {
-          'Authorization': `Bearer ${token}`
-        }
+  if (!session) {
+    try {
+      session = await withUploadRetry('Start', () => proxyRequest('POST', '/upload/sessions', { size: fileSize, chunkSize: UPLOAD_CHUNK_SIZE }, { signal }), retryOptions);
+    } catch (error) {
+      if (error.status !== 404) throw error;
+      // Proxy without session support - whole file in one request
+      console.log('  [Upload] Proxy ohne Teil-Upload - Datei wird in einem Stück gesendet');
+      const json = await proxyRequest('POST', '/upload', fileBuffer, { signal, timeout: 300000, onBytesWritten: reportProgress });
+      if (!json.upload_url) {
+        throw new ApiError(CODES.SERVER_ERROR, 'Keine upload_url vom Proxy erhalten');
       }
-    );
-
-    if (!response.data.documentation) {
-      throw new Error('NO_DOCUMENTATION');
+      return json.upload_url;
     }
+    if (onSession) onSession({ uploadId: session.uploadId, fileHash });
+  }
 
-    // Return both documentation and transcript
-    return {
-      documentation: response.data.documentation,
-      transcript: response.data.transcript || null
-    };
-  } catch (error) {
-    console.error('Documentation error:', error.response?.data || error.message);
-
-    const serverError = error.response?.data?.error;
+  const { uploadId, chunkSize, chunkCount } = session;
+  const received = new Set(session.received || []);
+  let confirmedBytes = 0;
+  received.forEach(index => {
+    confirmedBytes += Math.min(chunkSize, fileSize - index * chunkSize);
+  });
+  reportProgress(confirmedBytes);
 
-    // Handle specific error cases
-    if (serverError === 'No transcript text available' || error.message === 'NO_DOCUMENTATION') {
-      throw new Error('Keine Sprache erkannt. Bitte sprechen Sie deutlich ins Mikrofon und versuchen Sie es erneut.');
-    }
+  for (let index = 0; index < chunkCount; index++) {
+    if (received.has(index)) continue;
+    const chunk = fileBuffer.subarray(index * chunkSize, Math.min((index + 1) * chunkSize, fileSize));
 
-    if (serverError?.includes('processing') || serverError?.includes('pending')) {
-      throw new Error('Die Transkription wird noch verarbeitet. Bitte warten Sie einen Moment.');
-    }
+    await withUploadRetry(`Teil ${index + 1}/${chunkCount}`, () => proxyRequest(
+      'PUT',
+      `/upload/sessions/${uploadId}/chunks/${index}`,
+      chunk,
+      { signal, onBytesWritten: (bytes) => reportProgress(confirmedBytes + bytes) }
+    ), retryOptions);
 
-    if (serverError?.includes('minutes') || serverError?.includes('Minuten')) {
-      throw new Error('Nicht genügend Minuten übrig. Bitte laden Sie Ihr Guthaben auf.');
-    }
+    confirmedBytes += chunk.length;
+    reportProgress(confirmedBytes);
+  }
 
-    if (serverError) {
-      throw new Error(`Fehler: ${serverError}`);
-    }
+  // Proxy assembles the chunks and forwards them to AssemblyAI
+  const json = await withUploadRetry('Abschluss', () => proxyRequest(
+    'POST',
+    `/upload/sessions/${uploadId}/complete`,
+    {},
+    { signal, timeout: 300000 }
+  ), retryOptions);
 
-    if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
-      throw new Error('Server nicht erreichbar. Bitte prüfen Sie Ihre Internetverbindung.');
-    }
-
-    throw new Error('Dokumentation konnte nicht erstellt werden. Bitte versuchen Sie es erneut.');
+  if (!json.upload_url) {
+    throw new ApiError(CODES.SERVER_ERROR, 'Keine upload_url vom Proxy erhalten');
   }
+  if (onSession) onSession({ uploadId, fileHash, uploadUrl: json.upload_url });
+  return json.upload_url;
 }
 
 /**
- * Generate documentation using V1.1 (experimental)
- * @param {number} transcriptionId - Transcription ID
- * @param {string} token - Auth token
- * @returns {Promise<{documentation: string, transcript: string|null}>}
+ * Delete a temp file of the upload (converted/encoded audio)
+ * @param {string|null} filePath
+ * @param {string} label - Log suffix, e.g. ' (Fehler)'
  */
-async function getDocumentationV1_1(transcriptionId, token) {
+function removeUploadTempFile(filePath, label = '') {
+  if (!filePath || !fs.existsSync(filePath)) return;
   try {
-    const response = await axios.post(
-      `${API_BASE_URL}api/transcriptions/${transcriptionId}/generate-doc-v1.1`,
-      {},
-      {
-        headers: {
-          'Authorization': `Bearer ${token}`
-        }
-      }
-    );
-
-    if (!response.data.documentation) {
-      throw new Error('NO_DOCUMENTATION');
-    }
-
-    return {
-      documentation: response.data.documentation,
-      transcript: response.data.transcript || null
-    };
-  } catch (error) {
-    console.error('Documentation V1.1 error:', error.response?.data || error.message);
-
-    const serverError = error.response?.data?.error;
-
-    if (serverError === 'No transcript text available' || error.message === 'NO_DOCUMENTATION') {
-      throw new Error('Keine Sprache erkannt. Bitte sprechen Sie deutlich ins Mikrofon und versuchen Sie es erneut.');
-    }
-
-    if (serverError?.includes('processing') || serverError?.includes('pending')) {
-      throw new Error('Die Transkription wird noch verarbeitet. Bitte warten Sie einen Moment.');
-    }
-
-    if (serverError?.includes('minutes') || serverError?.includes('Minuten')) {
-      throw new Error('Nicht genügend Minuten übrig. Bitte laden Sie Ihr Guthaben auf.');
-    }
-
-    if (serverError) {
-      throw new Error(`Fehler: ${serverError}`);
-    }
-
-    if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
-      throw new Error('Server nicht erreichbar. Bitte prüfen Sie Ihre Internetverbindung.');
-    }
-
-    throw new Error('Dokumentation konnte nicht erstellt werden. Bitte versuchen Sie es erneut.');
+    fs.unlinkSync(filePath);
+    console.log(`  [TEMP] Geloescht${label}: ${require('path').basename(filePath)}`);
+  } catch (cleanupErr) {
+    // Ignore cleanup errors
   }
 }
 
 /**
- * Generate documentation using Agent-Chain (V2) with Bausteine
- * @param {number} transcriptionId - Transcription ID
+ * Upload audio file with progress tracking
+ * Upload goes through the Railway proxy in chunks (bypasses Vercel 4.5MB limit,
+ * survives connection drops)
+ *
+ * Flow:
+ * 1. Convert audio for AssemblyAI (16 kHz WAV), encode as FLAC/Opus if the proxy accepts it
+ * 2. Upload chunks to the proxy (retry per chunk, resume via options.resume)
+ * 3. Tell backend to start transcription
+ *
+ * The local WAV files are not touched - speaker recognition keeps reading
+ * 16-bit PCM from them.
+ *
+ * @param {string} audioFilePath - Path to audio file
  * @param {string} token - Auth token
- * @param {Object} bausteine - Bausteine object from settings
- * @returns {Promise<{documentation: string, transcript: string|null}>}
+ * @param {Function} onProgress - Progress callback: (progressInfo) => void
+ *   progressInfo: { phase, percent, message }
+ *     - phase: 'prepare' | 'upload' | 'retry' | 'submit' | 'submitted'
+ *     - percent: 0-100
+ *     - message: Human-readable status
+ *     - bytes, totalBytes: Sent and total bytes ('upload' only)
+ *     - audioSeconds: Duration of the uploaded audio ('submitted' only)
+ *     - uploadStats: { format, bytes, wavBytes } ('submitted' only)
+ * @param {Object} options - Options
+ * @param {AbortSignal} options.signal - Aborts conversion, upload stream and start request
+ * @param {Object|null} options.resume - Upload session of an earlier attempt (see uploadToProxy)
+ * @param {Function} options.onSession - Receives the upload session to persist it for resuming
+ * @param {string} options.format - Preferred upload format: 'flac' | 'opus' | 'wav' (default: 'flac')
+ * @returns {Promise<number>} Transcription ID
  */
-async function getDocumentationV2(transcriptionId, token, bausteine) {
+async function uploadAudio(audioFilePath, token, onProgress = null, options = {}) {
+  const { signal = null, resume = null, onSession = null } = options;
+  const format = UPLOAD_FORMATS.includes(options.format) ? options.format : DEFAULT_UPLOAD_FORMAT;
+  let optimizedFilePath = null;
+  let encodedFilePath = null;
+
   try {
-    const response = await axios.post(
-      `${API_BASE_URL}api/transcriptions/${transcriptionId}/generate-doc-v2`,
-      { bausteine },
-      {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: 180000 // 3 minutes timeout for multi-agent processing
-      }
-    );
+    // Check if file exists and has content
+    const stats = fs.statSync(audioFilePath);
+    if (stats.size < 5000) {
+      throw new ApiError(CODES.EMPTY_RECORDING, 'Die Aufnahme war zu kurz oder leer. Bitte sprechen Sie mindestens 2-3 Sekunden.');
+    }
 
-    if (!response.data.documentation) {
-      throw new Error('NO_DOCUMENTATION');
+    // STEP 0: Convert audio with AssemblyAI-optimized filters
+    // (highpass=200Hz, lowpass=3000Hz for better transcription)
+    if (onProgress) {
+      onProgress({ phase: 'prepare', percent: 0, message: 'Audio wird optimiert...' });
     }
 
-    return {
-      documentation: response.data.documentation,
-      transcript: response.data.transcript || null
-    };
-  } catch (error) {
-    console.error('Documentation V2 error:', error.response?.data || error.message);
+    optimizedFilePath = await convertForAssemblyAI(audioFilePath, null, { signal });
+    if (signal && signal.aborted) {
+      throw new ApiError(CODES.CANCELED);
+    }
 
-    const serverError = error.response?.data?.error;
+    const wavBytes = fs.statSync(optimizedFilePath).size;
+    console.log(`  [TEMP] Erstellt: ${require('path').basename(optimizedFilePath)} (${(wavBytes / (1024 * 1024)).toFixed(2)} MB)`);
+    console.log(`         Pfad: ${optimizedFilePath}`);
 
-    if (serverError === 'No transcript text available' || error.message === 'NO_DOCUMENTATION') {
-      throw new Error('Keine Sprache erkannt. Bitte sprechen Sie deutlich ins Mikrofon und versuchen Sie es erneut.');
+    // STEP 0b: Compressed copy for the upload (falls back to the WAV)
+    let uploadFormat = 'wav';
+    if (format !== 'wav') {
+      const acceptedFormats = await getUploadFormats(signal);
+      if (!acceptedFormats.includes(format)) {
+        console.log(`  [Upload] Proxy nimmt kein ${format.toUpperCase()} an - WAV wird gesendet`);
+      } else {
+        if (onProgress) {
+          onProgress({ phase: 'prepare', percent: 2, message: 'Audio wird komprimiert...' });
+        }
+        try {
+          encodedFilePath = await encodeForUpload(optimizedFilePath, format, { signal });
+          uploadFormat = format;
+        } catch (encodeError) {
+          if (signal && signal.aborted) {
+            throw new ApiError(CODES.CANCELED);
+          }
+          console.log(`  [Upload] ${format.toUpperCase()} fehlgeschlagen (${encodeError.message}) - WAV wird gesendet`);
+          removeUploadTempFile(encodedFilePath);
+          encodedFilePath = null;
+        }
+      }
     }
 
-    if (serverError?.includes('processing') || serverError?.includes('pending')) {
-      throw new Error('Die Transkription wird noch verarbeitet. Bitte warten Sie einen Moment.');
+    const uploadFilePath = encodedFilePath || optimizedFilePath;
+    const fileName = require('path').basename(uploadFilePath);
+    const fileBuffer = fs.readFileSync(uploadFilePath);
+    const uploadStats = { format: uploadFormat, bytes: fileBuffer.length, wavBytes };
+    if (encodedFilePath) {
+      const savedPercent = Math.round((1 - fileBuffer.length / wavBytes) * 100);
+      console.log(`  [Upload] ${uploadFormat.toUpperCase()}: ${(fileBuffer.length / (1024 * 1024)).toFixed(2)} MB statt ${(wavBytes / (1024 * 1024)).toFixed(2)} MB (-${savedPercent}%)`);
     }
 
-    if (serverError?.includes('minutes') || serverError?.includes('Minuten')) {
-      throw new Error('Nicht genügend Minuten übrig. Bitte laden Sie Ihr Guthaben auf.');
+    // STEP 1: Upload via Railway Proxy (API-Key bleibt auf Railway, nicht im Desktop!)
+    if (onProgress) {
+      onProgress({ phase: 'prepare', percent: 5, message: 'Vorbereiten...' });
     }
 
-    if (serverError) {
-      throw new Error(`Fehler: ${serverError}`);
+    if (!UPLOAD_PROXY_TOKEN) {
+      throw new ApiError(CODES.UPLOAD_CONFIG, 'Upload-Proxy Token nicht konfiguriert. Bitte UPLOAD_PROXY_TOKEN in .env setzen.');
     }
 
-    if (error.code === 'ECONNABORTED' || error.message.includes('timeout')) {
-      throw new Error('Die Verarbeitung dauert zu lange. Bitte versuchen Sie es erneut.');
+    if (onProgress) {
+      onProgress({ phase: 'upload', percent: 0, message: 'Upload läuft...' });
     }
 
-    if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
-      throw new Error('Server nicht erreichbar. Bitte prüfen Sie Ihre Internetverbindung.');
-    }
+    const upload_url = await uploadToProxy(fileBuffer, { signal, onProgress, resume, onSession });
 
-    throw new Error('Dokumentation konnte nicht erstellt werden. Bitte versuchen Sie es erneut.');
-  }
-}
+    // STEP 2: Tell backend to start transcription (creates DB entry)
+    if (onProgress) {
+      onProgress({ phase: 'submit', percent: 90, message: 'Starte Transkription...' });
+    }
 
-/**
- * Generate documentation using V1.2 Hybrid (1 API call, 60% cost savings)
- * Now includes 5 shortened versions (parallel generation)
- * @param {number} transcriptionId - Transcription ID
- * @param {string} token - Auth token
- * @param {boolean} runVerifier - Optional: Force verifier check
- * @returns {Promise<{documentation: string, transcript: string|null, meta: object|null, shortenings: object|null}>}
- */
-async function getDocumentationV1_2(transcriptionId, token, runVerifier = false) {
-  try {
-    const response = await axios.post(
-      `${API_BASE_URL}api/transcriptions/${transcriptionId}/generate-doc-v1.2`,
-      { runVerifier },
+    const startResponse = await axios.post(
+      `${getApiBaseUrl()}api/transcriptions/start`,
+      { upload_url, fileName },
       {
         headers: {
           'Authorization': `Bearer ${token}`,
+          'Cookie': `session=${token}`,
           'Content-Type': 'application/json'
         },
-        timeout: 180000 // 3 minutes (now includes 5 shortenings)
+        timeout: 30000,
+        signal
       }
     );
 
-    if (!response.data.documentation) {
-      throw new Error('NO_DOCUMENTATION');
-    }
-
-    return {
-      documentation: response.data.documentation,
-      transcript: response.data.transcript || null,
-      meta: response.data.meta || null,
-      shortenings: response.data.shortenings || null
-    };
-  } catch (error) {
-    console.error('Documentation V1.2 error:', error.response?.data || error.message);
-
-    const serverError = error.response?.data?.error;
-
-    if (serverError === 'No transcript text available' || error.message === 'NO_DOCUMENTATION') {
-      throw new Error('Keine Sprache erkannt. Bitte sprechen Sie deutlich ins Mikrofon und versuchen Sie es erneut.');
+    if (onProgress) {
+      onProgress({
+        phase: 'submitted',
+        percent: 100,
+        message: 'Übermittelt',
+        audioSeconds: Math.round(Math.max(0, wavBytes - WAV_HEADER_BYTES) / WAV_BYTES_PER_SECOND),
+        uploadStats
+      });
     }
 
-    if (serverError?.includes('processing') || serverError?.includes('pending')) {
-      throw new Error('Die Transkription wird noch verarbeitet. Bitte warten Sie einen Moment.');
-    }
+    // Cleanup temp files
+    removeUploadTempFile(optimizedFilePath);
+    removeUploadTempFile(encodedFilePath);
 
-    if (serverError?.includes('minutes') || serverError?.includes('Minuten')) {
-      throw new Error('Nicht genügend Minuten übrig. Bitte laden Sie Ihr Guthaben auf.');
-    }
+    return startResponse.data.id;
 
-    if (serverError) {
-      throw new Error(`Fehler: ${serverError}`);
-    }
+  } catch (error) {
+    // Cleanup temp files on error too
+    removeUploadTempFile(optimizedFilePath, ' (Fehler)');
+    removeUploadTempFile(encodedFilePath, ' (Fehler)');
 
-    if (error.code === 'ECONNABORTED' || error.message.includes('timeout')) {
-      throw new Error('Die Verarbeitung dauert zu lange. Bitte versuchen Sie es erneut.');
+    if (isCanceledError(error)) {
+      throw new ApiError(CODES.CANCELED);
     }
 
-    if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
-      throw new Error('Server nicht erreichbar. Bitte prüfen Sie Ihre Internetverbindung.');
+    const apiError = fromRequestError(error, 'Audio-Upload fehlgeschlagen. Bitte versuchen Sie es erneut.', {
+      [CODES.NETWORK]: error.code === 'ECONNRESET' || error.code === 'EPIPE'
+        ? 'Verbindung während des Uploads abgebrochen. Bitte prüfen Sie Ihre Internetverbindung und versuchen Sie es erneut.'
+        : null
+    });
+    if (apiError.code === CODES.BAD_REQUEST && error.response) {
+      throw new ApiError(CODES.BAD_REQUEST, `Upload fehlgeschlagen: ${apiError.message}`, { status: apiError.status });
     }
-
-    throw new Error('Dokumentation konnte nicht erstellt werden. Bitte versuchen Sie es erneut.');
+    throw apiError;
   }
 }
 
 /**
- * Generate documentation using Megaprompt Pipeline (7-Step, parallel extraction)
+ * Generate documentation for a transcription. Endpoint, body and response
+ * format come from the documentation mode (see src/doc-modes).
  * @param {number} transcriptionId - Transcription ID
  * @param {string} token - Auth token
- * @returns {Promise<{documentation: string, transcript: string|null, meta: object|null}>}
+ * @param {Object} mode - Mode definition { id, endpoint, timeout, normalize }
+ * @param {Object} payload - Request body built by the mode (e.g. { bausteine })
+ * @param {Object} options - { signal: AbortSignal to cancel, context: patient/room/treatment }
+ * @returns {Promise<{documentation: string, transcript: string|null, shortenings: object|null, meta: object|null}>}
  */
-async function getDocumentationMegaprompt(transcriptionId, token) {
+async function generateDocumentation(transcriptionId, token, mode, payload = {}, options = {}) {
   try {
     const response = await axios.post(
-      `${API_BASE_URL}api/transcriptions/${transcriptionId}/generate-doc-megaprompt`,
-      {},
+      `${getApiBaseUrl()}api/transcriptions/${transcriptionId}/${mode.endpoint}`,
+      withContext(payload, options),
       {
         headers: {
           'Authorization': `Bearer ${token}`,
           'Content-Type': 'application/json'
         },
-        timeout: 180000 // 3 minutes (more steps, but parallel)
+        timeout: mode.timeout || 0,
+        signal: options.signal
       }
     );
 
-    if (!response.data.documentation) {
-      throw new Error('NO_DOCUMENTATION');
+    const result = mode.normalize(response.data);
+    if (!result.documentation) {
+      throw new ApiError(CODES.NO_SPEECH, 'Keine Sprache erkannt. Bitte sprechen Sie deutlich ins Mikrofon und versuchen Sie es erneut.');
     }
 
-    return {
-      documentation: response.data.documentation,
-      transcript: response.data.transcript || null,
-      meta: response.data.meta || null
-    };
+    return result;
   } catch (error) {
-    console.error('Documentation Megaprompt error:', error.response?.data || error.message);
-
-    const serverError = error.response?.data?.error;
-
-    if (serverError === 'No transcript text available' || error.message === 'NO_DOCUMENTATION') {
-      throw new Error('Keine Sprache erkannt. Bitte sprechen Sie deutlich ins Mikrofon und versuchen Sie es erneut.');
-    }
-
-    if (serverError?.includes('processing') || serverError?.includes('pending')) {
-      throw new Error('Die Transkription wird noch verarbeitet. Bitte warten Sie einen Moment.');
-    }
-
-    if (serverError?.includes('minutes') || serverError?.includes('Minuten')) {
-      throw new Error('Nicht genügend Minuten übrig. Bitte laden Sie Ihr Guthaben auf.');
+    if (isCanceledError(error)) {
+      throw new ApiError(CODES.CANCELED);
     }
 
-    if (serverError) {
-      throw new Error(`Fehler: ${serverError}`);
-    }
+    console.error(`Documentation error (${mode.id}):`, error.response?.data || error.message);
 
-    if (error.code === 'ECONNABORTED' || error.message.includes('timeout')) {
-      throw new Error('Die Verarbeitung dauert zu lange. Bitte versuchen Sie es erneut.');
+    // Backend answers 400 with these texts while the transcript is missing or not ready
+    const serverError = error.response?.data?.error;
+    if (serverError === 'No transcript text available') {
+      throw new ApiError(CODES.NO_SPEECH, 'Keine Sprache erkannt. Bitte sprechen Sie deutlich ins Mikrofon und versuchen Sie es erneut.', { status: error.response.status });
     }
-
-    if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
-      throw new Error('Server nicht erreichbar. Bitte prüfen Sie Ihre Internetverbindung.');
+    if (serverError?.includes('processing') || serverError?.includes('pending')) {
+      throw new ApiError(CODES.TRANSCRIPTION_PENDING, 'Die Transkription wird noch verarbeitet. Bitte warten Sie einen Moment.', { status: error.response.status });
     }
 
-    throw new Error('Dokumentation konnte nicht erstellt werden. Bitte versuchen Sie es erneut.');
+    throw fromRequestError(error, 'Dokumentation konnte nicht erstellt werden. Bitte versuchen Sie es erneut.', {
+      [CODES.TIMEOUT]: 'Die Verarbeitung dauert zu lange. Bitte versuchen Sie es erneut.'
+    });
   }
 }
 
-async function updateSpeakerMapping(transcriptionId, speakerMapping, token) {
+async function updateSpeakerMapping(transcriptionId, speakerMapping, token, options = {}) {
   try {
-    const url = `${API_BASE_URL}api/transcriptions/${transcriptionId}/update-speakers`;
+    const url = `${getApiBaseUrl()}api/transcriptions/${transcriptionId}/update-speakers`;
 
     const response = await axios.post(
       url,
@@ -685,21 +779,26 @@ async function updateSpeakerMapping(transcriptionId, speakerMapping, token) {
           'Authorization': `Bearer ${token}`,
           'Cookie': `session=${token}`,
           'Content-Type': 'application/json'
-        }
+        },
+        signal: options.signal
       }
     );
 
     return response.data;
   } catch (error) {
+    if (isCanceledError(error)) {
+      throw new ApiError(CODES.CANCELED);
+    }
+
     console.error('Update speakers error:', error.response?.data || error.message);
-    throw new Error('Speaker-Zuordnung konnte nicht aktualisiert werden');
+    throw fromRequestError(error, 'Speaker-Zuordnung konnte nicht aktualisiert werden');
   }
 }
 
 async function getTranscription(transcriptionId, token) {
   try {
     const response = await axios.get(
-      `${API_BASE_URL}api/transcriptions/${transcriptionId}`,
+      `${getApiBaseUrl()}api/transcriptions/${transcriptionId}`,
       {
         headers: {
           'Authorization': `Bearer ${token}`,
@@ -711,7 +810,7 @@ async function getTranscription(transcriptionId, token) {
     return response.data;
   } catch (error) {
     console.error('Get transcription error:', error.response?.data || error.message);
-    throw new Error('Transkription konnte nicht abgerufen werden');
+    throw fromRequestError(error, 'Transkription konnte nicht abgerufen werden');
   }
 }
 
@@ -719,35 +818,110 @@ async function getTranscription(transcriptionId, token) {
  * Poll transcription status from AssemblyAI (real-time status)
  * @param {number} transcriptionId - Transcription ID
  * @param {string} token - Auth token
+ * @param {Object} options - { signal: AbortSignal } to cancel the request
  * @returns {Promise<{id: number, status: string, transcriptText?: string, utterances?: string, error?: string}>}
  */
-async function getTranscriptionStatus(transcriptionId, token) {
+async function getTranscriptionStatus(transcriptionId, token, options = {}) {
   try {
     const response = await axios.get(
-      `${API_BASE_URL}api/transcriptions/${transcriptionId}/status`,
+      `${getApiBaseUrl()}api/transcriptions/${transcriptionId}/status`,
       {
         headers: {
           'Authorization': `Bearer ${token}`,
           'Cookie': `session=${token}`
-        }
+        },
+        signal: options.signal
       }
     );
 
     return response.data;
   } catch (error) {
+    if (isCanceledError(error)) {
+      throw new ApiError(CODES.CANCELED);
+    }
+
     console.error('Get transcription status error:', error.response?.data || error.message);
-    throw new Error('Status konnte nicht abgerufen werden');
+    throw fromRequestError(error, 'Status konnte nicht abgerufen werden');
   }
 }
 
+/**
+ * Listen for status events of a transcription (Server-Sent Events). Only a
+ * wake-up signal for the polling - the status itself is still fetched via
+ * getTranscriptionStatus.
+ * @param {number} transcriptionId - Transcription ID
+ * @param {string} token - Auth token
+ * @param {Object} options - { signal: AbortSignal, onEvent: (data) => void }
+ * @returns {Promise<boolean>} false if the backend has no event stream, true when the stream ended
+ */
+async function subscribeTranscriptionEvents(transcriptionId, token, options = {}) {
+  const { signal = null, onEvent } = options;
+  let response;
+  try {
+    response = await axios.get(
+      `${getApiBaseUrl()}api/transcriptions/${transcriptionId}/events`,
+      {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Cookie': `session=${token}`,
+          'Accept': 'text/event-stream'
+        },
+        responseType: 'stream',
+        signal
+      }
+    );
+  } catch (error) {
+    if (isCanceledError(error)) {
+      throw new ApiError(CODES.CANCELED);
+    }
+    if (error.response && [404, 405, 501].includes(error.response.status)) {
+      return false;
+    }
+    throw fromRequestError(error, 'Status-Ereignisse nicht verfügbar');
+  }
+
+  if (!String(response.headers['content-type'] || '').includes('text/event-stream')) {
+    response.data.destroy();
+    return false;
+  }
+
+  return new Promise((resolve, reject) => {
+    let buffer = '';
+    response.data.setEncoding('utf8');
+    response.data.on('data', (chunk) => {
+      buffer += chunk;
+      // Events are separated by an empty line
+      const events = buffer.split(/\r?\n\r?\n/);
+      buffer = events.pop();
+      for (const event of events) {
+        const data = event.split(/\r?\n/)
+          .filter(line => line.startsWith('data:'))
+          .map(line => line.slice(5).trim())
+          .join('\n');
+        if (!data) continue;
+        try {
+          onEvent(JSON.parse(data));
+        } catch (e) {
+          onEvent({ message: data });
+        }
+      }
+    });
+    response.data.on('end', () => resolve(true));
+    response.data.on('close', () => resolve(true));
+    response.data.on('error', (error) => {
+      reject(isCanceledError(error) || (signal && signal.aborted) ? new ApiError(CODES.CANCELED) : fromRequestError(error, 'Status-Ereignisse abgebrochen'));
+    });
+  });
+}
+
 function getBaseUrl() {
-  return API_BASE_URL;
+  return getApiBaseUrl();
 }
 
 async function submitFeedback(token, category, message) {
   try {
     const response = await axios.post(
-      `${API_BASE_URL}api/feedback`,
+      `${getApiBaseUrl()}api/feedback`,
       { category, message },
       {
         headers: {
@@ -761,7 +935,8 @@ async function submitFeedback(token, category, message) {
     return { success: true, data: response.data };
   } catch (error) {
     console.error('Submit feedback error:', error.response?.data || error.message);
-    return { success: false, error: error.response?.data?.error || 'Feedback konnte nicht gesendet werden' };
+    const apiError = fromRequestError(error, 'Feedback konnte nicht gesendet werden');
+    return { success: false, error: apiError.message, code: apiError.code };
   }
 }
 
@@ -777,7 +952,7 @@ async function submitFeedback(token, category, message) {
 async function getPraxisEinstellungen(token) {
   try {
     const response = await axios.get(
-      `${API_BASE_URL}api/praxis/einstellungen`,
+      `${getApiBaseUrl()}api/praxis/einstellungen`,
       {
         headers: {
           'Authorization': `Bearer ${token}`
@@ -787,7 +962,7 @@ async function getPraxisEinstellungen(token) {
     return response.data;
   } catch (error) {
     console.error('Get Praxis-Einstellungen error:', error.response?.data || error.message);
-    throw new Error('Einstellungen konnten nicht geladen werden');
+    throw fromRequestError(error, 'Einstellungen konnten nicht geladen werden');
   }
 }
 
@@ -800,7 +975,7 @@ async function getPraxisEinstellungen(token) {
 async function updatePraxisEinstellungen(token, updates) {
   try {
     const response = await axios.patch(
-      `${API_BASE_URL}api/praxis/einstellungen`,
+      `${getApiBaseUrl()}api/praxis/einstellungen`,
       updates,
       {
         headers: {
@@ -812,7 +987,7 @@ async function updatePraxisEinstellungen(token, updates) {
     return response.data;
   } catch (error) {
     console.error('Update Praxis-Einstellungen error:', error.response?.data || error.message);
-    throw new Error(error.response?.data?.error || 'Einstellungen konnten nicht gespeichert werden');
+    throw fromRequestError(error, 'Einstellungen konnten nicht gespeichert werden');
   }
 }
 
@@ -868,7 +1043,7 @@ async function removeThemenAnpassung(token, thema) {
 async function resetPraxisEinstellungen(token) {
   try {
     const response = await axios.delete(
-      `${API_BASE_URL}api/praxis/einstellungen`,
+      `${getApiBaseUrl()}api/praxis/einstellungen`,
       {
         headers: {
           'Authorization': `Bearer ${token}`
@@ -878,7 +1053,7 @@ async function resetPraxisEinstellungen(token) {
     return response.data;
   } catch (error) {
     console.error('Reset Praxis-Einstellungen error:', error.response?.data || error.message);
-    throw new Error('Einstellungen konnten nicht zurückgesetzt werden');
+    throw fromRequestError(error, 'Einstellungen konnten nicht zurückgesetzt werden');
   }
 }
 
@@ -894,7 +1069,7 @@ async function resetPraxisEinstellungen(token) {
 async function iphonePairStart(token) {
   try {
     const response = await axios.post(
-      `${API_BASE_URL}api/iphone/pair/start`,
+      `${getApiBaseUrl()}api/iphone/pair/start`,
       {},
       {
         headers: { 'Authorization': `Bearer ${token}` }
@@ -907,7 +1082,7 @@ async function iphonePairStart(token) {
     };
   } catch (error) {
     console.error('iPhone pair start error:', error.response?.data || error.message);
-    throw new Error(error.response?.data?.error || 'Pairing konnte nicht gestartet werden');
+    throw fromRequestError(error, 'Pairing konnte nicht gestartet werden');
   }
 }
 
@@ -920,7 +1095,7 @@ async function iphonePairStart(token) {
 async function iphonePairStatus(pairingId, token) {
   try {
     const response = await axios.get(
-      `${API_BASE_URL}api/iphone/pair/status?pairingId=${pairingId}`,
+      `${getApiBaseUrl()}api/iphone/pair/status?pairingId=${pairingId}`,
       {
         headers: { 'Authorization': `Bearer ${token}` }
       }
@@ -955,7 +1130,7 @@ async function iphonePairStatus(pairingId, token) {
 async function iphoneStatus(token) {
   try {
     const response = await axios.get(
-      `${API_BASE_URL}api/iphone/status`,
+      `${getApiBaseUrl()}api/iphone/status`,
       {
         headers: { 'Authorization': `Bearer ${token}` }
       }
@@ -980,7 +1155,7 @@ async function iphoneStatus(token) {
 async function iphoneUnpair(token) {
   try {
     await axios.delete(
-      `${API_BASE_URL}api/iphone/unpair`,
+      `${getApiBaseUrl()}api/iphone/unpair`,
       {
         headers: { 'Authorization': `Bearer ${token}` }
       }
@@ -989,7 +1164,7 @@ async function iphoneUnpair(token) {
     return { success: true };
   } catch (error) {
     console.error('iPhone unpair error:', error.response?.data || error.message);
-    throw new Error(error.response?.data?.error || 'Entkoppeln fehlgeschlagen');
+    throw fromRequestError(error, 'Entkoppeln fehlgeschlagen');
   }
 }
 
@@ -998,19 +1173,19 @@ module.exports = {
   logout,
   heartbeat,
   getUser,
+  checkConnection,
   uploadAudio,
-  getDocumentation,
-  getDocumentationV1_1,
-  getDocumentationV1_2,
-  getDocumentationV2,
-  getDocumentationMegaprompt,
+  DEFAULT_UPLOAD_FORMAT,
+  generateDocumentation,
   updateSpeakerMapping,
   getTranscription,
   getTranscriptionStatus,
+  subscribeTranscriptionEvents,
   getBaseUrl,
   submitFeedback,
   getDeviceId,
   getDeviceInfo,
+  isCanceledError,
   // Praxis-Einstellungen (V1.2)
   getPraxisEinstellungen,
   updatePraxisEinstellungen,
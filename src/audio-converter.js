@@ -31,6 +31,19 @@ function initFFmpegPath() {
   }
 }
 
+/**
+ * Kill a running fluent-ffmpeg command when the signal aborts
+ * (processing cancelled by the user)
+ * @param {Object} command - fluent-ffmpeg command
+ * @param {AbortSignal} signal - Optional abort signal
+ * @returns {Object} The command (for chaining)
+ */
+function killOnAbort(command, signal) {
+  if (!signal) return command;
+  signal.addEventListener('abort', () => command.kill('SIGKILL'), { once: true });
+  return command;
+}
+
 /**
  * Convert WebM audio to WAV 16kHz mono
  * KEINE Filter hier - nur Format-Konvertierung!
@@ -38,9 +51,11 @@ function initFFmpegPath() {
  *
  * @param {string} inputPath - Path to input WebM file
  * @param {string} outputPath - Path to output WAV file (optional)
+ * @param {Object} options - Options
+ * @param {AbortSignal} options.signal - Kills FFmpeg when aborted
  * @returns {Promise<string>} Path to converted WAV file
  */
-function convertToWav16k(inputPath, outputPath = null) {
+function convertToWav16k(inputPath, outputPath = null, options = {}) {
   // Initialize ffmpeg path on first use
   initFFmpegPath();
 
@@ -51,7 +66,7 @@ function convertToWav16k(inputPath, outputPath = null) {
       outputPath = path.join(parsedPath.dir, `${parsedPath.name}_16k.wav`);
     }
 
-    ffmpeg(inputPath)
+    const command = ffmpeg(inputPath)
       .audioFrequency(16000)  // 16kHz sample rate
       .audioChannels(1)        // Mono
       .audioCodec('pcm_s16le') // 16-bit PCM
@@ -62,8 +77,9 @@ function convertToWav16k(inputPath, outputPath = null) {
       })
       .on('error', (err) => {
         reject(new Error(`Audio conversion failed: ${err.message}`));
-      })
-      .save(outputPath);
+      });
+
+    killOnAbort(command, options.signal).save(outputPath);
   });
 }
 
@@ -72,9 +88,11 @@ function convertToWav16k(inputPath, outputPath = null) {
  * Uses AssemblyAI's recommended filters (more aggressive than speaker recognition)
  * @param {string} inputPath - Path to input audio file
  * @param {string} outputPath - Path to output WAV file (optional)
+ * @param {Object} options - Options
+ * @param {AbortSignal} options.signal - Kills FFmpeg when aborted
  * @returns {Promise<string>} Path to converted WAV file
  */
-function convertForAssemblyAI(inputPath, outputPath = null) {
+function convertForAssemblyAI(inputPath, outputPath = null, options = {}) {
   // Initialize ffmpeg path on first use
   initFFmpegPath();
 
@@ -85,7 +103,7 @@ function convertForAssemblyAI(inputPath, outputPath = null) {
       outputPath = path.join(parsedPath.dir, `${parsedPath.name}_assemblyai.wav`);
     }
 
-    ffmpeg(inputPath)
+    const command = ffmpeg(inputPath)
       .audioFrequency(16000)  // 16kHz sample rate (AssemblyAI recommendation)
       .audioChannels(1)        // Mono (AssemblyAI recommendation)
       .audioCodec('pcm_s16le') // 16-bit PCM
@@ -99,8 +117,52 @@ function convertForAssemblyAI(inputPath, outputPath = null) {
       })
       .on('error', (err) => {
         reject(new Error(`AssemblyAI audio conversion failed: ${err.message}`));
+      });
+
+    killOnAbort(command, options.signal).save(outputPath);
+  });
+}
+
+// Compressed upload copies (see apiClient.uploadAudio). Bitexact: identical
+// bytes on every attempt - resuming an upload compares the file hash
+const UPLOAD_CODECS = {
+  flac: { extension: 'flac', format: 'flac', codec: 'flac', options: ['-compression_level', '8'] },
+  opus: { extension: 'ogg', format: 'ogg', codec: 'libopus', options: ['-b:a', '24k', '-application', 'voip'] }
+};
+
+/**
+ * Encode the upload WAV as FLAC (lossless) or Opus (smallest)
+ * @param {string} wavPath - 16 kHz mono WAV from convertForAssemblyAI
+ * @param {string} format - 'flac' | 'opus'
+ * @param {Object} options - Options
+ * @param {AbortSignal} options.signal - Kills FFmpeg when aborted
+ * @returns {Promise<string>} Path to the encoded file (next to the WAV)
+ */
+function encodeForUpload(wavPath, format, options = {}) {
+  // Initialize ffmpeg path on first use
+  initFFmpegPath();
+
+  const codec = UPLOAD_CODECS[format];
+  if (!codec) {
+    return Promise.reject(new Error(`Unbekanntes Upload-Format: ${format}`));
+  }
+
+  const parsedPath = path.parse(wavPath);
+  const outputPath = path.join(parsedPath.dir, `${parsedPath.name}.${codec.extension}`);
+
+  return new Promise((resolve, reject) => {
+    const command = ffmpeg(wavPath)
+      .audioCodec(codec.codec)
+      .outputOptions([...codec.options, '-fflags', '+bitexact', '-flags:a', '+bitexact', '-map_metadata', '-1'])
+      .format(codec.format)
+      .on('end', () => {
+        resolve(outputPath);
       })
-      .save(outputPath);
+      .on('error', (err) => {
+        reject(new Error(`Upload encoding (${format}) failed: ${err.message}`));
+      });
+
+    killOnAbort(command, options.signal).save(outputPath);
   });
 }
 
@@ -128,9 +190,11 @@ async function convertAndReplace(webmPath) {
  * Analyze audio file for RMS and Peak levels
  * Used to determine how much gain/normalization is needed
  * @param {string} filePath - Path to audio file
+ * @param {Object} options - Options
+ * @param {AbortSignal} options.signal - Kills FFmpeg when aborted
  * @returns {Promise<{rms: number|null, peak: number|null}>} Levels in dBFS
  */
-function analyzeAudio(filePath) {
+function analyzeAudio(filePath, options = {}) {
   // Initialize ffmpeg path on first use
   try {
     initFFmpegPath();
@@ -151,7 +215,7 @@ function analyzeAudio(filePath) {
         '-af', 'astats=metadata=1:reset=1',
         '-f', 'null',
         '-'
-      ]);
+      ], { signal: options.signal });
 
       let stderr = '';
       ffmpegProc.stderr.on('data', (data) => {
@@ -199,6 +263,7 @@ function analyzeAudio(filePath) {
  * @param {string} outputPath - Path to output audio file (optional)
  * @param {Object} options - Options
  * @param {string} options.source - 'iphone' | 'mic' (default: 'mic')
+ * @param {AbortSignal} options.signal - Kills FFmpeg when aborted
  * @returns {Promise<{outputPath: string, rms: number|null, strategy: string, source: string}>}
  */
 async function autoLevel(inputPath, outputPath = null, options = {}) {
@@ -214,7 +279,10 @@ async function autoLevel(inputPath, outputPath = null, options = {}) {
   }
 
   // Analyze audio first
-  const { rms } = await analyzeAudio(inputPath);
+  const { rms } = await analyzeAudio(inputPath, { signal: options.signal });
+  if (options.signal && options.signal.aborted) {
+    throw new Error('Auto-level cancelled');
+  }
   console.log('');
   console.log('///// AUTO-LEVEL /////');
   console.log(`[AutoLevel] Source: ${source}`);
@@ -251,7 +319,7 @@ async function autoLevel(inputPath, outputPath = null, options = {}) {
 
       // For 'none' strategy, just copy without processing
       return new Promise((resolve, reject) => {
-        ffmpeg(inputPath)
+        const command = ffmpeg(inputPath)
           .audioFrequency(16000)
           .audioChannels(1)
           .audioCodec('pcm_s16le')
@@ -263,14 +331,15 @@ async function autoLevel(inputPath, outputPath = null, options = {}) {
           .on('error', (err) => {
             console.error(`[AutoLevel] Error: ${err.message}`);
             reject(new Error(`Auto-level failed: ${err.message}`));
-          })
-          .save(outputPath);
+          });
+
+        killOnAbort(command, options.signal).save(outputPath);
       });
     }
   }
 
   return new Promise((resolve, reject) => {
-    ffmpeg(inputPath)
+    const command = ffmpeg(inputPath)
       .audioFilters(filter)
       .audioFrequency(16000)
       .audioChannels(1)
@@ -283,15 +352,49 @@ async function autoLevel(inputPath, outputPath = null, options = {}) {
       .on('error', (err) => {
         console.error(`[AutoLevel] Error: ${err.message}`);
         reject(new Error(`Auto-level failed: ${err.message}`));
+      });
+
+    killOnAbort(command, options.signal).save(outputPath);
+  });
+}
+
+/**
+ * Apply an FFmpeg filter chain, output WAV 16kHz mono (denoise stage)
+ * @param {string} inputPath - Path to input audio file
+ * @param {string} outputPath - Path to output WAV file
+ * @param {Array<string>} filters - FFmpeg audio filters
+ * @param {Object} options - Options
+ * @param {AbortSignal} options.signal - Kills FFmpeg when aborted
+ * @returns {Promise<string>} outputPath
+ */
+function applyFilters(inputPath, outputPath, filters, options = {}) {
+  // Initialize ffmpeg path on first use
+  initFFmpegPath();
+
+  return new Promise((resolve, reject) => {
+    const command = ffmpeg(inputPath)
+      .audioFilters(filters)
+      .audioFrequency(16000)
+      .audioChannels(1)
+      .audioCodec('pcm_s16le')
+      .format('wav')
+      .on('end', () => {
+        resolve(outputPath);
       })
-      .save(outputPath);
+      .on('error', (err) => {
+        reject(new Error(`Audio filter failed: ${err.message}`));
+      });
+
+    killOnAbort(command, options.signal).save(outputPath);
   });
 }
 
 module.exports = {
   convertToWav16k,
   convertForAssemblyAI,
+  encodeForUpload,
   convertAndReplace,
   analyzeAudio,
-  autoLevel
+  autoLevel,
+  applyFilters
 };
@@ -1,23 +1,34 @@
 /**
  * FFmpeg-based Audio Recorder
  *
- * Uses Windows DirectShow via FFmpeg for robust audio recording.
+ * Uses the system audio API via FFmpeg for robust audio recording:
+ * WASAPI/DirectShow on Windows, PulseAudio (incl. PipeWire)/ALSA on Linux,
+ * AVFoundation on macOS (see src/capture-backends).
  * This bypasses Chromium's WebRTC which can have issues with USB hubs.
  *
  * Advantages:
- * - Same device handling as Windows itself
+ * - Same device handling as the operating system itself
  * - No USB hub compatibility issues
  * - Direct WAV output (no conversion needed)
- * - Windows device names instead of browser device IDs
+ * - System device names instead of browser device IDs
  *
  * IMPORTANT: Uses a state machine to ensure only ONE recording at a time.
  * States: idle -> starting -> recording -> stopping -> idle
+ *
+ * Pause/resume: recording -> pausing -> paused -> resuming -> recording
+ * FFmpeg is stopped while paused (nothing is captured). Each resume records
+ * a new part file; on stop the parts are joined into the output file, so
+ * the caller gets one continuous recording without the paused time.
  */
 
 const { spawn } = require('child_process');
 const path = require('path');
 const fs = require('fs');
 const { app, ipcMain } = require('electron');
+const captureBackends = require('./capture-backends');
+
+// Distribution builds of FFmpeg include PulseAudio/ALSA, static builds often do not
+const LINUX_SYSTEM_FFMPEG = ['/usr/bin/ffmpeg', '/usr/local/bin/ffmpeg'];
 
 // Get ffmpeg path - prefer full build with WASAPI support, fallback to ffmpeg-static
 // Initialized lazily to avoid app.isPackaged being undefined during module load
@@ -32,12 +43,19 @@ function getFFmpegPath() {
     ? path.join(process.resourcesPath, 'bin', 'ffmpeg.exe')
     : bundledFFmpegPath;
 
+  const systemFFmpegPath = process.platform === 'linux'
+    ? LINUX_SYSTEM_FFMPEG.find(candidate => fs.existsSync(candidate))
+    : null;
+
   if (fs.existsSync(bundledFFmpegPathPacked)) {
     ffmpegPath = bundledFFmpegPathPacked;
     console.log('Using bundled FFmpeg with WASAPI support:', ffmpegPath);
   } else if (fs.existsSync(bundledFFmpegPath)) {
     ffmpegPath = bundledFFmpegPath;
     console.log('Using bundled FFmpeg with WASAPI support:', ffmpegPath);
+  } else if (systemFFmpegPath) {
+    ffmpegPath = systemFFmpegPath;
+    console.log('Using system FFmpeg (PulseAudio/ALSA):', ffmpegPath);
   } else {
     // Fallback to ffmpeg-static (no WASAPI support)
     try {
@@ -61,13 +79,19 @@ function getFFmpegPath() {
 // ============================================================================
 // STATE MACHINE - ensures only ONE recording at a time
 // ============================================================================
-// States: 'idle' | 'starting' | 'recording' | 'stopping'
+// States: 'idle' | 'starting' | 'recording' | 'pausing' | 'paused' | 'resuming' | 'stopping'
 let recordingState = 'idle';
 let ffmpegProcess = null;
 let currentFilePath = null;
 
+// Pause/resume session
+let sessionOutputPath = null;   // Path returned by startRecording() - final file
+let sessionParts = [];          // Finished part files (only filled after the first pause)
+let sessionDevice = null;       // { id, name, backend, channels } - reused when resuming
+let pendingTransition = null;   // Promise of a running pause/resume
+
 // Store the current audio backend for the session
-let currentAudioBackend = 'dshow';  // Default to DirectShow
+let currentAudioBackend = captureBackends.getBackends()[0] || null;
 
 /**
  * Get current recording state (for debugging/UI)
@@ -78,104 +102,50 @@ function getState() {
 }
 
 /**
- * List all Windows audio input devices using both WASAPI and DirectShow
- * WASAPI is preferred as it supports wireless headsets and modern USB devices
+ * Channel setup of the current/last session (null = mono)
+ * Two-channel files are always left = doctor, right = room.
+ * @returns {Object|null} { mode, roomId, roomName, doctorChannel }
+ */
+function getSessionChannels() {
+  return sessionDevice ? sessionDevice.channels : null;
+}
+
+/**
+ * List all audio input devices of this platform
+ * Backends are tried in order of preference (Windows: WASAPI first, as it
+ * supports wireless headsets and modern USB devices; Linux: PulseAudio/PipeWire
+ * first, then ALSA; macOS: AVFoundation) - the first one with devices wins.
  * @returns {Promise<Array<{id: string, name: string, backend: string}>>} Array of devices
  */
 async function listAudioDevices() {
-  // Try WASAPI first (supports wireless headsets, modern USB devices)
-  const wasapiDevices = await listDevicesWithBackend('wasapi');
-
-  // If WASAPI found devices, use those
-  if (wasapiDevices.length > 0) {
-    return wasapiDevices;
+  for (const backend of captureBackends.getBackends()) {
+    const devices = await listDevicesWithBackend(backend);
+    if (devices.length > 0) {
+      return devices;
+    }
   }
-
-  // Fallback to DirectShow
-  return listDevicesWithBackend('dshow');
+  return [];
 }
 
 /**
- * List devices using a specific backend (wasapi or dshow)
+ * List devices using a specific backend (see capture-backends)
  */
 function listDevicesWithBackend(backend) {
   return new Promise((resolve, reject) => {
-    const ffmpeg = spawn(getFFmpegPath(), [
-      '-list_devices', 'true',
-      '-f', backend,
-      '-i', 'dummy'
-    ]);
+    const ffmpeg = spawn(getFFmpegPath(), captureBackends.getListArgs(backend));
 
+    // Windows/macOS list on stderr, PulseAudio/ALSA sources on stdout
     let output = '';
-
+    ffmpeg.stdout.on('data', (data) => {
+      output += data.toString();
+    });
     ffmpeg.stderr.on('data', (data) => {
       output += data.toString();
     });
 
     ffmpeg.on('close', () => {
-      // Parse FFmpeg device list output (don't log raw output - too verbose)
-      const audioDevices = [];
-      const lines = output.split(/\r?\n/);  // Handle both \n and \r\n
-
-      // FFmpeg Windows output format:
-      // [dshow @ 0000...] "Device Name" (video)
-      // [dshow @ 0000...] "Device Name" (audio)
-      // OR
-      // [dshow @ 0000...] DirectShow video devices:
-      // [dshow @ 0000...]  "Camera Name"
-      // [dshow @ 0000...] DirectShow audio devices:
-      // [dshow @ 0000...]  "Microphone Name"
-
-      let inAudioSection = false;
-      let inVideoSection = false;
-
-      for (const line of lines) {
-        const lowerLine = line.toLowerCase();
-
-        // Check for section headers
-        if (lowerLine.includes('video devices') || lowerLine.includes('video device')) {
-          inVideoSection = true;
-          inAudioSection = false;
-          continue;
-        }
-        if (lowerLine.includes('audio devices') || lowerLine.includes('audio device')) {
-          inAudioSection = true;
-          inVideoSection = false;
-          continue;
-        }
-
-        // Extract device name - look for quoted strings
-        const match = line.match(/"([^"]+)"/);
-        if (match) {
-          const deviceName = match[1];
-
-          // Skip "Alternative name" entries and @device entries
-          if (line.includes('Alternative name') || deviceName.startsWith('@device')) {
-            continue;
-          }
-
-          // Method 1: Line ends with (audio) or (video)
-          if (lowerLine.includes('(audio)')) {
-            audioDevices.push({ id: deviceName, name: deviceName, backend });
-            continue;
-          }
-          if (lowerLine.includes('(video)')) {
-            continue;  // Skip video devices
-          }
-
-          // Method 2: We're in the audio section
-          if (inAudioSection && !inVideoSection) {
-            audioDevices.push({ id: deviceName, name: deviceName, backend });
-          }
-        }
-      }
-
-      // Remove duplicates
-      const uniqueDevices = audioDevices.filter((device, index, self) =>
-        index === self.findIndex(d => d.name === device.name)
-      );
-
-      resolve(uniqueDevices);
+      // Don't log raw output - too verbose
+      resolve(captureBackends.parseDeviceList(backend, output));
     });
 
     ffmpeg.on('error', (err) => {
@@ -214,17 +184,211 @@ function cleanupOldRecordings(tempDir) {
   }
 }
 
+// Audio filters: highpass removes rumble (chair, footsteps), alimiter prevents clipping
+const CAPTURE_FILTERS = 'highpass=f=90,alimiter=limit=0.97';
+
+/**
+ * FFmpeg input and filter arguments for a session device
+ *
+ * Two-channel recordings always end up as left = doctor, right = room:
+ * - 'two-devices': two inputs (e.g. lapel mic + room mic), each mixed down to
+ *   mono, resampled against clock drift and merged into one stereo file
+ * - 'stereo': one stereo interface, channels swapped if the doctor is on the right
+ *
+ * @param {Object} device - { id, name, backend, channels: null | {mode, roomId, roomName, doctorChannel} }
+ * @returns {Array<string>}
+ */
+function buildCaptureArgs(device) {
+  const channels = device.channels;
+
+  if (channels && channels.mode === 'two-devices') {
+    const prepare = `aresample=16000:async=1,aformat=channel_layouts=mono,${CAPTURE_FILTERS}`;
+    return [
+      ...captureBackends.getInputArgs(device.backend, device.id),
+      ...captureBackends.getInputArgs(device.backend, channels.roomId),
+      '-filter_complex', `[0:a]${prepare}[doctor];[1:a]${prepare}[room];[doctor][room]amerge=inputs=2[out]`,
+      '-map', '[out]',
+      '-ar', '16000',
+      '-ac', '2'
+    ];
+  }
+
+  if (channels && channels.mode === 'stereo') {
+    const swap = channels.doctorChannel === 'right' ? 'pan=stereo|c0=c1|c1=c0,' : '';
+    return [
+      ...captureBackends.getInputArgs(device.backend, device.id),
+      '-ar', '16000',
+      '-ac', '2',
+      '-af', `${swap}${CAPTURE_FILTERS}`
+    ];
+  }
+
+  return [
+    ...captureBackends.getInputArgs(device.backend, device.id),
+    '-ar', '16000',
+    '-ac', '1',
+    '-af', CAPTURE_FILTERS
+  ];
+}
+
 /**
- * Start audio recording using FFmpeg with WASAPI (preferred) or DirectShow fallback
+ * Spawn FFmpeg for the session device and wait until audio is flowing
+ * Used for the initial start and for every resume after a pause.
+ *
+ * @param {string} outputPath - WAV file to record into
+ * @returns {Promise<string>} outputPath once recording has started
+ */
+function launchFFmpeg(outputPath) {
+  return new Promise((resolve, reject) => {
+    // Build FFmpeg arguments as array (avoids cmd.exe quote escaping issues)
+    const ffmpegArgs = [
+      ...buildCaptureArgs(sessionDevice),
+      '-acodec', 'pcm_s16le',
+      '-y',
+      outputPath
+    ];
+
+    // Spawn FFmpeg directly (not via cmd.exe to avoid quote issues)
+    ffmpegProcess = spawn(getFFmpegPath(), ffmpegArgs);
+
+    let started = false;
+    let startTimeout = null;
+
+    // ======================================================================
+    // EVENT: FFmpeg successfully spawned
+    // ======================================================================
+    ffmpegProcess.once('spawn', () => {
+      // FFmpeg spawned - waiting for first audio data
+    });
+
+    // ======================================================================
+    // EVENT: FFmpeg stderr output (progress info)
+    // ======================================================================
+    ffmpegProcess.stderr.on('data', (data) => {
+      const output = data.toString();
+
+      // FFmpeg outputs progress info to stderr
+      if (output.includes('size=') || output.includes('time=')) {
+        if (!started) {
+          started = true;
+          if (startTimeout) clearTimeout(startTimeout);
+
+          // Transition to 'recording' state
+          recordingState = 'recording';
+          console.log('[Recorder] Recording started:', outputPath);
+
+          resolve(outputPath);
+        }
+      }
+
+      // Only log errors - not normal progress output
+      if (output.includes('Error') || output.includes('Could not')) {
+        console.error('[Recorder] FFmpeg error:', output.trim());
+      }
+    });
+
+    // ======================================================================
+    // EVENT: FFmpeg process error
+    // ======================================================================
+    ffmpegProcess.on('error', (err) => {
+      console.error('[Recorder] FFmpeg error:', err);
+      if (startTimeout) clearTimeout(startTimeout);
+      ffmpegProcess = null;
+      recordingState = 'idle';
+
+      if (!started) {
+        reject(new Error(`Aufnahme konnte nicht gestartet werden: ${err.message}`));
+      }
+    });
+
+    // ======================================================================
+    // EVENT: FFmpeg process closed
+    // ======================================================================
+    ffmpegProcess.once('close', () => {
+      if (startTimeout) clearTimeout(startTimeout);
+      ffmpegProcess = null;
+
+      // Only transition to idle if we're not already idle
+      // (and not while pausing - the session continues without a process)
+      if (recordingState !== 'idle' && recordingState !== 'pausing' && recordingState !== 'paused') {
+        recordingState = 'idle';
+      }
+    });
+
+    // ======================================================================
+    // TIMEOUT: Fallback if FFmpeg doesn't report progress
+    // ======================================================================
+    startTimeout = setTimeout(() => {
+      // Also abort if stopRecording() was called during startup
+      if (recordingState === 'stopping' || recordingState === 'idle') {
+        // Timeout aborted - state changed
+        return;
+      }
+      if (!started && ffmpegProcess && (recordingState === 'starting' || recordingState === 'resuming')) {
+        started = true;
+        recordingState = 'recording';
+        // Audio level monitoring handled by Dashboard
+        resolve(outputPath);
+      }
+    }, 2000);
+  });
+}
+
+/**
+ * Check the two-channel settings against the available devices
+ * Falls back to a normal mono recording if the room mic is missing - a
+ * recording without channel separation is better than no recording.
+ *
+ * @param {Object|null} channels - options.channels of startRecording()
+ * @param {Array} devices - From listAudioDevices()
+ * @param {string} doctorDevice - Resolved (doctor) microphone id
+ * @param {string} backend - Backend of the doctor microphone
+ * @returns {Object|null} { mode, roomId, roomName, doctorChannel } or null for mono
+ */
+function resolveChannels(channels, devices, doctorDevice, backend) {
+  if (!channels || !channels.mode) return null;
+
+  if (channels.mode === 'stereo') {
+    const doctorChannel = channels.doctorChannel === 'right' ? 'right' : 'left';
+    console.log(`[Recorder] Stereo-Aufnahme: Arzt ${doctorChannel === 'left' ? 'links' : 'rechts'}`);
+    return { mode: 'stereo', doctorChannel };
+  }
+
+  if (channels.mode === 'two-devices') {
+    const room = devices.find(d =>
+      (d.name === channels.roomDevice || d.id === channels.roomDevice) && d.backend === backend
+    );
+    if (!room) {
+      console.warn(`[Recorder] Raum-Mikrofon nicht gefunden (${channels.roomDevice}) - Aufnahme nur mit einem Kanal`);
+      return null;
+    }
+    if (room.id === doctorDevice) {
+      console.warn('[Recorder] Arzt- und Raum-Mikrofon sind dasselbe Gerät - Aufnahme nur mit einem Kanal');
+      return null;
+    }
+    console.log(`[Recorder] Raum-Mikrofon: ${room.name}`);
+    return { mode: 'two-devices', roomId: room.id, roomName: room.name };
+  }
+
+  return null;
+}
+
+/**
+ * Start audio recording using FFmpeg with the first capture backend that finds devices
  *
  * IMPORTANT: This function will REJECT if a recording is already in progress.
  * The caller must call stopRecording() first and wait for it to complete.
  *
  * @param {boolean} deleteAudio - Whether to delete old recordings first
- * @param {string} deviceName - Windows audio device name (optional)
+ * @param {string} deviceName - Device id or name from listAudioDevices() (optional; doctor mic in two-channel mode)
+ * @param {string} customOutputPath - Optional output path
+ * @param {Object} options - Options
+ * @param {Object} options.channels - Two-channel recording (left = doctor, right = room):
+ *   { mode: 'two-devices', device, roomDevice } or { mode: 'stereo', device, doctorChannel: 'left'|'right' }
+ *   device (doctor mic / stereo interface) replaces deviceName if set
  * @returns {Promise<string>} Path to the output WAV file
  */
-function startRecording(deleteAudio = false, deviceName = null, customOutputPath = null) {
+function startRecording(deleteAudio = false, deviceName = null, customOutputPath = null, options = {}) {
   return new Promise(async (resolve, reject) => {
     // ========================================================================
     // STATE GUARD - Only start if idle
@@ -277,8 +441,14 @@ function startRecording(deleteAudio = false, deviceName = null, customOutputPath
       }
 
       let audioDevice;
+      let audioDeviceId;
       let backend;
 
+      // Two-channel mode names its own (doctor/stereo) device
+      if (options.channels && options.channels.device) {
+        deviceName = options.channels.device;
+      }
+
       // Try to find matching device if deviceName was provided
       const matchedDevice = deviceName
         ? devices.find(d => d.name === deviceName || d.id === deviceName)
@@ -286,113 +456,27 @@ function startRecording(deleteAudio = false, deviceName = null, customOutputPath
 
       if (matchedDevice) {
         audioDevice = matchedDevice.name;
+        audioDeviceId = matchedDevice.id;
         backend = matchedDevice.backend;
       } else {
         // Use first available device (default)
         audioDevice = devices[0].name;
+        audioDeviceId = devices[0].id;
         backend = devices[0].backend;
       }
 
       // Log which microphone is being used
       console.log(`[Recorder] Mikrofon: ${audioDevice}`);
 
-      currentAudioBackend = backend;
-
-      // Build FFmpeg arguments as array (avoids cmd.exe quote escaping issues)
-      // Audio filters: highpass removes rumble (chair, footsteps), alimiter prevents clipping
-      const ffmpegArgs = [
-        '-f', backend,
-        '-i', `audio=${audioDevice}`,
-        '-ar', '16000',
-        '-ac', '1',
-        '-af', 'highpass=f=90,alimiter=limit=0.97',
-        '-acodec', 'pcm_s16le',
-        '-y',
-        currentFilePath
-      ];
-
-      // Spawn FFmpeg directly (not via cmd.exe to avoid quote issues)
-      ffmpegProcess = spawn(getFFmpegPath(), ffmpegArgs);
-
-      let started = false;
-      let startTimeout = null;
-
-      // ======================================================================
-      // EVENT: FFmpeg successfully spawned
-      // ======================================================================
-      ffmpegProcess.once('spawn', () => {
-        // FFmpeg spawned - waiting for first audio data
-      });
-
-      // ======================================================================
-      // EVENT: FFmpeg stderr output (progress info)
-      // ======================================================================
-      ffmpegProcess.stderr.on('data', (data) => {
-        const output = data.toString();
-
-        // FFmpeg outputs progress info to stderr
-        if (output.includes('size=') || output.includes('time=')) {
-          if (!started) {
-            started = true;
-            if (startTimeout) clearTimeout(startTimeout);
+      const channels = resolveChannels(options.channels, devices, audioDeviceId, backend);
 
-            // Transition to 'recording' state
-            recordingState = 'recording';
-            console.log('[Recorder] Recording started:', currentFilePath);
-
-            resolve(currentFilePath);
-          }
-        }
-
-        // Only log errors - not normal progress output
-        if (output.includes('Error') || output.includes('Could not')) {
-          console.error('[Recorder] FFmpeg error:', output.trim());
-        }
-      });
-
-      // ======================================================================
-      // EVENT: FFmpeg process error
-      // ======================================================================
-      ffmpegProcess.on('error', (err) => {
-        console.error('[Recorder] FFmpeg error:', err);
-        if (startTimeout) clearTimeout(startTimeout);
-        ffmpegProcess = null;
-        recordingState = 'idle';
-
-        if (!started) {
-          reject(new Error(`Aufnahme konnte nicht gestartet werden: ${err.message}`));
-        }
-      });
-
-      // ======================================================================
-      // EVENT: FFmpeg process closed
-      // ======================================================================
-      ffmpegProcess.once('close', () => {
-        if (startTimeout) clearTimeout(startTimeout);
-        ffmpegProcess = null;
+      currentAudioBackend = backend;
 
-        // Only transition to idle if we're not already idle
-        if (recordingState !== 'idle') {
-          recordingState = 'idle';
-        }
-      });
+      sessionOutputPath = currentFilePath;
+      sessionParts = [];
+      sessionDevice = { id: audioDeviceId, name: audioDevice, backend, channels };
 
-      // ======================================================================
-      // TIMEOUT: Fallback if FFmpeg doesn't report progress
-      // ======================================================================
-      startTimeout = setTimeout(() => {
-        // Also abort if stopRecording() was called during startup
-        if (recordingState === 'stopping' || recordingState === 'idle') {
-          // Timeout aborted - state changed
-          return;
-        }
-        if (!started && ffmpegProcess && recordingState === 'starting') {
-          started = true;
-          recordingState = 'recording';
-          // Audio level monitoring handled by Dashboard
-          resolve(currentFilePath);
-        }
-      }, 2000);
+      launchFFmpeg(currentFilePath).then(resolve, reject);
 
     } catch (error) {
       console.error('Start recording error:', error);
@@ -404,38 +488,17 @@ function startRecording(deleteAudio = false, deviceName = null, customOutputPath
 }
 
 /**
- * Stop the current recording
- *
- * IMPORTANT: This is the ONLY place where FFmpeg should be stopped.
+ * Gracefully end an FFmpeg process and verify its output file
  * Uses graceful shutdown: 'q' -> SIGTERM -> SIGKILL
  *
- * @returns {Promise<string>} Path to the recorded WAV file
+ * State transitions are left to the caller (stop vs. pause).
+ *
+ * @param {ChildProcess} process - Running FFmpeg process
+ * @param {string} filePath - File the process is writing to
+ * @returns {Promise<string>} filePath once the file is complete
  */
-function stopRecording() {
+function terminateFFmpeg(process, filePath) {
   return new Promise((resolve, reject) => {
-    // ========================================================================
-    // STATE GUARD - Only stop if recording
-    // ========================================================================
-    if (recordingState !== 'recording') {
-      console.warn('stopRecording IGNORED - state is:', recordingState);
-
-      // Special case: If there's a file from a previous recording, return it
-      if (currentFilePath && fs.existsSync(currentFilePath)) {
-        console.log('Returning existing file:', currentFilePath);
-        resolve(currentFilePath);
-        return;
-      }
-
-      reject(new Error(`Keine aktive Aufnahme (Status: ${recordingState})`));
-      return;
-    }
-
-    // Transition to 'stopping' state
-    recordingState = 'stopping';
-    // Stopping recording...
-
-    const filePath = currentFilePath;
-    const process = ffmpegProcess;
     let timeoutId = null;
     let secondTimeoutId = null;
     let resolved = false;
@@ -449,7 +512,6 @@ function stopRecording() {
       if (resolved) return;
       resolved = true;
       cleanup();
-      // Note: state transition to 'idle' happens in 'close' event
       resolve(result);
     };
 
@@ -457,8 +519,6 @@ function stopRecording() {
       if (resolved) return;
       resolved = true;
       cleanup();
-      recordingState = 'idle';
-      // Stop failed
       reject(error);
     };
 
@@ -494,7 +554,7 @@ function stopRecording() {
             }
 
             // Force resolve with file if it exists
-            recordingState = 'idle';
+            ffmpegProcess = null;
 
             if (fs.existsSync(filePath) && fs.statSync(filePath).size > 0) {
               resolveOnce(filePath);
@@ -511,7 +571,6 @@ function stopRecording() {
     // ========================================================================
     process.once('close', () => {
       ffmpegProcess = null;
-      recordingState = 'idle';
 
       // Verify the file exists and has content
       if (fs.existsSync(filePath)) {
@@ -531,6 +590,212 @@ function stopRecording() {
   });
 }
 
+/**
+ * Stop the current recording
+ *
+ * IMPORTANT: This is the ONLY place where FFmpeg should be stopped
+ * (apart from pauseRecording(), which keeps the session alive).
+ * If the recording was paused, the parts are joined into one file.
+ *
+ * @returns {Promise<string>} Path to the recorded WAV file
+ */
+async function stopRecording() {
+  // A pause/resume is still switching FFmpeg - wait for it to settle
+  if (pendingTransition) {
+    await pendingTransition.catch(() => {});
+  }
+
+  // ========================================================================
+  // PAUSED - no FFmpeg running, just join the parts
+  // ========================================================================
+  if (recordingState === 'paused') {
+    recordingState = 'stopping';
+    try {
+      return await joinParts();
+    } finally {
+      recordingState = 'idle';
+    }
+  }
+
+  // ========================================================================
+  // STATE GUARD - Only stop if recording
+  // ========================================================================
+  if (recordingState !== 'recording') {
+    console.warn('stopRecording IGNORED - state is:', recordingState);
+
+    // Special case: If there's a file from a previous recording, return it
+    if (currentFilePath && fs.existsSync(currentFilePath)) {
+      console.log('Returning existing file:', currentFilePath);
+      return currentFilePath;
+    }
+
+    throw new Error(`Keine aktive Aufnahme (Status: ${recordingState})`);
+  }
+
+  // Transition to 'stopping' state
+  recordingState = 'stopping';
+
+  let filePath;
+  try {
+    filePath = await terminateFFmpeg(ffmpegProcess, currentFilePath);
+  } catch (error) {
+    if (sessionParts.length === 0) {
+      recordingState = 'idle';
+      throw error;
+    }
+    // Last part is empty (stopped right after resuming) - keep the earlier parts
+    console.warn('[Recorder] Last part discarded:', error.message);
+  }
+
+  try {
+    if (sessionParts.length === 0) {
+      return filePath;
+    }
+    if (filePath) {
+      sessionParts.push(filePath);
+    }
+    return await joinParts();
+  } finally {
+    recordingState = 'idle';
+  }
+}
+
+/**
+ * Path of a part file for the current session
+ * @param {number} index - 1-based part number
+ * @returns {string}
+ */
+function getPartPath(index) {
+  return sessionOutputPath.replace(/\.wav$/i, '') + `.part${index}.wav`;
+}
+
+/**
+ * Pause the current recording
+ * FFmpeg is stopped, so nothing is recorded until resumeRecording().
+ * @returns {Promise<void>}
+ */
+async function pauseRecording() {
+  if (recordingState !== 'recording') {
+    throw new Error(`Pause nicht möglich - Status: ${recordingState}`);
+  }
+
+  recordingState = 'pausing';
+
+  pendingTransition = (async () => {
+    try {
+      const filePath = await terminateFFmpeg(ffmpegProcess, currentFilePath);
+      if (filePath === sessionOutputPath) {
+        // First pause: the recording so far becomes part 1
+        const partPath = getPartPath(1);
+        fs.renameSync(filePath, partPath);
+        sessionParts.push(partPath);
+      } else {
+        sessionParts.push(filePath);
+      }
+    } catch (error) {
+      // Empty part (paused right after resuming) - nothing to keep
+      console.warn('[Recorder] Part discarded on pause:', error.message);
+    }
+    recordingState = 'paused';
+    console.log(`[Recorder] Recording paused (${sessionParts.length} part(s))`);
+  })();
+
+  try {
+    await pendingTransition;
+  } finally {
+    pendingTransition = null;
+  }
+}
+
+/**
+ * Resume a paused recording into a new part file
+ * @returns {Promise<void>}
+ */
+async function resumeRecording() {
+  if (recordingState !== 'paused') {
+    throw new Error(`Fortsetzen nicht möglich - Status: ${recordingState}`);
+  }
+
+  recordingState = 'resuming';
+  currentFilePath = getPartPath(sessionParts.length + 1);
+
+  pendingTransition = launchFFmpeg(currentFilePath).catch((error) => {
+    // Keep the session: the recorded parts can still be stopped and processed
+    recordingState = 'paused';
+    throw error;
+  });
+
+  try {
+    await pendingTransition;
+    console.log('[Recorder] Recording resumed:', path.basename(currentFilePath));
+  } finally {
+    pendingTransition = null;
+  }
+}
+
+/**
+ * Join the part files of a paused session into the output file
+ * @returns {Promise<string>} Path to the joined WAV file
+ */
+async function joinParts() {
+  const outputPath = sessionOutputPath;
+  const parts = sessionParts.filter(p => fs.existsSync(p) && fs.statSync(p).size > 0);
+  sessionParts = [];
+
+  if (parts.length === 0) {
+    throw new Error('Aufnahme ist leer - bitte Mikrofon überprüfen');
+  }
+
+  if (parts.length === 1) {
+    fs.renameSync(parts[0], outputPath);
+  } else {
+    // All parts share the same format (16kHz PCM, same channels) - concat without re-encoding
+    const listPath = outputPath.replace(/\.wav$/i, '') + '.parts.txt';
+    const listContent = parts.map(p => `file '${p.replace(/\\/g, '/').replace(/'/g, "'\\''")}'`).join('\n');
+    fs.writeFileSync(listPath, listContent, 'utf8');
+
+    try {
+      await new Promise((resolve, reject) => {
+        const proc = spawn(getFFmpegPath(), [
+          '-f', 'concat',
+          '-safe', '0',
+          '-i', listPath,
+          '-c', 'copy',
+          '-y',
+          outputPath
+        ]);
+
+        let stderr = '';
+        proc.stderr.on('data', (data) => {
+          stderr += data.toString();
+        });
+        proc.on('error', reject);
+        proc.on('close', (code) => {
+          if (code === 0) {
+            resolve();
+          } else {
+            reject(new Error(`Aufnahme-Teile konnten nicht zusammengefügt werden (FFmpeg ${code}): ${stderr.slice(-300)}`));
+          }
+        });
+      });
+    } finally {
+      try { fs.unlinkSync(listPath); } catch (e) {}
+    }
+
+    for (const part of parts) {
+      try { fs.unlinkSync(part); } catch (e) {}
+    }
+  }
+
+  // Unless a new recording already started in the meantime
+  if (!ffmpegProcess) {
+    currentFilePath = outputPath;
+  }
+  const sizeMB = (fs.statSync(outputPath).size / (1024 * 1024)).toFixed(2);
+  console.log(`[Recorder] ${parts.length} part(s) joined: ${sizeMB} MB`);
+  return outputPath;
+}
+
 /**
  * Force stop any running recording (emergency use only!)
  *
@@ -594,12 +859,24 @@ function isRecording() {
   return recordingState === 'recording';
 }
 
+/**
+ * Check if the current recording is paused
+ * @returns {boolean}
+ */
+function isPaused() {
+  return recordingState === 'paused' || recordingState === 'pausing';
+}
+
 module.exports = {
   listAudioDevices,
   startRecording,
   stopRecording,
+  pauseRecording,
+  resumeRecording,
   forceStop,
   isRecording,
+  isPaused,
   getState,
+  getSessionChannels,
   getFFmpegPath
 };
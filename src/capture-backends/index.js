@@ -0,0 +1,251 @@
+/**
+ * Aufnahme-Backends des FFmpeg-Recorders je Betriebssystem
+ *
+ * - Windows: WASAPI (bevorzugt), DirectShow
+ * - Linux:   PulseAudio (auch PipeWire über pipewire-pulse), ALSA
+ * - macOS:   AVFoundation
+ *
+ * Pro Backend: wie FFmpeg die Geräte auflistet, wie die Ausgabe gelesen wird
+ * und wie ein Gerät als Eingang geöffnet wird. Die Parser sind reine
+ * Funktionen auf dem FFmpeg-Text (stdout + stderr), damit sie ohne Gerät
+ * gegen mitgeschnittene Ausgaben geprüft werden können.
+ *
+ * Geräte: { id, name, backend } - id öffnet FFmpeg, name wird angezeigt.
+ * Bei DirectShow/WASAPI/AVFoundation sind beide gleich, bei PulseAudio/ALSA
+ * ist id der Quellname (z.B. alsa_input.usb-...) und name die Beschreibung.
+ */
+
+// Tried in this order - the first backend that finds devices wins
+const BACKENDS_BY_PLATFORM = {
+  win32: ['wasapi', 'dshow'],
+  linux: ['pulse', 'alsa'],
+  darwin: ['avfoundation']
+};
+
+// ALSA pseudo devices that never capture anything useful
+const ALSA_SKIP = ['null'];
+
+/**
+ * Capture backends for a platform
+ * @param {string} platform - process.platform
+ * @returns {Array<string>} Backends in order of preference (empty if unsupported)
+ */
+function getBackends(platform = process.platform) {
+  return BACKENDS_BY_PLATFORM[platform] || [];
+}
+
+/**
+ * FFmpeg arguments that list the devices of a backend
+ * @param {string} backend - 'wasapi' | 'dshow' | 'pulse' | 'alsa' | 'avfoundation'
+ * @returns {Array<string>}
+ */
+function getListArgs(backend) {
+  if (backend === 'pulse' || backend === 'alsa') {
+    // avdevice source list, printed to stdout
+    return ['-hide_banner', '-sources', backend];
+  }
+  if (backend === 'avfoundation') {
+    return ['-hide_banner', '-f', 'avfoundation', '-list_devices', 'true', '-i', ''];
+  }
+  return ['-list_devices', 'true', '-f', backend, '-i', 'dummy'];
+}
+
+/**
+ * FFmpeg input arguments for a device
+ * @param {string} backend - Capture backend
+ * @param {string} deviceId - Device id from the device list
+ * @returns {Array<string>}
+ */
+function getInputArgs(backend, deviceId) {
+  if (backend === 'pulse' || backend === 'alsa') {
+    return ['-f', backend, '-i', deviceId];
+  }
+  if (backend === 'avfoundation') {
+    // "video:audio" - no video, audio device by name
+    return ['-f', 'avfoundation', '-i', `:${deviceId}`];
+  }
+  return ['-f', backend, '-i', `audio=${deviceId}`];
+}
+
+/**
+ * Parse DirectShow/WASAPI device list (stderr of -list_devices)
+ *
+ * FFmpeg Windows output format:
+ * [dshow @ 0000...] "Device Name" (video)
+ * [dshow @ 0000...] "Device Name" (audio)
+ * OR
+ * [dshow @ 0000...] DirectShow video devices:
+ * [dshow @ 0000...]  "Camera Name"
+ * [dshow @ 0000...] DirectShow audio devices:
+ * [dshow @ 0000...]  "Microphone Name"
+ *
+ * @param {string} output - FFmpeg output
+ * @param {string} backend - 'wasapi' | 'dshow'
+ * @returns {Array<{id: string, name: string, backend: string}>}
+ */
+function parseDshowDevices(output, backend) {
+  const audioDevices = [];
+  let inAudioSection = false;
+  let inVideoSection = false;
+
+  for (const line of output.split(/\r?\n/)) {
+    const lowerLine = line.toLowerCase();
+
+    // Check for section headers
+    if (lowerLine.includes('video devices') || lowerLine.includes('video device')) {
+      inVideoSection = true;
+      inAudioSection = false;
+      continue;
+    }
+    if (lowerLine.includes('audio devices') || lowerLine.includes('audio device')) {
+      inAudioSection = true;
+      inVideoSection = false;
+      continue;
+    }
+
+    // Extract device name - look for quoted strings
+    const match = line.match(/"([^"]+)"/);
+    if (!match) continue;
+    const deviceName = match[1];
+
+    // Skip "Alternative name" entries and @device entries
+    if (line.includes('Alternative name') || deviceName.startsWith('@device')) {
+      continue;
+    }
+
+    // Method 1: Line ends with (audio) or (video)
+    if (lowerLine.includes('(audio)')) {
+      audioDevices.push({ id: deviceName, name: deviceName, backend });
+      continue;
+    }
+    if (lowerLine.includes('(video)')) {
+      continue;  // Skip video devices
+    }
+
+    // Method 2: We're in the audio section
+    if (inAudioSection && !inVideoSection) {
+      audioDevices.push({ id: deviceName, name: deviceName, backend });
+    }
+  }
+
+  return audioDevices;
+}
+
+/**
+ * Parse the source list of PulseAudio/ALSA (stdout of -sources)
+ *
+ * Auto-detected sources for pulse:
+ * * alsa_input.usb-Jabra_Link_380-00.mono-fallback [Jabra Link 380 Mono]
+ *   alsa_output.pci-0000_00_1f.3.analog-stereo.monitor [Monitor of Built-in Audio Analog Stereo]
+ *
+ * "*" marks the default source, it is listed first. Monitor sources (what
+ * the speakers play) are skipped. ALSA descriptions may span several lines.
+ *
+ * @param {string} output - FFmpeg output
+ * @param {string} backend - 'pulse' | 'alsa'
+ * @returns {Array<{id: string, name: string, backend: string}>}
+ */
+function parseSourceList(output, backend) {
+  const entries = [];
+  let inList = false;
+
+  for (const line of output.split(/\r?\n/)) {
+    if (/^Auto-detected sources for /i.test(line)) {
+      inList = true;
+      continue;
+    }
+    if (!inList || !line.trim()) continue;
+
+    const last = entries[entries.length - 1];
+    const match = line.match(/^([* ]) ?(\S+) \[(.*)$/);
+    if (last && !last.description.trim().endsWith(']')) {
+      // Continuation of a multi-line description (until the closing bracket)
+      last.description += ` ${line.trim()}`;
+    } else if (match) {
+      entries.push({ isDefault: match[1] === '*', id: match[2], description: match[3] });
+    } else {
+      // Anything else (warnings, errors) ends the list
+      inList = false;
+    }
+  }
+
+  return entries
+    .filter(entry => !entry.id.endsWith('.monitor'))
+    .filter(entry => backend !== 'alsa' || !ALSA_SKIP.includes(entry.id))
+    .sort((a, b) => Number(b.isDefault) - Number(a.isDefault))
+    .map(entry => ({
+      id: entry.id,
+      name: entry.description.replace(/\]\s*$/, '').trim() || entry.id,
+      backend
+    }));
+}
+
+/**
+ * Parse AVFoundation device list (stderr of -list_devices)
+ *
+ * [AVFoundation indev @ 0x7f9e] AVFoundation video devices:
+ * [AVFoundation indev @ 0x7f9e] [0] FaceTime HD Camera
+ * [AVFoundation indev @ 0x7f9e] AVFoundation audio devices:
+ * [AVFoundation indev @ 0x7f9e] [0] MacBook Pro Microphone
+ *
+ * @param {string} output - FFmpeg output
+ * @returns {Array<{id: string, name: string, backend: string}>}
+ */
+function parseAvfoundationDevices(output) {
+  const audioDevices = [];
+  let inAudioSection = false;
+
+  for (const line of output.split(/\r?\n/)) {
+    if (/AVFoundation video devices:/i.test(line)) {
+      inAudioSection = false;
+      continue;
+    }
+    if (/AVFoundation audio devices:/i.test(line)) {
+      inAudioSection = true;
+      continue;
+    }
+    if (!inAudioSection) continue;
+
+    const match = line.match(/^\[[^\]]*\]\s+\[(\d+)\]\s+(.+?)\s*$/);
+    if (match) {
+      audioDevices.push({ id: match[2], name: match[2], backend: 'avfoundation' });
+    } else if (!/^\[AVFoundation/i.test(line)) {
+      // e.g. "Error opening input" after the list
+      inAudioSection = false;
+    }
+  }
+
+  return audioDevices;
+}
+
+/**
+ * Parse the device list output of a backend
+ * @param {string} backend - Capture backend
+ * @param {string} output - FFmpeg stdout + stderr of getListArgs(backend)
+ * @returns {Array<{id: string, name: string, backend: string}>} Without duplicates
+ */
+function parseDeviceList(backend, output) {
+  let devices;
+  if (backend === 'pulse' || backend === 'alsa') {
+    devices = parseSourceList(output, backend);
+  } else if (backend === 'avfoundation') {
+    devices = parseAvfoundationDevices(output);
+  } else {
+    devices = parseDshowDevices(output, backend);
+  }
+
+  // Remove duplicates
+  return devices.filter((device, index, self) =>
+    index === self.findIndex(d => d.id === device.id)
+  );
+}
+
+module.exports = {
+  getBackends,
+  getListArgs,
+  getInputArgs,
+  parseDshowDevices,
+  parseSourceList,
+  parseAvfoundationDevices,
+  parseDeviceList
+};
@@ -0,0 +1,142 @@
+/**
+ * Verbindungsstatus (Backend-API und Upload-Proxy)
+ *
+ * Prüft regelmäßig, ob API und Upload-Proxy erreichbar sind - ergänzt den
+ * Geräte-Heartbeat (alle 5 Minuten, hält nur die Sitzung am Leben) um eine
+ * schnelle Erkennung von Verbindungsabbrüchen.
+ *
+ * - Online: beide erreichbar
+ * - Offline: Netzwerk weg oder API nicht erreichbar
+ * - Eingeschränkt: API erreichbar, Upload-Proxy nicht (keine Uploads möglich)
+ *
+ * Erst nach zwei fehlgeschlagenen Prüfungen in Folge gilt die Verbindung als
+ * verloren (ein einzelner Timeout soll nicht jede Aufnahme zurückstellen).
+ * Aufnehmen und die lokalen Schritte (Konvertierung, Auto-Level, VAD) gehen
+ * auch offline - der Upload wird bis zur Rückkehr der Verbindung
+ * zurückgestellt (siehe Pipeline, Code OFFLINE).
+ */
+
+const CHECK_INTERVAL_MS = 30 * 1000;
+// Offline: check more often so queued uploads start soon after the connection is back
+const OFFLINE_CHECK_INTERVAL_MS = 10 * 1000;
+// A failed check is confirmed quickly before switching to offline
+const CONFIRM_DELAY_MS = 5 * 1000;
+const FAILURES_BEFORE_OFFLINE = 2;
+
+let checkConnection = null;
+let isNetworkAvailable = () => true;
+let onChange = null;
+let timer = null;
+let checking = null;
+let failures = 0;
+
+let state = {
+  status: 'online', // 'online' | 'limited' | 'offline'
+  api: true,
+  proxy: true,
+  checkedAt: null,
+  offlineSince: null
+};
+
+function schedule(delayMs) {
+  if (timer) clearTimeout(timer);
+  timer = setTimeout(() => {
+    timer = null;
+    checkNow();
+  }, delayMs);
+}
+
+function setState(next) {
+  const previous = state;
+  state = {
+    ...next,
+    offlineSince: next.status === 'online' ? null : (previous.offlineSince || new Date().toISOString())
+  };
+  if (previous.status !== state.status) {
+    console.log(`[Connectivity] ${previous.status} -> ${state.status} (API: ${state.api ? 'ok' : 'nicht erreichbar'}, Upload: ${state.proxy ? 'ok' : 'nicht erreichbar'})`);
+    if (onChange) onChange(state, previous);
+  }
+}
+
+/**
+ * Start checking
+ * @param {Object} options
+ * @param {Function} options.check - () => Promise<{api: boolean, proxy: boolean}>
+ * @param {Function} options.isNetworkAvailable - () => boolean, OS network state (no request needed)
+ * @param {Function} options.onChange - (state, previousState) => void when the status changes
+ */
+function start(options) {
+  checkConnection = options.check;
+  isNetworkAvailable = options.isNetworkAvailable || (() => true);
+  onChange = options.onChange || null;
+  checkNow();
+}
+
+function stop() {
+  if (timer) clearTimeout(timer);
+  timer = null;
+}
+
+/**
+ * Check right away (e.g. after a request failed with a network error)
+ * @returns {Promise<Object>} Current state
+ */
+function checkNow() {
+  if (!checkConnection) return Promise.resolve(getState());
+  if (checking) return checking;
+
+  checking = (async () => {
+    let result;
+    if (!isNetworkAvailable()) {
+      // No network at all - no need to wait for timeouts
+      result = { api: false, proxy: false };
+      failures = FAILURES_BEFORE_OFFLINE;
+    } else {
+      try {
+        result = await checkConnection();
+      } catch (error) {
+        result = { api: false, proxy: false };
+      }
+      failures = result.api && result.proxy ? 0 : failures + 1;
+    }
+
+    const checkedAt = new Date().toISOString();
+    if (failures > 0 && failures < FAILURES_BEFORE_OFFLINE) {
+      // Not confirmed yet - keep the current status
+      state = { ...state, checkedAt };
+      schedule(CONFIRM_DELAY_MS);
+    } else {
+      const status = result.api && result.proxy ? 'online' : (result.api ? 'limited' : 'offline');
+      setState({ status, api: result.api, proxy: result.proxy, checkedAt });
+      schedule(status === 'online' ? CHECK_INTERVAL_MS : OFFLINE_CHECK_INTERVAL_MS);
+    }
+    return getState();
+  })().finally(() => {
+    checking = null;
+  });
+
+  return checking;
+}
+
+/**
+ * @returns {{status: string, api: boolean, proxy: boolean, checkedAt: string|null, offlineSince: string|null}}
+ */
+function getState() {
+  return { ...state };
+}
+
+/**
+ * Can recordings be uploaded right now?
+ * @returns {boolean}
+ */
+function canUpload() {
+  return state.status === 'online';
+}
+
+module.exports = {
+  start,
+  stop,
+  checkNow,
+  getState,
+  canUpload
+};
@@ -0,0 +1,125 @@
+/**
+ * Dokumentations-Modi (Registry)
+ *
+ * Jeder Modus beschreibt an einer Stelle:
+ * - Endpunkt und Timeout (api/transcriptions/:id/<endpoint>)
+ * - Request-Body (z.B. Bausteine für die Agent-Kette)
+ * - Text in der Statusanzeige während der Erstellung
+ * - Normalisierung der Antwort -> { documentation, transcript, shortenings, meta }
+ * - Texte für Einstellungen und Einrichtungsassistent
+ *
+ * Pipeline (Schritt "document"), Einstellungen und Assistent lesen nur von
+ * hier - ein Modus wird hinzugefügt oder entfernt, indem man ihn hier
+ * einträgt bzw. löscht. Gespeicherte Modi, die es nicht mehr gibt, fallen
+ * auf DEFAULT_MODE zurück.
+ */
+
+const DEFAULT_MODE = 'single';
+
+// Response fields every mode delivers
+function normalizeBasic(data) {
+  return {
+    documentation: data.documentation || null,
+    transcript: data.transcript || null,
+    shortenings: null,
+    meta: data.meta || null
+  };
+}
+
+// Order = order in the settings dropdown
+const MODES = [
+  {
+    id: 'single',
+    label: 'Single Prompt (Standard)',
+    description: 'Ein KI-Aufruf für die gesamte Dokumentation.',
+    wizardDescription: 'Die KI erstellt Ihre Dokumentation in einem Schritt. Bewährte Methode, funktioniert sofort ohne weitere Konfiguration.',
+    endpoint: 'generate-doc',
+    timeout: 0,
+    progressMessage: 'KI generiert Zusammenfassung...',
+    buildPayload: () => ({}),
+    normalize: normalizeBasic
+  },
+  {
+    id: 'single-v1.1',
+    label: 'Single Prompt V1.1 (Experimental)',
+    endpoint: 'generate-doc-v1.1',
+    timeout: 0,
+    progressMessage: 'KI generiert Zusammenfassung (V1.1)...',
+    buildPayload: () => ({}),
+    normalize: normalizeBasic
+  },
+  {
+    id: 'hybrid-v1.2',
+    label: 'Hybrid V1.2 (Empfohlen)',
+    wizardTitle: 'Hybrid V1.2',
+    badge: 'Empfohlen',
+    description: 'Optimiert - 60% schneller, erkennt automatisch Themen.',
+    wizardDescription: 'Optimierte KI-Dokumentation: 60% schneller, erkennt automatisch relevante Themen (Füllung, Extraktion, etc.) und strukturiert die Dokumentation entsprechend. Ideal für die meisten Anwendungsfälle.',
+    wizardOrder: 1,
+    endpoint: 'generate-doc-v1.2',
+    timeout: 180000, // 3 minutes (includes 5 shortenings)
+    progressMessage: 'Hybrid-KI verarbeitet...',
+    // 1 API call, 60% cost savings - verifier only on demand
+    buildPayload: () => ({ runVerifier: false }),
+    normalize: (data) => ({ ...normalizeBasic(data), shortenings: data.shortenings || null })
+  },
+  {
+    id: 'megaprompt',
+    label: 'Megaprompt (7-Step Pipeline)',
+    description: '7-Schritt-Pipeline mit 10 parallelen Extraktoren für maximale Genauigkeit.',
+    endpoint: 'generate-doc-megaprompt',
+    timeout: 180000, // 3 minutes (more steps, but parallel)
+    progressMessage: 'Megaprompt-Pipeline verarbeitet (7 Schritte)...',
+    buildPayload: () => ({}),
+    normalize: normalizeBasic
+  },
+  {
+    id: 'agent-chain',
+    label: 'Agent-Kette mit Bausteinen',
+    description: 'Erkennt Behandlungskategorien und fügt automatisch Standard-Aufklärungstexte hinzu.',
+    wizardDescription: 'Erweiterte Kontrolle: Die KI erkennt Behandlungskategorien und fügt automatisch vordefinierte Aufklärungstexte (Bausteine) hinzu. Für erfahrene Nutzer, die standardisierte Textbausteine verwenden möchten.',
+    endpoint: 'generate-doc-v2',
+    timeout: 180000, // 3 minutes for multi-agent processing
+    progressMessage: 'Agent-Kette analysiert Kategorien...',
+    buildPayload: ({ getBausteine }) => ({ bausteine: getBausteine() }),
+    normalize: normalizeBasic
+  }
+];
+
+/**
+ * Mode by ID (unknown/retired IDs fall back to the default mode)
+ * @param {string} id - Stored docMode
+ * @returns {Object} Mode definition
+ */
+function getMode(id) {
+  return MODES.find(mode => mode.id === id) || MODES.find(mode => mode.id === DEFAULT_MODE);
+}
+
+/**
+ * Display data for settings and setup wizard (sent to the renderer via IPC)
+ * @returns {Array<{id, label, badge, description, wizard: {title, description}|null}>}
+ */
+function listModes() {
+  // Modes with a wizard text appear in the wizard, recommended first
+  const wizardModes = MODES
+    .filter(mode => mode.wizardDescription)
+    .sort((a, b) => (a.wizardOrder || 99) - (b.wizardOrder || 99))
+    .map(mode => mode.id);
+
+  return MODES.map(mode => ({
+    id: mode.id,
+    label: mode.label,
+    badge: mode.badge || null,
+    description: mode.description || null,
+    isDefault: mode.id === DEFAULT_MODE,
+    wizard: mode.wizardDescription
+      ? { title: mode.wizardTitle || mode.label, description: mode.wizardDescription, order: wizardModes.indexOf(mode.id) }
+      : null
+  }));
+}
+
+module.exports = {
+  getMode,
+  listModes,
+  DEFAULT_MODE
+};
@@ -0,0 +1,300 @@
+/**
+ * Fehler-Modell für Backend-Aufrufe und Verarbeitung
+ *
+ * apiClient und Pipeline werfen ApiError mit festem Code statt Texten mit
+ * Präfix ("TRIAL_EXPIRED:..."). main.js und die Retry-Warteschlange
+ * entscheiden nur noch anhand des Codes - Formulierungen des Backends
+ * spielen keine Rolle mehr.
+ *
+ * ERROR_TABLE legt pro Code an einer Stelle fest:
+ * - retryable: darf automatisch erneut versucht werden
+ * - network:   Verbindungsproblem (sofort erneut versuchen, wenn wieder online)
+ * - title/message: Anzeige in Overlay und Benachrichtigung
+ *   (message null = Meldung des Fehlers selbst anzeigen)
+ * - action: Folgeaktion in main.js ('open-dashboard', 'relogin')
+ */
+
+const CODES = {
+  CANCELED: 'CANCELED',
+  TRIAL_EXPIRED: 'TRIAL_EXPIRED',
+  SUBSCRIPTION_INACTIVE: 'SUBSCRIPTION_INACTIVE',
+  NO_MINUTES: 'NO_MINUTES',
+  MAX_DEVICES: 'MAX_DEVICES',
+  LOGIN_FAILED: 'LOGIN_FAILED',
+  SESSION_EXPIRED: 'SESSION_EXPIRED',
+  EMPTY_RECORDING: 'EMPTY_RECORDING',
+  NO_SPEECH: 'NO_SPEECH',
+  POOR_AUDIO: 'POOR_AUDIO',
+  UPLOAD_CONFIG: 'UPLOAD_CONFIG',
+  TRANSCRIPTION_PENDING: 'TRANSCRIPTION_PENDING',
+  TRANSCRIPTION_FAILED: 'TRANSCRIPTION_FAILED',
+  NETWORK: 'NETWORK',
+  OFFLINE: 'OFFLINE',
+  TIMEOUT: 'TIMEOUT',
+  SERVER_ERROR: 'SERVER_ERROR',
+  BAD_REQUEST: 'BAD_REQUEST',
+  UNKNOWN: 'UNKNOWN'
+};
+
+const ERROR_TABLE = {
+  CANCELED: {
+    retryable: false,
+    title: 'Abgebrochen',
+    message: 'Verarbeitung abgebrochen'
+  },
+  TRIAL_EXPIRED: {
+    retryable: false,
+    title: 'Testphase beendet',
+    message: 'Ihre kostenlosen Testminuten sind aufgebraucht. Bitte abonnieren Sie, um fortzufahren.',
+    action: 'open-dashboard'
+  },
+  SUBSCRIPTION_INACTIVE: {
+    retryable: false,
+    title: 'Abonnement inaktiv',
+    message: 'Ihr Abonnement ist nicht aktiv. Bitte überprüfen Sie Ihren Zahlungsstatus.',
+    action: 'open-dashboard'
+  },
+  NO_MINUTES: {
+    retryable: false,
+    title: 'Kein Guthaben',
+    message: 'Bitte laden Sie Ihr Minuten-Guthaben im Dashboard auf.'
+  },
+  MAX_DEVICES: {
+    retryable: false,
+    title: 'Zu viele Geräte',
+    message: null
+  },
+  LOGIN_FAILED: {
+    retryable: false,
+    title: 'Login fehlgeschlagen',
+    message: null
+  },
+  SESSION_EXPIRED: {
+    retryable: false,
+    title: 'Sitzung beendet',
+    message: 'Sie wurden von einem anderen Gerät abgemeldet.',
+    action: 'relogin'
+  },
+  EMPTY_RECORDING: {
+    retryable: false,
+    title: 'Aufnahme zu kurz',
+    message: 'Bitte sprechen Sie mindestens 2-3 Sekunden.'
+  },
+  NO_SPEECH: {
+    retryable: false,
+    title: 'Keine Sprache erkannt',
+    message: 'Bitte sprechen Sie deutlich ins Mikrofon und versuchen Sie es erneut.<br><a href="#" class="settings-link" data-action="open-microphone-settings">Mikrofon-Einstellungen überprüfen →</a>'
+  },
+  POOR_AUDIO: {
+    // Manual retry under "Fehlgeschlagen" uploads anyway (see qualityReport.js)
+    retryable: false,
+    title: 'Audio unbrauchbar',
+    message: null
+  },
+  UPLOAD_CONFIG: {
+    retryable: false,
+    title: 'Upload nicht möglich',
+    message: null
+  },
+  TRANSCRIPTION_PENDING: {
+    retryable: true,
+    title: 'Transkription läuft noch',
+    message: null
+  },
+  TRANSCRIPTION_FAILED: {
+    retryable: true,
+    title: 'Transkription fehlgeschlagen',
+    message: null
+  },
+  NETWORK: {
+    retryable: true,
+    network: true,
+    title: 'Verbindungsfehler',
+    message: 'Bitte prüfen Sie Ihre Internetverbindung.'
+  },
+  OFFLINE: {
+    retryable: true,
+    network: true,
+    title: 'Offline',
+    message: 'Die Aufnahme ist vorbereitet und wird automatisch hochgeladen, sobald die Verbindung wieder da ist.'
+  },
+  TIMEOUT: {
+    retryable: true,
+    network: true,
+    title: 'Zeitüberschreitung',
+    message: null
+  },
+  SERVER_ERROR: {
+    retryable: true,
+    title: 'Serverfehler',
+    message: null
+  },
+  BAD_REQUEST: {
+    retryable: false,
+    title: 'Fehler',
+    message: null
+  },
+  UNKNOWN: {
+    retryable: true,
+    title: 'Fehler',
+    message: null
+  }
+};
+
+// Node/axios error codes without a server response
+const NETWORK_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'ECONNRESET', 'EPIPE', 'EAI_AGAIN', 'ENETUNREACH', 'ERR_NETWORK'];
+const TIMEOUT_ERROR_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ERR_TIMEOUT'];
+
+// Error strings sent by the backend in { error }
+const SERVER_ERROR_CODES = {
+  trial_expired: CODES.TRIAL_EXPIRED,
+  subscription_inactive: CODES.SUBSCRIPTION_INACTIVE,
+  max_devices_reached: CODES.MAX_DEVICES,
+  session_expired: CODES.SESSION_EXPIRED
+};
+
+class ApiError extends Error {
+  /**
+   * @param {string} code - One of CODES
+   * @param {string} message - User-facing message (default: text from ERROR_TABLE)
+   * @param {Object} options - { status: HTTP status, retryable: overrides the table }
+   */
+  constructor(code, message, options = {}) {
+    const definition = getDefinition(code);
+    super(message || definition.message || 'Unbekannter Fehler');
+    this.name = 'ApiError';
+    this.code = ERROR_TABLE[code] ? code : CODES.UNKNOWN;
+    this.status = options.status || null;
+    this.retryable = options.retryable !== undefined ? options.retryable : definition.retryable;
+  }
+}
+
+function getDefinition(code) {
+  return ERROR_TABLE[code] || ERROR_TABLE.UNKNOWN;
+}
+
+/**
+ * Code of any error (plain Errors, e.g. from FFmpeg, count as UNKNOWN)
+ * @param {Error} error
+ * @returns {string}
+ */
+function getErrorCode(error) {
+  return error instanceof ApiError ? error.code : CODES.UNKNOWN;
+}
+
+function isCanceled(error) {
+  return getErrorCode(error) === CODES.CANCELED;
+}
+
+/**
+ * May this code be retried automatically?
+ * @param {string} code - Error code (missing = old queue entry, retryable)
+ */
+function isRetryable(code) {
+  return getDefinition(code).retryable;
+}
+
+/**
+ * Is this code a connection problem?
+ * @param {string} code - Error code
+ */
+function isNetworkCode(code) {
+  return !!getDefinition(code).network;
+}
+
+/**
+ * Did the request go to the DentDoc API? (axios keeps the URL in error.config)
+ * @param {Error} error - axios error
+ * @param {string} apiBaseUrl - Base URL of the active environment
+ */
+function isApiRequest(error, apiBaseUrl) {
+  const url = error && error.config && error.config.url;
+  if (!url || !apiBaseUrl) return false;
+  try {
+    const target = new URL(url);
+    const base = new URL(apiBaseUrl);
+    return target.origin === base.origin && target.pathname.startsWith(base.pathname.replace(/\/?$/, '/'));
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Convert an axios/https error into an ApiError
+ * @param {Error} error - Caught error
+ * @param {string} fallbackMessage - Message if neither server nor table provide one
+ * @param {Object} messages - Per-code messages for this request, e.g. { TIMEOUT: 'Upload-Timeout...' }
+ * @param {Object} options - { apiBaseUrl: only a 401 from this API means "session expired"
+ *   (a 401 of e.g. the upload proxy is a configuration problem, not a reason to log out) }
+ * @returns {ApiError}
+ */
+function fromRequestError(error, fallbackMessage, messages = {}, options = {}) {
+  if (error instanceof ApiError) return error;
+
+  const create = (code, message, status) => new ApiError(
+    code,
+    messages[code] || message || getDefinition(code).message || fallbackMessage,
+    { status }
+  );
+  const response = error && error.response;
+
+  if (response) {
+    const status = response.status;
+    const serverError = response.data && typeof response.data.error === 'string' ? response.data.error : null;
+
+    if (serverError && SERVER_ERROR_CODES[serverError]) {
+      // max_devices_reached carries a readable text in { message }, the others use the table text
+      const code = SERVER_ERROR_CODES[serverError];
+      return create(code, code === CODES.MAX_DEVICES ? response.data.message : null, status);
+    }
+    if (status === 401 && isApiRequest(error, options.apiBaseUrl)) {
+      return create(CODES.SESSION_EXPIRED, null, status);
+    }
+    // Older backend versions only send a text for missing minutes
+    if (status === 402 || (serverError && /minutes|minuten/i.test(serverError))) {
+      return create(CODES.NO_MINUTES, 'Nicht genügend Minuten übrig. Bitte laden Sie Ihr Guthaben auf.', status);
+    }
+    if (status >= 500) {
+      return create(CODES.SERVER_ERROR, serverError || fallbackMessage, status);
+    }
+    return create(CODES.BAD_REQUEST, serverError || fallbackMessage, status);
+  }
+
+  const code = error && error.code;
+  if (TIMEOUT_ERROR_CODES.includes(code) || /timeout/i.test((error && error.message) || '')) {
+    return create(CODES.TIMEOUT, 'Zeitüberschreitung. Bitte versuchen Sie es erneut.');
+  }
+  if (NETWORK_ERROR_CODES.includes(code) || /network error|socket hang up/i.test((error && error.message) || '')) {
+    return create(CODES.NETWORK, 'Server nicht erreichbar. Bitte prüfen Sie Ihre Internetverbindung.');
+  }
+  return create(CODES.UNKNOWN, fallbackMessage);
+}
+
+/**
+ * Overlay/notification content for an error (the one place codes become UX)
+ * @param {Error} error - Any error
+ * @returns {{code: string, title: string, message: string, action: string|null, retryable: boolean}}
+ */
+function describe(error) {
+  const code = getErrorCode(error);
+  const definition = getDefinition(code);
+  return {
+    code,
+    title: definition.title,
+    message: definition.message || (error && error.message) || 'Unbekannter Fehler',
+    action: definition.action || null,
+    retryable: error instanceof ApiError ? error.retryable : definition.retryable
+  };
+}
+
+module.exports = {
+  ApiError,
+  CODES,
+  ERROR_TABLE,
+  fromRequestError,
+  describe,
+  getErrorCode,
+  isCanceled,
+  isRetryable,
+  isNetworkCode
+};
@@ -0,0 +1,285 @@
+/**
+ * Überwachter Ordner für Audio-Dateien
+ *
+ * Diktiergeräte-Exporte oder vom PVS abgelegte Aufnahmen landen in einem
+ * Ordner, den DentDoc überwacht. Jede neue Audio-Datei wird erkannt, sobald
+ * sie fertig geschrieben ist (Dateigröße bleibt zwischen zwei Prüfungen
+ * gleich), und an main.js übergeben.
+ *
+ * Pro Datei wird der Status gespeichert (persistent via electron-store):
+ * queued -> processing -> done | failed
+ * Eine Datei wird nur einmal verarbeitet - außer sie wird überschrieben
+ * (geänderte Änderungszeit).
+ */
+
+const Store = require('electron-store');
+const fs = require('fs');
+const path = require('path');
+
+const store = new Store({
+  name: 'folder-watch',
+  defaults: {
+    files: {} // { [filePath]: { name, status, error, mtimeMs, detectedAt, updatedAt } }
+  }
+});
+
+const AUDIO_EXTENSIONS = ['.wav', '.webm', '.mp3', '.m4a', '.ogg', '.flac', '.aac'];
+
+// Full scan interval (fs.watch events trigger an earlier scan)
+const SCAN_INTERVAL_MS = 10 * 1000;
+// Wait after a change event before checking the file (exports are written in chunks)
+const SETTLE_DELAY_MS = 2000;
+
+let watchedFolder = null;
+let watcher = null;
+let scanInterval = null;
+let settleTimeout = null;
+let onFileReady = () => {};
+
+// Size seen at the previous scan - a file is ready when its size did not change
+const lastSeenSizes = new Map();
+
+function getAllFiles() {
+  return store.get('files', {});
+}
+
+function saveFiles(files) {
+  store.set('files', files);
+}
+
+/**
+ * Update the status of a file
+ * @param {string} filePath - Absolute file path
+ * @param {string} status - 'queued' | 'processing' | 'done' | 'failed' | 'skipped'
+ * @param {Object} extra - Additional fields (e.g. { error })
+ */
+function setFileStatus(filePath, status, extra = {}) {
+  const files = getAllFiles();
+  const now = new Date().toISOString();
+  const existing = files[filePath] || { name: path.basename(filePath), detectedAt: now };
+
+  let mtimeMs = existing.mtimeMs || null;
+  try {
+    mtimeMs = fs.statSync(filePath).mtimeMs;
+  } catch (err) {
+    // File may have been removed meanwhile - keep the last known value
+  }
+
+  files[filePath] = {
+    ...existing,
+    error: null,
+    ...extra,
+    status,
+    mtimeMs,
+    updatedAt: now
+  };
+  saveFiles(files);
+}
+
+/**
+ * Was this file picked up from the watched folder?
+ * @param {string} filePath - Absolute file path
+ * @returns {boolean}
+ */
+function isKnownFile(filePath) {
+  return !!getAllFiles()[filePath];
+}
+
+/**
+ * Status of the processed files in the watched folder, newest first
+ * (files that existed before the folder was selected are not listed)
+ * @returns {Array<{path, name, status, error, detectedAt, updatedAt}>}
+ */
+function getFileStatuses() {
+  const files = getAllFiles();
+  return Object.entries(files)
+    .filter(([, entry]) => entry.status !== 'skipped')
+    .filter(([filePath]) => !watchedFolder || path.dirname(filePath) === watchedFolder)
+    .map(([filePath, entry]) => ({ path: filePath, ...entry }))
+    .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+}
+
+/**
+ * Check whether a file still needs processing
+ * (unknown, or overwritten since it was processed)
+ */
+function isNewFile(filePath, stats) {
+  const entry = getAllFiles()[filePath];
+  if (!entry) return true;
+  return entry.mtimeMs !== null && entry.mtimeMs !== undefined && stats.mtimeMs > entry.mtimeMs + 1000;
+}
+
+/**
+ * Scan the folder and hand over new files whose size is stable
+ */
+function scan() {
+  if (!watchedFolder) return;
+
+  let names;
+  try {
+    names = fs.readdirSync(watchedFolder);
+  } catch (err) {
+    console.error('[FolderWatch] Ordner nicht lesbar:', err.message);
+    return;
+  }
+
+  const seen = new Set();
+  for (const name of names) {
+    if (!AUDIO_EXTENSIONS.includes(path.extname(name).toLowerCase())) continue;
+
+    const filePath = path.join(watchedFolder, name);
+    let stats;
+    try {
+      stats = fs.statSync(filePath);
+    } catch (err) {
+      continue;
+    }
+    if (!stats.isFile() || stats.size === 0) continue;
+    if (!isNewFile(filePath, stats)) continue;
+
+    seen.add(filePath);
+    const lastSize = lastSeenSizes.get(filePath);
+    lastSeenSizes.set(filePath, stats.size);
+
+    // Still being written - check again on the next scan
+    if (lastSize !== stats.size) continue;
+
+    lastSeenSizes.delete(filePath);
+    console.log(`[FolderWatch] Neue Datei: ${name}`);
+    try {
+      onFileReady(filePath);
+    } catch (err) {
+      console.error('[FolderWatch] Fehler bei der Übergabe:', err.message);
+    }
+  }
+
+  // Forget files that disappeared before they were ready
+  for (const filePath of lastSeenSizes.keys()) {
+    if (!seen.has(filePath)) lastSeenSizes.delete(filePath);
+  }
+}
+
+function scheduleScan() {
+  if (settleTimeout) clearTimeout(settleTimeout);
+  settleTimeout = setTimeout(() => {
+    settleTimeout = null;
+    scan();
+  }, SETTLE_DELAY_MS);
+}
+
+/**
+ * Drop entries of deleted files. Files that were queued or processing when
+ * the app was closed are recovered by the pipeline checkpoints (failed-jobs
+ * queue), not by the watcher.
+ */
+function prepareEntries() {
+  const files = getAllFiles();
+  let changed = false;
+  for (const [filePath, entry] of Object.entries(files)) {
+    if (!fs.existsSync(filePath)) {
+      delete files[filePath];
+      changed = true;
+    } else if (entry.status === 'queued' || entry.status === 'processing') {
+      entry.status = 'failed';
+      entry.error = 'Verarbeitung unterbrochen - siehe "Fehlgeschlagen"';
+      entry.updatedAt = new Date().toISOString();
+      changed = true;
+    }
+  }
+  if (changed) saveFiles(files);
+}
+
+/**
+ * Start watching a folder
+ * @param {string} folderPath - Folder to watch
+ * @param {Function} callback - (filePath) => void, called for each new, complete file
+ * @returns {boolean} True if the folder exists and is watched
+ */
+function start(folderPath, callback) {
+  stop();
+
+  if (!folderPath || !fs.existsSync(folderPath)) {
+    console.warn('[FolderWatch] Ordner existiert nicht:', folderPath);
+    return false;
+  }
+
+  watchedFolder = path.resolve(folderPath);
+  onFileReady = callback || (() => {});
+  prepareEntries();
+
+  try {
+    watcher = fs.watch(watchedFolder, () => scheduleScan());
+    watcher.on('error', (err) => {
+      // Network drives may drop the watch - the interval scan keeps working
+      console.warn('[FolderWatch] Überwachung unterbrochen:', err.message);
+    });
+  } catch (err) {
+    console.warn('[FolderWatch] fs.watch nicht verfügbar, nur Intervall-Scan:', err.message);
+  }
+
+  scanInterval = setInterval(scan, SCAN_INTERVAL_MS);
+  scan();
+
+  console.log(`[FolderWatch] Überwache: ${watchedFolder}`);
+  return true;
+}
+
+/**
+ * Stop watching
+ */
+function stop() {
+  if (watcher) {
+    try {
+      watcher.close();
+    } catch (err) {
+      // Ignore
+    }
+    watcher = null;
+  }
+  if (scanInterval) {
+    clearInterval(scanInterval);
+    scanInterval = null;
+  }
+  if (settleTimeout) {
+    clearTimeout(settleTimeout);
+    settleTimeout = null;
+  }
+  lastSeenSizes.clear();
+  watchedFolder = null;
+}
+
+/**
+ * Mark all audio files currently in the folder as known, so only files
+ * added from now on are processed (used when a folder is first selected)
+ * @param {string} folderPath - Folder
+ * @returns {number} Number of skipped files
+ */
+function skipExistingFiles(folderPath) {
+  if (!folderPath || !fs.existsSync(folderPath)) return 0;
+
+  let skipped = 0;
+  for (const name of fs.readdirSync(folderPath)) {
+    if (!AUDIO_EXTENSIONS.includes(path.extname(name).toLowerCase())) continue;
+    const filePath = path.join(path.resolve(folderPath), name);
+    if (getAllFiles()[filePath]) continue;
+    setFileStatus(filePath, 'skipped');
+    skipped++;
+  }
+  return skipped;
+}
+
+function getWatchedFolder() {
+  return watchedFolder;
+}
+
+module.exports = {
+  start,
+  stop,
+  scan,
+  setFileStatus,
+  isKnownFile,
+  getFileStatuses,
+  skipExistingFiles,
+  getWatchedFolder,
+  AUDIO_EXTENSIONS
+};
@@ -0,0 +1,356 @@
+/**
+ * Verlauf der gespeicherten Transkripte
+ *
+ * Indiziert alle Transkript-Dateien unter `transcriptPath` - in den
+ * Arzt-Unterordnern und in "Ohne Zuordnung" (nicht "Fehlgeschlagen").
+ * Grundlage sind die Dateien, die saveRecordingFiles() in main.js schreibt:
+ * - Dateiname: YYYY-MM-DD_HH-MM_JobID_[Kontext]_[Namen].txt
+ * - Kopf: Datum/Uhrzeit, optional Patient/Raum/Behandlung und Transkriptions-ID
+ * - Abschnitte: ZUSAMMENFASSUNG, KÜRZUNGEN, VOLLSTÄNDIGES TRANSKRIPT
+ *
+ * Der Index liegt nur im Speicher und wird pro Datei anhand der
+ * Änderungszeit aktualisiert. Gespeichert wird nur der durchsuchbare Text,
+ * der vollständige Eintrag wird beim Öffnen erneut aus der Datei gelesen.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Folders below transcriptPath that don't contain finished transcripts
+const EXCLUDED_FOLDERS = ['Fehlgeschlagen'];
+const UNASSIGNED_FOLDER = 'Ohne Zuordnung';
+
+// Headings written by saveRecordingFiles() for the shortening variants
+const VARIANT_LABELS = {
+  keywords90: 'Stichworte (90% kürzer)',
+  chef70: 'Chef Ultra (70% kürzer)',
+  chef50: 'Chef (50% kürzer)',
+  pvs40: 'PVS (40% kürzer)',
+  zfa30: 'ZFA (30% kürzer)',
+  normalized: 'Normalisiert (sprachlich optimiert)'
+};
+
+// Header lines written by recording-context ("Raum:     2")
+const HEADER_FIELDS = {
+  Patient: 'patient',
+  Raum: 'room',
+  Behandlung: 'treatment'
+};
+
+// Header line with the backend transcription (older files don't have it)
+const TRANSCRIPTION_ID_REGEX = /^Transkriptions-ID:\s+(\S+)$/m;
+
+const MAX_RESULTS = 200;
+const SNIPPET_RADIUS = 60;
+
+// Index: { [key]: { key, files: [{ path, doctor, mtimeMs }], date, jobId, transcriptionId, context, variants, preview, text, searchText } }
+// One entry per recording - a recording with two doctors is saved in both folders
+let entries = new Map();
+let indexedFolder = null;
+
+/**
+ * Split a saved transcript into header, summary, variants and transcript
+ * @param {string} content - File content
+ * @returns {{context: Object|null, transcriptionId: string|null, summary: string, variants: Object, transcript: string}}
+ */
+function parseTranscriptFile(content) {
+  const text = content.replace(/\r\n/g, '\n');
+
+  // Sections are framed by "────" lines with the title in between
+  const sectionRegex = /^─{10,}\n {2}(.+)\n─{10,}$/gm;
+  const headings = [];
+  let match;
+  while ((match = sectionRegex.exec(text)) !== null) {
+    headings.push({ title: match[1].trim(), start: match.index, bodyStart: match.index + match[0].length });
+  }
+
+  const sections = {};
+  headings.forEach((heading, i) => {
+    const end = i + 1 < headings.length ? headings[i + 1].start : text.length;
+    sections[heading.title] = text.slice(heading.bodyStart, end);
+  });
+
+  // Header: everything before the first section
+  const header = headings.length > 0 ? text.slice(0, headings[0].start) : '';
+  const context = {};
+  for (const line of header.split('\n')) {
+    const lineMatch = line.match(/^(\w+):\s+(.+)$/);
+    if (lineMatch && HEADER_FIELDS[lineMatch[1]]) {
+      context[HEADER_FIELDS[lineMatch[1]]] = lineMatch[2].trim();
+    }
+  }
+
+  const transcriptionIdMatch = header.match(TRANSCRIPTION_ID_REGEX);
+
+  // Shortenings: "── Label ──" followed by the text
+  const variants = {};
+  const shortenings = sections['KÜRZUNGEN'] || '';
+  const variantRegex = /^── (.+?) ──$/gm;
+  const variantHeadings = [];
+  while ((match = variantRegex.exec(shortenings)) !== null) {
+    variantHeadings.push({ label: match[1], start: match.index, bodyStart: match.index + match[0].length });
+  }
+  variantHeadings.forEach((heading, i) => {
+    const end = i + 1 < variantHeadings.length ? variantHeadings[i + 1].start : shortenings.length;
+    const key = Object.keys(VARIANT_LABELS).find(k => VARIANT_LABELS[k] === heading.label);
+    const body = shortenings.slice(heading.bodyStart, end).trim();
+    if (key && body) variants[key] = body;
+  });
+
+  // Transcript ends with the "════" footer
+  const transcript = (sections['VOLLSTÄNDIGES TRANSKRIPT'] || '').split(/^═{10,}$/m)[0].trim();
+
+  return {
+    context: Object.keys(context).length > 0 ? context : null,
+    transcriptionId: transcriptionIdMatch ? transcriptionIdMatch[1] : null,
+    summary: (sections['ZUSAMMENFASSUNG'] || '').trim(),
+    variants,
+    transcript
+  };
+}
+
+/**
+ * Date, time and job ID from "YYYY-MM-DD_HH-MM_JobID_..."
+ * @param {string} fileName - File name without folder
+ * @returns {{date: string|null, jobId: string|null}} date as ISO string
+ */
+function parseFileName(fileName) {
+  const match = fileName.match(/^(\d{4})-(\d{2})-(\d{2})_(\d{2})-(\d{2})_([^_.]+)/);
+  if (!match) return { date: null, jobId: null };
+  const [, year, month, day, hours, minutes, jobId] = match;
+  const date = new Date(Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes));
+  return { date: date.toISOString(), jobId };
+}
+
+/**
+ * Transcript files below the base folder (one level of doctor subfolders)
+ * @param {string} baseFolder - transcriptPath
+ * @returns {Promise<Array<{path: string, doctor: string|null}>>}
+ */
+async function listTranscriptFiles(baseFolder) {
+  const files = [];
+
+  let items;
+  try {
+    items = await fs.promises.readdir(baseFolder, { withFileTypes: true });
+  } catch (err) {
+    console.warn('[History] Ordner nicht lesbar:', baseFolder, err.message);
+    return files;
+  }
+
+  for (const item of items) {
+    const itemPath = path.join(baseFolder, item.name);
+    if (item.isFile() && item.name.toLowerCase().endsWith('.txt')) {
+      files.push({ path: itemPath, doctor: null });
+    } else if (item.isDirectory() && !EXCLUDED_FOLDERS.includes(item.name)) {
+      let subItems;
+      try {
+        subItems = await fs.promises.readdir(itemPath, { withFileTypes: true });
+      } catch (err) {
+        continue;
+      }
+      const doctor = item.name === UNASSIGNED_FOLDER ? null : item.name;
+      for (const subItem of subItems) {
+        if (subItem.isFile() && subItem.name.toLowerCase().endsWith('.txt')) {
+          files.push({ path: path.join(itemPath, subItem.name), doctor });
+        }
+      }
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Bring the index up to date with the files on disk. Only new or changed
+ * files are read again.
+ * @param {string} baseFolder - transcriptPath
+ * @returns {Promise<number>} Number of indexed recordings
+ */
+async function refresh(baseFolder) {
+  const resolvedFolder = path.resolve(baseFolder);
+  if (resolvedFolder !== indexedFolder) {
+    entries = new Map();
+    indexedFolder = resolvedFolder;
+  }
+
+  // Previous state per file path, to skip unchanged files
+  const previousFiles = new Map();
+  for (const entry of entries.values()) {
+    for (const file of entry.files) {
+      previousFiles.set(file.path, { mtimeMs: file.mtimeMs, entry });
+    }
+  }
+
+  const nextEntries = new Map();
+  const files = await listTranscriptFiles(resolvedFolder);
+  let parsedCount = 0;
+
+  for (const file of files) {
+    let stats;
+    try {
+      stats = await fs.promises.stat(file.path);
+    } catch (err) {
+      continue;
+    }
+
+    const fileName = path.basename(file.path, '.txt');
+    const key = fileName;
+    const fileInfo = { path: file.path, doctor: file.doctor, mtimeMs: stats.mtimeMs };
+
+    // Same recording in another doctor's folder - just add the folder
+    if (nextEntries.has(key)) {
+      nextEntries.get(key).files.push(fileInfo);
+      continue;
+    }
+
+    const previous = previousFiles.get(file.path);
+    if (previous && previous.mtimeMs === stats.mtimeMs) {
+      nextEntries.set(key, { ...previous.entry, files: [fileInfo] });
+      continue;
+    }
+
+    let content;
+    try {
+      content = await fs.promises.readFile(file.path, 'utf8');
+    } catch (err) {
+      console.warn('[History] Datei nicht lesbar:', file.path, err.message);
+      continue;
+    }
+
+    const parsed = parseTranscriptFile(content);
+    const { date, jobId } = parseFileName(fileName);
+    parsedCount++;
+
+    // Snippets are cut from the text, file name and context are only searched
+    const text = [parsed.summary, ...Object.values(parsed.variants), parsed.transcript].join('\n');
+    const meta = [fileName, ...(parsed.context ? Object.values(parsed.context) : [])].join(' ');
+
+    nextEntries.set(key, {
+      key,
+      files: [fileInfo],
+      date: date || new Date(stats.mtimeMs).toISOString(),
+      jobId,
+      transcriptionId: parsed.transcriptionId,
+      context: parsed.context,
+      variants: Object.keys(parsed.variants),
+      preview: parsed.summary.slice(0, 200),
+      text,
+      searchText: `${text}\n${meta}`.toLowerCase()
+    });
+  }
+
+  entries = nextEntries;
+  console.log(`[History] ${entries.size} Aufnahmen indiziert (${parsedCount} neu gelesen)`);
+  return entries.size;
+}
+
+function getDoctors(entry) {
+  return entry.files.map(file => file.doctor).filter(Boolean);
+}
+
+/**
+ * Text around the first match of a search term
+ */
+function buildSnippet(entry, terms) {
+  if (terms.length === 0) return entry.preview;
+
+  const index = entry.searchText.indexOf(terms[0]);
+  if (index === -1 || index >= entry.text.length) return entry.preview;
+
+  const start = Math.max(0, index - SNIPPET_RADIUS);
+  const end = Math.min(entry.text.length, index + terms[0].length + SNIPPET_RADIUS);
+  return (start > 0 ? '...' : '') +
+    entry.text.slice(start, end).replace(/\s+/g, ' ').trim() +
+    (end < entry.text.length ? '...' : '');
+}
+
+/**
+ * Search the index (newest first). All search words must occur.
+ * @param {string} query - Full-text search
+ * @param {Object} filters
+ * @param {string} filters.from - Start date "YYYY-MM-DD" (inclusive)
+ * @param {string} filters.to - End date "YYYY-MM-DD" (inclusive)
+ * @param {string} filters.doctor - Doctor folder name ('' = all, '-' = "Ohne Zuordnung")
+ * @param {string} filters.treatment - Treatment from the recording context
+ * @returns {{results: Array, total: number, doctors: string[], treatments: string[]}}
+ */
+function search(query = '', filters = {}) {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  const from = filters.from ? new Date(`${filters.from}T00:00:00`) : null;
+  const to = filters.to ? new Date(`${filters.to}T23:59:59`) : null;
+  const treatment = (filters.treatment || '').toLowerCase();
+
+  const allEntries = Array.from(entries.values());
+  const matches = allEntries.filter(entry => {
+    const date = new Date(entry.date);
+    if (from && date < from) return false;
+    if (to && date > to) return false;
+
+    const doctors = getDoctors(entry);
+    if (filters.doctor === '-' && doctors.length > 0) return false;
+    if (filters.doctor && filters.doctor !== '-' && !doctors.includes(filters.doctor)) return false;
+
+    if (treatment && (entry.context?.treatment || '').toLowerCase() !== treatment) return false;
+
+    return terms.every(term => entry.searchText.includes(term));
+  });
+
+  matches.sort((a, b) => new Date(b.date) - new Date(a.date));
+
+  const doctors = new Set();
+  const treatments = new Set();
+  allEntries.forEach(entry => {
+    getDoctors(entry).forEach(doctor => doctors.add(doctor));
+    if (entry.context?.treatment) treatments.add(entry.context.treatment);
+  });
+
+  return {
+    results: matches.slice(0, MAX_RESULTS).map(entry => ({
+      key: entry.key,
+      date: entry.date,
+      doctors: getDoctors(entry),
+      context: entry.context,
+      transcriptionId: entry.transcriptionId,
+      variants: entry.variants,
+      snippet: buildSnippet(entry, terms)
+    })),
+    total: matches.length,
+    doctors: Array.from(doctors).sort((a, b) => a.localeCompare(b, 'de')),
+    treatments: Array.from(treatments).sort((a, b) => a.localeCompare(b, 'de'))
+  };
+}
+
+/**
+ * Full recording from the index (read from disk)
+ * @param {string} key - Entry key from search()
+ * @returns {Promise<Object|null>} { key, date, doctors, context, transcriptionId, summary, variants, transcript, filePath, filePaths }
+ */
+async function getEntry(key) {
+  const entry = entries.get(key);
+  if (!entry) return null;
+
+  const content = await fs.promises.readFile(entry.files[0].path, 'utf8');
+  const parsed = parseTranscriptFile(content);
+  return {
+    key: entry.key,
+    date: entry.date,
+    doctors: getDoctors(entry),
+    context: parsed.context,
+    transcriptionId: parsed.transcriptionId,
+    summary: parsed.summary,
+    variants: parsed.variants,
+    transcript: parsed.transcript,
+    filePath: entry.files[0].path,
+    // Same recording in every doctor's folder
+    filePaths: entry.files.map(file => file.path)
+  };
+}
+
+module.exports = {
+  refresh,
+  search,
+  getEntry,
+  parseTranscriptFile,
+  VARIANT_LABELS
+};
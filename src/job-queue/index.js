@@ -0,0 +1,292 @@
+/**
+ * Retry-Warteschlange für fehlgeschlagene Aufnahmen
+ *
+ * Jede Aufnahme, deren Verarbeitung fehlschlägt, landet als Job in dieser
+ * Warteschlange (persistent via electron-store). Der Job merkt sich:
+ * - die Audio-Datei (Backup im Ordner "Fehlgeschlagen")
+ * - die Quelle (mic / iphone / file)
+ * - den Schritt, in dem es fehlgeschlagen ist
+ * - die Fehlermeldung und den Fehler-Code (entscheidet über automatische Wiederholung)
+ * - die transcriptionId (falls der Upload schon geklappt hat)
+ * - die checkpointId der Pipeline (zum Fortsetzen ohne erneuten Upload)
+ * - den Aufnahme-Kontext (Patient, Raum, Behandlung), falls angegeben
+ *
+ * main.js entscheidet, wann ein Job erneut verarbeitet wird.
+ * Dieses Modul verwaltet nur den Zustand und die Backoff-Zeiten.
+ */
+
+const Store = require('electron-store');
+const fs = require('fs');
+const path = require('path');
+const errors = require('../errors');
+
+const store = new Store({
+  name: 'job-queue',
+  defaults: {
+    jobs: [] // Array of job objects (see addFailedJob)
+  }
+});
+
+// Wartezeiten zwischen automatischen Versuchen: 1 min, 5 min, 15 min, 1 h
+const RETRY_DELAYS_MS = [60 * 1000, 5 * 60 * 1000, 15 * 60 * 1000, 60 * 60 * 1000];
+const MAX_AUTO_ATTEMPTS = 5;
+
+const AUDIO_EXTENSIONS = ['.wav', '.webm', '.mp3', '.m4a', '.ogg', '.flac', '.aac'];
+
+/**
+ * Decide whether an error may be retried automatically.
+ * Subscription/minute problems need user action and cancelled jobs were
+ * stopped on purpose, so they stay in the queue but are only retried manually.
+ * @param {string} errorCode - Error code (see src/errors)
+ * @returns {boolean}
+ */
+function isAutoRetryable(errorCode) {
+  return errors.isRetryable(errorCode);
+}
+
+/**
+ * Check if an error is a network problem (used to retry immediately
+ * once the connection is back)
+ * @param {string} errorCode - Error code (see src/errors)
+ * @returns {boolean}
+ */
+function isNetworkError(errorCode) {
+  return errors.isNetworkCode(errorCode);
+}
+
+/**
+ * Backoff: next retry time for the given number of attempts
+ * @param {number} attempts - Attempts so far
+ * @returns {string|null} ISO timestamp or null if no more automatic retries
+ */
+function computeNextRetryAt(attempts) {
+  if (attempts >= MAX_AUTO_ATTEMPTS) return null;
+  const delay = RETRY_DELAYS_MS[Math.min(attempts - 1, RETRY_DELAYS_MS.length - 1)] || RETRY_DELAYS_MS[0];
+  return new Date(Date.now() + delay).toISOString();
+}
+
+function getAllJobs() {
+  return store.get('jobs', []);
+}
+
+function saveJobs(jobs) {
+  store.set('jobs', jobs);
+}
+
+function getJob(id) {
+  return getAllJobs().find(j => j.id === id) || null;
+}
+
+function getJobByAudioPath(audioPath) {
+  return getAllJobs().find(j => j.audioPath === audioPath) || null;
+}
+
+/**
+ * Add a failed recording to the queue (or update the existing job for the same audio)
+ * @param {Object} data
+ * @param {string} data.audioPath - Backup audio path
+ * @param {string} data.source - 'mic' | 'iphone' | 'file'
+ * @param {string} data.failedStep - Pipeline step that failed
+ * @param {string} data.error - Error message
+ * @param {string} data.errorCode - Error code (see src/errors)
+ * @param {string|null} data.transcriptionId - Transcription ID if upload already succeeded
+ * @param {string|null} data.checkpointId - Pipeline checkpoint for resuming
+ * @param {Object|null} data.context - Patient/room/treatment context
+ * @param {string|null} data.channelLayout - 'doctor-room' for two-channel recordings
+ * @param {Object|null} data.qualityReport - Pre-upload quality report (for support)
+ * @returns {Object} The stored job
+ */
+function addFailedJob(data) {
+  const jobs = getAllJobs();
+  const now = new Date().toISOString();
+  const existing = jobs.find(j => j.audioPath === data.audioPath);
+
+  if (existing) {
+    // Stopped before the upload because offline - nothing was tried, no attempt used up
+    if (data.errorCode !== errors.CODES.OFFLINE) {
+      existing.attempts = (existing.attempts || 0) + 1;
+    }
+    existing.failedStep = data.failedStep;
+    existing.error = data.error;
+    existing.errorCode = data.errorCode || null;
+    existing.transcriptionId = data.transcriptionId || null;
+    existing.checkpointId = data.checkpointId || existing.checkpointId || null;
+    existing.context = data.context || existing.context || null;
+    existing.channelLayout = data.channelLayout || existing.channelLayout || null;
+    existing.qualityReport = data.qualityReport || null;
+    existing.status = 'failed';
+    existing.updatedAt = now;
+    existing.autoRetry = isAutoRetryable(data.errorCode);
+    existing.nextRetryAt = existing.autoRetry ? computeNextRetryAt(existing.attempts) : null;
+    saveJobs(jobs);
+    return existing;
+  }
+
+  const job = {
+    id: `job-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    audioPath: data.audioPath,
+    source: data.source || 'mic',
+    failedStep: data.failedStep || 'unbekannt',
+    error: data.error || 'Unbekannter Fehler',
+    errorCode: data.errorCode || null,
+    transcriptionId: data.transcriptionId || null,
+    checkpointId: data.checkpointId || null,
+    context: data.context || null,
+    channelLayout: data.channelLayout || null,
+    qualityReport: data.qualityReport || null,
+    assignedTo: null,
+    attempts: 1,
+    autoRetry: isAutoRetryable(data.errorCode),
+    status: 'failed',
+    createdAt: now,
+    updatedAt: now,
+    nextRetryAt: null
+  };
+  job.nextRetryAt = job.autoRetry ? computeNextRetryAt(job.attempts) : null;
+
+  jobs.push(job);
+  saveJobs(jobs);
+  return job;
+}
+
+/**
+ * Update fields of a job
+ * @param {string} id - Job ID
+ * @param {Object} updates - Fields to merge
+ * @returns {Object|null} Updated job
+ */
+function updateJob(id, updates) {
+  const jobs = getAllJobs();
+  const job = jobs.find(j => j.id === id);
+  if (!job) return null;
+
+  Object.assign(job, updates, { updatedAt: new Date().toISOString() });
+  saveJobs(jobs);
+  return job;
+}
+
+/**
+ * Remove a job from the queue
+ * @param {string} id - Job ID
+ * @param {Object} options
+ * @param {boolean} options.deleteAudio - Also delete the backup audio file
+ * @returns {boolean} True if the job existed
+ */
+function removeJob(id, options = {}) {
+  const { deleteAudio = false } = options;
+  const jobs = getAllJobs();
+  const job = jobs.find(j => j.id === id);
+  if (!job) return false;
+
+  if (deleteAudio && job.audioPath && fs.existsSync(job.audioPath)) {
+    try {
+      fs.unlinkSync(job.audioPath);
+    } catch (err) {
+      console.error('[JobQueue] Audio konnte nicht gelöscht werden:', err.message);
+    }
+  }
+
+  saveJobs(jobs.filter(j => j.id !== id));
+  return true;
+}
+
+/**
+ * Drop jobs whose audio file no longer exists and reset jobs stuck in
+ * "retrying" (e.g. app was closed during a retry)
+ */
+function cleanup() {
+  const jobs = getAllJobs()
+    .filter(j => j.audioPath && fs.existsSync(j.audioPath))
+    .map(j => {
+      if (j.status === 'retrying') {
+        return { ...j, status: 'failed', nextRetryAt: j.autoRetry ? new Date().toISOString() : null };
+      }
+      return j;
+    });
+  saveJobs(jobs);
+}
+
+/**
+ * Import audio files from the "Fehlgeschlagen" folder that are not tracked yet
+ * (recordings that failed before the queue existed)
+ * @param {string} folderPath - Path to "Fehlgeschlagen" folder
+ * @returns {number} Number of imported files
+ */
+function importUntrackedFiles(folderPath) {
+  if (!folderPath || !fs.existsSync(folderPath)) return 0;
+
+  let imported = 0;
+  for (const file of fs.readdirSync(folderPath)) {
+    if (!AUDIO_EXTENSIONS.includes(path.extname(file).toLowerCase())) continue;
+    const audioPath = path.join(folderPath, file);
+    if (getJobByAudioPath(audioPath)) continue;
+
+    const job = addFailedJob({
+      audioPath,
+      source: 'mic',
+      failedStep: 'unbekannt',
+      error: 'Aus früherer Sitzung übernommen'
+    });
+    // Alte Dateien nicht automatisch verarbeiten - der Benutzer entscheidet
+    updateJob(job.id, { autoRetry: false, nextRetryAt: null });
+    imported++;
+  }
+  return imported;
+}
+
+/**
+ * Get the next job that is due for an automatic retry
+ * @returns {Object|null}
+ */
+function getNextDueJob() {
+  const now = Date.now();
+  return getAllJobs().find(j =>
+    j.status === 'failed' &&
+    j.autoRetry &&
+    j.nextRetryAt &&
+    new Date(j.nextRetryAt).getTime() <= now
+  ) || null;
+}
+
+/**
+ * Make network-failed jobs due immediately (called when the connection returns).
+ * Jobs that used up MAX_AUTO_ATTEMPTS while the line was down get a fresh
+ * attempt budget - the attempts said nothing about the recording itself.
+ * @returns {number} Number of jobs rescheduled
+ */
+function rescheduleNetworkFailures() {
+  const jobs = getAllJobs();
+  const now = new Date().toISOString();
+  let count = 0;
+  jobs.forEach(j => {
+    if (j.status === 'failed' && j.autoRetry && isNetworkError(j.errorCode)) {
+      if (!j.nextRetryAt) j.attempts = 0;
+      j.nextRetryAt = now;
+      count++;
+    }
+  });
+  if (count > 0) saveJobs(jobs);
+  return count;
+}
+
+module.exports = {
+  // Queue access
+  getAllJobs,
+  getJob,
+  getJobByAudioPath,
+  getNextDueJob,
+
+  // Mutations
+  addFailedJob,
+  updateJob,
+  removeJob,
+  cleanup,
+  importUntrackedFiles,
+  rescheduleNetworkFailures,
+
+  // Helpers
+  isAutoRetryable,
+  isNetworkError,
+  computeNextRetryAt,
+  MAX_AUTO_ATTEMPTS
+};
@@ -0,0 +1,329 @@
+/**
+ * Lokale Steuerungs-Schnittstelle (HTTP + WebSocket)
+ *
+ * Optional (standardmäßig aus). Damit können PVS-Makros, eine Funk-Taste
+ * (Flic o.ä. über eine Bridge) oder kleine Skripte DentDoc steuern:
+ * - Aufnahme starten/stoppen/abbrechen, Verarbeitung abbrechen
+ * - Status abfragen (Aufnahme, Pause, laufende Jobs)
+ * - Letzte Dokumentation inkl. Kürzungen als JSON
+ * - Ereignisse per WebSocket (/api/events)
+ *
+ * Sicherheit:
+ * - Lauscht nur auf 127.0.0.1 (nicht im Praxisnetz erreichbar)
+ * - Jede Anfrage braucht das gemeinsame Geheimnis
+ *   (Header "Authorization: Bearer <secret>", WebSocket auch "?secret=")
+ * - Host-Header wird geprüft (Schutz gegen DNS-Rebinding), keine CORS-Header
+ *
+ * Was die Endpunkte tun, bestimmt main.js über die übergebenen Handler.
+ * Einstellungen (an/aus, Port, Geheimnis) persistent via electron-store,
+ * das Geheimnis verschlüsselt (src/secure-store) - es erlaubt Aufnahmen und
+ * das Lesen der letzten Dokumentation (Patientendaten).
+ */
+
+const Store = require('electron-store');
+const http = require('http');
+const crypto = require('crypto');
+const { WebSocketServer } = require('ws');
+const secureStore = require('../secure-store');
+
+const DEFAULT_PORT = 47615;
+const HOST = '127.0.0.1';
+const MAX_BODY_BYTES = 16 * 1024;
+
+const store = new Store({
+  name: 'local-api',
+  defaults: {
+    enabled: false,
+    port: DEFAULT_PORT,
+    secret: null
+  }
+});
+
+// Encrypted entries of the local-api store
+const SECURE_KEYS = ['secret'];
+const secure = secureStore.wrap(store, SECURE_KEYS);
+
+let server = null;
+let wss = null;
+let handlers = {};
+
+// Routes: "METHOD /path" -> (params, body) => result (path segments starting with ":" are parameters)
+const ROUTES = [
+  ['GET', '/api/status', () => handlers.getStatus()],
+  ['POST', '/api/recording/start', () => handlers.startRecording()],
+  ['POST', '/api/recording/stop', () => handlers.stopRecording()],
+  ['POST', '/api/recording/toggle', () => handlers.toggleRecording()],
+  ['POST', '/api/recording/cancel', () => handlers.cancelRecording()],
+  ['POST', '/api/recording/pause', () => handlers.togglePause()],
+  ['POST', '/api/context', (params, body) => handlers.setContext(body)],
+  ['POST', '/api/jobs/:id/cancel', (params) => handlers.cancelJob(params.id)],
+  ['GET', '/api/documentation/last', () => handlers.getLastDocumentation()]
+];
+
+/**
+ * Current settings. The secret is created on first access.
+ * @returns {{enabled: boolean, port: number, secret: string|null}} secret null = stored, but the keyring is unavailable
+ */
+function getConfig() {
+  let secret = secure.get('secret');
+  // Not readable right now (keyring) is not the same as missing - keep integrations working later
+  if (!secret && !store.get('secret')) {
+    secret = regenerateSecret();
+  }
+  return {
+    enabled: store.get('enabled', false),
+    port: store.get('port', DEFAULT_PORT),
+    secret: secret || null
+  };
+}
+
+/**
+ * Save settings (takes effect on the next start())
+ * @param {Object} config - { enabled, port }
+ */
+function setConfig(config = {}) {
+  if (config.enabled !== undefined) {
+    store.set('enabled', !!config.enabled);
+  }
+  if (config.port !== undefined) {
+    const port = parseInt(config.port, 10);
+    if (!Number.isInteger(port) || port < 1024 || port > 65535) {
+      throw new Error('Ungültiger Port (1024-65535)');
+    }
+    store.set('port', port);
+  }
+}
+
+/**
+ * Create a new shared secret - existing integrations must be updated
+ * @returns {string} New secret
+ */
+function regenerateSecret() {
+  const secret = crypto.randomBytes(24).toString('hex');
+  secure.set('secret', secret);
+  return secret;
+}
+
+/**
+ * Encrypt the plain secret of older versions.
+ * Call after app 'ready' (safeStorage needs it on Linux).
+ */
+function migrateSecrets() {
+  secureStore.migrate(store, SECURE_KEYS);
+}
+
+function isAuthorized(req, url) {
+  const { secret } = getConfig();
+  if (!secret) return false;
+  const expected = Buffer.from(secret);
+  const authHeader = req.headers['authorization'] || '';
+  const provided = authHeader.startsWith('Bearer ')
+    ? authHeader.slice('Bearer '.length).trim()
+    : (url.searchParams.get('secret') || '');
+  const providedBuffer = Buffer.from(provided);
+  return providedBuffer.length === expected.length && crypto.timingSafeEqual(providedBuffer, expected);
+}
+
+// Only accept requests addressed to this machine (DNS rebinding)
+function isLocalHost(req) {
+  const host = (req.headers.host || '').replace(/:\d+$/, '');
+  return host === HOST || host === 'localhost';
+}
+
+function sendJson(res, status, body) {
+  const payload = JSON.stringify(body);
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(payload),
+    'Cache-Control': 'no-store'
+  });
+  res.end(payload);
+}
+
+function matchRoute(method, pathname) {
+  const parts = pathname.replace(/\/+$/, '').split('/');
+  for (const [routeMethod, routePath, handler] of ROUTES) {
+    if (routeMethod !== method) continue;
+    const routeParts = routePath.split('/');
+    if (routeParts.length !== parts.length) continue;
+
+    const params = {};
+    const matches = routeParts.every((part, i) => {
+      if (part.startsWith(':')) {
+        params[part.slice(1)] = decodeURIComponent(parts[i]);
+        return true;
+      }
+      return part === parts[i];
+    });
+    if (matches) return { handler, params };
+  }
+  return null;
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error('Anfrage zu groß'), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8').trim();
+      if (!text) return resolve({});
+      try {
+        resolve(JSON.parse(text));
+      } catch (err) {
+        reject(Object.assign(new Error('Ungültiges JSON'), { status: 400 }));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+async function handleRequest(req, res) {
+  const url = new URL(req.url, `http://${HOST}`);
+
+  if (!isLocalHost(req)) {
+    return sendJson(res, 403, { success: false, error: 'Nur lokale Anfragen erlaubt' });
+  }
+  if (!isAuthorized(req, url)) {
+    return sendJson(res, 401, { success: false, error: 'Geheimnis fehlt oder ist falsch' });
+  }
+
+  try {
+    const route = matchRoute(req.method, url.pathname);
+    if (!route) {
+      return sendJson(res, 404, { success: false, error: `Unbekannter Endpunkt: ${req.method} ${url.pathname}` });
+    }
+
+    const body = req.method === 'POST' ? await readBody(req) : {};
+    const result = await route.handler(route.params, body);
+
+    // Handlers return { success: false, error, status? } for expected failures
+    if (result && result.success === false) {
+      const { status = 409, ...rest } = result;
+      return sendJson(res, status, rest);
+    }
+    sendJson(res, 200, { success: true, ...result });
+  } catch (error) {
+    console.error('[LocalAPI] Fehler:', error.message);
+    sendJson(res, error.status || 500, { success: false, error: error.message });
+  }
+}
+
+/**
+ * Start the server (only if enabled in the settings)
+ * @param {Object} apiHandlers - Functions called by the endpoints (see ROUTES)
+ * @returns {Promise<boolean>} True if the server is listening
+ */
+async function start(apiHandlers) {
+  await stop();
+
+  const config = getConfig();
+  if (!config.enabled) return false;
+
+  handlers = apiHandlers || {};
+
+  const httpServer = http.createServer((req, res) => {
+    handleRequest(req, res);
+  });
+
+  const eventServer = new WebSocketServer({ noServer: true });
+  httpServer.on('upgrade', (req, socket, head) => {
+    const url = new URL(req.url, `http://${HOST}`);
+    if (url.pathname !== '/api/events' || !isLocalHost(req) || !isAuthorized(req, url)) {
+      socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+    eventServer.handleUpgrade(req, socket, head, (ws) => {
+      eventServer.emit('connection', ws, req);
+    });
+  });
+
+  eventServer.on('connection', (ws) => {
+    // Current state right away, then pushed events
+    sendEvent(ws, 'status', handlers.getStatus ? handlers.getStatus() : {});
+  });
+
+  try {
+    await new Promise((resolve, reject) => {
+      httpServer.once('error', reject);
+      httpServer.listen(config.port, HOST, () => {
+        httpServer.off('error', reject);
+        resolve();
+      });
+    });
+  } catch (error) {
+    eventServer.close();
+    console.error(`[LocalAPI] Port ${config.port} nicht verfügbar:`, error.message);
+    throw new Error(`Lokale Schnittstelle konnte nicht gestartet werden (Port ${config.port}): ${error.message}`);
+  }
+
+  server = httpServer;
+  wss = eventServer;
+  console.log(`[LocalAPI] Läuft auf http://${HOST}:${config.port}`);
+  return true;
+}
+
+/**
+ * Stop the server and close all event connections
+ */
+async function stop() {
+  if (wss) {
+    wss.clients.forEach(client => client.terminate());
+    wss.close();
+    wss = null;
+  }
+  if (server) {
+    const closing = server;
+    server = null;
+    closing.closeAllConnections();
+    await new Promise(resolve => closing.close(() => resolve()));
+    console.log('[LocalAPI] Gestoppt');
+  }
+}
+
+function sendEvent(ws, type, data) {
+  try {
+    ws.send(JSON.stringify({ type, data, timestamp: new Date().toISOString() }));
+  } catch (err) {
+    // Client went away - ws removes it from the client list
+  }
+}
+
+/**
+ * Push an event to all connected WebSocket clients
+ * @param {string} type - e.g. 'status', 'documentation', 'job-failed'
+ * @param {Object} data - Event payload
+ */
+function broadcast(type, data) {
+  if (!wss) return;
+  wss.clients.forEach(client => {
+    if (client.readyState === client.OPEN) {
+      sendEvent(client, type, data);
+    }
+  });
+}
+
+function isRunning() {
+  return server !== null;
+}
+
+module.exports = {
+  start,
+  stop,
+  broadcast,
+  isRunning,
+  getConfig,
+  setConfig,
+  regenerateSecret,
+  migrateSecrets,
+  DEFAULT_PORT
+};
@@ -0,0 +1,204 @@
+/**
+ * Modus-Vergleich (Dokumentations-Modi nebeneinander)
+ *
+ * Lässt mehrere Dokumentations-Modi nacheinander gegen dieselbe
+ * Transkription laufen (kein neuer Upload, keine neue Aufnahme) und misst
+ * pro Modus:
+ * - Dauer (Latenz des Endpunkts)
+ * - Länge (Zeichen/Wörter)
+ * - Bausteine-Abdeckung: Für jeden Baustein, dessen Schlüsselwörter im
+ *   Gespräch vorkommen, wird geprüft, ob sein Standardtext in der
+ *   Dokumentation wiederzufinden ist
+ *
+ * Die Modi laufen bewusst nacheinander, damit die gemessenen Zeiten
+ * vergleichbar bleiben. Der Bericht für die QM-Besprechung enthält keine
+ * Patientenangabe aus dem Aufnahme-Kontext.
+ */
+
+// Share of the Baustein's significant words that has to appear in the documentation
+const COVERAGE_THRESHOLD = 0.7;
+// Shorter keywords ("pa", "wkb") only count as whole words
+const MIN_SUBSTRING_KEYWORD_LENGTH = 4;
+
+function normalizeText(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function mentionsKeyword(normalizedText, keyword) {
+  if (keyword.length >= MIN_SUBSTRING_KEYWORD_LENGTH) {
+    // Substring match also finds compounds ("Kunststofffüllung")
+    return normalizedText.includes(keyword);
+  }
+  return ` ${normalizedText} `.includes(` ${keyword} `);
+}
+
+/**
+ * Which Bausteine are relevant for the conversation and covered by the documentation
+ * @param {string} documentation - Generated documentation
+ * @param {string} transcript - Conversation (decides which Bausteine are relevant)
+ * @param {Object} bausteine - Flat Bausteine { id: { name, standardText, keywords } }
+ * @returns {{relevant: number, covered: number, items: Array<{id, name, covered: boolean, ratio: number}>}}
+ */
+function computeBausteinCoverage(documentation, transcript, bausteine) {
+  const doc = normalizeText(documentation);
+  const spoken = normalizeText(transcript);
+  const items = [];
+
+  for (const [id, baustein] of Object.entries(bausteine || {})) {
+    const keywords = (baustein.keywords || []).map(normalizeText).filter(Boolean);
+    if (!keywords.some(keyword => mentionsKeyword(spoken, keyword))) continue;
+
+    const words = normalizeText(baustein.standardText).split(' ').filter(word => word.length > 3);
+    const found = words.filter(word => doc.includes(word)).length;
+    const ratio = words.length > 0 ? found / words.length : 0;
+    items.push({ id, name: baustein.name || id, covered: ratio >= COVERAGE_THRESHOLD, ratio: Math.round(ratio * 100) / 100 });
+  }
+
+  return {
+    relevant: items.length,
+    covered: items.filter(item => item.covered).length,
+    items
+  };
+}
+
+function countWords(text) {
+  const trimmed = (text || '').trim();
+  return trimmed ? trimmed.split(/\s+/).length : 0;
+}
+
+/**
+ * Run several modes against one transcription (one after another)
+ *
+ * @param {Object} options
+ * @param {Array<{id: string, label: string}>} options.modes - Modes to compare
+ * @param {string} options.transcript - Conversation text (for Bausteine relevance)
+ * @param {Object} options.bausteine - Flat Bausteine at the time of the run
+ * @param {Function} options.generate - (modeId, signal) => Promise<{documentation, shortenings}>
+ * @param {AbortSignal} options.signal - Stops before the next mode
+ * @param {Function} options.onResult - (result, index) => void, called after each mode
+ * @returns {Promise<Array>} One result per mode:
+ *   { modeId, label, success, documentation, shortenings, error, code, latencyMs, chars, words, coverage }
+ */
+async function runComparison(options) {
+  const { modes, transcript, bausteine, generate, signal = null, onResult = null } = options;
+  const results = [];
+
+  for (let index = 0; index < modes.length; index++) {
+    if (signal && signal.aborted) break;
+
+    const mode = modes[index];
+    const startedAt = Date.now();
+    let result;
+
+    try {
+      const output = await generate(mode.id, signal);
+      result = {
+        modeId: mode.id,
+        label: mode.label,
+        success: true,
+        documentation: output.documentation,
+        shortenings: output.shortenings || null,
+        error: null,
+        code: null,
+        latencyMs: Date.now() - startedAt,
+        chars: output.documentation.length,
+        words: countWords(output.documentation),
+        coverage: computeBausteinCoverage(output.documentation, transcript, bausteine)
+      };
+    } catch (error) {
+      if (signal && signal.aborted) break;
+      result = {
+        modeId: mode.id,
+        label: mode.label,
+        success: false,
+        documentation: null,
+        shortenings: null,
+        error: error.message || 'Unbekannter Fehler',
+        code: error.code || null,
+        latencyMs: Date.now() - startedAt,
+        chars: 0,
+        words: 0,
+        coverage: null
+      };
+    }
+
+    console.log(`[ModeCompare] ${mode.label}: ${result.success ? `${result.chars} Zeichen` : `Fehler (${result.error})`}, ${(result.latencyMs / 1000).toFixed(1)}s`);
+    results.push(result);
+    if (onResult) onResult(result, index);
+  }
+
+  return results;
+}
+
+function formatSeconds(ms) {
+  return `${(ms / 1000).toFixed(1).replace('.', ',')} s`;
+}
+
+function formatCoverage(coverage) {
+  if (!coverage) return '-';
+  if (coverage.relevant === 0) return 'keine relevant';
+  return `${coverage.covered}/${coverage.relevant}`;
+}
+
+/**
+ * Markdown report for the QM meeting
+ * @param {Object} comparison - { createdAt, recording: { date, room, treatment, doctors, transcriptionId }, results }
+ * @returns {string}
+ */
+function formatReport(comparison) {
+  const { recording, results } = comparison;
+  const createdAt = new Date(comparison.createdAt);
+  const recordedAt = recording.date ? new Date(recording.date) : null;
+
+  const lines = [
+    '# DentDoc Modus-Vergleich',
+    '',
+    `- Erstellt: ${createdAt.toLocaleDateString('de-DE')} ${createdAt.toLocaleTimeString('de-DE', { hour: '2-digit', minute: '2-digit' })}`,
+    `- Aufnahme: ${recordedAt ? `${recordedAt.toLocaleDateString('de-DE')} ${recordedAt.toLocaleTimeString('de-DE', { hour: '2-digit', minute: '2-digit' })}` : 'unbekannt'}`
+  ];
+  if (recording.doctors && recording.doctors.length > 0) lines.push(`- Arzt: ${recording.doctors.join(', ')}`);
+  if (recording.treatment) lines.push(`- Behandlung: ${recording.treatment}`);
+  if (recording.room) lines.push(`- Raum: ${recording.room}`);
+  lines.push(`- Transkriptions-ID: ${recording.transcriptionId}`);
+
+  lines.push(
+    '',
+    '## Übersicht',
+    '',
+    '| Modus | Dauer | Zeichen | Wörter | Bausteine | Kürzungen |',
+    '|-------|-------|---------|--------|-----------|-----------|'
+  );
+  results.forEach(result => {
+    lines.push(result.success
+      ? `| ${result.label} | ${formatSeconds(result.latencyMs)} | ${result.chars} | ${result.words} | ${formatCoverage(result.coverage)} | ${result.shortenings ? 'ja' : 'nein'} |`
+      : `| ${result.label} | ${formatSeconds(result.latencyMs)} | - | - | - | Fehler: ${result.error.replace(/\|/g, '/')} |`);
+  });
+
+  results.forEach(result => {
+    lines.push('', `## ${result.label}`, '');
+    if (!result.success) {
+      lines.push(`Fehler: ${result.error}`);
+      return;
+    }
+    if (result.coverage && result.coverage.relevant > 0) {
+      const covered = result.coverage.items.filter(item => item.covered).map(item => item.name);
+      const missing = result.coverage.items.filter(item => !item.covered).map(item => item.name);
+      lines.push(`Bausteine abgedeckt: ${covered.length > 0 ? covered.join(', ') : '-'}`);
+      lines.push(`Bausteine fehlen: ${missing.length > 0 ? missing.join(', ') : '-'}`);
+      lines.push('');
+    }
+    lines.push('```', result.documentation.trim(), '```');
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  computeBausteinCoverage,
+  runComparison,
+  formatReport
+};
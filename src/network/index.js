@@ -0,0 +1,513 @@
+/**
+ * Netzwerk: Umgebungen, Firmen-Proxy und eigene CA-Zertifikate
+ *
+ * Umgebungen: Benannte Sätze aus API-, Upload-Proxy- und Relay-URL.
+ * "Produktion" und "Lokal (Mock-Backend)" sind fest eingebaut (Produktion
+ * übernimmt API_URL / UPLOAD_PROXY_URL / AUDIO_RELAY_URL aus der .env),
+ * weitere (z.B. Staging) lassen sich in den Einstellungen anlegen.
+ *
+ * Proxy: HTTP(S)-Proxy mit optionaler Anmeldung. Verbindungen laufen per
+ * CONNECT-Tunnel über den Proxy - für axios, den Upload (http/https direkt)
+ * und die WebSocket-Verbindung zum Relay gleichermaßen (getAgent()). Der
+ * Updater nutzt den Netzwerk-Stack von Electron; main.js übergibt ihm die
+ * Einstellungen über getChromiumProxyConfig() / isTrustedByCustomCa().
+ *
+ * CA-Zertifikate: Für Proxys mit TLS-Prüfung (eigenes Praxis-/Firmen-
+ * Zertifikat). Sie gelten zusätzlich zu den eingebauten Zertifikaten.
+ *
+ * Einstellungen persistent via electron-store, wirksam ab dem nächsten Request.
+ * Das Proxy-Passwort liegt verschlüsselt daneben (src/secure-store), im
+ * Klartext steht nur, ob eines hinterlegt ist (proxy.hasPassword).
+ */
+
+const Store = require('electron-store');
+const http = require('http');
+const https = require('https');
+const tls = require('tls');
+const crypto = require('crypto');
+const secureStore = require('../secure-store');
+
+const BUILTIN_ENVIRONMENTS = [
+  {
+    id: 'production',
+    name: 'Produktion',
+    apiUrl: process.env.API_URL || 'https://dentdoc-app.vercel.app/',
+    uploadProxyUrl: process.env.UPLOAD_PROXY_URL || 'https://dentdoc-upload-proxy.up.railway.app',
+    relayUrl: process.env.AUDIO_RELAY_URL || 'wss://dentdoc-desktop-production-a7a1.up.railway.app'
+  },
+  {
+    id: 'local',
+    name: 'Lokal (Mock-Backend)',
+    apiUrl: 'http://127.0.0.1:4010/',
+    uploadProxyUrl: 'http://127.0.0.1:4010',
+    relayUrl: 'ws://127.0.0.1:3001'
+  }
+];
+
+const DEFAULT_NO_PROXY = 'localhost, 127.0.0.1, ::1';
+const PROXY_CONNECT_TIMEOUT_MS = 15000;
+
+const store = new Store({
+  name: 'network',
+  defaults: {
+    environment: 'production',
+    environments: [], // Custom: { id, name, apiUrl, uploadProxyUrl, relayUrl }
+    proxy: {
+      enabled: false,
+      url: '',
+      username: '',
+      hasPassword: false,
+      noProxy: DEFAULT_NO_PROXY
+    },
+    caCertificates: [] // { id, name, pem }
+  }
+});
+
+// Encrypted entries of the network store
+const PROXY_PASSWORD_KEY = 'proxyPassword';
+const SECURE_KEYS = [PROXY_PASSWORD_KEY];
+const secure = secureStore.wrap(store, SECURE_KEYS);
+
+// Agents for the current settings (rebuilt when the settings change)
+let agents = null;
+
+// =============================================================================
+// Environments
+// =============================================================================
+
+function getEnvironments() {
+  return [
+    ...BUILTIN_ENVIRONMENTS.map(env => ({ ...env, builtIn: true })),
+    ...store.get('environments', []).map(env => ({ ...env, builtIn: false }))
+  ];
+}
+
+/**
+ * Selected environment (falls back to production if it was removed)
+ * @returns {{id, name, apiUrl, uploadProxyUrl, relayUrl, builtIn}}
+ */
+function getActiveEnvironment() {
+  const environments = getEnvironments();
+  return environments.find(env => env.id === store.get('environment')) || environments[0];
+}
+
+function normalizeUrl(value, protocols, label) {
+  let url;
+  try {
+    url = new URL(String(value || '').trim());
+  } catch (error) {
+    throw new Error(`${label}: Ungültige URL`);
+  }
+  if (!protocols.includes(url.protocol)) {
+    throw new Error(`${label}: Nur ${protocols.map(p => p.replace(':', '://')).join(' oder ')} erlaubt`);
+  }
+  return url.toString();
+}
+
+/**
+ * Add a custom environment
+ * @param {Object} data - { name, apiUrl, uploadProxyUrl, relayUrl }
+ * @returns {Object} The stored environment
+ */
+function addEnvironment(data) {
+  const name = String(data.name || '').trim();
+  if (!name) {
+    throw new Error('Bitte einen Namen für die Umgebung angeben');
+  }
+  const environment = {
+    id: `env-${crypto.randomBytes(4).toString('hex')}`,
+    name,
+    // API paths are appended to the base URL
+    apiUrl: normalizeUrl(data.apiUrl, ['https:', 'http:'], 'API').replace(/\/?$/, '/'),
+    uploadProxyUrl: normalizeUrl(data.uploadProxyUrl, ['https:', 'http:'], 'Upload-Proxy').replace(/\/$/, ''),
+    relayUrl: normalizeUrl(data.relayUrl, ['wss:', 'ws:'], 'Relay').replace(/\/$/, '')
+  };
+  store.set('environments', [...store.get('environments', []), environment]);
+  return environment;
+}
+
+/**
+ * Remove a custom environment (the selection falls back to production)
+ * @param {string} id - Environment ID
+ */
+function removeEnvironment(id) {
+  store.set('environments', store.get('environments', []).filter(env => env.id !== id));
+  if (store.get('environment') === id) {
+    store.set('environment', 'production');
+  }
+}
+
+// =============================================================================
+// Settings
+// =============================================================================
+
+/**
+ * Settings for the dashboard (without the proxy password)
+ */
+function getConfig() {
+  const proxy = store.get('proxy');
+  return {
+    environment: getActiveEnvironment().id,
+    environments: getEnvironments(),
+    proxy: {
+      enabled: !!proxy.enabled,
+      url: proxy.url || '',
+      username: proxy.username || '',
+      hasPassword: !!proxy.hasPassword,
+      noProxy: proxy.noProxy ?? DEFAULT_NO_PROXY
+    },
+    caCertificates: store.get('caCertificates', []).map(describeCertificate)
+  };
+}
+
+/**
+ * Save environment selection and proxy
+ * @param {Object} config - { environment, proxy: { enabled, url, username, password, noProxy } }
+ *   password undefined/'' = keep the stored one (only while the username stays the same)
+ * @returns {{environmentChanged: boolean}}
+ */
+function setConfig(config = {}) {
+  const before = getActiveEnvironment().id;
+
+  if (config.environment !== undefined) {
+    if (!getEnvironments().some(env => env.id === config.environment)) {
+      throw new Error('Unbekannte Umgebung');
+    }
+    store.set('environment', config.environment);
+  }
+
+  if (config.proxy !== undefined) {
+    const current = store.get('proxy');
+    const enabled = !!config.proxy.enabled;
+    const url = String(config.proxy.url || '').trim();
+    const proxy = {
+      enabled,
+      url: enabled || url ? normalizeUrl(url, ['http:', 'https:'], 'Proxy') : '',
+      username: String(config.proxy.username || '').trim(),
+      hasPassword: !!config.proxy.password || !!current.hasPassword,
+      noProxy: String(config.proxy.noProxy ?? DEFAULT_NO_PROXY).trim()
+    };
+
+    // Username removed or changed without a new password = the old password does not belong to it
+    if (!proxy.username || (proxy.username !== current.username && !config.proxy.password)) {
+      proxy.hasPassword = false;
+      secure.delete(PROXY_PASSWORD_KEY);
+    } else if (config.proxy.password) {
+      secure.set(PROXY_PASSWORD_KEY, String(config.proxy.password));
+    }
+    store.set('proxy', proxy);
+  }
+
+  agents = null;
+  return { environmentChanged: getActiveEnvironment().id !== before };
+}
+
+// =============================================================================
+// CA certificates
+// =============================================================================
+
+function describeCertificate(entry) {
+  try {
+    const certificate = new crypto.X509Certificate(entry.pem);
+    return { id: entry.id, name: entry.name, subject: certificate.subject.replace(/\n/g, ', '), validTo: certificate.validTo };
+  } catch (error) {
+    return { id: entry.id, name: entry.name, subject: 'Ungültiges Zertifikat', validTo: null };
+  }
+}
+
+/**
+ * Import CA certificates from a PEM/CRT file (one or more certificates)
+ * @param {string} name - Display name (file name)
+ * @param {string|Buffer} content - PEM text or DER bytes
+ * @returns {number} Number of imported certificates
+ */
+function addCaCertificates(name, content) {
+  const text = Buffer.isBuffer(content) ? content.toString('utf8') : String(content);
+  let pems = text.match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g) || [];
+
+  // .cer files from the Windows certificate export are often DER
+  if (pems.length === 0 && Buffer.isBuffer(content)) {
+    try {
+      pems = [new crypto.X509Certificate(content).toString()];
+    } catch (error) {
+      pems = [];
+    }
+  }
+  if (pems.length === 0) {
+    throw new Error('Keine Zertifikate in der Datei gefunden (PEM oder DER erwartet)');
+  }
+
+  const entries = pems.map((pem, i) => {
+    const certificate = new crypto.X509Certificate(pem);
+    if (!certificate.ca) {
+      throw new Error(`Kein CA-Zertifikat: ${certificate.subject.replace(/\n/g, ', ')}`);
+    }
+    return {
+      id: `ca-${crypto.randomBytes(4).toString('hex')}`,
+      name: pems.length > 1 ? `${name} (${i + 1})` : name,
+      pem: certificate.toString()
+    };
+  });
+
+  store.set('caCertificates', [...store.get('caCertificates', []), ...entries]);
+  agents = null;
+  return entries.length;
+}
+
+function removeCaCertificate(id) {
+  store.set('caCertificates', store.get('caCertificates', []).filter(entry => entry.id !== id));
+  agents = null;
+}
+
+/**
+ * Trusted CAs for Node TLS (null = Node defaults only)
+ * @returns {Array<string>|null}
+ */
+function getCaList() {
+  const custom = store.get('caCertificates', []).map(entry => entry.pem);
+  return custom.length > 0 ? [...tls.rootCertificates, ...custom] : null;
+}
+
+/**
+ * Certificate rejected by Chromium (unknown issuer) - is one of our CAs in its chain?
+ * @param {Object} certificate - Electron Certificate ({ data: PEM, issuerCert })
+ * @returns {boolean}
+ */
+function isTrustedByCustomCa(certificate) {
+  const cas = store.get('caCertificates', []).map(entry => {
+    try {
+      return new crypto.X509Certificate(entry.pem);
+    } catch (error) {
+      return null;
+    }
+  }).filter(Boolean);
+  if (cas.length === 0) return false;
+
+  for (let current = certificate; current && current.data; current = current.issuerCert) {
+    let x509;
+    try {
+      x509 = new crypto.X509Certificate(current.data);
+    } catch (error) {
+      return false;
+    }
+    if (cas.some(ca => ca.fingerprint256 === x509.fingerprint256 || (x509.checkIssued(ca) && x509.verify(ca.publicKey)))) {
+      return true;
+    }
+    // Self-signed root reached
+    if (current.issuerCert === current) break;
+  }
+  return false;
+}
+
+// =============================================================================
+// Proxy
+// =============================================================================
+
+/**
+ * Active proxy including the decrypted password (null = no proxy)
+ */
+function getProxy() {
+  const proxy = store.get('proxy');
+  if (!proxy.enabled || !proxy.url) return null;
+  return { ...proxy, password: proxy.hasPassword ? secure.get(PROXY_PASSWORD_KEY, '') : '' };
+}
+
+/**
+ * Does this host bypass the proxy? (exact host or domain suffix like ".praxis.local")
+ */
+function isBypassed(hostname, noProxy) {
+  const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  return (noProxy || '').split(/[,;\s]+/).filter(Boolean).some(entry => {
+    const rule = entry.toLowerCase();
+    if (rule === '*') return true;
+    if (rule.startsWith('.')) return host.endsWith(rule) || host === rule.slice(1);
+    return host === rule || host.endsWith(`.${rule}`);
+  });
+}
+
+function getProxyAuthorization(proxy) {
+  if (!proxy.username) return null;
+  return `Basic ${Buffer.from(`${proxy.username}:${proxy.password || ''}`).toString('base64')}`;
+}
+
+/**
+ * Open a CONNECT tunnel to host:port through the proxy
+ * @param {Object} proxy - Proxy settings
+ * @param {Object} options - Socket options of the request (host, port)
+ * @param {Function} callback - (error, socket)
+ */
+function connectThroughProxy(proxy, options, callback) {
+  const proxyUrl = new URL(proxy.url);
+  const proxyIsHttps = proxyUrl.protocol === 'https:';
+  const target = `${options.host}:${options.port}`;
+  const headers = { Host: target };
+  const authorization = getProxyAuthorization(proxy);
+  if (authorization) headers['Proxy-Authorization'] = authorization;
+
+  const request = (proxyIsHttps ? https : http).request({
+    host: proxyUrl.hostname,
+    port: proxyUrl.port || (proxyIsHttps ? 443 : 80),
+    method: 'CONNECT',
+    path: target,
+    headers,
+    agent: false,
+    timeout: PROXY_CONNECT_TIMEOUT_MS,
+    ...(proxyIsHttps && getCaList() ? { ca: getCaList() } : {})
+  });
+
+  request.once('connect', (response, socket) => {
+    if (response.statusCode !== 200) {
+      socket.destroy();
+      const error = new Error(response.statusCode === 407
+        ? 'Proxy-Anmeldung fehlgeschlagen (407) - bitte Benutzer/Passwort prüfen'
+        : `Proxy verweigert die Verbindung zu ${target} (${response.statusCode})`);
+      // Counts as a connection problem for retries/offline handling
+      error.code = 'ECONNREFUSED';
+      callback(error);
+      return;
+    }
+    callback(null, socket);
+  });
+  request.once('timeout', () => {
+    const error = new Error('Proxy antwortet nicht');
+    error.code = 'ETIMEDOUT';
+    request.destroy(error);
+  });
+  request.once('error', callback);
+  request.end();
+}
+
+// Node's Agent waits for the callback when createConnection returns nothing
+class ProxyHttpAgent extends http.Agent {
+  constructor(proxy, options) {
+    super(options);
+    this.proxy = proxy;
+  }
+
+  createConnection(options, callback) {
+    connectThroughProxy(this.proxy, options, callback);
+  }
+}
+
+class ProxyHttpsAgent extends https.Agent {
+  constructor(proxy, options) {
+    super(options);
+    this.proxy = proxy;
+  }
+
+  createConnection(options, callback) {
+    connectThroughProxy(this.proxy, options, (error, socket) => {
+      if (error) {
+        callback(error);
+        return;
+      }
+      callback(null, tls.connect({ ...options, socket, servername: options.servername || options.host }));
+    });
+  }
+}
+
+function buildAgents() {
+  const proxy = getProxy();
+  const ca = getCaList();
+  const tlsOptions = ca ? { ca } : {};
+  return {
+    proxy,
+    directHttp: null, // Node default
+    directHttps: ca ? new https.Agent({ keepAlive: true, ...tlsOptions }) : null,
+    proxyHttp: proxy ? new ProxyHttpAgent(proxy, { keepAlive: true }) : null,
+    proxyHttps: proxy ? new ProxyHttpsAgent(proxy, { keepAlive: true, ...tlsOptions }) : null
+  };
+}
+
+/**
+ * Agent for a request URL (http/https/ws/wss) - proxy and CA settings applied
+ * @param {string|URL} url - Target URL
+ * @returns {http.Agent|undefined} undefined = Node default
+ */
+function getAgent(url) {
+  if (!agents) agents = buildAgents();
+  const target = typeof url === 'string' ? new URL(url) : url;
+  const secure = target.protocol === 'https:' || target.protocol === 'wss:';
+  const useProxy = agents.proxy && !isBypassed(target.hostname, agents.proxy.noProxy);
+
+  if (useProxy) {
+    return secure ? agents.proxyHttps : agents.proxyHttp;
+  }
+  return (secure ? agents.directHttps : agents.directHttp) || undefined;
+}
+
+/**
+ * Route all axios requests through getAgent() (axios' own proxy support is turned off)
+ * @param {Object} axios - axios instance
+ */
+function attachToAxios(axios) {
+  axios.interceptors.request.use((config) => {
+    const url = new URL(config.url, config.baseURL);
+    const agent = getAgent(url);
+    config.proxy = false;
+    if (agent) {
+      if (url.protocol === 'https:') {
+        config.httpsAgent = agent;
+      } else {
+        config.httpAgent = agent;
+      }
+    }
+    return config;
+  });
+}
+
+/**
+ * Proxy settings for Electron's session (updater, windows)
+ * @returns {Object} Config for session.setProxy()
+ */
+function getChromiumProxyConfig() {
+  const proxy = getProxy();
+  if (!proxy) {
+    return { mode: 'system' };
+  }
+  const proxyUrl = new URL(proxy.url);
+  const rule = `${proxyUrl.protocol.replace(':', '')}://${proxyUrl.host}`;
+  return {
+    mode: 'fixed_servers',
+    proxyRules: rule,
+    proxyBypassRules: ['<local>', ...(proxy.noProxy || '').split(/[,;\s]+/).filter(Boolean)].join(',')
+  };
+}
+
+/**
+ * Proxy credentials for Electron's login events (null = no credentials stored)
+ * @returns {{username: string, password: string}|null}
+ */
+function getProxyCredentials() {
+  const proxy = getProxy();
+  return proxy && proxy.username ? { username: proxy.username, password: proxy.password || '' } : null;
+}
+
+// =============================================================================
+// Migration
+// =============================================================================
+
+/**
+ * Re-encrypt the proxy password with the OS keyring once it is available.
+ * Call after app 'ready' (safeStorage needs it on Linux).
+ */
+function migrateSecrets() {
+  secureStore.migrate(store, SECURE_KEYS);
+}
+
+module.exports = {
+  migrateSecrets,
+  getEnvironments,
+  getActiveEnvironment,
+  addEnvironment,
+  removeEnvironment,
+  getConfig,
+  setConfig,
+  addCaCertificates,
+  removeCaCertificate,
+  isTrustedByCustomCa,
+  getAgent,
+  attachToAxios,
+  getChromiumProxyConfig,
+  getProxyCredentials
+};
@@ -0,0 +1,109 @@
+/**
+ * Checkpoints für die Verarbeitungs-Pipeline
+ *
+ * Nach jeder Stufe wird der Job-Zustand als JSON-Datei gespeichert
+ * (userData/pipeline-checkpoints/<jobId>.json). Stürzt die App ab oder
+ * bricht die Verbindung nach dem Upload ab, kann der Job mit der
+ * gespeicherten transcriptionId fortgesetzt werden - ohne erneuten Upload.
+ *
+ * Es werden KEINE Transkripte oder Dokumentationen gespeichert, nur
+ * Dateipfade, IDs, Sprecher-Zuordnung und der Aufnahme-Kontext
+ * (Patientennummer/Initialen, Raum, Behandlung).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { app } = require('electron');
+
+// Fields that must never be written to disk (patient data, kept in memory only)
+const TRANSIENT_FIELDS = ['transcript', 'utterances', 'documentation', 'shortenings', 'finalTranscript'];
+
+function getCheckpointDir() {
+  const dir = path.join(app.getPath('userData'), 'pipeline-checkpoints');
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  return dir;
+}
+
+function getCheckpointPath(jobId) {
+  return path.join(getCheckpointDir(), `${jobId}.json`);
+}
+
+/**
+ * Write the job state to disk (atomic: temp file + rename)
+ * @param {Object} job - Pipeline job state
+ */
+function saveCheckpoint(job) {
+  const data = {};
+  for (const [key, value] of Object.entries(job)) {
+    if (!TRANSIENT_FIELDS.includes(key)) {
+      data[key] = value;
+    }
+  }
+  data.updatedAt = new Date().toISOString();
+
+  const filePath = getCheckpointPath(job.id);
+  const tempPath = `${filePath}.tmp`;
+  try {
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2), 'utf8');
+    fs.renameSync(tempPath, filePath);
+  } catch (err) {
+    // Checkpoints are best effort - processing continues without them
+    console.error('[Checkpoint] Speichern fehlgeschlagen:', err.message);
+  }
+}
+
+/**
+ * Load a job state from disk
+ * @param {string} jobId - Job ID
+ * @returns {Object|null}
+ */
+function loadCheckpoint(jobId) {
+  if (!jobId) return null;
+  const filePath = getCheckpointPath(jobId);
+  try {
+    if (fs.existsSync(filePath)) {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    }
+  } catch (err) {
+    console.error('[Checkpoint] Laden fehlgeschlagen:', err.message);
+  }
+  return null;
+}
+
+/**
+ * Delete a checkpoint (job finished or discarded)
+ * @param {string} jobId - Job ID
+ */
+function deleteCheckpoint(jobId) {
+  if (!jobId) return;
+  const filePath = getCheckpointPath(jobId);
+  try {
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+  } catch (err) {
+    // Ignore cleanup errors
+  }
+}
+
+/**
+ * List all stored checkpoints
+ * @returns {Array<Object>} Job states
+ */
+function listCheckpoints() {
+  const dir = getCheckpointDir();
+  return fs.readdirSync(dir)
+    .filter(f => f.endsWith('.json'))
+    .map(f => loadCheckpoint(path.basename(f, '.json')))
+    .filter(Boolean);
+}
+
+module.exports = {
+  saveCheckpoint,
+  loadCheckpoint,
+  deleteCheckpoint,
+  listCheckpoints,
+  getCheckpointDir
+};
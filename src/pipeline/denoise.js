@@ -0,0 +1,138 @@
+/**
+ * Entrauschen vor VAD und Upload
+ *
+ * Bohrer, Sauger und Scaler überdecken in vielen Aufnahmen die Sprache.
+ * Presets (FFmpeg-Filterketten):
+ * - light:     leichtes Breitband-Entrauschen (Lüftung, Grundrauschen)
+ * - handpiece: Turbinen-/Winkelstück-Pfeifen (ca. 4,5-7 kHz) absenken
+ * - suction:   Sauger und Scaler (breitbandiges Zischen) stärker entrauschen
+ * - learned:   Rauschprofil aus dem ruhigsten Abschnitt der Aufnahme lernen
+ *              (afftdn "sample noise"), ohne ruhigen Abschnitt wie "light"
+ *
+ * Standard ist "off": Entrauschen kann Stimmmerkmale verändern und damit die
+ * Sprechererkennung verschlechtern - nur einschalten, wo die Geräte die
+ * Transkription stören.
+ */
+
+const { FRAME_MS, DIGITAL_SILENCE_DB, readFrameLevels } = require('../wav');
+
+const DEFAULT_PRESET = 'off';
+
+const PRESETS = {
+  off: {
+    label: 'Aus',
+    description: null,
+    filters: null
+  },
+  light: {
+    label: 'Leicht',
+    description: 'Gleichmäßiges Grundrauschen (Lüftung, Kompressor)',
+    filters: ['highpass=f=90', 'afftdn=nr=10:nf=-50:tn=1']
+  },
+  handpiece: {
+    label: 'Bohrer / Turbine',
+    description: 'Senkt das hohe Pfeifen von Turbine und Winkelstück ab',
+    filters: ['highpass=f=100', 'equalizer=f=5800:width_type=h:width=2400:g=-15', 'afftdn=nr=14:nf=-45:tn=1']
+  },
+  suction: {
+    label: 'Sauger / Scaler',
+    description: 'Starkes Entrauschen für breitbandiges Zischen',
+    filters: ['highpass=f=150', 'afftdn=nr=18:nf=-40:nt=w:tn=1']
+  },
+  learned: {
+    label: 'Gelerntes Rauschprofil',
+    description: 'Lernt das Rauschen aus dem ruhigsten Abschnitt der Aufnahme',
+    filters: null
+  }
+};
+
+// Noise profile: quietest 1s window, measured in FRAME_MS frames
+const NOISE_WINDOW_FRAMES = 10;
+// Ignore the first frames (start click) and digital silence (joined pause parts)
+const SKIP_START_MS = 500;
+const LEARNED_FILTERS = ['highpass=f=90'];
+const LEARNED_AFFTDN = 'afftdn=nr=20:nf=-40';
+
+/**
+ * Presets for the settings
+ * @returns {Array<{id: string, label: string, description: string|null}>}
+ */
+function listPresets() {
+  return Object.entries(PRESETS).map(([id, preset]) => ({ id, label: preset.label, description: preset.description }));
+}
+
+/**
+ * Known preset ID (unknown/removed presets fall back to "off")
+ * @param {string} presetId
+ * @returns {string}
+ */
+function getPresetId(presetId) {
+  return PRESETS[presetId] ? presetId : DEFAULT_PRESET;
+}
+
+/**
+ * Quietest window that still contains background noise
+ * @param {Array<number>} levels - dB per frame (see wav.readFrameLevels)
+ * @returns {{startMs: number, endMs: number, levelDb: number}|null} null if the recording is too short
+ */
+function findNoiseWindow(levels) {
+  const firstFrame = Math.ceil(SKIP_START_MS / FRAME_MS);
+  let best = null;
+
+  for (let start = firstFrame; start + NOISE_WINDOW_FRAMES <= levels.length; start++) {
+    const window = levels.slice(start, start + NOISE_WINDOW_FRAMES);
+    if (window.some(level => level < DIGITAL_SILENCE_DB)) continue;
+
+    const levelDb = window.reduce((sum, level) => sum + level, 0) / NOISE_WINDOW_FRAMES;
+    if (!best || levelDb < best.levelDb) {
+      best = { startMs: start * FRAME_MS, endMs: (start + NOISE_WINDOW_FRAMES) * FRAME_MS, levelDb };
+    }
+  }
+
+  return best;
+}
+
+/**
+ * FFmpeg filters for a preset
+ *
+ * @param {string} presetId - Preset ID
+ * @param {string} inputPath - Audio file (the learned preset measures it)
+ * @returns {Promise<{filters: Array<string>|null, strategy: string}>} filters null = nothing to do
+ */
+async function buildFilters(presetId, inputPath) {
+  const id = getPresetId(presetId);
+  if (id !== 'learned') {
+    return { filters: PRESETS[id].filters, strategy: id };
+  }
+
+  let window = null;
+  try {
+    window = findNoiseWindow(await readFrameLevels(inputPath));
+  } catch (error) {
+    console.warn(`  [Denoise] Rauschprofil nicht messbar: ${error.message}`);
+  }
+
+  if (!window) {
+    return { filters: PRESETS.light.filters, strategy: 'learned→light (kein ruhiger Abschnitt)' };
+  }
+
+  const start = (window.startMs / 1000).toFixed(1);
+  const end = (window.endMs / 1000).toFixed(1);
+  return {
+    filters: [
+      ...LEARNED_FILTERS,
+      `asendcmd=${start} afftdn sn start`,
+      `asendcmd=${end} afftdn sn stop`,
+      LEARNED_AFFTDN
+    ],
+    strategy: `learned (${start}-${end}s, ${window.levelDb.toFixed(1)} dB)`
+  };
+}
+
+module.exports = {
+  DEFAULT_PRESET,
+  listPresets,
+  getPresetId,
+  findNoiseWindow,
+  buildFilters
+};
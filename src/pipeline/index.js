@@ -13,6 +13,8 @@ const fs = require('fs');
 const os = require('os');
 
 const speechRenderer = require('./speechRenderer');
+const denoise = require('./denoise');
+const { readWavFormat } = require('../wav');
 
 /**
  * Render speech-only WAV from VAD segments
@@ -53,28 +55,107 @@ async function runOfflineVAD(audioPath, onProgress = () => {}) {
 }
 
 /**
- * Process uploaded file with VAD for silence removal
+ * Number of channels of a WAV file (1 if the header cannot be read - FFmpeg
+ * in the next stages reports broken files itself)
+ */
+function readChannels(wavPath) {
+  try {
+    return readWavFormat(wavPath).channels;
+  } catch (err) {
+    return 1;
+  }
+}
+
+function getOutputDir() {
+  const outputDir = path.join(os.tmpdir(), 'dentdoc', 'pipeline');
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
+  }
+  return outputDir;
+}
+
+/**
+ * Stage "convert": convert non-WAV input to WAV 16kHz mono
+ * Two-channel recordings (doctor/room) are mixed down as well - the stereo
+ * original stays for the channel analysis of the speaker recognition.
  *
- * @param {string} audioPath - Path to uploaded audio file
+ * @param {string} audioPath - Path to input audio file
+ * @param {Function} onProgress - Progress callback
+ * @param {AbortSignal} signal - Optional, kills FFmpeg when aborted
+ * @returns {Promise<string>} Path to WAV file (input path if already WAV)
+ */
+async function convertToWorkingWav(audioPath, onProgress = () => {}, signal = null) {
+  const audioConverter = require('../audio-converter');
+  const ext = path.extname(audioPath).toLowerCase();
+
+  if (ext === '.wav' && readChannels(audioPath) === 1) {
+    return audioPath;
+  }
+
+  onProgress({ stage: 'convert', percent: 2, message: ext === '.wav' ? 'Kanäle werden zusammengeführt...' : `Konvertiere ${ext.toUpperCase()}...` });
+
+  const wavPath = path.join(getOutputDir(), `converted_${Date.now()}.wav`);
+  const convertedPath = await audioConverter.convertToWav16k(audioPath, wavPath, { signal });
+
+  // Log temp file creation
+  const convertedSize = (fs.statSync(convertedPath).size / (1024 * 1024)).toFixed(2);
+  console.log(`  [TEMP] Erstellt: ${path.basename(convertedPath)} (${convertedSize} MB)`);
+
+  return convertedPath;
+}
+
+/**
+ * Stage "denoise": reduce drill/suction noise with the chosen preset
+ *
+ * @param {string} audioPath - Path to (working) audio file
  * @param {Object} options - Options
+ * @param {string} options.preset - Denoise preset (see denoise.js), 'off' = no-op
  * @param {Function} options.onProgress - Progress callback
- * @param {string} options.source - Audio source: 'iphone' | 'mic' (default: 'mic')
- * @returns {Promise<{wavPath: string, speechMap: Array, segments: Array}>}
+ * @param {AbortSignal} options.signal - Optional, kills FFmpeg when aborted
+ * @returns {Promise<{outputPath: string, strategy: string|null}>}
  */
-async function processFileWithVAD(audioPath, options = {}) {
-  const { onProgress = () => {}, source = 'mic' } = options;
+async function denoiseFile(audioPath, options = {}) {
+  const { preset = denoise.DEFAULT_PRESET, onProgress = () => {}, signal = null } = options;
   const audioConverter = require('../audio-converter');
 
-  // Setup output directory
-  const outputDir = path.join(os.tmpdir(), 'dentdoc', 'pipeline');
-  if (!fs.existsSync(outputDir)) {
-    fs.mkdirSync(outputDir, { recursive: true });
+  const { filters, strategy } = await denoise.buildFilters(preset, audioPath);
+  if (!filters) {
+    return { outputPath: audioPath, strategy: null };
   }
 
-  // Log temp folder location and source strategy
-  console.log('');
-  console.log('///// TEMP DATEIEN /////');
-  console.log(`  Ordner: ${outputDir}`);
+  onProgress({ stage: 'denoise', percent: 3, message: 'Störgeräusche werden reduziert...' });
+  console.log(`  [Denoise] Strategie: ${strategy}`);
+  console.log(`  [Denoise] Filter: ${filters.join(',')}`);
+
+  const denoisedPath = path.join(getOutputDir(), `denoised_${Date.now()}.wav`);
+
+  try {
+    await audioConverter.applyFilters(audioPath, denoisedPath, filters, { signal });
+    console.log(`  [TEMP] Erstellt: ${path.basename(denoisedPath)} (Entrauschen: ${strategy})`);
+    return { outputPath: denoisedPath, strategy };
+  } catch (err) {
+    // Cancelled - do not fall back to the noisy file
+    if (signal && signal.aborted) throw err;
+    console.warn(`  [Denoise] Übersprungen: ${err.message}`);
+    return { outputPath: audioPath, strategy: null };
+  }
+}
+
+/**
+ * Stage "autolevel": measure RMS and apply appropriate gain/normalization
+ * Strategy depends on source: iPhone = always loudnorm, Mic = RMS-based
+ *
+ * @param {string} wavPath - Path to WAV file
+ * @param {Object} options - Options
+ * @param {Function} options.onProgress - Progress callback
+ * @param {string} options.source - Audio source: 'iphone' | 'mic' (default: 'mic')
+ * @param {AbortSignal} options.signal - Optional, kills FFmpeg when aborted
+ * @returns {Promise<{outputPath: string, strategy: string|null}>}
+ */
+async function autoLevelFile(wavPath, options = {}) {
+  const { onProgress = () => {}, source = 'mic', signal = null } = options;
+  const audioConverter = require('../audio-converter');
+
   console.log(`  Quelle: ${source}`);
   if (source === 'iphone') {
     console.log(`  >>> Auto-Level Strategie: IMMER loudnorm (iPhone)`);
@@ -82,54 +163,54 @@ async function processFileWithVAD(audioPath, options = {}) {
     console.log(`  >>> Auto-Level Strategie: RMS-basiert (loudnorm < -50dB | mild_gain -50 bis -28dB | none > -28dB)`);
   }
 
-  // Check if file needs conversion (not already WAV)
-  const ext = path.extname(audioPath).toLowerCase();
-  let processPath = audioPath;
-
-  if (ext !== '.wav') {
-    onProgress({ stage: 'convert', percent: 2, message: `Konvertiere ${ext.toUpperCase()}...` });
-
-    const wavPath = path.join(outputDir, `converted_${Date.now()}.wav`);
-    processPath = await audioConverter.convertToWav16k(audioPath, wavPath);
-
-    // Log temp file creation
-    const convertedSize = (fs.statSync(processPath).size / (1024 * 1024)).toFixed(2);
-    console.log(`  [TEMP] Erstellt: ${path.basename(processPath)} (${convertedSize} MB)`);
-  }
-
-  // Auto-Level: Measure RMS and apply appropriate gain/normalization
-  // Strategy depends on source: iPhone = always loudnorm, Mic = RMS-based
   onProgress({ stage: 'autolevel', percent: 3, message: 'Audio wird optimiert...' });
 
-  const leveledPath = path.join(outputDir, `leveled_${Date.now()}.wav`);
+  const leveledPath = path.join(getOutputDir(), `leveled_${Date.now()}.wav`);
 
   try {
-    const levelResult = await audioConverter.autoLevel(processPath, leveledPath, { source });
+    const levelResult = await audioConverter.autoLevel(wavPath, leveledPath, { source, signal });
     console.log(`  [TEMP] Erstellt: ${path.basename(leveledPath)} (Auto-Level: ${levelResult.strategy})`);
-    processPath = levelResult.outputPath;
+    return { outputPath: levelResult.outputPath, strategy: levelResult.strategy };
   } catch (err) {
+    // Cancelled - do not fall back to the unleveled file
+    if (signal && signal.aborted) throw err;
     console.warn(`  [AutoLevel] Übersprungen: ${err.message}`);
     // Continue with original file if auto-level fails
+    return { outputPath: wavPath, strategy: null };
   }
+}
 
-  // Run offline VAD
+/**
+ * Stage "vad": run offline VAD and render speech-only WAV
+ *
+ * @param {string} wavPath - Path to (leveled) WAV file
+ * @param {Function} onProgress - Progress callback
+ * @param {AbortSignal} signal - Optional, stops rendering when aborted
+ * @returns {Promise<{wavPath: string, speechMap: Array, segments: Array}>}
+ */
+async function removeSilence(wavPath, onProgress = () => {}, signal = null) {
   onProgress({ stage: 'vad', percent: 5, message: 'Stille wird entfernt...' });
 
-  const segments = await runOfflineVAD(processPath, onProgress);
+  const segments = await runOfflineVAD(wavPath, onProgress);
 
   if (segments.length === 0) {
     throw new Error('Keine Sprache erkannt. Die Datei enthält möglicherweise keine Sprache oder ist zu leise.');
   }
 
+  // VAD itself runs synchronously - check before starting the FFmpeg render
+  if (signal && signal.aborted) {
+    throw new Error('VAD-Verarbeitung abgebrochen');
+  }
+
   // Render speech-only WAV
   onProgress({ stage: 'render', percent: 25, message: 'Audio wird vorbereitet...' });
 
-  const speechOnlyPath = path.join(outputDir, `speech_only_${Date.now()}.wav`);
+  const speechOnlyPath = path.join(getOutputDir(), `speech_only_${Date.now()}.wav`);
 
-  const { wavPath, speechMap } = await speechRenderer.renderSpeechOnly(segments, speechOnlyPath);
+  const result = await speechRenderer.renderSpeechOnly(segments, speechOnlyPath, { signal });
 
   // Log speech-only file creation with size
-  const speechOnlySize = (fs.statSync(wavPath).size / (1024 * 1024)).toFixed(2);
+  const speechOnlySize = (fs.statSync(result.wavPath).size / (1024 * 1024)).toFixed(2);
   console.log(`  [TEMP] Erstellt: speech_only.wav (${speechOnlySize} MB)`);
   console.log('////////////////////////');
   console.log('');
@@ -137,12 +218,42 @@ async function processFileWithVAD(audioPath, options = {}) {
   const speechDuration = speechRenderer.getTotalDuration(segments);
   onProgress({ stage: 'render', percent: 30, message: `${(speechDuration / 1000).toFixed(0)}s Sprache` });
 
-  return { wavPath, speechMap, segments };
+  return { wavPath: result.wavPath, speechMap: result.speechMap, segments };
+}
+
+/**
+ * Process uploaded file with VAD for silence removal
+ * (convert → denoise → autolevel → vad in one call)
+ *
+ * @param {string} audioPath - Path to uploaded audio file
+ * @param {Object} options - Options
+ * @param {Function} options.onProgress - Progress callback
+ * @param {string} options.source - Audio source: 'iphone' | 'mic' (default: 'mic')
+ * @param {string} options.denoisePreset - Denoise preset (default: 'off')
+ * @returns {Promise<{wavPath: string, speechMap: Array, segments: Array}>}
+ */
+async function processFileWithVAD(audioPath, options = {}) {
+  const { onProgress = () => {}, source = 'mic', denoisePreset = denoise.DEFAULT_PRESET } = options;
+
+  // Log temp folder location
+  console.log('');
+  console.log('///// TEMP DATEIEN /////');
+  console.log(`  Ordner: ${getOutputDir()}`);
+
+  const wavPath = await convertToWorkingWav(audioPath, onProgress);
+  const { outputPath: denoisedPath } = await denoiseFile(wavPath, { preset: denoisePreset, onProgress });
+  const { outputPath } = await autoLevelFile(denoisedPath, { onProgress, source });
+  return removeSilence(outputPath, onProgress);
 }
 
 module.exports = {
   renderSpeechOnlyFromSegments,
   runOfflineVAD,
   processFileWithVAD,
+  convertToWorkingWav,
+  denoiseFile,
+  autoLevelFile,
+  removeSilence,
+  getOutputDir,
   speechRenderer
 };
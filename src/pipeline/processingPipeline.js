@@ -0,0 +1,637 @@
+/**
+ * Verarbeitungs-Pipeline für Aufnahmen
+ *
+ * Eine Pipeline mit benannten Stufen für alle Aufnahme-Quellen
+ * (Mikrofon, VAD, iPhone, Datei):
+ *
+ *   convert → denoise → autolevel → vad → quality → upload → transcribe → speakers → document → save
+ *
+ * - convert/autolevel/vad laufen nur wenn VAD aktiviert ist
+ * - denoise läuft, wenn ein Entrauschen-Preset gewählt ist (auch ohne VAD,
+ *   dann wird die entrauschte Datei hochgeladen; siehe denoise.js)
+ * - quality prüft die Aufnahme vor dem Upload (siehe qualityReport.js);
+ *   unbrauchbares Audio stoppt den Job mit Code POOR_AUDIO, außer
+ *   ctx.allowPoorAudio ist gesetzt (manueller Neuversuch)
+ * - Nach jeder Stufe wird ein Checkpoint auf Platte geschrieben
+ * - Beim Fortsetzen werden erledigte Stufen übersprungen; lokale Stufen
+ *   (convert/denoise/autolevel/vad) laufen erneut, falls ihre Temp-Dateien fehlen.
+ *   VAD ist deterministisch, daher passen die Zeitstempel weiterhin zur
+ *   bestehenden Transkription.
+ *
+ * UI, Zwischenablage und Speichern bleiben in main.js (über ctx-Hooks).
+ *
+ * Transkription: Polling mit Backoff, Zeitlimit nach Audiodauer und
+ * Restzeit-Schätzung (siehe transcriptionWait.js).
+ *
+ * Offline: ctx.canUpload() = false lässt die lokalen Stufen laufen und
+ * beendet den Job vor dem Upload mit Code OFFLINE - er wird aus der
+ * Retry-Warteschlange fortgesetzt, sobald die Verbindung wieder da ist.
+ *
+ * Abbrechen: ctx.signal (AbortSignal) bricht laufende Requests, den Upload
+ * und FFmpeg ab. Der Job endet dann mit einem ApiError (Code CANCELED).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const vadPipeline = require('./index');
+const checkpoints = require('./checkpoints');
+const transcriptionWait = require('./transcriptionWait');
+const denoise = require('./denoise');
+const qualityReport = require('./qualityReport');
+const docModes = require('../doc-modes');
+const { ApiError, CODES } = require('../errors');
+
+const STAGES = ['convert', 'denoise', 'autolevel', 'vad', 'quality', 'upload', 'transcribe', 'speakers', 'document', 'save'];
+
+const STAGE_LABELS = {
+  convert: 'Konvertierung',
+  denoise: 'Entrauschen',
+  autolevel: 'Auto-Level',
+  vad: 'Stille-Erkennung',
+  quality: 'Qualitätsprüfung',
+  upload: 'Upload',
+  transcribe: 'Transkription',
+  speakers: 'Sprechererkennung',
+  document: 'Dokumentation',
+  save: 'Speichern'
+};
+
+// Overlay progress step (1-4) per stage
+const OVERLAY_STEPS = {
+  convert: 1,
+  denoise: 1,
+  autolevel: 1,
+  vad: 1,
+  quality: 1,
+  upload: 1,
+  transcribe: 2,
+  speakers: 3,
+  document: 4,
+  save: 4
+};
+
+function throwIfCanceled(signal) {
+  if (signal && signal.aborted) {
+    throw new ApiError(CODES.CANCELED);
+  }
+}
+
+function fileExists(filePath) {
+  return !!filePath && fs.existsSync(filePath);
+}
+
+function isCompleted(job, stage) {
+  return job.completedStages.includes(stage);
+}
+
+/**
+ * Input audio for the local stages: original recording, or the backup copy
+ * in "Fehlgeschlagen" if the temp file is gone (e.g. after a restart)
+ */
+function getInputPath(job) {
+  if (fileExists(job.audioPath)) return job.audioPath;
+  if (fileExists(job.backupPath)) return job.backupPath;
+  throw new Error('Audio-Datei nicht mehr vorhanden');
+}
+
+function isDenoiseEnabled(job) {
+  return !!job.denoisePreset && job.denoisePreset !== denoise.DEFAULT_PRESET;
+}
+
+/**
+ * Local stage outputs are only needed until speaker recognition is done
+ */
+function localOutputsAvailable(job) {
+  if (isCompleted(job, 'speakers')) return true;
+  if (job.vadEnabled) return fileExists(job.speechPath);
+  return !isDenoiseEnabled(job) || fileExists(job.denoisedPath);
+}
+
+/**
+ * Audio used for upload and speaker recognition
+ */
+function getProcessedAudioPath(job) {
+  if (job.vadEnabled) return job.speechPath;
+  return isDenoiseEnabled(job) && job.denoisedPath ? job.denoisedPath : getInputPath(job);
+}
+
+/**
+ * Two-channel original for the speaker recognition (left = doctor, right = room)
+ * Utterance times refer to the speech-only file with VAD, to the recording without.
+ */
+function getChannelSource(job) {
+  if (job.channelLayout !== 'doctor-room') return null;
+  if (job.vadEnabled && !job.speechMap) return null;
+  return { stereoPath: getInputPath(job), speechMap: job.vadEnabled ? job.speechMap : null };
+}
+
+function formatMegabytes(bytes) {
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Upload format and size for logs, e.g. "FLAC 4.2 MB (-55% gegenüber WAV)"
+ * @param {Object} uploadStats - { format, bytes, wavBytes } from apiClient.uploadAudio
+ * @returns {string}
+ */
+function formatUploadStats(uploadStats) {
+  const text = `${uploadStats.format.toUpperCase()} ${formatMegabytes(uploadStats.bytes)}`;
+  if (uploadStats.format === 'wav' || !uploadStats.wavBytes) return text;
+  return `${text} (-${Math.round((1 - uploadStats.bytes / uploadStats.wavBytes) * 100)}% gegenüber WAV)`;
+}
+
+/**
+ * Create a new pipeline job
+ * @param {Object} data
+ * @param {string} data.audioPath - Recorded/selected audio
+ * @param {string|null} data.backupPath - Backup copy in "Fehlgeschlagen"
+ * @param {string} data.source - 'mic' | 'iphone' | 'file'
+ * @param {boolean} data.vadEnabled - Run convert/autolevel/vad stages
+ * @param {string} data.denoisePreset - Denoise preset (see denoise.js, default 'off')
+ * @param {string} data.docMode - Documentation mode (see doc-modes)
+ * @param {string|null} data.transcriptionId - Existing transcription (skips upload)
+ * @param {Object|null} data.context - Patient/room/treatment (see recording-context)
+ * @param {string|null} data.channelLayout - 'doctor-room' for two-channel recordings
+ * @param {string|null} data.uploadFormat - Preferred upload format (see apiClient.uploadAudio)
+ * @returns {Object} Job state
+ */
+function createJob(data) {
+  const job = {
+    id: `pipe-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    createdAt: new Date().toISOString(),
+    audioPath: data.audioPath,
+    backupPath: data.backupPath || null,
+    source: data.source || 'mic',
+    vadEnabled: data.vadEnabled !== false,
+    docMode: data.docMode || docModes.DEFAULT_MODE,
+    completedStages: [],
+    currentStage: null,
+    workPath: null,
+    denoisePreset: denoise.getPresetId(data.denoisePreset),
+    // Applied denoise filters, e.g. "learned (12.3-13.3s, -52.1 dB)" (null = none)
+    denoiseStrategy: null,
+    denoisedPath: null,
+    leveledPath: null,
+    levelStrategy: null,
+    speechPath: null,
+    // Speech-only timeline -> recording (channel analysis of two-channel recordings)
+    speechMap: null,
+    // Pre-upload quality report (see qualityReport.js), kept for support
+    qualityReport: null,
+    // 'doctor-room': two-channel recording, left = doctor, right = room
+    channelLayout: data.channelLayout || null,
+    transcriptionId: data.transcriptionId || null,
+    // Uploaded audio duration and upload time (timeout and ETA of the transcription)
+    audioSeconds: null,
+    transcriptionStartedAt: null,
+    // Chunked upload session (resume after crash/connection loss, see apiClient.uploadToProxy)
+    upload: null,
+    // Preferred upload format ('flac' | 'opus' | 'wav') and what was actually sent
+    uploadFormat: data.uploadFormat || null,
+    uploadStats: null,
+    speakerMapping: null,
+    context: data.context || null
+  };
+
+  if (job.transcriptionId) {
+    // Audio was already uploaded before - never upload twice
+    job.completedStages.push('upload');
+  }
+
+  checkpoints.saveCheckpoint(job);
+  return job;
+}
+
+/**
+ * Load a job from its checkpoint
+ * @param {string} jobId - Job ID
+ * @returns {Object|null}
+ */
+function loadJob(jobId) {
+  const job = checkpoints.loadCheckpoint(jobId);
+  if (!job) return null;
+  job.completedStages = job.completedStages || [];
+  return job;
+}
+
+/**
+ * Name of the next stage that still has to run (for status display)
+ * @param {Object} job - Job state
+ * @returns {string|null}
+ */
+function getNextStage(job) {
+  return STAGES.find(stage => !isCompleted(job, stage)) || null;
+}
+
+// ============================================================================
+// Stage definitions
+// Each stage: { name, skip(job), isDone(job), run(job, ctx) -> partial state }
+// ============================================================================
+
+const stageDefinitions = [
+  {
+    name: 'convert',
+    skip: job => !job.vadEnabled,
+    isDone: job => isCompleted(job, 'convert') && localOutputsAvailable(job),
+    async run(job, ctx) {
+      console.log('///// SCHRITT 1: VAD /////');
+      console.log('  Stille wird erkannt und entfernt...');
+      const workPath = await vadPipeline.convertToWorkingWav(getInputPath(job), ctx.onVadProgress, ctx.signal);
+      return { workPath };
+    }
+  },
+  {
+    name: 'denoise',
+    skip: job => !isDenoiseEnabled(job),
+    isDone: job => isCompleted(job, 'denoise') && localOutputsAvailable(job),
+    async run(job, ctx) {
+      const { outputPath, strategy } = await vadPipeline.denoiseFile(job.workPath || getInputPath(job), {
+        preset: job.denoisePreset,
+        onProgress: ctx.onVadProgress,
+        signal: ctx.signal
+      });
+      console.log(`  [Denoise] Job ${job.id}: ${strategy || 'keine Filter angewendet'}`);
+      return { denoisedPath: strategy ? outputPath : null, denoiseStrategy: strategy };
+    }
+  },
+  {
+    name: 'autolevel',
+    skip: job => !job.vadEnabled,
+    isDone: job => isCompleted(job, 'autolevel') && localOutputsAvailable(job),
+    async run(job, ctx) {
+      const { outputPath, strategy } = await vadPipeline.autoLevelFile(job.denoisedPath || job.workPath, {
+        source: job.source,
+        onProgress: ctx.onVadProgress,
+        signal: ctx.signal
+      });
+      return { leveledPath: outputPath, levelStrategy: strategy };
+    }
+  },
+  {
+    name: 'vad',
+    skip: job => !job.vadEnabled,
+    isDone: job => isCompleted(job, 'vad') && localOutputsAvailable(job),
+    async run(job, ctx) {
+      const { wavPath, speechMap } = await vadPipeline.removeSilence(job.leveledPath, ctx.onVadProgress, ctx.signal);
+      return { speechPath: wavPath, speechMap };
+    }
+  },
+  {
+    name: 'quality',
+    // Already uploaded - nothing left to decide
+    skip: job => !!job.transcriptionId,
+    isDone: job => isCompleted(job, 'quality'),
+    async run(job, ctx) {
+      ctx.onProgress({ stage: 'quality', message: 'Audioqualität wird geprüft...' });
+
+      // Measured before denoise/auto-level (clipping, dropouts of the recording itself)
+      const audioPath = job.workPath || getInputPath(job);
+      const segments = job.vadEnabled && job.speechMap
+        ? job.speechMap.map(entry => ({ startMs: entry.originalStartMs, endMs: entry.originalEndMs }))
+        : null;
+
+      let report;
+      try {
+        report = await qualityReport.analyzeFile(audioPath, segments);
+      } catch (error) {
+        console.log('  [Qualität] Übersprungen:', error.message);
+        return { qualityReport: null };
+      }
+
+      console.log(`  [Qualität] ${qualityReport.formatSummary(report)}`);
+      report.warnings.forEach(warning => console.log(`  [Qualität] Hinweis: ${warning.message}`));
+
+      if (report.blocking) {
+        if (!ctx.allowPoorAudio) {
+          job.qualityReport = report;
+          throw new ApiError(CODES.POOR_AUDIO,
+            `${report.blocking.message} Unter "Fehlgeschlagen" erneut versuchen, um trotzdem zu transkribieren.`);
+        }
+        console.log('  [Qualität] Unbrauchbar, wird auf Wunsch trotzdem verarbeitet');
+        report.overridden = true;
+      }
+
+      if (ctx.onQualityReport) ctx.onQualityReport(report);
+      return { qualityReport: report };
+    }
+  },
+  {
+    name: 'upload',
+    skip: () => false,
+    isDone: job => !!job.transcriptionId,
+    async run(job, ctx) {
+      // Offline: local stages are done, the upload waits in the retry queue
+      if (ctx.canUpload && !ctx.canUpload()) {
+        if (ctx.speakerRecognition) {
+          // Load the speaker model now - the speaker stage runs right after the upload later
+          await ctx.speakerRecognition.initialize().catch(error => {
+            console.log('  [!] Sprechererkennung nicht vorbereitet:', error.message);
+          });
+        }
+        throw new ApiError(CODES.OFFLINE);
+      }
+
+      console.log('///// SCHRITT 2: UPLOAD /////');
+      console.log('  Audio wird an AssemblyAI gesendet...');
+      ctx.onProgress({ stage: 'upload', message: 'Audio wird gesendet...', uploadProgress: 0 });
+
+      let audioSeconds = null;
+      let uploadStats = null;
+      const transcriptionId = await ctx.apiClient.uploadAudio(getProcessedAudioPath(job), ctx.token, (progressInfo) => {
+        if (progressInfo.phase === 'prepare') {
+          ctx.onProgress({ stage: 'upload', message: progressInfo.message, uploadProgress: 0 });
+        } else if (progressInfo.phase === 'upload') {
+          const size = progressInfo.totalBytes ? ` (${formatMegabytes(progressInfo.bytes)} von ${formatMegabytes(progressInfo.totalBytes)})` : '';
+          ctx.onProgress({ stage: 'upload', message: `Audio wird hochgeladen... ${progressInfo.percent}%${size}`, uploadProgress: progressInfo.percent });
+        } else if (progressInfo.phase === 'retry') {
+          ctx.onProgress({ stage: 'upload', message: progressInfo.message, uploadProgress: progressInfo.percent });
+        } else if (progressInfo.phase === 'submit') {
+          ctx.onProgress({ stage: 'upload', message: 'Transkription wird gestartet...', uploadProgress: 100 });
+        } else if (progressInfo.phase === 'submitted') {
+          audioSeconds = progressInfo.audioSeconds || null;
+          uploadStats = progressInfo.uploadStats || null;
+          ctx.onProgress({ stage: 'upload', message: 'Audio übermittelt', uploadProgress: 100 });
+        }
+      }, {
+        signal: ctx.signal,
+        format: job.uploadFormat,
+        resume: job.upload,
+        onSession: (upload) => {
+          job.upload = upload;
+          checkpoints.saveCheckpoint(job);
+        }
+      });
+      if (uploadStats) {
+        console.log(`  Upload: ${formatUploadStats(uploadStats)}`);
+      }
+      return { transcriptionId, upload: null, audioSeconds, uploadStats, transcriptionStartedAt: new Date().toISOString() };
+    }
+  },
+  {
+    name: 'transcribe',
+    skip: () => false,
+    // Transcript is not persisted - after a restart it is fetched again (no upload, no extra minutes)
+    isDone: job => isCompleted(job, 'transcribe') && Array.isArray(job.utterances),
+    async run(job, ctx) {
+      const startedAt = job.transcriptionStartedAt ? Date.parse(job.transcriptionStartedAt) : Date.now();
+      let lastMessage = '';
+      let waited = false;
+
+      const transcriptionResult = await transcriptionWait.waitForTranscription({
+        getStatus: () => ctx.apiClient.getTranscriptionStatus(job.transcriptionId, ctx.token, { signal: ctx.signal }),
+        subscribe: ctx.apiClient.subscribeTranscriptionEvents
+          ? (options) => ctx.apiClient.subscribeTranscriptionEvents(job.transcriptionId, ctx.token, options)
+          : null,
+        audioSeconds: job.audioSeconds,
+        signal: ctx.signal,
+        onPoll: (status) => {
+          if (status.status !== 'queued' && status.status !== 'processing') return;
+          waited = true;
+          const eta = transcriptionWait.formatEta(transcriptionWait.estimateRemainingMs(job, Date.now() - startedAt));
+          const message = `${status.status === 'queued' ? 'Warte auf Verarbeitung...' : 'Sprache wird erkannt...'}${eta ? ` (${eta})` : ''}`;
+          if (message !== lastMessage) {
+            lastMessage = message;
+            ctx.onProgress({ stage: 'transcribe', message });
+          }
+        }
+      });
+
+      throwIfCanceled(ctx.signal);
+      if (transcriptionResult.status === 'error') {
+        // This transcription is unusable - next attempt has to upload again
+        job.transcriptionId = null;
+        job.upload = null;
+        job.completedStages = job.completedStages.filter(s => s !== 'upload');
+        checkpoints.saveCheckpoint(job);
+        throw new ApiError(CODES.TRANSCRIPTION_FAILED, transcriptionResult.error || 'Transkription fehlgeschlagen');
+      }
+      ctx.onProgress({ stage: 'transcribe', message: 'Sprache erkannt' });
+
+      // Only a wait that was watched from the upload on is a useful sample
+      const transcribeMs = Date.now() - startedAt;
+      if (waited && job.transcriptionStartedAt && transcribeMs <= transcriptionWait.getTimeoutMs(job.audioSeconds)) {
+        transcriptionWait.recordTranscription(job.audioSeconds, transcribeMs);
+      }
+
+      console.log('///// SCHRITT 3: TRANSKRIPTION /////');
+      console.log('  AssemblyAI Transkription abgeschlossen');
+
+      const utterances = typeof transcriptionResult.utterances === 'string'
+        ? JSON.parse(transcriptionResult.utterances)
+        : transcriptionResult.utterances;
+
+      if (!utterances || utterances.length === 0) {
+        throw new ApiError(CODES.NO_SPEECH, 'Keine Sprache erkannt. Bitte sprechen Sie deutlich ins Mikrofon und versuchen Sie es erneut.');
+      }
+
+      console.log(`  Utterances: ${utterances.length}`);
+      console.log('');
+
+      return { transcript: transcriptionResult.transcriptText, utterances };
+    }
+  },
+  {
+    name: 'speakers',
+    skip: () => false,
+    isDone: job => isCompleted(job, 'speakers'),
+    async run(job, ctx) {
+      console.log('///// SCHRITT 4: SPEAKER /////');
+      console.log('  Sprecher werden identifiziert...');
+      ctx.onProgress({ stage: 'speakers', title: 'Sprecher werden erkannt...', message: 'Stimmen werden analysiert...' });
+
+      let speakerMapping = null;
+      const speakerAudioPath = getProcessedAudioPath(job);
+
+      // Speaker identification is optional - errors do not fail the job
+      try {
+        if (ctx.speakerRecognition && job.utterances.length > 0) {
+          speakerMapping = await ctx.speakerRecognition.identifySpeakersFromUtterances(
+            speakerAudioPath,
+            job.utterances,
+            { channelSource: getChannelSource(job) }
+          );
+
+          // Update backend with speaker mapping
+          await ctx.apiClient.updateSpeakerMapping(job.transcriptionId, speakerMapping, ctx.token, { signal: ctx.signal });
+
+          if (ctx.onSpeakersIdentified) {
+            ctx.onSpeakersIdentified({
+              transcriptionId: job.transcriptionId,
+              audioFilePath: speakerAudioPath,
+              utterances: job.utterances,
+              speakerMapping
+            });
+          }
+        }
+      } catch (speakerError) {
+        // Optional stage, but a cancel has to stop the job
+        throwIfCanceled(ctx.signal);
+        console.log('  [!] Fehler bei Sprechererkennung:', speakerError.message);
+      }
+
+      return { speakerMapping };
+    }
+  },
+  {
+    name: 'document',
+    skip: () => false,
+    isDone: job => isCompleted(job, 'document') && typeof job.documentation === 'string',
+    async run(job, ctx) {
+      console.log('///// SCHRITT 5: DOKUMENTATION /////');
+      console.log('  KI erstellt Dokumentation...');
+
+      const startedAt = Date.now();
+      const result = await createDocumentation(job.transcriptionId, job.docMode, {
+        ...ctx,
+        context: job.context
+      });
+      transcriptionWait.recordDocumentation(job.docMode, Date.now() - startedAt);
+
+      console.log('  Dokumentation erstellt!');
+      console.log('');
+
+      return {
+        documentation: result.documentation,
+        finalTranscript: result.transcript || job.transcript, // formatted transcript with speaker labels
+        shortenings: result.shortenings || null
+      };
+    }
+  },
+  {
+    name: 'save',
+    skip: () => false,
+    isDone: job => isCompleted(job, 'save'),
+    async run(job, ctx) {
+      console.log('///// SCHRITT 6: SPEICHERN /////');
+      await ctx.save(job, getProcessedAudioPath(job));
+      return {};
+    }
+  }
+];
+
+/**
+ * Generate documentation for an existing transcription (no upload, no extra
+ * minutes). Used by the "document" stage and for regenerating finished
+ * recordings with another mode.
+ *
+ * @param {string} transcriptionId - Transcription on the backend
+ * @param {string} docModeId - Documentation mode (see doc-modes)
+ * @param {Object} ctx - { apiClient, token, getBausteine, signal, context, onProgress? }
+ * @returns {Promise<{documentation, transcript, shortenings, meta}>}
+ */
+async function createDocumentation(transcriptionId, docModeId, ctx) {
+  const { apiClient, token } = ctx;
+  // Patient/room/treatment context is passed to every documentation endpoint
+  const requestOptions = { signal: ctx.signal, context: ctx.context || null };
+  const mode = docModes.getMode(docModeId);
+  console.log(`  Modus: ${mode.label}`);
+  if (ctx.onProgress) {
+    ctx.onProgress({ stage: 'document', title: 'Dokumentation wird erstellt...', message: mode.progressMessage });
+  }
+  const payload = mode.buildPayload({ getBausteine: ctx.getBausteine });
+  return apiClient.generateDocumentation(transcriptionId, token, mode, payload, requestOptions);
+}
+
+/**
+ * Run (or resume) a pipeline job
+ *
+ * @param {Object} job - Job state (from createJob or loadJob)
+ * @param {Object} ctx - Hooks and dependencies from main.js
+ * @param {string} ctx.token - Auth token
+ * @param {Object} ctx.apiClient - API client
+ * @param {Object} ctx.speakerRecognition - Speaker recognition module (optional)
+ * @param {Function} ctx.getBausteine - Returns Bausteine (for modes that send them, e.g. agent-chain)
+ * @param {Function} ctx.onProgress - ({stage, step, title?, message, uploadProgress?}) => void
+ * @param {Function} ctx.onSpeakersIdentified - Optional, receives optimization data
+ * @param {Function} ctx.save - (job, audioPath) => Promise, saves result files
+ * @param {AbortSignal} ctx.signal - Optional, cancels the job (throws a CANCELED ApiError)
+ * @param {Function} ctx.canUpload - Optional, () => boolean; false stops before the upload (OFFLINE ApiError)
+ * @param {Function} ctx.onQualityReport - Optional, (report) => void after the quality check
+ * @param {boolean} ctx.allowPoorAudio - Upload even if the quality check finds the audio unusable
+ * @returns {Promise<Object>} Finished job state (incl. documentation, finalTranscript, shortenings)
+ */
+async function runPipeline(job, ctx) {
+  const userOnProgress = ctx.onProgress || (() => {});
+  const runCtx = {
+    ...ctx,
+    onProgress: (info) => userOnProgress({ ...info, step: OVERLAY_STEPS[info.stage] || 1 }),
+    onVadProgress: (info) => userOnProgress({ stage: 'vad', step: 1, message: info.message })
+  };
+
+  console.log('');
+  console.log('========================================');
+  console.log('       VERARBEITUNG GESTARTET');
+  console.log('========================================');
+  console.log(`  Datei: ${path.basename(job.audioPath || job.backupPath || '')}`);
+  console.log(`  Quelle: ${job.source}`);
+  console.log(`  Job: ${job.id}`);
+  if (job.completedStages.length > 0) {
+    console.log(`  Fortsetzung nach: ${job.completedStages.join(', ')}`);
+  }
+  console.log('');
+
+  for (const stage of stageDefinitions) {
+    if (stage.skip(job)) continue;
+    if (stage.isDone(job)) continue;
+
+    // Checked before every stage - nothing is saved once the job is cancelled
+    throwIfCanceled(ctx.signal);
+
+    job.currentStage = stage.name;
+    checkpoints.saveCheckpoint(job);
+    let result;
+    try {
+      result = await stage.run(job, runCtx);
+    } catch (error) {
+      // Aborted FFmpeg/requests fail with their own errors - report them as cancel
+      throwIfCanceled(ctx.signal);
+      throw error;
+    }
+    Object.assign(job, result);
+
+    if (!job.completedStages.includes(stage.name)) {
+      job.completedStages.push(stage.name);
+    }
+    checkpoints.saveCheckpoint(job);
+  }
+
+  job.currentStage = null;
+  checkpoints.deleteCheckpoint(job.id);
+
+  console.log('========================================');
+  console.log('       VERARBEITUNG ABGESCHLOSSEN');
+  console.log('========================================');
+  console.log('');
+
+  return job;
+}
+
+/**
+ * Discard a job (deletes its checkpoint)
+ * @param {string} jobId - Job ID
+ */
+function discardJob(jobId) {
+  checkpoints.deleteCheckpoint(jobId);
+}
+
+/**
+ * All unfinished jobs (e.g. interrupted by a crash)
+ * @returns {Array<Object>}
+ */
+function listUnfinishedJobs() {
+  return checkpoints.listCheckpoints();
+}
+
+module.exports = {
+  STAGES,
+  STAGE_LABELS,
+  createJob,
+  loadJob,
+  runPipeline,
+  createDocumentation,
+  discardJob,
+  listUnfinishedJobs,
+  getNextStage,
+  formatUploadStats
+};
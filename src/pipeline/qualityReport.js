@@ -0,0 +1,233 @@
+/**
+ * Qualitätsprüfung vor dem Upload
+ *
+ * Bevor Minuten für die Transkription verbraucht werden, wird die Aufnahme
+ * lokal vermessen:
+ * - Übersteuerung (Anteil geclippter Samples)
+ * - geschätzter Störabstand (SNR): Sprache laut VAD gegen den Rest, ohne
+ *   VAD aus den lautesten/leisesten Abschnitten
+ * - Sprachanteil laut VAD
+ * - Aussetzer: lange digitale Stille (z.B. iPhone-Verbindung abgebrochen)
+ * - Gleichspannungsversatz (DC-Offset)
+ *
+ * Hinweise (warnings) werden angezeigt, die Verarbeitung läuft weiter.
+ * Bei eindeutig unbrauchbarem Audio (blocking) stoppt der Job vor dem Upload;
+ * ein manueller Neuversuch unter "Fehlgeschlagen" lädt trotzdem hoch.
+ * Der Bericht wird mit dem Job gespeichert (Checkpoint, Fehlgeschlagen-Liste).
+ */
+
+const { FRAME_MS, DIGITAL_SILENCE_DB, readFrameLevels } = require('../wav');
+
+// |sample| at or above this counts as clipped (int16 full scale)
+const CLIP_LEVEL = 32700 / 32768;
+const MIN_DROPOUT_MS = 2000;
+// Enough non-speech audio to measure the noise floor, otherwise percentiles
+const MIN_NOISE_FRAMES = 10;
+
+const WARN = {
+  clippingRatio: 0.001,
+  snrDb: 15,
+  speechRatio: 0.15,
+  dcOffset: 0.02
+};
+
+const BLOCK = {
+  peakDb: -60,
+  clippingRatio: 0.05,
+  snrDb: 3,
+  dropoutRatio: 0.5
+};
+
+/**
+ * Read a 16-bit PCM WAV file once and collect the raw statistics
+ * @param {string} wavPath - Path to WAV file
+ * @returns {Promise<{durationMs: number, frameDb: Array<number>, clippedSamples: number, totalSamples: number, sampleSum: number, peak: number}>}
+ * @throws {Error} If the file is not a 16-bit PCM WAV file
+ */
+async function measureWav(wavPath) {
+  const stats = { durationMs: 0, frameDb: [], clippedSamples: 0, totalSamples: 0, sampleSum: 0, peak: 0 };
+
+  stats.frameDb = await readFrameLevels(wavPath, (buffer, start, end) => {
+    for (let pos = start; pos < end; pos += 2) {
+      const sample = buffer.readInt16LE(pos) / 32768;
+      const magnitude = Math.abs(sample);
+      stats.sampleSum += sample;
+      if (magnitude >= CLIP_LEVEL) stats.clippedSamples++;
+      if (magnitude > stats.peak) stats.peak = magnitude;
+    }
+    stats.totalSamples += (end - start) / 2;
+  });
+
+  stats.durationMs = stats.frameDb.length * FRAME_MS;
+  return stats;
+}
+
+function toDb(value) {
+  return value > 0 ? 20 * Math.log10(value) : -Infinity;
+}
+
+/**
+ * Mean power of frames in dB (power average, not dB average)
+ */
+function meanPowerDb(levels) {
+  if (levels.length === 0) return null;
+  const mean = levels.reduce((sum, db) => sum + Math.pow(10, db / 10), 0) / levels.length;
+  return 10 * Math.log10(mean);
+}
+
+function percentile(sortedValues, fraction) {
+  return sortedValues[Math.min(sortedValues.length - 1, Math.floor(fraction * sortedValues.length))];
+}
+
+/**
+ * Runs of digital silence (frames below DIGITAL_SILENCE_DB)
+ * @param {Array<number>} frameDb - dB per frame
+ * @returns {Array<{startSec: number, durationSec: number}>}
+ */
+function findDropouts(frameDb) {
+  const dropouts = [];
+  let runStart = null;
+
+  for (let i = 0; i <= frameDb.length; i++) {
+    const silent = i < frameDb.length && frameDb[i] < DIGITAL_SILENCE_DB;
+    if (silent && runStart === null) runStart = i;
+    if (!silent && runStart !== null) {
+      const durationMs = (i - runStart) * FRAME_MS;
+      if (durationMs >= MIN_DROPOUT_MS) {
+        dropouts.push({ startSec: (runStart * FRAME_MS) / 1000, durationSec: durationMs / 1000 });
+      }
+      runStart = null;
+    }
+  }
+  return dropouts;
+}
+
+/**
+ * Estimated SNR: speech frames (VAD) against the other non-silent frames,
+ * without VAD or with little pause: loudest 5% against quietest 10%
+ * @param {Array<number>} frameDb - dB per frame
+ * @param {Array|null} segments - VAD segments ({startMs, endMs}) on the same timeline
+ * @returns {number|null}
+ */
+function estimateSnr(frameDb, segments) {
+  const audible = [];
+  const speech = [];
+  const noise = [];
+
+  frameDb.forEach((db, index) => {
+    if (db < DIGITAL_SILENCE_DB) return;
+    audible.push(db);
+    if (!segments) return;
+    const centerMs = index * FRAME_MS + FRAME_MS / 2;
+    const isSpeech = segments.some(s => centerMs >= s.startMs && centerMs < s.endMs);
+    (isSpeech ? speech : noise).push(db);
+  });
+
+  if (segments && speech.length > 0 && noise.length >= MIN_NOISE_FRAMES) {
+    return meanPowerDb(speech) - meanPowerDb(noise);
+  }
+  if (audible.length < MIN_NOISE_FRAMES) return null;
+
+  const sorted = [...audible].sort((a, b) => a - b);
+  return percentile(sorted, 0.95) - percentile(sorted, 0.1);
+}
+
+function percent(ratio) {
+  return `${(ratio * 100).toFixed(ratio < 0.01 ? 2 : 0)}%`;
+}
+
+/**
+ * Quality report from the raw statistics
+ *
+ * @param {Object} stats - From measureWav
+ * @param {Array|null} segments - VAD segments ({startMs, endMs}), null without VAD
+ * @returns {Object} { durationSec, peakDb, clippingRatio, snrDb, speechRatio, dropouts, dcOffset, warnings, blocking }
+ */
+function buildReport(stats, segments = null) {
+  const durationMs = stats.durationMs;
+  const speechMs = segments ? segments.reduce((sum, s) => sum + (s.endMs - s.startMs), 0) : null;
+  const dropouts = findDropouts(stats.frameDb);
+  const dropoutSec = dropouts.reduce((sum, d) => sum + d.durationSec, 0);
+  const snr = estimateSnr(stats.frameDb, segments);
+
+  const report = {
+    durationSec: Math.round(durationMs / 100) / 10,
+    peakDb: stats.peak > 0 ? Math.round(toDb(stats.peak) * 10) / 10 : null,
+    clippingRatio: stats.totalSamples > 0 ? stats.clippedSamples / stats.totalSamples : 0,
+    snrDb: snr !== null ? Math.round(snr * 10) / 10 : null,
+    speechRatio: speechMs !== null && durationMs > 0 ? Math.min(1, speechMs / durationMs) : null,
+    dropouts,
+    dcOffset: stats.totalSamples > 0 ? stats.sampleSum / stats.totalSamples : 0,
+    warnings: [],
+    blocking: null
+  };
+
+  // Clearly unusable - stop before the upload
+  if (report.peakDb === null || report.peakDb < BLOCK.peakDb) {
+    report.blocking = { code: 'silent', message: 'Die Aufnahme ist (fast) stumm. Bitte Mikrofon prüfen.' };
+  } else if (report.clippingRatio >= BLOCK.clippingRatio) {
+    report.blocking = { code: 'clipping', message: `Die Aufnahme ist stark übersteuert (${percent(report.clippingRatio)} verzerrt).` };
+  } else if (durationMs > 0 && dropoutSec * 1000 >= durationMs * BLOCK.dropoutRatio) {
+    report.blocking = { code: 'dropouts', message: `Die Aufnahme ist größtenteils ausgefallen (${Math.round(dropoutSec)} s ohne Signal).` };
+  } else if (report.snrDb !== null && report.snrDb < BLOCK.snrDb) {
+    report.blocking = { code: 'noise', message: 'Sprache ist im Hintergrundgeräusch nicht zu erkennen.' };
+  }
+
+  // Usable, but the result may suffer
+  if (report.clippingRatio >= WARN.clippingRatio && !report.blocking) {
+    report.warnings.push({ code: 'clipping', message: `Übersteuert (${percent(report.clippingRatio)}) - Mikrofon weiter weg stellen oder Pegel senken` });
+  }
+  if (report.snrDb !== null && report.snrDb < WARN.snrDb && !report.blocking) {
+    report.warnings.push({ code: 'noise', message: `Starke Hintergrundgeräusche (SNR ${report.snrDb} dB) - "Störgeräusche reduzieren" kann helfen` });
+  }
+  if (report.speechRatio !== null && report.speechRatio < WARN.speechRatio) {
+    report.warnings.push({ code: 'speech', message: `Wenig Sprache erkannt (${percent(report.speechRatio)} der Aufnahme)` });
+  }
+  if (dropouts.length > 0) {
+    const longest = Math.max(...dropouts.map(d => d.durationSec));
+    report.warnings.push({ code: 'dropouts', message: `${dropouts.length} Aussetzer (längster ${longest.toFixed(0)} s) - Verbindung von Mikrofon/iPhone prüfen` });
+  }
+  if (Math.abs(report.dcOffset) >= WARN.dcOffset) {
+    report.warnings.push({ code: 'dc', message: 'Gleichspannungsversatz im Signal - Mikrofon/Interface prüfen' });
+  }
+
+  return report;
+}
+
+/**
+ * One log line for console and debug log
+ * @param {Object} report - From buildReport
+ * @returns {string}
+ */
+function formatSummary(report) {
+  const parts = [
+    `${report.durationSec}s`,
+    `Peak ${report.peakDb !== null ? report.peakDb + ' dB' : '-'}`,
+    `Clipping ${percent(report.clippingRatio)}`,
+    `SNR ${report.snrDb !== null ? report.snrDb + ' dB' : '-'}`,
+    `Sprache ${report.speechRatio !== null ? percent(report.speechRatio) : '-'}`,
+    `Aussetzer ${report.dropouts.length}`,
+    `DC ${report.dcOffset.toFixed(3)}`
+  ];
+  const verdict = report.blocking ? `UNBRAUCHBAR (${report.blocking.code})` : `${report.warnings.length} Hinweis(e)`;
+  return `${parts.join(', ')} → ${verdict}`;
+}
+
+/**
+ * Measure a recording and build the report
+ * @param {string} wavPath - Working WAV (same timeline as the VAD segments)
+ * @param {Array|null} segments - VAD segments, null without VAD
+ * @returns {Promise<Object>} See buildReport
+ */
+async function analyzeFile(wavPath, segments = null) {
+  return buildReport(await measureWav(wavPath), segments);
+}
+
+module.exports = {
+  measureWav,
+  findDropouts,
+  estimateSnr,
+  buildReport,
+  formatSummary,
+  analyzeFile
+};
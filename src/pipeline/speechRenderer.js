@@ -47,8 +47,9 @@ function getFFmpegPath() {
 
 /**
  * Extract a segment from audio file
+ * (signal: optional AbortSignal, kills FFmpeg when aborted)
  */
-function extractSegment(inputPath, startMs, durationMs, outputPath) {
+function extractSegment(inputPath, startMs, durationMs, outputPath, signal) {
   const ffmpegPath = getFFmpegPath();
 
   return new Promise((resolve, reject) => {
@@ -61,7 +62,7 @@ function extractSegment(inputPath, startMs, durationMs, outputPath) {
       outputPath
     ];
 
-    const ffmpeg = spawn(ffmpegPath, args);
+    const ffmpeg = spawn(ffmpegPath, args, { signal });
 
     ffmpeg.on('close', (code) => {
       if (code === 0) {
@@ -84,9 +85,11 @@ function extractSegment(inputPath, startMs, durationMs, outputPath) {
  *   - path: path to full recording (same for all segments)
  *   - startMs/endMs: markers within full recording
  * @param {string} outputPath - Path for the output speech-only WAV
+ * @param {Object} options - Options
+ * @param {AbortSignal} options.signal - Stops rendering (kills FFmpeg) when aborted
  * @returns {Promise<{wavPath: string, speechMap: Array}>}
  */
-async function renderSpeechOnly(segments, outputPath) {
+async function renderSpeechOnly(segments, outputPath, options = {}) {
   if (!segments || segments.length === 0) {
     throw new Error('No segments provided');
   }
@@ -115,13 +118,13 @@ async function renderSpeechOnly(segments, outputPath) {
 
   if (isNewFormat) {
     // NEW FORMAT: Extract and concatenate from single full recording
-    await extractAndConcatenate(segments, fullRecordingPath, outputPath);
+    await extractAndConcatenate(segments, fullRecordingPath, outputPath, options.signal);
   } else {
     // OLD FORMAT: Segments are separate files, just concatenate
     if (segments.length === 1) {
       fs.copyFileSync(segments[0].path, outputPath);
     } else {
-      await concatenateFiles(segments.map(s => s.path), outputPath);
+      await concatenateFiles(segments.map(s => s.path), outputPath, options.signal);
     }
   }
 
@@ -131,7 +134,7 @@ async function renderSpeechOnly(segments, outputPath) {
 /**
  * Extract segments from full recording and concatenate
  */
-async function extractAndConcatenate(segments, fullRecordingPath, outputPath) {
+async function extractAndConcatenate(segments, fullRecordingPath, outputPath, signal) {
   const ffmpegPath = getFFmpegPath();
   const tempDir = path.join(os.tmpdir(), 'dentdoc', 'pipeline', 'extract');
 
@@ -143,7 +146,7 @@ async function extractAndConcatenate(segments, fullRecordingPath, outputPath) {
   if (segments.length === 1) {
     const seg = segments[0];
     const duration = seg.duration || (seg.endMs - seg.startMs);
-    await extractSegment(fullRecordingPath, seg.startMs, duration, outputPath);
+    await extractSegment(fullRecordingPath, seg.startMs, duration, outputPath, signal);
     return;
   }
 
@@ -152,37 +155,44 @@ async function extractAndConcatenate(segments, fullRecordingPath, outputPath) {
 
   console.log(`  [TEMP] Extrahiere ${segments.length} Segmente...`);
 
-  for (let i = 0; i < segments.length; i++) {
-    const seg = segments[i];
-    const duration = seg.duration || (seg.endMs - seg.startMs);
-    const tempFile = path.join(tempDir, `extract_${Date.now()}_${i}.wav`);
+  try {
+    for (let i = 0; i < segments.length; i++) {
+      if (signal && signal.aborted) {
+        throw new Error('Rendering cancelled');
+      }
 
-    await extractSegment(fullRecordingPath, seg.startMs, duration, tempFile);
-    tempFiles.push(tempFile);
-  }
+      const seg = segments[i];
+      const duration = seg.duration || (seg.endMs - seg.startMs);
+      const tempFile = path.join(tempDir, `extract_${Date.now()}_${i}.wav`);
 
-  // Concatenate all temp files
-  await concatenateFiles(tempFiles, outputPath);
+      tempFiles.push(tempFile);
+      await extractSegment(fullRecordingPath, seg.startMs, duration, tempFile, signal);
+    }
 
-  // Clean up temp files
-  let cleanedCount = 0;
-  for (const f of tempFiles) {
-    try {
-      if (fs.existsSync(f)) {
-        fs.unlinkSync(f);
-        cleanedCount++;
+    // Concatenate all temp files
+    await concatenateFiles(tempFiles, outputPath, signal);
+  } finally {
+    // Clean up temp files (also after an error or cancel)
+    let cleanedCount = 0;
+    for (const f of tempFiles) {
+      try {
+        if (fs.existsSync(f)) {
+          fs.unlinkSync(f);
+          cleanedCount++;
+        }
+      } catch (e) {
+        // Ignore cleanup errors
       }
-    } catch (e) {
-      // Ignore cleanup errors
     }
+    console.log(`  [TEMP] Geloescht: ${cleanedCount} Segment-Dateien`);
   }
-  console.log(`  [TEMP] Geloescht: ${cleanedCount} Segment-Dateien`);
 }
 
 /**
  * Concatenate multiple WAV files using FFmpeg
+ * (signal: optional AbortSignal, kills FFmpeg when aborted)
  */
-async function concatenateFiles(filePaths, outputPath) {
+async function concatenateFiles(filePaths, outputPath, signal) {
   const ffmpegPath = getFFmpegPath();
   const tempDir = path.join(os.tmpdir(), 'dentdoc', 'pipeline');
 
@@ -208,7 +218,7 @@ async function concatenateFiles(filePaths, outputPath) {
       outputPath
     ];
 
-    const ffmpeg = spawn(ffmpegPath, args);
+    const ffmpeg = spawn(ffmpegPath, args, { signal });
     let stderr = '';
 
     ffmpeg.stderr.on('data', (data) => {
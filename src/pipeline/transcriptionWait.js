@@ -0,0 +1,234 @@
+/**
+ * Warten auf die Transkription
+ *
+ * - Polling mit Backoff: anfangs jede Sekunde (kurze Aufnahmen sind schnell
+ *   fertig), danach immer seltener bis alle 10 Sekunden
+ * - Zeitlimit abhängig von der Audiodauer - eine 90-minütige PA-Besprechung
+ *   braucht beim Backend deutlich länger als ein Kontrolltermin
+ * - Push (optional): Unterstützt das Backend Status-Ereignisse
+ *   (/api/transcriptions/:id/events), beendet jedes Ereignis die aktuelle
+ *   Wartezeit sofort. Der Status wird trotzdem per Abfrage geholt, Polling
+ *   bleibt also die Rückfallebene.
+ * - Restzeit: geschätzt aus den letzten Jobs (Transkriptionszeit pro
+ *   Audio-Sekunde, Dauer der Dokumentation je Modus). Gespeichert werden
+ *   nur Dauern, keine Inhalte.
+ */
+
+const { ApiError, CODES } = require('../errors');
+
+// Polling: 1s for the first 20s, then +50% per poll up to 10s
+const POLL_INITIAL_MS = 1000;
+const POLL_FAST_PHASE_MS = 20 * 1000;
+const POLL_BACKOFF_FACTOR = 1.5;
+const POLL_MAX_MS = 10 * 1000;
+
+// Timeout: 5 minutes + once the audio duration (max 3 hours)
+const TIMEOUT_BASE_MS = 5 * 60 * 1000;
+const TIMEOUT_PER_AUDIO_SECOND_MS = 1000;
+const TIMEOUT_MAX_MS = 3 * 60 * 60 * 1000;
+// Duration unknown (job uploaded by an older version)
+const TIMEOUT_UNKNOWN_DURATION_MS = 30 * 60 * 1000;
+
+// ETA from the last jobs; short recordings count as 60s (fixed backend overhead)
+const MAX_SAMPLES = 20;
+const MIN_SAMPLES_FOR_ETA = 3;
+const MIN_AUDIO_SECONDS_FOR_RATIO = 60;
+
+let store = null;
+
+// Created on first use - polling and timeout math run without Electron (tests)
+function getStore() {
+  if (!store) {
+    const Store = require('electron-store');
+    store = new Store({
+      name: 'processing-stats',
+      defaults: {
+        transcribe: [], // { audioSeconds, ms }
+        document: []    // { docMode, ms }
+      }
+    });
+  }
+  return store;
+}
+
+/**
+ * Wait before the next status poll
+ * @param {number} elapsedMs - Time since waiting started
+ * @param {number} previousDelayMs - Last delay (0 for the first poll)
+ * @returns {number}
+ */
+function getPollDelay(elapsedMs, previousDelayMs) {
+  if (elapsedMs < POLL_FAST_PHASE_MS || !previousDelayMs) {
+    return POLL_INITIAL_MS;
+  }
+  return Math.min(POLL_MAX_MS, Math.round(previousDelayMs * POLL_BACKOFF_FACTOR));
+}
+
+/**
+ * Maximum wait for a transcription
+ * @param {number|null} audioSeconds - Duration of the uploaded audio
+ * @returns {number} Milliseconds
+ */
+function getTimeoutMs(audioSeconds) {
+  if (!audioSeconds) return TIMEOUT_UNKNOWN_DURATION_MS;
+  return Math.min(TIMEOUT_MAX_MS, TIMEOUT_BASE_MS + audioSeconds * TIMEOUT_PER_AUDIO_SECOND_MS);
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function addSample(key, sample) {
+  getStore().set(key, [...getStore().get(key, []), sample].slice(-MAX_SAMPLES));
+}
+
+/**
+ * Remember how long a transcription took (for the ETA of later jobs)
+ * @param {number} audioSeconds - Duration of the uploaded audio
+ * @param {number} ms - Time from upload until the transcription was completed
+ */
+function recordTranscription(audioSeconds, ms) {
+  if (!audioSeconds || ms <= 0) return;
+  addSample('transcribe', { audioSeconds, ms });
+}
+
+/**
+ * Remember how long the documentation took
+ * @param {string} docMode - Documentation mode
+ * @param {number} ms - Duration of the documentation request
+ */
+function recordDocumentation(docMode, ms) {
+  if (ms <= 0) return;
+  addSample('document', { docMode, ms });
+}
+
+/**
+ * Estimated time until the documentation is ready
+ * @param {Object} job - { audioSeconds, docMode }
+ * @param {number} transcribeElapsedMs - Time since the upload
+ * @returns {number|null} Milliseconds, null without enough history
+ */
+function estimateRemainingMs(job, transcribeElapsedMs) {
+  return estimateFromSamples(job, transcribeElapsedMs, {
+    transcribe: getStore().get('transcribe', []),
+    document: getStore().get('document', [])
+  });
+}
+
+/**
+ * ETA from recorded durations (see estimateRemainingMs)
+ * @param {Object} job - { audioSeconds, docMode }
+ * @param {number} transcribeElapsedMs - Time since the upload
+ * @param {{transcribe: Array<{audioSeconds, ms}>, document: Array<{docMode, ms}>}} samples - Last jobs
+ * @returns {number|null} Milliseconds, null without enough history
+ */
+function estimateFromSamples(job, transcribeElapsedMs, samples) {
+  const transcribeSamples = samples.transcribe;
+  if (!job.audioSeconds || transcribeSamples.length < MIN_SAMPLES_FOR_ETA) return null;
+
+  const msPerSecond = median(transcribeSamples.map(s => s.ms / Math.max(s.audioSeconds, MIN_AUDIO_SECONDS_FOR_RATIO)));
+  const transcribeMs = msPerSecond * Math.max(job.audioSeconds, MIN_AUDIO_SECONDS_FOR_RATIO);
+
+  const documentSamples = samples.document;
+  const sameMode = documentSamples.filter(s => s.docMode === job.docMode);
+  const relevant = sameMode.length > 0 ? sameMode : documentSamples;
+  const documentMs = relevant.length > 0 ? median(relevant.map(s => s.ms)) : 0;
+
+  return Math.max(0, transcribeMs - transcribeElapsedMs) + documentMs;
+}
+
+/**
+ * Overlay text for an ETA
+ * @param {number|null} ms - From estimateRemainingMs
+ * @returns {string|null}
+ */
+function formatEta(ms) {
+  if (ms === null) return null;
+  if (ms < 60 * 1000) return 'fertig in weniger als 1 Min';
+  return `fertig in ca. ${Math.round(ms / 60000)} Min`;
+}
+
+/**
+ * Poll until the transcription is completed or failed
+ *
+ * @param {Object} options
+ * @param {Function} options.getStatus - () => Promise<status response>
+ * @param {Function} options.subscribe - Optional, ({signal, onEvent}) => Promise<boolean> (push events)
+ * @param {number|null} options.audioSeconds - Scales the timeout
+ * @param {AbortSignal} options.signal - Cancels waiting (CANCELED ApiError)
+ * @param {Function} options.onPoll - (statusResponse) => void after every poll
+ * @returns {Promise<Object>} Last status response ('completed' or 'error')
+ * @throws {ApiError} TIMEOUT after getTimeoutMs(audioSeconds), CANCELED
+ */
+async function waitForTranscription(options) {
+  const { getStatus, subscribe = null, audioSeconds = null, signal = null, onPoll = () => {} } = options;
+  const timeoutMs = getTimeoutMs(audioSeconds);
+  const startedAt = Date.now();
+  const pushController = new AbortController();
+  const stopPush = () => pushController.abort();
+  let wake = null;
+
+  if (signal) signal.addEventListener('abort', stopPush, { once: true });
+
+  if (subscribe) {
+    subscribe({
+      signal: pushController.signal,
+      onEvent: () => {
+        if (wake) wake();
+      }
+    }).then((supported) => {
+      if (!supported) console.log('  [Transkription] Backend ohne Status-Ereignisse - Abfrage per Polling');
+    }).catch((error) => {
+      if (!pushController.signal.aborted) {
+        console.log('  [Transkription] Status-Ereignisse nicht verfügbar:', error.message);
+      }
+    });
+  }
+
+  try {
+    let delay = 0;
+    while (true) {
+      if (signal && signal.aborted) throw new ApiError(CODES.CANCELED);
+
+      const result = await getStatus();
+      onPoll(result);
+      if (result.status === 'completed' || result.status === 'error') {
+        return result;
+      }
+
+      const elapsed = Date.now() - startedAt;
+      if (elapsed >= timeoutMs) {
+        throw new ApiError(CODES.TIMEOUT, `Zeitüberschreitung bei der Transkription (nach ${Math.round(elapsed / 60000)} Min)`);
+      }
+
+      delay = getPollDelay(elapsed, delay);
+      await new Promise((resolve) => {
+        const timer = setTimeout(done, Math.min(delay, timeoutMs - elapsed));
+        function done() {
+          clearTimeout(timer);
+          wake = null;
+          if (signal) signal.removeEventListener('abort', done);
+          resolve();
+        }
+        wake = done;
+        if (signal) signal.addEventListener('abort', done, { once: true });
+      });
+    }
+  } finally {
+    if (signal) signal.removeEventListener('abort', stopPush);
+    pushController.abort();
+  }
+}
+
+module.exports = {
+  getPollDelay,
+  getTimeoutMs,
+  recordTranscription,
+  recordDocumentation,
+  estimateRemainingMs,
+  estimateFromSamples,
+  formatEta,
+  waitForTranscription
+};
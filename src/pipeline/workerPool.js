@@ -0,0 +1,160 @@
+/**
+ * Worker-Pool für die Verarbeitung
+ *
+ * Entkoppelt Aufnahme und Verarbeitung: jeder Stopp übergibt einen Job,
+ * der im Hintergrund läuft, während schon der nächste Patient
+ * aufgenommen wird. Maximal `concurrency` Jobs laufen gleichzeitig,
+ * der Rest wartet in der Reihenfolge des Eingangs.
+ *
+ * Der Pool kennt nur Jobs mit Status/Stufe für die Anzeige in Tray und
+ * Overlay. Was ein Job tut, bestimmt die übergebene run-Funktion.
+ */
+
+const DEFAULT_CONCURRENCY = 2;
+
+let concurrency = DEFAULT_CONCURRENCY;
+let onChange = () => {};
+
+// Active jobs: { id, label, status: 'queued'|'running', stage, message, createdAt, startedAt, run, resolve, reject }
+const jobs = [];
+
+/**
+ * Configure the pool
+ * @param {Object} options
+ * @param {number} options.concurrency - Max parallel jobs
+ * @param {Function} options.onChange - Called whenever the job list changes
+ */
+function configure(options = {}) {
+  if (options.concurrency) {
+    concurrency = Math.max(1, options.concurrency);
+  }
+  if (options.onChange) {
+    onChange = options.onChange;
+  }
+  pump();
+}
+
+function notify() {
+  try {
+    onChange(getJobs());
+  } catch (err) {
+    console.error('[WorkerPool] onChange error:', err.message);
+  }
+}
+
+/**
+ * Add a job to the pool
+ * @param {string} id - Unique job ID
+ * @param {string} label - Display label (e.g. "Aufnahme 10:42")
+ * @param {Function} run - async () => result
+ * @returns {Promise<*>} Resolves/rejects with the result of run()
+ */
+function enqueue(id, label, run) {
+  return new Promise((resolve, reject) => {
+    jobs.push({
+      id,
+      label,
+      status: 'queued',
+      stage: null,
+      message: 'Wartet...',
+      createdAt: Date.now(),
+      startedAt: null,
+      run,
+      resolve,
+      reject
+    });
+    console.log(`[WorkerPool] Job eingereiht: ${label} (${jobs.length} aktiv)`);
+    notify();
+    pump();
+  });
+}
+
+function pump() {
+  const running = jobs.filter(j => j.status === 'running').length;
+  const free = concurrency - running;
+  if (free <= 0) return;
+
+  jobs.filter(j => j.status === 'queued').slice(0, free).forEach(startJob);
+}
+
+async function startJob(job) {
+  job.status = 'running';
+  job.startedAt = Date.now();
+  job.message = 'Wird verarbeitet...';
+  notify();
+
+  try {
+    const result = await job.run();
+    job.resolve(result);
+  } catch (err) {
+    job.reject(err);
+  } finally {
+    const index = jobs.indexOf(job);
+    if (index !== -1) jobs.splice(index, 1);
+    notify();
+    pump();
+  }
+}
+
+/**
+ * Remove a job that is still waiting (e.g. cancelled by the user)
+ * @param {string} id - Job ID
+ * @param {*} result - Value the promise from enqueue() resolves with
+ * @returns {boolean} True if a waiting job was removed
+ */
+function dequeue(id, result) {
+  const index = jobs.findIndex(j => j.id === id && j.status === 'queued');
+  if (index === -1) return false;
+
+  const [job] = jobs.splice(index, 1);
+  console.log(`[WorkerPool] Job entfernt: ${job.label} (${jobs.length} aktiv)`);
+  job.resolve(result);
+  notify();
+  return true;
+}
+
+/**
+ * Update display fields of a job (stage, message)
+ * @param {string} id - Job ID
+ * @param {Object} updates - { stage, message }
+ */
+function updateJob(id, updates) {
+  const job = jobs.find(j => j.id === id);
+  if (!job) return;
+  if (updates.stage !== undefined) job.stage = updates.stage;
+  if (updates.message !== undefined) job.message = updates.message;
+  notify();
+}
+
+/**
+ * Active jobs (queued + running) for display, oldest first
+ * @returns {Array<{id, label, status, stage, message, createdAt, startedAt}>}
+ */
+function getJobs() {
+  return jobs.map(({ id, label, status, stage, message, createdAt, startedAt }) => ({
+    id, label, status, stage, message, createdAt, startedAt
+  }));
+}
+
+function getActiveCount() {
+  return jobs.length;
+}
+
+/**
+ * The most recently added job - its progress is shown in the overlay
+ * @returns {string|null} Job ID
+ */
+function getNewestJobId() {
+  return jobs.length > 0 ? jobs[jobs.length - 1].id : null;
+}
+
+module.exports = {
+  configure,
+  enqueue,
+  dequeue,
+  updateJob,
+  getJobs,
+  getActiveCount,
+  getNewestJobId,
+  DEFAULT_CONCURRENCY
+};
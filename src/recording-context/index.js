@@ -0,0 +1,199 @@
+/**
+ * Patienten-/Sitzungs-Kontext für Aufnahmen
+ *
+ * Optional kann jede Aufnahme einen Kontext bekommen:
+ * - Patient (Nummer oder Initialen)
+ * - Raum
+ * - Behandlung (z.B. "Füllung", "PZR")
+ *
+ * Gesetzt wird er per Hotkey/Tray (Formular) oder von außen
+ * (`DentDoc.exe --context "patient=123;room=2;treatment=Füllung"`).
+ * main.js gibt ihn an die Dokumentations-Endpunkte weiter, schreibt ihn in
+ * den Kopf der gespeicherten Datei und (optional) in den Dateinamen.
+ *
+ * Dieses Modul hält nur den Kontext für die NÄCHSTE Aufnahme und die zuletzt
+ * verwendeten Räume/Behandlungen als Vorschläge (persistent via
+ * electron-store). Patientenangaben werden NICHT als Vorschlag gespeichert.
+ */
+
+const Store = require('electron-store');
+
+const store = new Store({
+  name: 'recording-context',
+  defaults: {
+    recentRooms: [],
+    recentTreatments: []
+  }
+});
+
+const FIELDS = ['patient', 'room', 'treatment'];
+
+const FIELD_LABELS = {
+  patient: 'Patient',
+  room: 'Raum',
+  treatment: 'Behandlung'
+};
+
+// Aliases accepted from external triggers (--context "pat=123;raum=2")
+const FIELD_ALIASES = {
+  patient: 'patient',
+  pat: 'patient',
+  patientnr: 'patient',
+  initialen: 'patient',
+  room: 'room',
+  raum: 'room',
+  zimmer: 'room',
+  treatment: 'treatment',
+  behandlung: 'treatment'
+};
+
+const MAX_VALUE_LENGTH = 40;
+const MAX_RECENT = 8;
+
+// Context for the next recording (set before the recording starts)
+let pendingContext = null;
+
+/**
+ * Clean up a context object: trims values, drops unknown/empty fields
+ * @param {Object} raw - { patient, room, treatment }
+ * @returns {Object|null} Normalized context or null if empty
+ */
+function normalize(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+
+  const context = {};
+  for (const field of FIELDS) {
+    const value = raw[field];
+    if (typeof value !== 'string' && typeof value !== 'number') continue;
+    const text = String(value).replace(/\s+/g, ' ').trim().slice(0, MAX_VALUE_LENGTH);
+    if (text) context[field] = text;
+  }
+  return Object.keys(context).length > 0 ? context : null;
+}
+
+/**
+ * Parse "patient=123;room=2;treatment=Füllung" (also "," as separator,
+ * German keys like "raum"/"behandlung")
+ * @param {string} text - Context string from an external trigger
+ * @returns {Object|null} Normalized context
+ */
+function parse(text) {
+  if (!text || typeof text !== 'string') return null;
+
+  const raw = {};
+  for (const part of text.split(/[;,]/)) {
+    const index = part.indexOf('=');
+    if (index === -1) continue;
+    const field = FIELD_ALIASES[part.slice(0, index).trim().toLowerCase()];
+    if (field) raw[field] = part.slice(index + 1);
+  }
+  return normalize(raw);
+}
+
+function addRecent(key, value) {
+  if (!value) return;
+  const recent = store.get(key, []).filter(v => v !== value);
+  recent.unshift(value);
+  store.set(key, recent.slice(0, MAX_RECENT));
+}
+
+/**
+ * Remember room/treatment as suggestions for the form
+ * @param {Object|null} context - Normalized context
+ */
+function rememberSuggestions(context) {
+  if (!context) return;
+  addRecent('recentRooms', context.room);
+  addRecent('recentTreatments', context.treatment);
+}
+
+/**
+ * Suggestions for the context form (most recent first)
+ * @returns {{rooms: string[], treatments: string[]}}
+ */
+function getSuggestions() {
+  return {
+    rooms: store.get('recentRooms', []),
+    treatments: store.get('recentTreatments', [])
+  };
+}
+
+/**
+ * Set the context for the next recording
+ * @param {Object|null} raw - Context (null clears it)
+ * @returns {Object|null} Normalized context
+ */
+function setPending(raw) {
+  pendingContext = normalize(raw);
+  rememberSuggestions(pendingContext);
+  return pendingContext;
+}
+
+function getPending() {
+  return pendingContext;
+}
+
+/**
+ * Hand the pending context over to a starting recording (clears it)
+ * @returns {Object|null}
+ */
+function takePending() {
+  const context = pendingContext;
+  pendingContext = null;
+  return context;
+}
+
+/**
+ * Short label for tray/overlay, e.g. "Raum 2 · Füllung · 123"
+ * @param {Object|null} context
+ * @returns {string}
+ */
+function formatLabel(context) {
+  if (!context) return '';
+  const parts = [];
+  if (context.room) parts.push(`Raum ${context.room}`);
+  if (context.treatment) parts.push(context.treatment);
+  if (context.patient) parts.push(context.patient);
+  return parts.join(' · ');
+}
+
+/**
+ * Header lines for the saved transcript file (aligned like "Datum:")
+ * @param {Object|null} context
+ * @returns {string[]}
+ */
+function formatHeaderLines(context) {
+  if (!context) return [];
+  return FIELDS
+    .filter(field => context[field])
+    .map(field => `${(FIELD_LABELS[field] + ':').padEnd(9)} ${context[field]}`);
+}
+
+/**
+ * Filename parts in a fixed order: patient, room, treatment
+ * @param {Object|null} context
+ * @returns {string[]} Raw values (caller sanitizes)
+ */
+function getFilenameParts(context) {
+  if (!context) return [];
+  const parts = [];
+  if (context.patient) parts.push(context.patient);
+  if (context.room) parts.push(`Raum-${context.room}`);
+  if (context.treatment) parts.push(context.treatment);
+  return parts;
+}
+
+module.exports = {
+  normalize,
+  parse,
+  setPending,
+  getPending,
+  takePending,
+  getSuggestions,
+  rememberSuggestions,
+  formatLabel,
+  formatHeaderLines,
+  getFilenameParts,
+  FIELDS,
+  FIELD_LABELS
+};
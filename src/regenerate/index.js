@@ -0,0 +1,184 @@
+/**
+ * Dokumentation neu erstellen (Vergleich alt/neu)
+ *
+ * Eine fertige Aufnahme kann mit einem anderen Dokumentations-Modus erneut
+ * dokumentiert werden - über die vorhandene transcriptionId, also ohne neue
+ * Aufnahme und ohne erneuten Upload. Das neue Ergebnis wird neben dem alten
+ * angezeigt; erst die Auswahl des Nutzers entscheidet, welche Version
+ * gespeichert und kopiert wird.
+ *
+ * Dieses Modul hält die noch nicht übernommenen Versionen (nur im Speicher)
+ * und berechnet den Wort-Diff für die Anzeige. Erzeugen und Speichern
+ * übernimmt main.js (Pipeline bzw. saveRecordingFiles-Format).
+ */
+
+// Above this the LCS table gets too big - show "everything changed" instead
+const MAX_DIFF_CELLS = 4000000;
+
+// Target key -> { documentation, transcript, shortenings, docMode, createdAt }
+const candidates = new Map();
+// Target key -> AbortController of a running regeneration
+const running = new Map();
+
+/**
+ * Key of a regeneration target
+ * @param {Object} target - { type: 'last', resultId } | { type: 'history', key }
+ * @returns {string}
+ */
+function getTargetKey(target) {
+  return target.type === 'history' ? `history:${target.key}` : `last:${target.resultId}`;
+}
+
+/**
+ * Words and whitespace as separate tokens (line breaks stay visible)
+ */
+function tokenize(text) {
+  return (text || '').match(/\s+|[^\s]+/g) || [];
+}
+
+function pushSegment(segments, type, text) {
+  const previous = segments[segments.length - 1];
+  if (previous && previous.type === type) {
+    previous.text += text;
+  } else {
+    segments.push({ type, text });
+  }
+}
+
+/**
+ * Word diff between two documentation texts
+ * @param {string} oldText - Current version
+ * @param {string} newText - Regenerated version
+ * @returns {Array<{type: 'same'|'removed'|'added', text: string}>}
+ */
+function diffWords(oldText, newText) {
+  const a = tokenize(oldText);
+  const b = tokenize(newText);
+  const segments = [];
+
+  // Common start/end don't need the table
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  if (start > 0) pushSegment(segments, 'same', a.slice(0, start).join(''));
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const rows = midA.length + 1;
+  const cols = midB.length + 1;
+
+  if (rows * cols > MAX_DIFF_CELLS) {
+    if (midA.length > 0) pushSegment(segments, 'removed', midA.join(''));
+    if (midB.length > 0) pushSegment(segments, 'added', midB.join(''));
+  } else {
+    // lcs[i][j] = longest common subsequence of midA[i..] and midB[j..]
+    const lcs = new Uint32Array(rows * cols);
+    for (let i = midA.length - 1; i >= 0; i--) {
+      for (let j = midB.length - 1; j >= 0; j--) {
+        lcs[i * cols + j] = midA[i] === midB[j]
+          ? lcs[(i + 1) * cols + j + 1] + 1
+          : Math.max(lcs[(i + 1) * cols + j], lcs[i * cols + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < midA.length && j < midB.length) {
+      if (midA[i] === midB[j]) {
+        pushSegment(segments, 'same', midA[i]);
+        i++;
+        j++;
+      } else if (lcs[(i + 1) * cols + j] >= lcs[i * cols + j + 1]) {
+        pushSegment(segments, 'removed', midA[i]);
+        i++;
+      } else {
+        pushSegment(segments, 'added', midB[j]);
+        j++;
+      }
+    }
+    if (i < midA.length) pushSegment(segments, 'removed', midA.slice(i).join(''));
+    if (j < midB.length) pushSegment(segments, 'added', midB.slice(j).join(''));
+  }
+
+  if (endA < a.length) pushSegment(segments, 'same', a.slice(endA).join(''));
+  return segments;
+}
+
+/**
+ * Start a regeneration for a target (a running one for the same target is cancelled)
+ * @param {Object} target - See getTargetKey
+ * @returns {AbortController}
+ */
+function begin(target) {
+  const key = getTargetKey(target);
+  cancel(target);
+  const controller = new AbortController();
+  running.set(key, controller);
+  return controller;
+}
+
+/**
+ * Keep a regenerated version until the user picks one
+ * @param {Object} target - See getTargetKey
+ * @param {AbortController} controller - From begin()
+ * @param {Object} version - { documentation, transcript, shortenings, docMode }
+ */
+function finish(target, controller, version) {
+  const key = getTargetKey(target);
+  if (running.get(key) === controller) running.delete(key);
+  candidates.set(key, { ...version, createdAt: new Date().toISOString() });
+}
+
+/**
+ * Forget a failed/cancelled regeneration
+ */
+function fail(target, controller) {
+  const key = getTargetKey(target);
+  if (running.get(key) === controller) running.delete(key);
+}
+
+/**
+ * Cancel a running regeneration (modal closed)
+ * @param {Object} target - See getTargetKey
+ */
+function cancel(target) {
+  const key = getTargetKey(target);
+  const controller = running.get(key);
+  if (controller) {
+    controller.abort();
+    running.delete(key);
+  }
+}
+
+/**
+ * Regenerated version waiting for the user's choice
+ * @param {Object} target - See getTargetKey
+ * @returns {Object|null}
+ */
+function getCandidate(target) {
+  return candidates.get(getTargetKey(target)) || null;
+}
+
+/**
+ * Remove the waiting version (after the user picked one)
+ * @param {Object} target - See getTargetKey
+ */
+function discard(target) {
+  candidates.delete(getTargetKey(target));
+}
+
+module.exports = {
+  diffWords,
+  begin,
+  finish,
+  fail,
+  cancel,
+  getCandidate,
+  discard
+};
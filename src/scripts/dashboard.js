@@ -612,6 +612,52 @@ async function loadSubscriptionStatus() {
 // Load subscription status on init
 loadSubscriptionStatus();
 
+// ===== Connection Status =====
+function renderConnectivity(status) {
+  const statusEl = document.getElementById('connectionStatus');
+  const label = statusEl.querySelector('.subscription-label');
+  const waiting = status.waitingUploads > 0
+    ? ` · ${status.waitingUploads} ${status.waitingUploads !== 1 ? 'Uploads warten' : 'Upload wartet'}`
+    : '';
+
+  statusEl.classList.remove('status-success', 'status-warning', 'status-error');
+  if (status.status === 'online') {
+    statusEl.classList.add('status-success');
+    label.textContent = 'Online';
+  } else if (status.status === 'limited') {
+    statusEl.classList.add('status-warning');
+    label.textContent = `Upload-Server nicht erreichbar${waiting}`;
+  } else {
+    statusEl.classList.add('status-error');
+    label.textContent = `Offline${waiting}`;
+  }
+  statusEl.title = status.status === 'online'
+    ? 'Server erreichbar - klicken zum erneuten Prüfen'
+    : 'Aufnahmen werden vorbereitet und hochgeladen, sobald die Verbindung wieder da ist - klicken zum erneuten Prüfen';
+}
+
+async function loadConnectivity() {
+  try {
+    renderConnectivity(await ipcRenderer.invoke('get-connectivity'));
+  } catch (error) {
+    console.error('Error loading connectivity:', error);
+  }
+}
+
+document.getElementById('connectionStatus').addEventListener('click', async () => {
+  document.getElementById('connectionStatus').querySelector('.subscription-label').textContent = 'Verbindung wird geprüft...';
+  renderConnectivity(await ipcRenderer.invoke('check-connectivity'));
+});
+
+ipcRenderer.on('connectivity-changed', (event, status) => {
+  renderConnectivity(status);
+});
+
+// Waiting uploads leave the queue when they are processed
+ipcRenderer.on('failed-jobs-updated', loadConnectivity);
+
+loadConnectivity();
+
 // ===== Sidebar Links =====
 async function initSidebarLinks() {
   const baseUrl = await ipcRenderer.invoke('get-base-url');
@@ -855,14 +901,35 @@ async function loadSettingsView() {
 
   document.getElementById('settingsCurrentShortcut').textContent = settings.shortcut || 'F9';
   document.getElementById('settingsShortcutDisplay').textContent = settings.shortcut || 'F9';
+  document.getElementById('settingsPauseShortcutSelect').value = settings.pauseShortcut ?? '';
+  document.getElementById('settingsContextShortcutSelect').value = settings.contextShortcut ?? '';
+  document.getElementById('settingsAskContextCheckbox').checked = settings.askContextOnRecord || false;
+  document.getElementById('settingsContextInFilenameCheckbox').checked = settings.contextInFilename !== false;
+  document.getElementById('settingsLocalApiCheckbox').checked = settings.localApiEnabled || false;
+  document.getElementById('settingsLocalApiPort').value = String(settings.localApiPort);
+  loadLocalApiInfo();
+  await loadNetworkInfo(settings.networkEnvironment);
+  document.getElementById('settingsUploadFormatSelect').value = settings.uploadFormat || 'flac';
+  document.getElementById('settingsProxyEnabled').checked = settings.proxyEnabled || false;
+  document.getElementById('settingsProxyUrl').value = settings.proxyUrl || '';
+  document.getElementById('settingsProxyUsername').value = settings.proxyUsername || '';
+  document.getElementById('settingsProxyPassword').value = '';
+  document.getElementById('settingsProxyPassword').placeholder = settings.proxyHasPassword ? '(gespeichert)' : '';
+  document.getElementById('settingsProxyNoProxy').value = settings.proxyNoProxy || '';
   settingsSelectedMicId = settings.microphoneId || null;
   document.getElementById('settingsTranscriptPath').value = settings.transcriptPath || '';
   document.getElementById('settingsProfilesPath').value = settings.profilesPath || '';
+  document.getElementById('settingsWatchFolderPath').value = settings.watchFolderPath || '';
+  loadWatchFolderFiles();
   document.getElementById('settingsAutoCloseCheckbox').checked = settings.autoClose || false;
   document.getElementById('settingsAutoExportCheckbox').checked = settings.autoExport || false;
   document.getElementById('settingsKeepAudioCheckbox').checked = settings.keepAudio || false;
+  await loadDocModeOptions();
   document.getElementById('settingsDocModeSelect').value = settings.docMode || 'single';
   document.getElementById('settingsVadEnabled').checked = settings.vadEnabled !== false;
+  await loadDenoiseOptions();
+  document.getElementById('settingsDenoiseSelect').value = settings.denoisePreset || 'off';
+  await loadChannelSettings(settings);
 
   // iPhone microphone settings
   const microphoneSource = settings.microphoneSource || 'desktop';
@@ -881,6 +948,8 @@ async function loadSettingsView() {
 
   settingsInitialSettings = {
     shortcut: settings.shortcut || 'F9',
+    pauseShortcut: settings.pauseShortcut ?? '',
+    contextShortcut: settings.contextShortcut ?? '',
     microphoneId: settingsSelectedMicId,
     microphoneSource: settings.microphoneSource || 'desktop',
     transcriptPath: settings.transcriptPath || '',
@@ -891,10 +960,42 @@ async function loadSettingsView() {
     keepAudio: settings.keepAudio || false,
     docMode: settings.docMode || 'single',
     theme: settings.theme || 'dark',
-    vadEnabled: settings.vadEnabled !== false
+    vadEnabled: settings.vadEnabled !== false,
+    denoisePreset: settings.denoisePreset || 'off',
+    channelMode: settings.channelMode || 'off',
+    channelMicrophone: document.getElementById('settingsChannelMicSelect').value,
+    roomMicrophone: document.getElementById('settingsRoomMicSelect').value,
+    doctorChannel: settings.doctorChannel || 'left',
+    watchFolderPath: settings.watchFolderPath || '',
+    askContextOnRecord: settings.askContextOnRecord || false,
+    contextInFilename: settings.contextInFilename !== false,
+    localApiEnabled: settings.localApiEnabled || false,
+    localApiPort: String(settings.localApiPort),
+    networkEnvironment: settings.networkEnvironment,
+    uploadFormat: settings.uploadFormat || 'flac',
+    proxyEnabled: settings.proxyEnabled || false,
+    proxyUrl: settings.proxyUrl || '',
+    proxyUsername: settings.proxyUsername || '',
+    proxyPassword: '',
+    proxyNoProxy: settings.proxyNoProxy || ''
   };
 }
 
+// Documentation modes come from the registry in the main process (src/doc-modes)
+async function loadDocModeOptions() {
+  const select = document.getElementById('settingsDocModeSelect');
+  const modes = await ipcRenderer.invoke('get-doc-modes');
+
+  select.innerHTML = modes.map(mode =>
+    `<option value="${escapeHtml(mode.id)}">${escapeHtml(mode.label)}</option>`
+  ).join('');
+
+  document.getElementById('settingsDocModeHelp').innerHTML = modes
+    .filter(mode => mode.description)
+    .map(mode => `<strong>${escapeHtml(mode.label.replace(/\s*\(.*\)$/, ''))}:</strong> ${escapeHtml(mode.description)}`)
+    .join('<br>');
+}
+
 async function loadSettingsMicrophones() {
   const micSelect = document.getElementById('settingsMicSelect');
   try {
@@ -929,9 +1030,71 @@ async function loadSettingsMicrophones() {
   }
 }
 
+// Denoise presets come from the main process (src/pipeline/denoise.js)
+async function loadDenoiseOptions() {
+  const select = document.getElementById('settingsDenoiseSelect');
+  const presets = await ipcRenderer.invoke('get-denoise-presets');
+
+  select.innerHTML = presets.map(preset =>
+    `<option value="${escapeHtml(preset.id)}">${escapeHtml(preset.label)}</option>`
+  ).join('');
+
+  document.getElementById('settingsDenoiseHelp').innerHTML = presets
+    .filter(preset => preset.description)
+    .map(preset => `<strong>${escapeHtml(preset.label)}:</strong> ${escapeHtml(preset.description)}`)
+    .join('<br>');
+}
+
+// Two-channel recording uses FFmpeg device ids (not WebRTC IDs) - the recorder opens them directly.
+// On Windows the id is the device name; older settings stored the name.
+async function loadChannelSettings(settings) {
+  const devices = await ipcRenderer.invoke('get-audio-devices');
+  const fillSelect = (select, selected) => {
+    select.innerHTML = devices.length === 0
+      ? '<option value="">Kein Mikrofon gefunden</option>'
+      : devices.map(device => `<option value="${escapeHtml(device.id)}">${escapeHtml(device.name)}</option>`).join('');
+    const match = selected && devices.find(device => device.id === selected || device.name === selected);
+    if (match) {
+      select.value = match.id;
+    }
+  };
+
+  fillSelect(document.getElementById('settingsChannelMicSelect'), settings.channelMicrophone);
+  fillSelect(document.getElementById('settingsRoomMicSelect'), settings.roomMicrophone);
+  // Suggest a different device for the room mic
+  if (!settings.roomMicrophone && devices.length > 1) {
+    document.getElementById('settingsRoomMicSelect').value = devices[1].id;
+  }
+
+  document.getElementById('settingsChannelMode').value = settings.channelMode || 'off';
+  document.getElementById('settingsDoctorChannelSelect').value = settings.doctorChannel || 'left';
+  renderChannelMode();
+}
+
+function renderChannelMode() {
+  const mode = document.getElementById('settingsChannelMode').value;
+  const status = document.getElementById('settingsChannelStatus');
+
+  document.getElementById('settingsChannelDevices').style.display = mode === 'off' ? 'none' : 'block';
+  document.getElementById('settingsRoomMicRow').style.display = mode === 'two-devices' ? 'block' : 'none';
+  document.getElementById('settingsDoctorChannelRow').style.display = mode === 'stereo' ? 'block' : 'none';
+  document.getElementById('settingsChannelMicLabel').textContent = mode === 'stereo'
+    ? 'Stereo-Interface'
+    : 'Mikrofon Arzt (Ansteckmikrofon)';
+
+  if (mode === 'two-devices' &&
+      document.getElementById('settingsChannelMicSelect').value === document.getElementById('settingsRoomMicSelect').value) {
+    settingsShowStatus(status, 'Bitte zwei verschiedene Mikrofone wählen - sonst wird nur ein Kanal aufgenommen.', 'error');
+  } else {
+    settingsHideStatus(status);
+  }
+}
+
 function settingsCheckForChanges() {
   const currentSettings = {
     shortcut: settingsNewShortcut || document.getElementById('settingsShortcutDisplay').textContent,
+    pauseShortcut: document.getElementById('settingsPauseShortcutSelect').value,
+    contextShortcut: document.getElementById('settingsContextShortcutSelect').value,
     microphoneId: document.getElementById('settingsMicSelect').value,
     microphoneSource: document.querySelector('input[name="micSource"]:checked')?.value || 'desktop',
     transcriptPath: document.getElementById('settingsTranscriptPath').value,
@@ -942,7 +1105,24 @@ function settingsCheckForChanges() {
     keepAudio: document.getElementById('settingsKeepAudioCheckbox').checked,
     docMode: document.getElementById('settingsDocModeSelect').value,
     theme: document.getElementById('settingsThemeSelect').value,
-    vadEnabled: document.getElementById('settingsVadEnabled').checked
+    vadEnabled: document.getElementById('settingsVadEnabled').checked,
+    denoisePreset: document.getElementById('settingsDenoiseSelect').value,
+    channelMode: document.getElementById('settingsChannelMode').value,
+    channelMicrophone: document.getElementById('settingsChannelMicSelect').value,
+    roomMicrophone: document.getElementById('settingsRoomMicSelect').value,
+    doctorChannel: document.getElementById('settingsDoctorChannelSelect').value,
+    watchFolderPath: document.getElementById('settingsWatchFolderPath').value,
+    askContextOnRecord: document.getElementById('settingsAskContextCheckbox').checked,
+    contextInFilename: document.getElementById('settingsContextInFilenameCheckbox').checked,
+    localApiEnabled: document.getElementById('settingsLocalApiCheckbox').checked,
+    localApiPort: document.getElementById('settingsLocalApiPort').value,
+    networkEnvironment: document.getElementById('settingsNetworkEnvironment').value,
+    uploadFormat: document.getElementById('settingsUploadFormatSelect').value,
+    proxyEnabled: document.getElementById('settingsProxyEnabled').checked,
+    proxyUrl: document.getElementById('settingsProxyUrl').value.trim(),
+    proxyUsername: document.getElementById('settingsProxyUsername').value.trim(),
+    proxyPassword: document.getElementById('settingsProxyPassword').value,
+    proxyNoProxy: document.getElementById('settingsProxyNoProxy').value.trim()
   };
 
   settingsHasUnsavedChanges = JSON.stringify(currentSettings) !== JSON.stringify(settingsInitialSettings);
@@ -1788,6 +1968,19 @@ document.getElementById('settingsOpenTranscriptFolderBtn').addEventListener('cli
   }
 });
 
+document.getElementById('settingsBrowseWatchFolderBtn').addEventListener('click', async () => {
+  const result = await ipcRenderer.invoke('select-folder');
+  if (result) {
+    document.getElementById('settingsWatchFolderPath').value = result;
+    settingsCheckForChanges();
+  }
+});
+
+document.getElementById('settingsClearWatchFolderBtn').addEventListener('click', () => {
+  document.getElementById('settingsWatchFolderPath').value = '';
+  settingsCheckForChanges();
+});
+
 document.getElementById('settingsBrowseProfilesBtn').addEventListener('click', async () => {
   const result = await ipcRenderer.invoke('select-folder');
   if (result) {
@@ -1843,7 +2036,29 @@ document.getElementById('settingsAutoExportCheckbox').addEventListener('change',
 document.getElementById('settingsKeepAudioCheckbox').addEventListener('change', settingsCheckForChanges);
 document.getElementById('settingsAutoCloseCheckbox').addEventListener('change', settingsCheckForChanges);
 document.getElementById('settingsDocModeSelect').addEventListener('change', settingsCheckForChanges);
+document.getElementById('settingsPauseShortcutSelect').addEventListener('change', settingsCheckForChanges);
+document.getElementById('settingsContextShortcutSelect').addEventListener('change', settingsCheckForChanges);
+document.getElementById('settingsAskContextCheckbox').addEventListener('change', settingsCheckForChanges);
+document.getElementById('settingsContextInFilenameCheckbox').addEventListener('change', settingsCheckForChanges);
+document.getElementById('settingsLocalApiCheckbox').addEventListener('change', settingsCheckForChanges);
+document.getElementById('settingsLocalApiPort').addEventListener('input', settingsCheckForChanges);
+document.getElementById('settingsNetworkEnvironment').addEventListener('change', () => {
+  renderNetworkEnvironmentInfo();
+  settingsCheckForChanges();
+});
+document.getElementById('settingsUploadFormatSelect').addEventListener('change', settingsCheckForChanges);
+document.getElementById('settingsProxyEnabled').addEventListener('change', settingsCheckForChanges);
+['settingsProxyUrl', 'settingsProxyUsername', 'settingsProxyPassword', 'settingsProxyNoProxy'].forEach(id => {
+  document.getElementById(id).addEventListener('input', settingsCheckForChanges);
+});
 document.getElementById('settingsVadEnabled').addEventListener('change', settingsCheckForChanges);
+document.getElementById('settingsDenoiseSelect').addEventListener('change', settingsCheckForChanges);
+['settingsChannelMode', 'settingsChannelMicSelect', 'settingsRoomMicSelect', 'settingsDoctorChannelSelect'].forEach(id => {
+  document.getElementById(id).addEventListener('change', () => {
+    renderChannelMode();
+    settingsCheckForChanges();
+  });
+});
 
 // Settings Debug
 document.getElementById('settingsOpenLogBtn').addEventListener('click', async () => {
@@ -1871,6 +2086,8 @@ document.getElementById('settingsCopyLogPathBtn').addEventListener('click', asyn
 document.getElementById('settingsSaveBtn').addEventListener('click', async () => {
   const settings = {
     shortcut: settingsNewShortcut || document.getElementById('settingsShortcutDisplay').textContent,
+    pauseShortcut: document.getElementById('settingsPauseShortcutSelect').value,
+    contextShortcut: document.getElementById('settingsContextShortcutSelect').value,
     microphoneId: document.getElementById('settingsMicSelect').value,
     microphoneSource: document.querySelector('input[name="micSource"]:checked')?.value || 'desktop',
     transcriptPath: document.getElementById('settingsTranscriptPath').value,
@@ -1880,9 +2097,31 @@ document.getElementById('settingsSaveBtn').addEventListener('click', async () =>
     keepAudio: document.getElementById('settingsKeepAudioCheckbox').checked,
     docMode: document.getElementById('settingsDocModeSelect').value,
     theme: document.getElementById('settingsThemeSelect').value,
-    vadEnabled: document.getElementById('settingsVadEnabled').checked
+    vadEnabled: document.getElementById('settingsVadEnabled').checked,
+    denoisePreset: document.getElementById('settingsDenoiseSelect').value,
+    channelMode: document.getElementById('settingsChannelMode').value,
+    channelMicrophone: document.getElementById('settingsChannelMicSelect').value,
+    roomMicrophone: document.getElementById('settingsRoomMicSelect').value,
+    doctorChannel: document.getElementById('settingsDoctorChannelSelect').value,
+    watchFolderPath: document.getElementById('settingsWatchFolderPath').value,
+    askContextOnRecord: document.getElementById('settingsAskContextCheckbox').checked,
+    contextInFilename: document.getElementById('settingsContextInFilenameCheckbox').checked,
+    localApiEnabled: document.getElementById('settingsLocalApiCheckbox').checked,
+    localApiPort: document.getElementById('settingsLocalApiPort').value,
+    networkEnvironment: document.getElementById('settingsNetworkEnvironment').value,
+    uploadFormat: document.getElementById('settingsUploadFormatSelect').value,
+    proxyEnabled: document.getElementById('settingsProxyEnabled').checked,
+    proxyUrl: document.getElementById('settingsProxyUrl').value.trim(),
+    proxyUsername: document.getElementById('settingsProxyUsername').value.trim(),
+    proxyPassword: document.getElementById('settingsProxyPassword').value,
+    proxyNoProxy: document.getElementById('settingsProxyNoProxy').value.trim()
   };
 
+  if (settings.networkEnvironment !== settingsInitialSettings.networkEnvironment &&
+      !confirm('Server-Umgebung wechseln? Sie werden abgemeldet und melden sich in der neuen Umgebung an.')) {
+    return;
+  }
+
   try {
     await ipcRenderer.invoke('save-settings', settings);
     settingsHasUnsavedChanges = false;
@@ -3094,6 +3333,852 @@ document.getElementById('deviceStatCard').addEventListener('click', () => {
   switchView('subscription');
 });
 
+// ============================================================================
+// Failed Jobs View
+// ============================================================================
+
+const FAILED_STEP_LABELS = {
+  convert: 'Konvertierung',
+  denoise: 'Entrauschen',
+  autolevel: 'Auto-Level',
+  vad: 'Stille-Erkennung',
+  quality: 'Qualitätsprüfung',
+  upload: 'Upload',
+  transcribe: 'Transkription',
+  speakers: 'Sprechererkennung',
+  document: 'Dokumentation',
+  save: 'Speichern',
+  unbekannt: 'Unbekannt'
+};
+
+async function loadFailedJobsView() {
+  const container = document.getElementById('failedJobsList');
+
+  try {
+    const [jobs, profiles] = await Promise.all([
+      ipcRenderer.invoke('get-failed-jobs'),
+      ipcRenderer.invoke('get-voice-profiles')
+    ]);
+    const doctors = (profiles || []).filter(p => p.role === 'Arzt').map(p => p.name);
+    renderFailedJobsList(jobs || [], doctors);
+  } catch (error) {
+    console.error('Error loading failed jobs:', error);
+    container.innerHTML = '<div class="devices-empty">Fehler beim Laden</div>';
+  }
+}
+
+function renderFailedJobsList(jobs, doctors) {
+  const container = document.getElementById('failedJobsList');
+
+  if (jobs.length === 0) {
+    container.innerHTML = '<div class="devices-empty">Keine fehlgeschlagenen Aufnahmen</div>';
+    return;
+  }
+
+  container.innerHTML = jobs.map(job => {
+    const created = new Date(job.createdAt);
+    const createdStr = `${created.toLocaleDateString('de-DE')} um ${created.toLocaleTimeString('de-DE', { hour: '2-digit', minute: '2-digit' })}`;
+    const stepLabel = FAILED_STEP_LABELS[job.failedStep] || job.failedStep;
+    const isRetrying = job.status === 'retrying';
+
+    let retryInfo = 'Nur manuelle Wiederholung';
+    if (isRetrying) {
+      retryInfo = 'Wird gerade verarbeitet...';
+    } else if (job.autoRetry && job.nextRetryAt) {
+      const next = new Date(job.nextRetryAt);
+      retryInfo = `Nächster Versuch: ${next.toLocaleTimeString('de-DE', { hour: '2-digit', minute: '2-digit' })}`;
+    }
+
+    const qualityWarnings = job.qualityReport && job.qualityReport.warnings.length > 0
+      ? `<div class="device-last-seen">Audio: ${escapeHtml(job.qualityReport.warnings.map(w => w.message).join(' · '))}</div>`
+      : '';
+
+    const doctorOptions = doctors.map(name =>
+      `<option value="${escapeHtml(name)}"${job.assignedTo === name ? ' selected' : ''}>${escapeHtml(name)}</option>`
+    ).join('');
+
+    return `
+      <div class="device-item" data-job-id="${job.id}">
+        <div class="device-info">
+          <div class="device-name">
+            ${escapeHtml(job.fileName)}
+            ${job.transcriptionId ? '<span class="current-badge">Bereits hochgeladen</span>' : ''}
+          </div>
+          <div class="device-last-seen">${createdStr} · Fehlgeschlagen bei: ${escapeHtml(stepLabel)} · Versuche: ${job.attempts}</div>
+          <div class="device-last-seen">${escapeHtml(job.error.replace(/^[A-Z_]+:/, ''))}</div>
+          ${qualityWarnings}
+          <div class="device-last-seen">${retryInfo}</div>
+        </div>
+        <select class="failed-job-assign" data-job-id="${job.id}" title="Arzt zuordnen"${isRetrying ? ' disabled' : ''}>
+          <option value="">Automatisch zuordnen</option>
+          ${doctorOptions}
+        </select>
+        <button class="btn btn-primary btn-sm failed-job-retry" data-job-id="${job.id}"${isRetrying ? ' disabled' : ''}>Wiederholen</button>
+        <button class="btn btn-ghost btn-sm failed-job-delete" data-job-id="${job.id}"${isRetrying ? ' disabled' : ''}>Löschen</button>
+      </div>
+    `;
+  }).join('');
+
+  container.querySelectorAll('.failed-job-retry').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      btn.disabled = true;
+      const result = await ipcRenderer.invoke('retry-failed-job', btn.dataset.jobId);
+      if (!result.success) {
+        alert('Wiederholung nicht möglich: ' + result.error);
+      }
+      loadFailedJobsView();
+    });
+  });
+
+  container.querySelectorAll('.failed-job-assign').forEach(select => {
+    select.addEventListener('change', async () => {
+      await ipcRenderer.invoke('reassign-failed-job', select.dataset.jobId, select.value);
+    });
+  });
+
+  container.querySelectorAll('.failed-job-delete').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      if (!confirm('Aufnahme wirklich löschen? Die Audio-Datei wird entfernt.')) return;
+      const result = await ipcRenderer.invoke('delete-failed-job', btn.dataset.jobId);
+      if (!result.success) {
+        alert('Löschen nicht möglich: ' + result.error);
+      }
+      loadFailedJobsView();
+    });
+  });
+}
+
+document.getElementById('openFailedFolderBtn').addEventListener('click', () => {
+  ipcRenderer.invoke('open-failed-folder');
+});
+
+ipcRenderer.on('failed-jobs-updated', () => {
+  if (document.getElementById('view-failed').classList.contains('active')) {
+    loadFailedJobsView();
+  }
+});
+
+// ============================================================================
+// History View
+// ============================================================================
+
+const HISTORY_VARIANT_LABELS = {
+  keywords90: 'Stichworte',
+  chef70: 'Chef Ultra',
+  chef50: 'Chef',
+  pvs40: 'PVS',
+  zfa30: 'ZFA',
+  normalized: 'Normalisiert'
+};
+
+let historySearchTimeout = null;
+let historySelectedKey = null;
+let historySelectedEntry = null;
+
+async function loadHistoryView() {
+  const container = document.getElementById('historyList');
+
+  const result = await ipcRenderer.invoke('refresh-history');
+  if (!result.success) {
+    container.innerHTML = `<div class="devices-empty">Fehler beim Laden: ${escapeHtml(result.error)}</div>`;
+    return;
+  }
+  runHistorySearch();
+}
+
+function fillHistoryFilter(selectId, values) {
+  const select = document.getElementById(selectId);
+  const current = select.value;
+  const fixedOptions = selectId === 'historyDoctorSelect'
+    ? '<option value="">Alle</option><option value="-">Ohne Zuordnung</option>'
+    : '<option value="">Alle</option>';
+  select.innerHTML = fixedOptions + values.map(value =>
+    `<option value="${escapeHtml(value)}">${escapeHtml(value)}</option>`
+  ).join('');
+  // Keep the selection if the value still exists
+  if (Array.from(select.options).some(option => option.value === current)) {
+    select.value = current;
+  }
+}
+
+async function runHistorySearch() {
+  const container = document.getElementById('historyList');
+  const query = document.getElementById('historySearchInput').value;
+  const filters = {
+    from: document.getElementById('historyFromDate').value,
+    to: document.getElementById('historyToDate').value,
+    doctor: document.getElementById('historyDoctorSelect').value,
+    treatment: document.getElementById('historyTreatmentSelect').value
+  };
+
+  try {
+    const { results, total, doctors, treatments } = await ipcRenderer.invoke('search-history', query, filters);
+    fillHistoryFilter('historyDoctorSelect', doctors);
+    fillHistoryFilter('historyTreatmentSelect', treatments);
+
+    document.getElementById('historyResultInfo').textContent = total > results.length
+      ? `${total} Aufnahmen gefunden - die neuesten ${results.length} werden angezeigt`
+      : `${total} Aufnahme${total === 1 ? '' : 'n'} gefunden`;
+
+    renderHistoryList(results);
+  } catch (error) {
+    console.error('Error searching history:', error);
+    container.innerHTML = '<div class="devices-empty">Fehler beim Laden</div>';
+  }
+}
+
+function formatHistoryContext(context) {
+  if (!context) return '';
+  const parts = [];
+  if (context.room) parts.push(`Raum ${context.room}`);
+  if (context.treatment) parts.push(context.treatment);
+  if (context.patient) parts.push(`Patient ${context.patient}`);
+  return parts.join(' · ');
+}
+
+function renderHistoryList(results) {
+  const container = document.getElementById('historyList');
+
+  if (results.length === 0) {
+    container.innerHTML = '<div class="devices-empty">Keine Aufnahmen gefunden</div>';
+    return;
+  }
+
+  container.innerHTML = results.map(item => {
+    const date = new Date(item.date);
+    const dateStr = `${date.toLocaleDateString('de-DE')} um ${date.toLocaleTimeString('de-DE', { hour: '2-digit', minute: '2-digit' })}`;
+    const doctorStr = item.doctors.length > 0 ? item.doctors.join(', ') : 'Ohne Zuordnung';
+    const contextStr = formatHistoryContext(item.context);
+
+    return `
+      <div class="device-item history-item${item.key === historySelectedKey ? ' current' : ''}" data-key="${escapeHtml(item.key)}">
+        <div class="device-info">
+          <div class="device-name">
+            ${dateStr}
+            ${contextStr ? `<span class="current-badge">${escapeHtml(contextStr)}</span>` : ''}
+          </div>
+          <div class="device-last-seen">${escapeHtml(doctorStr)}</div>
+          <div class="device-last-seen">${escapeHtml(item.snippet)}</div>
+        </div>
+      </div>
+    `;
+  }).join('');
+
+  container.querySelectorAll('.history-item').forEach(el => {
+    el.addEventListener('click', () => {
+      container.querySelectorAll('.history-item').forEach(other => other.classList.remove('current'));
+      el.classList.add('current');
+      showHistoryEntry(el.dataset.key);
+    });
+  });
+}
+
+async function showHistoryEntry(key) {
+  const section = document.getElementById('historyDetailSection');
+  const result = await ipcRenderer.invoke('get-history-entry', key);
+  if (!result.success) {
+    alert('Aufnahme konnte nicht geladen werden: ' + result.error);
+    return;
+  }
+
+  const entry = result.entry;
+  historySelectedKey = key;
+  historySelectedEntry = entry;
+
+  const date = new Date(entry.date);
+  document.getElementById('historyDetailTitle').textContent =
+    `Aufnahme vom ${date.toLocaleDateString('de-DE')} um ${date.toLocaleTimeString('de-DE', { hour: '2-digit', minute: '2-digit' })}`;
+  document.getElementById('historyDetailMeta').textContent = [
+    entry.doctors.length > 0 ? entry.doctors.join(', ') : 'Ohne Zuordnung',
+    formatHistoryContext(entry.context)
+  ].filter(Boolean).join(' · ');
+  document.getElementById('historyDetailSummary').textContent = entry.summary;
+  document.getElementById('historyDetailTranscript').textContent = entry.transcript;
+
+  // One copy button for the documentation and each saved shortening
+  const actions = document.getElementById('historyCopyActions');
+  const copyTargets = [{ key: 'summary', label: 'Dokumentation kopieren', primary: true }]
+    .concat(Object.keys(entry.variants).map(variant => ({
+      key: variant,
+      label: HISTORY_VARIANT_LABELS[variant] || variant
+    })))
+    .concat([{ key: 'transcript', label: 'Transkript' }]);
+
+  actions.innerHTML = copyTargets.map(target =>
+    `<button class="btn ${target.primary ? 'btn-primary' : 'btn-ghost'} btn-sm history-copy-btn" data-target="${target.key}">${escapeHtml(target.label)}</button>`
+  ).join('');
+
+  actions.querySelectorAll('.history-copy-btn').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      const target = btn.dataset.target;
+      const text = target === 'summary' || target === 'transcript'
+        ? historySelectedEntry[target]
+        : historySelectedEntry.variants[target];
+      if (!text) return;
+
+      await navigator.clipboard.writeText(text);
+      const originalText = btn.textContent;
+      btn.textContent = 'Kopiert!';
+      setTimeout(() => {
+        btn.textContent = originalText;
+      }, 2000);
+    });
+  });
+
+  // Only files saved with a transcription ID can be regenerated
+  document.getElementById('historyRegenerateBtn').style.display = entry.transcriptionId ? '' : 'none';
+  document.getElementById('historyCompareBtn').style.display = entry.transcriptionId ? '' : 'none';
+
+  section.style.display = 'block';
+  section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+document.getElementById('historySearchInput').addEventListener('input', () => {
+  clearTimeout(historySearchTimeout);
+  historySearchTimeout = setTimeout(runHistorySearch, 250);
+});
+
+['historyFromDate', 'historyToDate', 'historyDoctorSelect', 'historyTreatmentSelect'].forEach(id => {
+  document.getElementById(id).addEventListener('change', runHistorySearch);
+});
+
+document.getElementById('historyOpenFileBtn').addEventListener('click', async () => {
+  if (!historySelectedKey) return;
+  const result = await ipcRenderer.invoke('open-history-file', historySelectedKey);
+  if (!result.success) {
+    alert('Datei konnte nicht geöffnet werden: ' + result.error);
+  }
+});
+
+document.getElementById('historyRegenerateBtn').addEventListener('click', () => {
+  if (!historySelectedKey) return;
+  openRegenerateModal({ type: 'history', key: historySelectedKey });
+});
+
+document.getElementById('historyCompareBtn').addEventListener('click', () => {
+  if (!historySelectedKey) return;
+  comparePreselectKey = historySelectedKey;
+  switchView('compare');
+});
+
+ipcRenderer.on('history-updated', () => {
+  if (document.getElementById('view-history').classList.contains('active')) {
+    loadHistoryView();
+  }
+});
+
+// ============================================================================
+// REGENERATE DOCUMENTATION (other mode, same transcription)
+// ============================================================================
+
+let regenerateTarget = null;
+let regenerateRunning = false;
+
+function renderDiffColumn(diff, hiddenType) {
+  return diff
+    .filter(segment => segment.type !== hiddenType)
+    .map(segment => segment.type === 'same'
+      ? escapeHtml(segment.text)
+      : `<span class="diff-${segment.type}">${escapeHtml(segment.text)}</span>`)
+    .join('');
+}
+
+function setRegenerateStatus(text) {
+  document.getElementById('regenerateStatus').textContent = text;
+}
+
+/**
+ * Open the comparison for the last result (overlay) or a history entry
+ * @param {Object} target - { type: 'last', resultId } | { type: 'history', key }
+ */
+async function openRegenerateModal(target) {
+  const source = await ipcRenderer.invoke('get-regenerate-source', target);
+  if (!source.success) {
+    alert(source.error);
+    return;
+  }
+
+  regenerateTarget = target;
+  regenerateRunning = false;
+
+  const select = document.getElementById('regenerateModeSelect');
+  const modes = await ipcRenderer.invoke('get-doc-modes');
+  select.innerHTML = modes.map(mode =>
+    `<option value="${escapeHtml(mode.id)}">${escapeHtml(mode.label)}</option>`
+  ).join('');
+  // Suggest a mode other than the one that produced the current text
+  const otherMode = modes.find(mode => mode.id !== source.docMode);
+  if (otherMode) select.value = otherMode.id;
+
+  document.getElementById('regenerateOldTitle').textContent = source.modeLabel ? `Bisher · ${source.modeLabel}` : 'Bisher';
+  document.getElementById('regenerateOldText').textContent = source.documentation;
+  document.getElementById('regenerateNewTitle').textContent = 'Neu';
+  document.getElementById('regenerateNewText').textContent = '';
+  document.getElementById('regenerateStartBtn').disabled = false;
+  document.getElementById('regenerateApplyBtn').disabled = true;
+  setRegenerateStatus('');
+
+  document.getElementById('regenerateModal').classList.add('active');
+}
+
+async function startRegeneration() {
+  if (!regenerateTarget || regenerateRunning) return;
+
+  const target = regenerateTarget;
+  const select = document.getElementById('regenerateModeSelect');
+  const modeLabel = select.options[select.selectedIndex]?.textContent || '';
+  const startBtn = document.getElementById('regenerateStartBtn');
+
+  regenerateRunning = true;
+  startBtn.disabled = true;
+  document.getElementById('regenerateApplyBtn').disabled = true;
+  document.getElementById('regenerateNewText').textContent = '';
+  setRegenerateStatus(`Dokumentation wird mit "${modeLabel}" erstellt... (kann bis zu 3 Minuten dauern)`);
+
+  const result = await ipcRenderer.invoke('regenerate-documentation', target, select.value);
+
+  // Modal closed or opened for another recording in the meantime
+  if (regenerateTarget !== target) return;
+  regenerateRunning = false;
+  startBtn.disabled = false;
+
+  if (!result.success) {
+    setRegenerateStatus(result.canceled ? '' : `Fehler: ${result.error}`);
+    return;
+  }
+
+  const changed = result.diff.some(segment => segment.type !== 'same');
+  document.getElementById('regenerateNewTitle').textContent = `Neu · ${result.modeLabel}`;
+  document.getElementById('regenerateNewText').innerHTML = renderDiffColumn(result.diff, 'removed');
+  document.getElementById('regenerateOldText').innerHTML = renderDiffColumn(result.diff, 'added');
+  document.getElementById('regenerateApplyBtn').disabled = false;
+  setRegenerateStatus(changed
+    ? 'Rot = nur in der bisherigen Version, Grün = nur in der neuen Version.'
+    : 'Die neue Version ist identisch mit der bisherigen.');
+}
+
+/**
+ * Keep one version ('current' or 'new') - it is copied, 'new' is also saved
+ */
+async function chooseRegeneratedVersion(choice) {
+  if (!regenerateTarget) return;
+
+  const result = await ipcRenderer.invoke('apply-regenerated-documentation', regenerateTarget, choice);
+  if (!result.success) {
+    setRegenerateStatus(`Fehler: ${result.error}`);
+    return;
+  }
+
+  regenerateTarget = null;
+  const btn = document.getElementById(choice === 'new' ? 'regenerateApplyBtn' : 'regenerateKeepBtn');
+  const originalText = btn.textContent;
+  btn.textContent = 'Kopiert!';
+  setTimeout(() => {
+    btn.textContent = originalText;
+    document.getElementById('regenerateModal').classList.remove('active');
+  }, 1000);
+
+  if (choice === 'new' && historySelectedKey && document.getElementById('view-history').classList.contains('active')) {
+    showHistoryEntry(historySelectedKey);
+  }
+}
+
+function closeRegenerateModal() {
+  if (regenerateTarget) {
+    ipcRenderer.send('close-regenerate', regenerateTarget);
+  }
+  regenerateTarget = null;
+  regenerateRunning = false;
+  document.getElementById('regenerateModal').classList.remove('active');
+}
+
+ipcRenderer.on('show-regenerate-modal', (event, target) => {
+  openRegenerateModal(target);
+});
+
+document.getElementById('regenerateStartBtn').addEventListener('click', startRegeneration);
+document.getElementById('regenerateApplyBtn').addEventListener('click', () => chooseRegeneratedVersion('new'));
+document.getElementById('regenerateKeepBtn').addEventListener('click', () => chooseRegeneratedVersion('current'));
+document.getElementById('regenerateCloseBtn').addEventListener('click', closeRegenerateModal);
+
+document.getElementById('regenerateModal').addEventListener('click', (e) => {
+  if (e.target.classList.contains('modal-overlay')) {
+    closeRegenerateModal();
+  }
+});
+
+// ============================================================================
+// DOCUMENTATION MODE COMPARISON
+// ============================================================================
+
+let comparePreselectKey = null;
+let compareRunning = false;
+let compareModes = [];
+
+function formatCompareRecording(item) {
+  const date = new Date(item.date);
+  const parts = [
+    `${date.toLocaleDateString('de-DE')} ${date.toLocaleTimeString('de-DE', { hour: '2-digit', minute: '2-digit' })}`,
+    item.doctors.length > 0 ? item.doctors.join(', ') : 'Ohne Zuordnung',
+    formatHistoryContext(item.context)
+  ].filter(Boolean);
+  return parts.join(' · ');
+}
+
+async function loadCompareView() {
+  const select = document.getElementById('compareRecordingSelect');
+  const previous = comparePreselectKey || select.value;
+  comparePreselectKey = null;
+
+  await ipcRenderer.invoke('refresh-history');
+  const { results } = await ipcRenderer.invoke('search-history', '', {});
+  const recordings = results.filter(item => item.transcriptionId);
+
+  select.innerHTML = recordings.length > 0
+    ? recordings.map(item => `<option value="${escapeHtml(item.key)}">${escapeHtml(formatCompareRecording(item))}</option>`).join('')
+    : '<option value="">Keine vergleichbaren Aufnahmen gefunden</option>';
+  if (recordings.some(item => item.key === previous)) {
+    select.value = previous;
+  }
+
+  // Keep the checked modes when coming back to the view
+  const checked = new Set(Array.from(document.querySelectorAll('.compare-mode-checkbox:checked')).map(input => input.value));
+  compareModes = await ipcRenderer.invoke('get-doc-modes');
+  document.getElementById('compareModes').innerHTML = compareModes.map(mode => `
+    <label class="checkbox-label">
+      <input type="checkbox" class="compare-mode-checkbox" value="${escapeHtml(mode.id)}"${checked.size === 0 || checked.has(mode.id) ? ' checked' : ''}>
+      <span>${escapeHtml(mode.label)}</span>
+    </label>
+  `).join('');
+
+  updateCompareButtons();
+}
+
+function updateCompareButtons() {
+  const hasRecording = !!document.getElementById('compareRecordingSelect').value;
+  document.getElementById('compareStartBtn').disabled = compareRunning || !hasRecording;
+  document.getElementById('compareCancelBtn').style.display = compareRunning ? '' : 'none';
+}
+
+function renderCompareCard(mode, result) {
+  if (!result) {
+    return `
+      <div class="compare-card pending">
+        <h3>${escapeHtml(mode.label)}</h3>
+        <div class="helper-text">Wartet...</div>
+      </div>
+    `;
+  }
+
+  if (!result.success) {
+    return `
+      <div class="compare-card">
+        <h3>${escapeHtml(result.label)}</h3>
+        <div class="compare-error">Fehler: ${escapeHtml(result.error.replace(/<[^>]+>/g, ' '))}</div>
+      </div>
+    `;
+  }
+
+  const coverage = result.coverage;
+  let coverageHtml = 'Keine Bausteine für dieses Gespräch relevant';
+  if (coverage.relevant > 0) {
+    coverageHtml = coverage.items.map(item =>
+      `<span class="${item.covered ? '' : 'missing'}">${item.covered ? '✓' : '✗'} ${escapeHtml(item.name)}</span>`
+    ).join('<br>');
+  }
+
+  return `
+    <div class="compare-card">
+      <h3>${escapeHtml(result.label)}</h3>
+      <div class="compare-stats">
+        <div><strong>${(result.latencyMs / 1000).toFixed(1).replace('.', ',')} s</strong>Dauer</div>
+        <div><strong>${coverage.relevant > 0 ? `${coverage.covered}/${coverage.relevant}` : '-'}</strong>Bausteine</div>
+        <div><strong>${result.chars}</strong>Zeichen</div>
+        <div><strong>${result.words}</strong>Wörter</div>
+      </div>
+      <div class="compare-coverage">${coverageHtml}</div>
+      <div class="history-detail-text">${escapeHtml(result.documentation)}</div>
+    </div>
+  `;
+}
+
+async function startComparison() {
+  const key = document.getElementById('compareRecordingSelect').value;
+  const modeIds = Array.from(document.querySelectorAll('.compare-mode-checkbox:checked')).map(input => input.value);
+  if (!key || compareRunning) return;
+  if (modeIds.length === 0) {
+    document.getElementById('compareStatus').textContent = 'Bitte mindestens einen Modus auswählen.';
+    return;
+  }
+
+  const selectedModes = compareModes.filter(mode => modeIds.includes(mode.id));
+  const results = new Array(selectedModes.length).fill(null);
+  const container = document.getElementById('compareResults');
+  const render = () => {
+    container.innerHTML = selectedModes.map((mode, i) => renderCompareCard(mode, results[i])).join('');
+  };
+
+  // Results arrive one by one while the invoke is still running
+  const onResult = (event, { index, result }) => {
+    results[index] = result;
+    document.getElementById('compareStatus').textContent =
+      `${results.filter(Boolean).length} von ${selectedModes.length} Modi fertig...`;
+    render();
+  };
+
+  compareRunning = true;
+  updateCompareButtons();
+  document.getElementById('compareExportBtn').disabled = true;
+  document.getElementById('compareStatus').textContent = `Vergleich läuft (${selectedModes.length} Modi, je bis zu 3 Minuten)...`;
+  render();
+
+  ipcRenderer.on('mode-comparison-result', onResult);
+  let response;
+  try {
+    response = await ipcRenderer.invoke('run-mode-comparison', key, modeIds);
+  } finally {
+    ipcRenderer.removeListener('mode-comparison-result', onResult);
+    compareRunning = false;
+    updateCompareButtons();
+  }
+
+  if (!response.success) {
+    document.getElementById('compareStatus').textContent = `Fehler: ${response.error}`;
+    container.innerHTML = '';
+    return;
+  }
+
+  const finished = response.results.length;
+  document.getElementById('compareExportBtn').disabled = finished === 0;
+  document.getElementById('compareStatus').textContent = response.canceled
+    ? `Abgebrochen - ${finished} von ${selectedModes.length} Modi fertig.`
+    : 'Vergleich abgeschlossen.';
+  if (response.canceled) {
+    // Drop the placeholders of modes that never ran
+    selectedModes.length = finished;
+    render();
+  }
+}
+
+document.getElementById('compareRecordingSelect').addEventListener('change', updateCompareButtons);
+document.getElementById('compareStartBtn').addEventListener('click', startComparison);
+document.getElementById('compareCancelBtn').addEventListener('click', () => {
+  ipcRenderer.send('cancel-mode-comparison');
+  document.getElementById('compareStatus').textContent = 'Wird abgebrochen...';
+});
+document.getElementById('compareExportBtn').addEventListener('click', async () => {
+  const result = await ipcRenderer.invoke('export-mode-comparison');
+  if (result.success) {
+    document.getElementById('compareStatus').textContent = `Exportiert: ${result.filePath}`;
+  } else if (!result.canceled) {
+    alert('Export fehlgeschlagen: ' + result.error);
+  }
+});
+
+// ===========================================
+// Local Control API (Settings)
+// ===========================================
+
+async function loadLocalApiInfo() {
+  const info = await ipcRenderer.invoke('get-local-api-info');
+  document.getElementById('settingsLocalApiSecret').value = info.secret || '';
+  document.getElementById('settingsLocalApiStatus').textContent = info.running
+    ? `Aktiv unter ${info.url}`
+    : 'Nicht aktiv';
+}
+
+document.getElementById('settingsCopyLocalApiSecretBtn').addEventListener('click', async () => {
+  const btn = document.getElementById('settingsCopyLocalApiSecretBtn');
+  await navigator.clipboard.writeText(document.getElementById('settingsLocalApiSecret').value);
+  btn.textContent = 'Kopiert!';
+  setTimeout(() => {
+    btn.textContent = 'Kopieren';
+  }, 2000);
+});
+
+document.getElementById('settingsRegenerateLocalApiSecretBtn').addEventListener('click', async () => {
+  if (!confirm('Neues Geheimnis erzeugen? Bestehende Integrationen (PVS-Makros, Tasten) müssen angepasst werden.')) return;
+  const result = await ipcRenderer.invoke('regenerate-local-api-secret');
+  if (!result.success) {
+    alert('Fehler: ' + result.error);
+    return;
+  }
+  loadLocalApiInfo();
+});
+
+// ===========================================
+// Network: environment, proxy, CA certificates (Settings)
+// ===========================================
+
+let networkConfig = null;
+
+/**
+ * Load environments and CA certificates; selection = saved one unless given
+ * @param {string} [selectedEnvironment] - Environment to select
+ */
+async function loadNetworkInfo(selectedEnvironment) {
+  networkConfig = await ipcRenderer.invoke('get-network-info');
+  renderNetworkConfig(selectedEnvironment || networkConfig.environment);
+}
+
+function renderNetworkConfig(selectedEnvironment) {
+  const select = document.getElementById('settingsNetworkEnvironment');
+  select.innerHTML = networkConfig.environments.map(env =>
+    `<option value="${escapeHtml(env.id)}">${escapeHtml(env.name)}</option>`
+  ).join('');
+  select.value = networkConfig.environments.some(env => env.id === selectedEnvironment) ? selectedEnvironment : networkConfig.environment;
+  renderNetworkEnvironmentInfo();
+
+  const custom = networkConfig.environments.filter(env => !env.builtIn);
+  document.getElementById('settingsNetworkEnvironmentsList').innerHTML = custom.map(env => `
+    <div class="device-item">
+      <div class="device-info">
+        <div class="device-name">${escapeHtml(env.name)}</div>
+        <div class="device-last-seen">${escapeHtml(env.apiUrl)}</div>
+      </div>
+      <button class="btn btn-ghost btn-sm" data-environment-id="${escapeHtml(env.id)}">Entfernen</button>
+    </div>
+  `).join('');
+
+  const certificates = networkConfig.caCertificates;
+  document.getElementById('settingsCaCertificatesList').innerHTML = certificates.length === 0
+    ? '<div class="devices-empty">Keine eigenen Zertifikate</div>'
+    : certificates.map(cert => `
+      <div class="device-item">
+        <div class="device-info">
+          <div class="device-name">${escapeHtml(cert.name)}</div>
+          <div class="device-last-seen">${escapeHtml(cert.subject)}${cert.validTo ? ` · gültig bis ${new Date(cert.validTo).toLocaleDateString('de-DE')}` : ''}</div>
+        </div>
+        <button class="btn btn-ghost btn-sm" data-certificate-id="${escapeHtml(cert.id)}">Entfernen</button>
+      </div>
+    `).join('');
+}
+
+function renderNetworkEnvironmentInfo() {
+  const id = document.getElementById('settingsNetworkEnvironment').value;
+  const env = networkConfig && networkConfig.environments.find(e => e.id === id);
+  document.getElementById('settingsNetworkEnvironmentInfo').textContent = env
+    ? `API: ${env.apiUrl} · Upload: ${env.uploadProxyUrl} · Relay: ${env.relayUrl}`
+    : '';
+}
+
+document.getElementById('settingsAddEnvironmentBtn').addEventListener('click', async () => {
+  const status = document.getElementById('settingsNetworkEnvStatus');
+  const result = await ipcRenderer.invoke('add-network-environment', {
+    name: document.getElementById('settingsNewEnvName').value,
+    apiUrl: document.getElementById('settingsNewEnvApiUrl').value,
+    uploadProxyUrl: document.getElementById('settingsNewEnvUploadUrl').value,
+    relayUrl: document.getElementById('settingsNewEnvRelayUrl').value
+  });
+  if (!result.success) {
+    settingsShowStatus(status, result.error, 'error');
+    return;
+  }
+
+  ['settingsNewEnvName', 'settingsNewEnvApiUrl', 'settingsNewEnvUploadUrl', 'settingsNewEnvRelayUrl'].forEach(id => {
+    document.getElementById(id).value = '';
+  });
+  settingsShowStatus(status, `"${result.environment.name}" hinzugefügt - zum Wechseln auswählen und speichern`, 'success');
+  setTimeout(() => settingsHideStatus(status), 3000);
+
+  // Keep an unsaved selection
+  networkConfig = result.config;
+  renderNetworkConfig(document.getElementById('settingsNetworkEnvironment').value);
+});
+
+document.getElementById('settingsNetworkEnvironmentsList').addEventListener('click', async (e) => {
+  const btn = e.target.closest('[data-environment-id]');
+  if (!btn) return;
+  const env = networkConfig.environments.find(item => item.id === btn.dataset.environmentId);
+  const isActive = networkConfig.environment === btn.dataset.environmentId;
+  if (!confirm(`Umgebung "${env ? env.name : ''}" entfernen?${isActive ? ' Sie ist gerade aktiv - DentDoc wechselt zur Produktion und meldet Sie ab.' : ''}`)) return;
+
+  const result = await ipcRenderer.invoke('remove-network-environment', btn.dataset.environmentId);
+  networkConfig = result.config;
+  const selected = document.getElementById('settingsNetworkEnvironment').value;
+  renderNetworkConfig(selected === btn.dataset.environmentId ? networkConfig.environment : selected);
+  settingsInitialSettings.networkEnvironment = networkConfig.environment;
+  settingsCheckForChanges();
+});
+
+document.getElementById('settingsImportCaBtn').addEventListener('click', async () => {
+  const status = document.getElementById('settingsCaStatus');
+  const result = await ipcRenderer.invoke('import-ca-certificate');
+  if (result.canceled) return;
+  if (!result.success) {
+    settingsShowStatus(status, 'Fehler: ' + result.error, 'error');
+    return;
+  }
+
+  settingsShowStatus(status, `${result.count} Zertifikat${result.count !== 1 ? 'e' : ''} importiert`, 'success');
+  setTimeout(() => settingsHideStatus(status), 3000);
+  networkConfig = result.config;
+  renderNetworkConfig(document.getElementById('settingsNetworkEnvironment').value);
+});
+
+document.getElementById('settingsCaCertificatesList').addEventListener('click', async (e) => {
+  const btn = e.target.closest('[data-certificate-id]');
+  if (!btn) return;
+  if (!confirm('Zertifikat entfernen? Verbindungen über einen prüfenden Proxy schlagen danach evtl. fehl.')) return;
+
+  const result = await ipcRenderer.invoke('remove-ca-certificate', btn.dataset.certificateId);
+  networkConfig = result.config;
+  renderNetworkConfig(document.getElementById('settingsNetworkEnvironment').value);
+});
+
+// ===========================================
+// Watched Folder (Settings)
+// ===========================================
+
+const WATCH_FILE_STATUS_LABELS = {
+  queued: 'Wartet',
+  processing: 'Wird verarbeitet...',
+  done: 'Fertig',
+  failed: 'Fehlgeschlagen'
+};
+
+async function loadWatchFolderFiles() {
+  const container = document.getElementById('watchFolderFilesList');
+  try {
+    const { folder, files } = await ipcRenderer.invoke('get-watch-folder-status');
+    if (!folder) {
+      container.innerHTML = '';
+      return;
+    }
+    if (files.length === 0) {
+      container.innerHTML = '<div class="devices-empty">Noch keine neuen Dateien</div>';
+      return;
+    }
+
+    container.innerHTML = files.slice(0, 20).map(file => {
+      const updated = new Date(file.updatedAt);
+      const updatedStr = `${updated.toLocaleDateString('de-DE')} um ${updated.toLocaleTimeString('de-DE', { hour: '2-digit', minute: '2-digit' })}`;
+      const statusLabel = WATCH_FILE_STATUS_LABELS[file.status] || file.status;
+      return `
+        <div class="device-item">
+          <div class="device-info">
+            <div class="device-name">
+              ${escapeHtml(file.name)}
+              <span class="current-badge">${escapeHtml(statusLabel)}</span>
+            </div>
+            <div class="device-last-seen">${updatedStr}</div>
+            ${file.error ? `<div class="device-last-seen">${escapeHtml(file.error)}</div>` : ''}
+          </div>
+        </div>
+      `;
+    }).join('');
+  } catch (error) {
+    console.error('Error loading watched folder status:', error);
+    container.innerHTML = '<div class="devices-empty">Fehler beim Laden</div>';
+  }
+}
+
+ipcRenderer.on('watch-folder-updated', () => {
+  if (document.getElementById('view-settings').classList.contains('active')) {
+    loadWatchFolderFiles();
+  }
+});
+
 // Update loadViewContent to include subscription
 const originalLoadViewContent = loadViewContent;
 async function loadViewContent(viewName) {
@@ -3119,6 +4204,15 @@ async function loadViewContent(viewName) {
     case 'subscription':
       loadSubscriptionView();
       break;
+    case 'failed':
+      loadFailedJobsView();
+      break;
+    case 'history':
+      loadHistoryView();
+      break;
+    case 'compare':
+      loadCompareView();
+      break;
   }
 }
 
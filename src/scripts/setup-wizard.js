@@ -53,6 +53,7 @@ class SetupWizard {
 
       // Update path input fields with actual paths
       this.updatePathDisplays();
+      await this.renderDocModes();
 
       this.show();
       this.loadMicrophones();
@@ -135,13 +136,13 @@ class SetupWizard {
     document.getElementById('wizardChangeShortcutBtn')?.addEventListener('click', () => this.startShortcutRecording());
     document.addEventListener('keydown', (e) => this.handleShortcutKeydown(e));
 
-    // AI Mode
-    document.querySelectorAll('.wizard-option[data-mode]').forEach(option => {
-      option.addEventListener('click', () => {
-        document.querySelectorAll('.wizard-option[data-mode]').forEach(o => o.classList.remove('selected'));
-        option.classList.add('selected');
-        this.settings.docMode = option.dataset.mode;
-      });
+    // AI Mode (options are rendered from the mode registry)
+    document.getElementById('wizardDocModeOptions')?.addEventListener('click', (e) => {
+      const option = e.target.closest('.wizard-option[data-mode]');
+      if (!option) return;
+      document.querySelectorAll('.wizard-option[data-mode]').forEach(o => o.classList.remove('selected'));
+      option.classList.add('selected');
+      this.settings.docMode = option.dataset.mode;
     });
 
     // Toggles
@@ -799,6 +800,29 @@ class SetupWizard {
     skipBtn.style.display = optionalSteps.includes(this.currentStep) ? 'block' : 'none';
   }
 
+  async renderDocModes() {
+    const container = document.getElementById('wizardDocModeOptions');
+    if (!container) return;
+
+    this.docModes = await ipcRenderer.invoke('get-doc-modes');
+    const wizardModes = this.docModes
+      .filter(mode => mode.wizard)
+      .sort((a, b) => a.wizard.order - b.wizard.order);
+
+    container.innerHTML = wizardModes.map(mode => `
+      <div class="wizard-option${mode.id === this.settings.docMode ? ' selected' : ''}" data-mode="${escapeHtml(mode.id)}">
+        <div class="wizard-option-radio"></div>
+        <div class="wizard-option-content">
+          <div class="wizard-option-header">
+            <span class="wizard-option-title">${escapeHtml(mode.wizard.title)}</span>
+            ${mode.badge ? `<span class="wizard-option-badge">${escapeHtml(mode.badge)}</span>` : ''}
+          </div>
+          <p class="wizard-option-desc">${escapeHtml(mode.wizard.description)}</p>
+        </div>
+      </div>
+    `).join('');
+  }
+
   updateSummary() {
     // Update summary on final step
     if (this.currentStep !== this.totalSteps - 1) return;
@@ -806,7 +830,7 @@ class SetupWizard {
     const items = {
       'summaryMic': this.getMicrophoneName(),
       'summaryShortcut': this.settings.shortcut,
-      'summaryMode': this.settings.docMode === 'single' ? 'Single Prompt' : 'Agent-Kette',
+      'summaryMode': (this.docModes || []).find(mode => mode.id === this.settings.docMode)?.label || this.settings.docMode,
       'summaryTranscripts': this.settings.autoExport ? 'Aktiviert' : 'Deaktiviert',
       'summaryAudio': this.settings.keepAudio ? 'Aktiviert' : 'Deaktiviert'
     };
@@ -929,6 +953,7 @@ async function restartSetupWizard() {
       window.setupWizard.updatePathDisplays();
 
       // Reset AI mode selection
+      await window.setupWizard.renderDocModes();
       document.querySelectorAll('.wizard-option[data-mode]').forEach(o => o.classList.remove('selected'));
       const selectedMode = document.querySelector(`.wizard-option[data-mode="${window.setupWizard.settings.docMode}"]`);
       if (selectedMode) selectedMode.classList.add('selected');
@@ -0,0 +1,184 @@
+/**
+ * Verschlüsselte Ablage für Anmeldedaten
+ *
+ * Anmelde-Token, Benutzerdaten und die iPhone-Kopplung liegen nicht mehr im
+ * Klartext in der config.json, die jeder am gemeinsamen Praxis-PC lesen kann:
+ * - safeStorage von Electron (Windows: DPAPI, macOS: Schlüsselbund,
+ *   Linux: Secret Service/KWallet)
+ * - Ohne Schlüsselbund (z.B. Linux ohne Secret Service): AES-256-GCM mit
+ *   einem lokal abgeleiteten Schlüssel (scrypt aus Rechner, Benutzer und
+ *   einem Zufallswert). Schützt die kopierte Datei, nicht aber vor jemandem,
+ *   der unter demselben Windows-/Linux-Konto arbeitet.
+ *
+ * wrap(store) liefert dieselbe get/set/delete-Schnittstelle wie electron-store;
+ * nur die SECURE_KEYS werden verschlüsselt. Andere Stores geben ihre eigenen
+ * Schlüssel mit (z.B. src/network für das Proxy-Passwort). Klartext-Einträge älterer
+ * Versionen werden beim Start verschlüsselt (migrate()). Ist der Schlüsselbund
+ * gerade nicht verfügbar, bleibt der Wert liegen und wird später wieder
+ * gelesen. Verworfen wird nur, was nachweislich nicht mehr passt (lokaler
+ * Schlüssel, Prüfsumme falsch - z.B. Profil auf anderen PC kopiert); der
+ * Nutzer meldet sich dann neu an.
+ */
+
+const crypto = require('crypto');
+const os = require('os');
+const { app, safeStorage } = require('electron');
+
+const SECURE_KEYS = ['authToken', 'user', 'iphoneDeviceId', 'iphoneDeviceName', 'iphoneAuthToken'];
+// Random part of the local key (not secret on its own)
+const SALT_KEY = 'secureStoreSalt';
+const ENVELOPE_VERSION = 1;
+
+// Derived key per store (each store keeps its own salt)
+const localKeys = new WeakMap();
+
+/**
+ * Is the OS keyring usable? ('basic_text' on Linux = fixed password, no protection)
+ */
+function isSafeStorageAvailable() {
+  try {
+    if (!safeStorage.isEncryptionAvailable()) return false;
+    if (typeof safeStorage.getSelectedStorageBackend === 'function' &&
+        safeStorage.getSelectedStorageBackend() === 'basic_text') {
+      return false;
+    }
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function getLocalKey(store) {
+  if (localKeys.has(store)) return localKeys.get(store);
+  let salt = store.get(SALT_KEY);
+  if (!salt) {
+    salt = crypto.randomBytes(16).toString('hex');
+    store.set(SALT_KEY, salt);
+  }
+  const machine = `${os.hostname()}|${os.userInfo().username}|${app.getPath('userData')}`;
+  const key = crypto.scryptSync(machine, salt, 32);
+  localKeys.set(store, key);
+  return key;
+}
+
+function isEnvelope(value) {
+  return !!value && typeof value === 'object' && value.v === ENVELOPE_VERSION && typeof value.data === 'string';
+}
+
+function encrypt(store, value) {
+  const plaintext = JSON.stringify(value);
+  if (isSafeStorageAvailable()) {
+    return { v: ENVELOPE_VERSION, method: 'safeStorage', data: safeStorage.encryptString(plaintext).toString('base64') };
+  }
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getLocalKey(store), iv);
+  const encrypted = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  return {
+    v: ENVELOPE_VERSION,
+    method: 'local',
+    data: Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64')
+  };
+}
+
+/**
+ * Can this value never be decrypted again? Only the local key proves it
+ * (AES-GCM auth tag); safeStorage errors may be a locked/unavailable keyring.
+ */
+function isCorrupt(envelope, error) {
+  return envelope.method === 'local' && /unable to authenticate/i.test(error.message);
+}
+
+function decrypt(store, envelope) {
+  const bytes = Buffer.from(envelope.data, 'base64');
+  if (envelope.method === 'safeStorage') {
+    return JSON.parse(safeStorage.decryptString(bytes));
+  }
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getLocalKey(store), bytes.subarray(0, 12));
+  decipher.setAuthTag(bytes.subarray(12, 28));
+  return JSON.parse(Buffer.concat([decipher.update(bytes.subarray(28)), decipher.final()]).toString('utf8'));
+}
+
+/**
+ * electron-store with encrypted credentials
+ * @param {Object} store - electron-store instance
+ * @param {Array<string>} [keys] - Keys to encrypt (default: SECURE_KEYS)
+ * @returns {{get: Function, set: Function, delete: Function, has: Function}}
+ */
+function wrap(store, keys = SECURE_KEYS) {
+  return {
+    get(key, defaultValue) {
+      if (!keys.includes(key)) return store.get(key, defaultValue);
+
+      const value = store.get(key);
+      if (value === undefined) return defaultValue;
+      // Plain value from an older version (migrated on startup)
+      if (!isEnvelope(value)) return value;
+      try {
+        return decrypt(store, value);
+      } catch (error) {
+        if (isCorrupt(value, error)) {
+          console.error(`[SecureStore] "${key}" konnte nicht entschlüsselt werden - wird verworfen:`, error.message);
+          store.delete(key);
+        } else {
+          console.warn(`[SecureStore] "${key}" derzeit nicht entschlüsselbar (Schlüsselbund?) - bleibt gespeichert:`, error.message);
+        }
+        return defaultValue;
+      }
+    },
+
+    set(key, value) {
+      if (!keys.includes(key) || value === undefined || value === null) {
+        store.set(key, value);
+        return;
+      }
+      store.set(key, encrypt(store, value));
+    },
+
+    delete(key) {
+      store.delete(key);
+    },
+
+    has(key) {
+      return store.has(key);
+    }
+  };
+}
+
+/**
+ * Encrypt plain credentials of older versions; values encrypted with the
+ * local key move to safeStorage once the keyring is available.
+ * Call after app 'ready' (safeStorage needs it on Linux).
+ * @param {Object} store - electron-store instance (not wrapped)
+ * @param {Array<string>} [keys] - Encrypted keys (default: SECURE_KEYS)
+ * @returns {number} Number of migrated entries
+ */
+function migrate(store, keys = SECURE_KEYS) {
+  const secure = wrap(store, keys);
+  const preferSafeStorage = isSafeStorageAvailable();
+  let migrated = 0;
+
+  for (const key of keys) {
+    const value = store.get(key);
+    if (value === undefined) continue;
+    if (isEnvelope(value) && (value.method === 'safeStorage' || !preferSafeStorage)) continue;
+
+    const plain = secure.get(key);
+    if (plain === undefined) continue;
+    secure.set(key, plain);
+    migrated++;
+  }
+
+  if (migrated > 0) {
+    console.log(`[SecureStore] ${migrated} Eintrag/Einträge verschlüsselt (${preferSafeStorage ? 'safeStorage' : 'lokaler Schlüssel'})`);
+  }
+  return migrated;
+}
+
+module.exports = {
+  SECURE_KEYS,
+  wrap,
+  migrate,
+  isSafeStorageAvailable
+};
@@ -0,0 +1,151 @@
+/**
+ * Kanal-Prior für die Sprechererkennung
+ *
+ * Zweikanal-Aufnahmen (links = Ansteckmikrofon des Arztes, rechts =
+ * Raummikrofon, siehe audioRecorderFFmpeg) verraten, wer spricht: Die Stimme
+ * des Arztes ist auf seinem Ansteckmikrofon deutlich lauter als auf dem
+ * Raummikrofon, Patient und ZFA umgekehrt.
+ *
+ * Pro AssemblyAI-Sprecher wird der Energieanteil des Arzt-Kanals gemessen.
+ * Liegt ein Sprecher klar vorne, gilt er als Arzt - auch ohne Stimmprofil.
+ * Gemessen wird in der Original-Aufnahme; Zeiten aus der speech-only-Datei
+ * (VAD) werden über die speechMap zurückgerechnet.
+ */
+
+const fs = require('fs');
+const { readWavFormat } = require('../wav');
+
+// Enough audio per speaker for a stable ratio, bounded read effort for long recordings
+const MAX_MEASURE_MS_PER_SPEAKER = 60 * 1000;
+const MIN_MEASURED_MS = 2000;
+
+// Doctor = doctor channel carries >= 65% of the energy (~2.7 dB louder)
+// and clearly more than for any other speaker
+const DOCTOR_MIN_SHARE = 0.65;
+const DOCTOR_MIN_MARGIN = 0.15;
+
+/**
+ * Map a range of the speech-only timeline back to the original recording
+ * (a range can span several speech segments)
+ * @param {number} startMs - Start in the speech-only timeline
+ * @param {number} endMs - End in the speech-only timeline
+ * @param {Array|null} speechMap - From speechRenderer.renderSpeechOnly (null = same timeline)
+ * @returns {Array<{startMs: number, endMs: number}>} Ranges in the original recording
+ */
+function mapRangeToOriginal(startMs, endMs, speechMap) {
+  if (!speechMap) return endMs > startMs ? [{ startMs, endMs }] : [];
+
+  const ranges = [];
+  for (const entry of speechMap) {
+    const from = Math.max(startMs, entry.speechStartMs);
+    const to = Math.min(endMs, entry.speechEndMs);
+    if (to <= from) continue;
+    ranges.push({
+      startMs: entry.originalStartMs + (from - entry.speechStartMs),
+      endMs: entry.originalStartMs + (to - entry.speechStartMs)
+    });
+  }
+  return ranges;
+}
+
+/**
+ * Sum of squared samples per channel (doctor = left, room = right)
+ * @param {number} fd - Open file descriptor
+ * @param {Object} format - From readWavFormat
+ * @param {number} startMs - Range start in the recording
+ * @param {number} endMs - Range end in the recording
+ * @returns {{doctor: number, room: number}}
+ */
+function measureRange(fd, format, startMs, endMs) {
+  const frameBytes = format.channels * 2;
+  const startFrame = Math.floor((startMs / 1000) * format.sampleRate);
+  const endFrame = Math.min(
+    Math.floor((endMs / 1000) * format.sampleRate),
+    Math.floor(format.dataBytes / frameBytes)
+  );
+  if (endFrame <= startFrame) return { doctor: 0, room: 0 };
+
+  const buffer = Buffer.alloc((endFrame - startFrame) * frameBytes);
+  const bytesRead = fs.readSync(fd, buffer, 0, buffer.length, format.dataOffset + startFrame * frameBytes);
+
+  let doctor = 0;
+  let room = 0;
+  for (let pos = 0; pos + frameBytes <= bytesRead; pos += frameBytes) {
+    const left = buffer.readInt16LE(pos) / 32768;
+    const right = buffer.readInt16LE(pos + 2) / 32768;
+    doctor += left * left;
+    room += right * right;
+  }
+  return { doctor, room };
+}
+
+/**
+ * Share of the doctor channel in each speaker's energy
+ *
+ * @param {string} stereoPath - Original two-channel recording (left = doctor)
+ * @param {Array} utterances - AssemblyAI utterances ({speaker, start, end})
+ * @param {Array|null} speechMap - Maps utterance times to the recording (VAD), null if identical
+ * @returns {Object} { A: { doctorShare: 0..1, measuredMs }, ... } - empty if the file is not stereo
+ */
+function computeSpeakerShares(stereoPath, utterances, speechMap = null) {
+  const format = readWavFormat(stereoPath);
+  if (format.channels !== 2 || format.bitsPerSample !== 16) {
+    return {};
+  }
+
+  const energy = {};
+  const fd = fs.openSync(stereoPath, 'r');
+  try {
+    for (const utterance of utterances) {
+      const speaker = utterance.speaker;
+      if (!energy[speaker]) energy[speaker] = { doctor: 0, room: 0, measuredMs: 0 };
+      const entry = energy[speaker];
+
+      for (const range of mapRangeToOriginal(utterance.start, utterance.end, speechMap)) {
+        if (entry.measuredMs >= MAX_MEASURE_MS_PER_SPEAKER) break;
+        const endMs = Math.min(range.endMs, range.startMs + (MAX_MEASURE_MS_PER_SPEAKER - entry.measuredMs));
+        const result = measureRange(fd, format, range.startMs, endMs);
+        entry.doctor += result.doctor;
+        entry.room += result.room;
+        entry.measuredMs += endMs - range.startMs;
+      }
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  const shares = {};
+  for (const [speaker, entry] of Object.entries(energy)) {
+    const total = entry.doctor + entry.room;
+    shares[speaker] = {
+      doctorShare: total > 0 ? entry.doctor / total : 0.5,
+      measuredMs: Math.round(entry.measuredMs)
+    };
+  }
+  return shares;
+}
+
+/**
+ * The speaker who is clearly loudest on the doctor's mic
+ * @param {Object} shares - From computeSpeakerShares
+ * @returns {string|null} Speaker label, null if the channels do not decide
+ */
+function pickDoctorSpeaker(shares) {
+  const ranked = Object.entries(shares)
+    .filter(([, entry]) => entry.measuredMs >= MIN_MEASURED_MS)
+    .sort((a, b) => b[1].doctorShare - a[1].doctorShare);
+
+  if (ranked.length === 0) return null;
+
+  const [speaker, best] = ranked[0];
+  if (best.doctorShare < DOCTOR_MIN_SHARE) return null;
+  if (ranked.length > 1 && best.doctorShare - ranked[1][1].doctorShare < DOCTOR_MIN_MARGIN) return null;
+
+  return speaker;
+}
+
+module.exports = {
+  mapRangeToOriginal,
+  computeSpeakerShares,
+  pickDoctorSpeaker
+};
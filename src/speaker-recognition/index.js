@@ -5,6 +5,13 @@ const os = require('os');
 const sherpa = require('sherpa-onnx-node');
 const { app } = require('electron');
 const voiceProfiles = require('./voice-profiles');
+const channelPrior = require('./channel-prior');
+
+// Cosine similarity for a profile match
+const MATCH_THRESHOLD = 0.7;
+// Two-channel recordings: speaker on the lapel mic / other speakers vs. doctor profiles
+const DOCTOR_CHANNEL_THRESHOLD = 0.5;
+const OTHER_CHANNEL_DOCTOR_THRESHOLD = 0.8;
 
 let recognizer = null;
 let modelPath = null;
@@ -77,6 +84,7 @@ function extractAudioSegment(audioFilePath, startMs, durationMs = 30000) {
 
     // Parse WAV header
     const dataStart = 44; // Standard WAV header size
+    const channels = headerBuffer.readUInt16LE(22) || 1;
     const sampleRate = headerBuffer.readUInt32LE(24);
     const bitsPerSample = headerBuffer.readUInt16LE(34);
 
@@ -88,11 +96,12 @@ function extractAudioSegment(audioFilePath, startMs, durationMs = 30000) {
       throw new Error(`Audio must be 16-bit PCM, got ${bitsPerSample}-bit`);
     }
 
-    // Calculate byte positions
+    // Calculate byte positions (two-channel recordings: one frame = left + right)
+    const frameBytes = channels * 2;
     const startSample = Math.floor((startMs / 1000) * sampleRate);
     const numSamples = Math.floor((durationMs / 1000) * sampleRate);
-    const startByte = dataStart + (startSample * 2);
-    const bytesToRead = numSamples * 2; // 2 bytes per sample for 16-bit
+    const startByte = dataStart + (startSample * frameBytes);
+    const bytesToRead = numSamples * frameBytes; // 2 bytes per sample for 16-bit
 
     // Get file size to avoid reading past end
     const fileStats = fs.fstatSync(fd);
@@ -106,12 +115,16 @@ function extractAudioSegment(audioFilePath, startMs, durationMs = 30000) {
     const segmentBuffer = Buffer.alloc(actualBytesToRead);
     fs.readSync(fd, segmentBuffer, 0, actualBytesToRead, startByte);
 
-    // Convert to Float32Array
-    const numSamplesActual = Math.floor(actualBytesToRead / 2);
+    // Convert to Float32Array (mixed down to mono)
+    const numSamplesActual = Math.floor(actualBytesToRead / frameBytes);
     const pcmData = new Float32Array(numSamplesActual);
 
     for (let i = 0; i < numSamplesActual; i++) {
-      pcmData[i] = segmentBuffer.readInt16LE(i * 2) / 32768.0;
+      let sum = 0;
+      for (let c = 0; c < channels; c++) {
+        sum += segmentBuffer.readInt16LE(i * frameBytes + c * 2);
+      }
+      pcmData[i] = sum / channels / 32768.0;
     }
 
     return pcmData;
@@ -248,13 +261,47 @@ async function identifySpeaker(audioFilePath, startMs, durationMs = 30000, thres
   return null; // No confident match
 }
 
+/**
+ * Doctor speaker from the channel energy of a two-channel recording
+ * @param {Object} channelSource - { stereoPath, speechMap }
+ * @param {Array} utterances - AssemblyAI utterances
+ * @returns {string|null} Speaker label
+ */
+function findDoctorByChannels(channelSource, utterances) {
+  try {
+    const shares = channelPrior.computeSpeakerShares(channelSource.stereoPath, utterances, channelSource.speechMap || null);
+    const doctorSpeaker = channelPrior.pickDoctorSpeaker(shares);
+
+    console.log('[Speaker Recognition] Arzt-Kanal-Anteil: ' + Object.entries(shares)
+      .map(([speaker, entry]) => `${speaker} ${Math.round(entry.doctorShare * 100)}%`)
+      .join(', '));
+    if (doctorSpeaker) {
+      console.log(`[Speaker Recognition] Arzt laut Kanälen: Sprecher ${doctorSpeaker}`);
+    }
+    return doctorSpeaker;
+  } catch (error) {
+    console.warn('[Speaker Recognition] Kanal-Analyse fehlgeschlagen:', error.message);
+    return null;
+  }
+}
+
 /**
  * Identify all speakers from utterances
+ *
+ * With a two-channel recording (options.channelSource) the channel energy is
+ * a strong prior for the doctor: the speaker on the lapel mic is named after
+ * the best doctor profile even below the normal threshold, or just "Arzt"
+ * without a matching profile. Other speakers need a clearly higher score to
+ * be named after a doctor profile.
+ *
  * @param {string} audioFilePath - Path to local audio file (can be WebM or WAV)
  * @param {Array} utterances - AssemblyAI utterances with speaker labels and timestamps
+ * @param {Object} options - Options
+ * @param {Object} options.channelSource - Two-channel recording: { stereoPath, speechMap }
+ *   (left = doctor; speechMap maps utterance times back to it, null without VAD)
  * @returns {Object} Speaker mapping { "A": "Dr. Notle", "B": "Patient" }
  */
-async function identifySpeakersFromUtterances(audioFilePath, utterances) {
+async function identifySpeakersFromUtterances(audioFilePath, utterances, options = {}) {
   const audioConverter = require('../audio-converter');
 
   let wavPath = audioFilePath;
@@ -269,6 +316,7 @@ async function identifySpeakersFromUtterances(audioFilePath, utterances) {
 
   const speakerMapping = {};
   const speakerSegments = {};
+  const doctorSpeaker = options.channelSource ? findDoctorByChannels(options.channelSource, utterances) : null;
 
   // Collect ALL segments for each speaker (not just continuous blocks)
   for (const utterance of utterances) {
@@ -326,6 +374,8 @@ async function identifySpeakersFromUtterances(audioFilePath, utterances) {
       const profiles = voiceProfiles.getAllProfiles();
       let bestMatch = null;
       let bestScore = 0;
+      let bestDoctor = null;
+      let bestDoctorScore = 0;
 
       for (const profile of profiles) {
         const similarity = cosineSimilarity(embedding, profile.embedding);
@@ -333,16 +383,30 @@ async function identifySpeakersFromUtterances(audioFilePath, utterances) {
           bestScore = similarity;
           bestMatch = profile;
         }
+        if ((profile.role || 'Arzt') === 'Arzt' && similarity > bestDoctorScore) {
+          bestDoctorScore = similarity;
+          bestDoctor = profile;
+        }
       }
 
-      if (bestScore >= 0.7) {
+      if (speaker === doctorSpeaker) {
+        // Lapel mic decides the role, the profile only adds the name
+        speakerMapping[speaker] = bestDoctorScore >= DOCTOR_CHANNEL_THRESHOLD
+          ? `Arzt - ${bestDoctor.name}`
+          : 'Arzt';
+      } else if (doctorSpeaker && bestScore >= MATCH_THRESHOLD && (bestMatch.role || 'Arzt') === 'Arzt') {
+        // Doctor profile, but the channels point to someone else
+        speakerMapping[speaker] = bestScore >= OTHER_CHANNEL_DOCTOR_THRESHOLD
+          ? `Arzt - ${bestMatch.name}`
+          : `Sprecher ${speaker}`;
+      } else if (bestScore >= MATCH_THRESHOLD) {
         // Format as "Rolle - Name" (e.g., "Arzt - Dr. Notle")
         speakerMapping[speaker] = `${bestMatch.role || 'Arzt'} - ${bestMatch.name}`;
       } else {
         speakerMapping[speaker] = `Sprecher ${speaker}`;
       }
     } catch (error) {
-      speakerMapping[speaker] = `Sprecher ${speaker}`;
+      speakerMapping[speaker] = speaker === doctorSpeaker ? 'Arzt' : `Sprecher ${speaker}`;
     }
   }
 
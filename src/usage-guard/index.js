@@ -0,0 +1,154 @@
+/**
+ * Minuten- und Abo-Prüfung rund um die Aufnahme
+ *
+ * Vor dem Start: Darf mit dem aktuellen Konto aufgenommen werden?
+ * (gleiche Regeln wie Tray-Menü und Web-App: Testphase beendet oder Abo
+ * gekündigt = keine Aufnahme, wenig Testminuten = Warnung)
+ *
+ * Während der Aufnahme: Läuft die aufgenommene Zeit (ohne Pausen) über das
+ * Restguthaben hinaus? Die Statusanzeige zeigt das Guthaben live, kurz vor
+ * dem Ende und beim Überschreiten gibt es eine Warnung. Die Aufnahme wird
+ * nicht abgebrochen - ob sie verarbeitet wird, entscheidet das Backend.
+ */
+
+// Trial minutes at which the start shows a warning (same as after login)
+const LOW_MINUTES_THRESHOLD = 10;
+// Seconds of balance left when the overlay switches to the warning
+const RUNNING_OUT_SECONDS = 60;
+const WATCH_INTERVAL_MS = 1000;
+// Recording never started (e.g. iPhone did not answer) - stop watching
+const START_TIMEOUT_MS = 30000;
+
+/**
+ * Recording permission for an account (user object from /api/user)
+ * @param {Object|null} user - Cached or fresh user data
+ * @returns {{allowed: boolean, warn: boolean, limited: boolean, minutesRemaining: number|null, title: string|null, message: string|null}}
+ *   limited: the recording is capped by minutesRemaining (trial)
+ */
+function checkAccount(user) {
+  // No data yet (first start offline) - the backend decides when processing
+  if (!user) {
+    return { allowed: true, warn: false, limited: false, minutesRemaining: null, title: null, message: null };
+  }
+
+  const hasActiveSubscription = user.subscriptionStatus === 'active';
+  const isCanceled = user.subscriptionStatus === 'canceled';
+  const isTrialUser = user.planTier === 'free_trial';
+  const minutesRemaining = user.minutesRemaining || 0;
+  const wasSubscriber = isCanceled || (isTrialUser && !!user.stripeCustomerId);
+
+  if (hasActiveSubscription) {
+    return { allowed: true, warn: false, limited: false, minutesRemaining: null, title: null, message: null };
+  }
+  if (wasSubscriber) {
+    return {
+      allowed: false,
+      warn: false,
+      limited: false,
+      minutesRemaining,
+      title: 'Kein aktives Abo',
+      message: 'Ihr Abonnement ist nicht mehr aktiv. Bitte reaktivieren Sie es, um aufzunehmen.'
+    };
+  }
+  if (isTrialUser && minutesRemaining <= 0) {
+    return {
+      allowed: false,
+      warn: false,
+      limited: false,
+      minutesRemaining: 0,
+      title: 'Testphase beendet',
+      message: 'Ihre kostenlosen Testminuten sind aufgebraucht. Bitte abonnieren Sie DentDoc Pro, um fortzufahren.'
+    };
+  }
+  if (isTrialUser) {
+    const low = minutesRemaining <= LOW_MINUTES_THRESHOLD;
+    return {
+      allowed: true,
+      warn: low,
+      limited: true,
+      minutesRemaining,
+      title: low ? 'Testphase endet bald' : null,
+      message: low ? `Nur noch ${minutesRemaining} Minuten übrig - längere Aufnahmen werden evtl. nicht verarbeitet.` : null
+    };
+  }
+
+  // Neither trial nor subscription (tray: "Kein aktives Abo") - not blocked locally
+  return { allowed: true, warn: false, limited: false, minutesRemaining: null, title: null, message: null };
+}
+
+/**
+ * Overlay line for the remaining balance
+ * @param {number} remainingSeconds - Balance minus recorded time (negative = exceeded)
+ * @returns {{level: 'ok'|'low'|'exceeded', text: string}}
+ */
+function describeRemaining(remainingSeconds) {
+  if (remainingSeconds <= 0) {
+    return { level: 'exceeded', text: '⚠️ Guthaben aufgebraucht - Aufnahme wird evtl. nicht verarbeitet' };
+  }
+  if (remainingSeconds <= RUNNING_OUT_SECONDS) {
+    return { level: 'low', text: '⚠️ Guthaben reicht nur noch ca. 1 Min' };
+  }
+  return { level: 'ok', text: `Testphase: noch ${Math.ceil(remainingSeconds / 60)} Min Guthaben` };
+}
+
+/**
+ * Follow the recorded time of one recording against the balance
+ *
+ * @param {number} minutesRemaining - Balance at recording start
+ * @param {Object} hooks
+ * @param {Function} hooks.isRecording - () => boolean
+ * @param {Function} hooks.isPaused - () => boolean (paused time is not recorded)
+ * @param {Function} hooks.onUpdate - (info) => void when the overlay line changes
+ * @param {Function} hooks.onLevelChange - (level, info) => void on 'low' / 'exceeded'
+ * @returns {{getInfo: Function, stop: Function}}
+ */
+function startMinutesWatch(minutesRemaining, hooks) {
+  const createdAt = Date.now();
+  let recordedMs = 0;
+  let lastTick = createdAt;
+  let seenRecording = false;
+  let lastText = null;
+  let lastLevel = 'ok';
+
+  const getInfo = () => {
+    const remainingSeconds = Math.round(minutesRemaining * 60 - recordedMs / 1000);
+    return { remainingSeconds, ...describeRemaining(remainingSeconds) };
+  };
+
+  const interval = setInterval(() => {
+    const now = Date.now();
+    const delta = now - lastTick;
+    lastTick = now;
+
+    if (!hooks.isRecording()) {
+      if (seenRecording || now - createdAt > START_TIMEOUT_MS) stop();
+      return;
+    }
+    seenRecording = true;
+    if (hooks.isPaused()) return;
+
+    recordedMs += delta;
+    const info = getInfo();
+    if (info.text !== lastText) {
+      lastText = info.text;
+      hooks.onUpdate(info);
+    }
+    if (info.level !== lastLevel) {
+      lastLevel = info.level;
+      hooks.onLevelChange(info.level, info);
+    }
+  }, WATCH_INTERVAL_MS);
+
+  function stop() {
+    clearInterval(interval);
+  }
+
+  return { getInfo, stop };
+}
+
+module.exports = {
+  LOW_MINUTES_THRESHOLD,
+  checkAccount,
+  describeRemaining,
+  startMinutesWatch
+};
@@ -54,6 +54,10 @@ let state = {
   // Speech markers collected during recording
   speechMarkers: [],  // [{startMs, endMs}, ...]
   currentSpeechStart: null,  // When current speech started (null if not speaking)
+  // Pause: paused time is cut from the recording, so markers use recording time
+  pausedAt: null,            // Wall clock time of the current pause (null if not paused)
+  pausedTotalMs: 0,          // Sum of all finished pauses
+  speakingAtPause: false,    // Reopen the speech marker on resume
   // Microphone
   microphoneId: null,
   tempDir: null
@@ -164,16 +168,24 @@ function filterShortMarkers(markers) {
 // VAD EVENT HANDLERS
 // ============================================================================
 
+/**
+ * Convert a wall clock timestamp to a position in the recording
+ * (time since start minus paused time)
+ */
+function toRecordingMs(timestamp) {
+  return timestamp - state.recordingStartTime - state.pausedTotalMs;
+}
+
 /**
  * Handle speech start from VAD Worker
  */
 function handleSpeechStart(timestamp) {
-  if (!state.sessionActive || state.currentSpeechStart !== null) {
+  if (!state.sessionActive || state.pausedAt !== null || state.currentSpeechStart !== null) {
     return;
   }
 
   // Calculate relative time from recording start
-  const relativeMs = timestamp - state.recordingStartTime;
+  const relativeMs = toRecordingMs(timestamp);
   state.currentSpeechStart = Math.max(0, relativeMs);
 
   log(`Speech started at ${state.currentSpeechStart}ms`);
@@ -186,12 +198,17 @@ function handleSpeechStart(timestamp) {
  * Handle speech end from VAD Worker
  */
 function handleSpeechEnd(timestamp) {
+  if (state.pausedAt !== null) {
+    // Speech ended during the pause - don't reopen the marker on resume
+    state.speakingAtPause = false;
+    return;
+  }
   if (!state.sessionActive || state.currentSpeechStart === null) {
     return;
   }
 
   // Calculate relative time from recording start
-  const relativeMs = timestamp - state.recordingStartTime;
+  const relativeMs = toRecordingMs(timestamp);
   const endMs = Math.max(state.currentSpeechStart, relativeMs);
 
   // Create marker
@@ -377,7 +394,7 @@ function initialize() {
       log(`Audio batch #${batchCount} received, sessionActive=${state.sessionActive}, workerInit=${vadWorkerInitialized}`);
     }
 
-    if (state.sessionActive && vadWorkerInitialized) {
+    if (state.sessionActive && state.pausedAt === null && vadWorkerInitialized) {
       processAudioBatch(data.samples, data.timestamp);
 
       // Send audio level to status overlay for cool glow animation
@@ -425,6 +442,9 @@ async function startSession(options = {}) {
   state.sessionActive = true;
   state.speechMarkers = [];
   state.currentSpeechStart = null;
+  state.pausedAt = null;
+  state.pausedTotalMs = 0;
+  state.speakingAtPause = false;
   state.microphoneId = options.microphoneId || null;
   state.fullRecordingPath = getFullRecordingPath();
   state.recordingStartTime = Date.now();
@@ -468,9 +488,15 @@ async function stopSession() {
   log('Stopping VAD session');
   state.sessionActive = false;
 
+  // Stopped while paused: the pause ends here
+  if (state.pausedAt !== null) {
+    state.pausedTotalMs += Date.now() - state.pausedAt;
+    state.pausedAt = null;
+  }
+
   // If currently speaking, close the marker
   if (state.currentSpeechStart !== null) {
-    const endMs = Date.now() - state.recordingStartTime;
+    const endMs = toRecordingMs(Date.now());
     state.speechMarkers.push({
       startMs: state.currentSpeechStart,
       endMs: endMs
@@ -483,7 +509,7 @@ async function stopSession() {
   let recordingDurationMs;
   try {
     fullRecordingPath = await audioRecorder.stopRecording();
-    recordingDurationMs = Date.now() - state.recordingStartTime;
+    recordingDurationMs = toRecordingMs(Date.now());
     log(`Recording stopped: ${fullRecordingPath}, duration: ${recordingDurationMs}ms`);
   } catch (error) {
     logError('Failed to stop recording:', error);
@@ -556,6 +582,73 @@ async function stopSession() {
   return segments;
 }
 
+/**
+ * Pause the VAD session
+ * Stops the recorder (paused time is not in full.wav) and ignores audio
+ * batches until resumeSession().
+ * @returns {Promise<boolean>} True if paused
+ */
+async function pauseSession() {
+  if (!state.sessionActive || state.pausedAt !== null) {
+    return false;
+  }
+
+  // Close the open marker at the pause point
+  const now = Date.now();
+  state.speakingAtPause = state.currentSpeechStart !== null;
+  if (state.speakingAtPause) {
+    state.speechMarkers.push({
+      startMs: state.currentSpeechStart,
+      endMs: toRecordingMs(now)
+    });
+    state.currentSpeechStart = null;
+  }
+  state.pausedAt = now;
+
+  try {
+    await audioRecorder.pauseRecording();
+    log(`Session paused at ${toRecordingMs(now)}ms`);
+    return true;
+  } catch (error) {
+    logError('Failed to pause recording:', error);
+    state.pausedTotalMs += Date.now() - state.pausedAt;
+    state.pausedAt = null;
+    return false;
+  }
+}
+
+/**
+ * Resume a paused VAD session
+ * @returns {Promise<boolean>} True if resumed
+ */
+async function resumeSession() {
+  if (!state.sessionActive || state.pausedAt === null) {
+    return false;
+  }
+
+  try {
+    await audioRecorder.resumeRecording();
+  } catch (error) {
+    logError('Failed to resume recording:', error);
+    if (callbacks.onError) {
+      callbacks.onError(error);
+    }
+    return false;
+  }
+
+  // Recorder is running again - from here on the recording time continues
+  state.pausedTotalMs += Date.now() - state.pausedAt;
+  state.pausedAt = null;
+
+  if (state.speakingAtPause) {
+    state.currentSpeechStart = toRecordingMs(Date.now());
+    state.speakingAtPause = false;
+  }
+
+  log(`Session resumed, paused total: ${state.pausedTotalMs}ms`);
+  return true;
+}
+
 /**
  * Render speech-only WAV from full recording + markers
  * This is called by the pipeline's speechRenderer
@@ -675,6 +768,7 @@ function extractSegment(inputPath, startMs, durationMs, outputPath) {
 function getState() {
   return {
     sessionActive: state.sessionActive,
+    isPaused: state.pausedAt !== null,
     markerCount: state.speechMarkers.length,
     isSpeaking: state.currentSpeechStart !== null
   };
@@ -716,6 +810,8 @@ module.exports = {
   terminateWorker,
   startSession,
   stopSession,
+  pauseSession,
+  resumeSession,
   getState,
   getMarkers,
   isEnabled,
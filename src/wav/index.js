@@ -0,0 +1,119 @@
+/**
+ * WAV-Dateien lesen (PCM)
+ *
+ * Gemeinsam für Pipeline (Entrauschen, Qualitätsprüfung, Arbeits-WAV) und
+ * Sprechererkennung (Kanal-Prior). FFmpeg schreibt den Header erst beim
+ * Beenden fertig - laufende oder abgebrochene Aufnahmen werden über die
+ * Dateigröße gelesen.
+ *
+ * Pegel pro 100-ms-Frame (readFrameLevels) werden asynchron in Blöcken
+ * gelesen: Stundenlange Aufnahmen blockieren den Hauptprozess nicht.
+ */
+
+const fs = require('fs');
+
+const HEADER_READ_BYTES = 64 * 1024;
+
+// Level measurement: frame length and digital silence (joined pause parts, dropouts)
+const FRAME_MS = 100;
+const DIGITAL_SILENCE_DB = -90;
+// Frames per read - other work (IPC, timers) runs between reads
+const READ_FRAMES = 10;
+
+/**
+ * Read the format of a PCM WAV file (walks the RIFF chunks)
+ * @param {string} filePath - Path to WAV file
+ * @returns {{channels: number, sampleRate: number, bitsPerSample: number, dataOffset: number, dataBytes: number}}
+ * @throws {Error} If the file is not a PCM WAV file
+ */
+function readWavFormat(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const header = Buffer.alloc(HEADER_READ_BYTES);
+    const bytesRead = fs.readSync(fd, header, 0, HEADER_READ_BYTES, 0);
+    const fileSize = fs.fstatSync(fd).size;
+
+    if (bytesRead < 12 || header.toString('ascii', 0, 4) !== 'RIFF' || header.toString('ascii', 8, 12) !== 'WAVE') {
+      throw new Error('Keine WAV-Datei');
+    }
+
+    let format = null;
+    let offset = 12;
+    while (offset + 8 <= bytesRead) {
+      const chunkId = header.toString('ascii', offset, offset + 4);
+      const chunkSize = header.readUInt32LE(offset + 4);
+
+      if (chunkId === 'fmt ') {
+        format = {
+          channels: header.readUInt16LE(offset + 10),
+          sampleRate: header.readUInt32LE(offset + 12),
+          bitsPerSample: header.readUInt16LE(offset + 22)
+        };
+      } else if (chunkId === 'data') {
+        if (!format) break;
+        const dataOffset = offset + 8;
+        // FFmpeg leaves the size at 0/max while still writing - use the file size then
+        const available = fileSize - dataOffset;
+        const dataBytes = chunkSize > 0 && chunkSize <= available ? chunkSize : available;
+        return { ...format, dataOffset, dataBytes };
+      }
+
+      offset += 8 + chunkSize + (chunkSize % 2);
+    }
+
+    throw new Error('WAV-Header unvollständig');
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Energy (dB) per FRAME_MS frame of a 16-bit PCM WAV file
+ * @param {string} wavPath - Path to WAV file
+ * @param {Function} [onFrame] - (buffer, start, end) for every frame, for own per-sample statistics
+ * @returns {Promise<Array<number>>} dB per frame (-Infinity = digital zero)
+ * @throws {Error} If the file is not a 16-bit PCM WAV file
+ */
+async function readFrameLevels(wavPath, onFrame = null) {
+  const format = readWavFormat(wavPath);
+  if (format.bitsPerSample !== 16) {
+    throw new Error(`Nur 16-bit PCM unterstützt, nicht ${format.bitsPerSample}-bit`);
+  }
+
+  const frameBytes = Math.floor((format.sampleRate * FRAME_MS) / 1000) * format.channels * 2;
+  const buffer = Buffer.alloc(frameBytes * READ_FRAMES);
+  const levels = [];
+  const handle = await fs.promises.open(wavPath, 'r');
+
+  try {
+    for (let offset = 0; offset < format.dataBytes; offset += buffer.length) {
+      const length = Math.min(buffer.length, format.dataBytes - offset);
+      const { bytesRead } = await handle.read(buffer, 0, length, format.dataOffset + offset);
+
+      // Incomplete last frame is ignored
+      for (let frameStart = 0; frameStart + frameBytes <= bytesRead; frameStart += frameBytes) {
+        const frameEnd = frameStart + frameBytes;
+        let sumSquares = 0;
+        for (let pos = frameStart; pos < frameEnd; pos += 2) {
+          const sample = buffer.readInt16LE(pos) / 32768;
+          sumSquares += sample * sample;
+        }
+        const meanSquare = sumSquares / (frameBytes / 2);
+        levels.push(meanSquare > 0 ? 10 * Math.log10(meanSquare) : -Infinity);
+        if (onFrame) onFrame(buffer, frameStart, frameEnd);
+      }
+      if (bytesRead < length) break;
+    }
+  } finally {
+    await handle.close();
+  }
+
+  return levels;
+}
+
+module.exports = {
+  FRAME_MS,
+  DIGITAL_SILENCE_DB,
+  readWavFormat,
+  readFrameLevels
+};
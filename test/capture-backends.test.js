@@ -0,0 +1,95 @@
+/**
+ * Parser der Aufnahme-Backends gegen mitgeschnittene FFmpeg-Ausgaben
+ * (test/fixtures/capture-backends)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const captureBackends = require('../src/capture-backends');
+
+function fixture(name) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', 'capture-backends', name), 'utf8');
+}
+
+test('pulse: default source first, monitor sources skipped', () => {
+  assert.deepStrictEqual(captureBackends.parseDeviceList('pulse', fixture('pulse-sources.txt')), [
+    {
+      id: 'alsa_input.usb-Jabra_Link_380_08C8C2E0D5A8-00.mono-fallback',
+      name: 'Jabra Link 380 Mono',
+      backend: 'pulse'
+    },
+    {
+      id: 'alsa_input.pci-0000_00_1f.3.analog-stereo',
+      name: 'Built-in Audio Analog Stereo',
+      backend: 'pulse'
+    }
+  ]);
+});
+
+test('alsa: null device skipped, multi-line descriptions joined', () => {
+  assert.deepStrictEqual(captureBackends.parseDeviceList('alsa', fixture('alsa-sources.txt')), [
+    {
+      id: 'default',
+      name: 'Default ALSA Output (currently PipeWire Media Server)',
+      backend: 'alsa'
+    },
+    {
+      id: 'sysdefault:CARD=PCH',
+      name: 'HDA Intel PCH, ALC3246 Analog Default Audio Device',
+      backend: 'alsa'
+    },
+    {
+      id: 'front:CARD=PCH,DEV=0',
+      name: 'HDA Intel PCH, ALC3246 Analog Front output / input',
+      backend: 'alsa'
+    },
+    {
+      id: 'hw:CARD=Link380,DEV=0',
+      name: 'Jabra Link 380, USB Audio Direct hardware device without any conversions',
+      backend: 'alsa'
+    }
+  ]);
+});
+
+test('avfoundation: only the audio section, error lines after the list ignored', () => {
+  assert.deepStrictEqual(captureBackends.parseDeviceList('avfoundation', fixture('avfoundation-list.txt')), [
+    { id: 'MacBook Pro Microphone', name: 'MacBook Pro Microphone', backend: 'avfoundation' },
+    { id: 'Jabra Link 380', name: 'Jabra Link 380', backend: 'avfoundation' },
+    { id: 'ZoomAudioDevice', name: 'ZoomAudioDevice', backend: 'avfoundation' }
+  ]);
+});
+
+test('dshow: (audio) suffix, alternative names and duplicates skipped', () => {
+  assert.deepStrictEqual(captureBackends.parseDeviceList('dshow', fixture('dshow-list.txt')), [
+    { id: 'Mikrofonarray (Realtek(R) Audio)', name: 'Mikrofonarray (Realtek(R) Audio)', backend: 'dshow' },
+    { id: 'Headset Microphone (Jabra Link 380)', name: 'Headset Microphone (Jabra Link 380)', backend: 'dshow' }
+  ]);
+});
+
+test('dshow: older output with video/audio section headers', () => {
+  assert.deepStrictEqual(captureBackends.parseDeviceList('dshow', fixture('dshow-list-sections.txt')), [
+    {
+      id: 'Mikrofon (Realtek High Definition Audio)',
+      name: 'Mikrofon (Realtek High Definition Audio)',
+      backend: 'dshow'
+    }
+  ]);
+});
+
+test('wasapi: audio device section', () => {
+  assert.deepStrictEqual(captureBackends.parseDeviceList('wasapi', fixture('wasapi-list.txt')), [
+    { id: 'Mikrofonarray (Realtek(R) Audio)', name: 'Mikrofonarray (Realtek(R) Audio)', backend: 'wasapi' },
+    { id: 'Headset Microphone (Jabra Link 380)', name: 'Headset Microphone (Jabra Link 380)', backend: 'wasapi' }
+  ]);
+});
+
+test('list and input arguments per backend', () => {
+  assert.deepStrictEqual(captureBackends.getBackends('linux'), ['pulse', 'alsa']);
+  assert.deepStrictEqual(captureBackends.getBackends('freebsd'), []);
+  assert.deepStrictEqual(captureBackends.getListArgs('pulse'), ['-hide_banner', '-sources', 'pulse']);
+  assert.deepStrictEqual(captureBackends.getInputArgs('alsa', 'hw:CARD=Link380,DEV=0'), ['-f', 'alsa', '-i', 'hw:CARD=Link380,DEV=0']);
+  assert.deepStrictEqual(captureBackends.getInputArgs('avfoundation', 'Jabra Link 380'), ['-f', 'avfoundation', '-i', ':Jabra Link 380']);
+  assert.deepStrictEqual(captureBackends.getInputArgs('wasapi', 'Mikrofonarray (Realtek(R) Audio)'), ['-f', 'wasapi', '-i', 'audio=Mikrofonarray (Realtek(R) Audio)']);
+});
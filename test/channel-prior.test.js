@@ -0,0 +1,120 @@
+/**
+ * Kanal-Prior der Sprechererkennung (src/speaker-recognition/channel-prior)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const channelPrior = require('../src/speaker-recognition/channel-prior');
+
+// Speech-only timeline: 0-2s = 10-12s, 2-5s = 20-23s of the recording
+const SPEECH_MAP = [
+  { speechStartMs: 0, speechEndMs: 2000, originalStartMs: 10000, originalEndMs: 12000 },
+  { speechStartMs: 2000, speechEndMs: 5000, originalStartMs: 20000, originalEndMs: 23000 }
+];
+
+test('mapRangeToOriginal: without speech map the range stays as is', () => {
+  assert.deepStrictEqual(channelPrior.mapRangeToOriginal(1000, 3000, null), [{ startMs: 1000, endMs: 3000 }]);
+  assert.deepStrictEqual(channelPrior.mapRangeToOriginal(3000, 3000, null), []);
+});
+
+test('mapRangeToOriginal: range inside one segment', () => {
+  assert.deepStrictEqual(channelPrior.mapRangeToOriginal(500, 1500, SPEECH_MAP), [{ startMs: 10500, endMs: 11500 }]);
+});
+
+test('mapRangeToOriginal: range spanning two segments is split', () => {
+  assert.deepStrictEqual(channelPrior.mapRangeToOriginal(1500, 3000, SPEECH_MAP), [
+    { startMs: 11500, endMs: 12000 },
+    { startMs: 20000, endMs: 21000 }
+  ]);
+});
+
+test('mapRangeToOriginal: range outside the speech map', () => {
+  assert.deepStrictEqual(channelPrior.mapRangeToOriginal(6000, 7000, SPEECH_MAP), []);
+});
+
+test('pickDoctorSpeaker: clear leader on the doctor channel', () => {
+  assert.strictEqual(channelPrior.pickDoctorSpeaker({
+    A: { doctorShare: 0.8, measuredMs: 10000 },
+    B: { doctorShare: 0.3, measuredMs: 10000 }
+  }), 'A');
+  // Only one speaker
+  assert.strictEqual(channelPrior.pickDoctorSpeaker({ B: { doctorShare: 0.65, measuredMs: 2000 } }), 'B');
+});
+
+test('pickDoctorSpeaker: below the minimum share (65%) nobody is the doctor', () => {
+  assert.strictEqual(channelPrior.pickDoctorSpeaker({
+    A: { doctorShare: 0.64, measuredMs: 10000 },
+    B: { doctorShare: 0.2, measuredMs: 10000 }
+  }), null);
+});
+
+test('pickDoctorSpeaker: less than 15 points ahead of the next speaker is undecided', () => {
+  assert.strictEqual(channelPrior.pickDoctorSpeaker({
+    A: { doctorShare: 0.8, measuredMs: 10000 },
+    B: { doctorShare: 0.7, measuredMs: 10000 }
+  }), null);
+  assert.strictEqual(channelPrior.pickDoctorSpeaker({
+    A: { doctorShare: 0.8, measuredMs: 10000 },
+    B: { doctorShare: 0.6, measuredMs: 10000 }
+  }), 'A');
+});
+
+test('pickDoctorSpeaker: speakers with less than 2s of audio are ignored', () => {
+  assert.strictEqual(channelPrior.pickDoctorSpeaker({
+    A: { doctorShare: 0.95, measuredMs: 1500 },
+    B: { doctorShare: 0.7, measuredMs: 5000 }
+  }), 'B');
+  assert.strictEqual(channelPrior.pickDoctorSpeaker({ A: { doctorShare: 0.95, measuredMs: 1999 } }), null);
+  assert.strictEqual(channelPrior.pickDoctorSpeaker({}), null);
+});
+
+/**
+ * 16-bit stereo WAV: per second [left, right] amplitude (0..1)
+ */
+function writeStereoWav(filePath, seconds, sampleRate = 8000) {
+  const frames = seconds.length * sampleRate;
+  const data = Buffer.alloc(frames * 4);
+  for (let i = 0; i < frames; i++) {
+    const [left, right] = seconds[Math.floor(i / sampleRate)];
+    const wave = Math.sin(i / 5);
+    data.writeInt16LE(Math.round(left * 16000 * wave), i * 4);
+    data.writeInt16LE(Math.round(right * 16000 * wave), i * 4 + 2);
+  }
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + data.length, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(2, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * 4, 28);
+  header.writeUInt16LE(4, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36);
+  header.writeUInt32LE(data.length, 40);
+  fs.writeFileSync(filePath, Buffer.concat([header, data]));
+}
+
+test('computeSpeakerShares: doctor loud on the left channel, patient on the right', (t) => {
+  const wavPath = path.join(os.tmpdir(), `dentdoc-channel-prior-${process.pid}.wav`);
+  t.after(() => fs.rmSync(wavPath, { force: true }));
+
+  // 0-3s doctor (left 4x louder), 3-6s patient (right 4x louder)
+  writeStereoWav(wavPath, [[0.8, 0.2], [0.8, 0.2], [0.8, 0.2], [0.2, 0.8], [0.2, 0.8], [0.2, 0.8]]);
+  const shares = channelPrior.computeSpeakerShares(wavPath, [
+    { speaker: 'A', start: 0, end: 3000 },
+    { speaker: 'B', start: 3000, end: 6000 }
+  ]);
+
+  assert.deepStrictEqual(Object.keys(shares), ['A', 'B']);
+  assert.strictEqual(shares.A.measuredMs, 3000);
+  // Energy 0.64 : 0.04
+  assert.ok(Math.abs(shares.A.doctorShare - 0.64 / 0.68) < 0.001, `A: ${shares.A.doctorShare}`);
+  assert.ok(Math.abs(shares.B.doctorShare - 0.04 / 0.68) < 0.001, `B: ${shares.B.doctorShare}`);
+  assert.strictEqual(channelPrior.pickDoctorSpeaker(shares), 'A');
+});
@@ -0,0 +1,84 @@
+/**
+ * Fehler-Modell: HTTP-Status/Fehlercodes → ApiError (src/errors)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const errors = require('../src/errors');
+
+const { CODES, ApiError, fromRequestError } = errors;
+const API_BASE_URL = 'https://dentdoc-app.vercel.app/';
+
+function httpError(status, data = {}, url = `${API_BASE_URL}api/user`) {
+  return { response: { status, data }, config: { url } };
+}
+
+function fromHttp(status, data, url) {
+  return fromRequestError(httpError(status, data, url), 'Fallback', {}, { apiBaseUrl: API_BASE_URL });
+}
+
+test('ApiError passes through unchanged', () => {
+  const error = new ApiError(CODES.NO_SPEECH);
+  assert.strictEqual(fromRequestError(error, 'Fallback'), error);
+});
+
+test('backend error strings win over the HTTP status', () => {
+  assert.strictEqual(fromHttp(403, { error: 'trial_expired' }).code, CODES.TRIAL_EXPIRED);
+  assert.strictEqual(fromHttp(403, { error: 'subscription_inactive' }).code, CODES.SUBSCRIPTION_INACTIVE);
+  assert.strictEqual(fromHttp(401, { error: 'session_expired' }).code, CODES.SESSION_EXPIRED);
+
+  const maxDevices = fromHttp(403, { error: 'max_devices_reached', message: 'Maximal 2 Geräte' });
+  assert.strictEqual(maxDevices.code, CODES.MAX_DEVICES);
+  assert.strictEqual(maxDevices.message, 'Maximal 2 Geräte');
+  assert.strictEqual(maxDevices.status, 403);
+});
+
+test('401 of the DentDoc API is an expired session', () => {
+  assert.strictEqual(fromHttp(401).code, CODES.SESSION_EXPIRED);
+  // Base URL with trailing slash + path with leading slash
+  assert.strictEqual(fromHttp(401, {}, `${API_BASE_URL}/api/auth/login`).code, CODES.SESSION_EXPIRED);
+});
+
+test('401 of another host (upload proxy) does not end the session', () => {
+  const error = fromHttp(401, { error: 'Unauthorized' }, 'https://dentdoc-upload-proxy.up.railway.app/upload');
+  assert.strictEqual(error.code, CODES.BAD_REQUEST);
+  assert.strictEqual(error.message, 'Unauthorized');
+  // Without a base URL nothing counts as the API
+  assert.strictEqual(fromRequestError(httpError(401), 'Fallback').code, CODES.BAD_REQUEST);
+});
+
+test('402 and "minutes" texts mean no minutes left', () => {
+  assert.strictEqual(fromHttp(402).code, CODES.NO_MINUTES);
+  assert.strictEqual(fromHttp(400, { error: 'Not enough minutes' }).code, CODES.NO_MINUTES);
+});
+
+test('5xx is a retryable server error, other 4xx are not retried', () => {
+  const serverError = fromHttp(503, { error: 'Wartung' });
+  assert.strictEqual(serverError.code, CODES.SERVER_ERROR);
+  assert.strictEqual(serverError.message, 'Wartung');
+  assert.strictEqual(serverError.retryable, true);
+
+  const badRequest = fromHttp(422);
+  assert.strictEqual(badRequest.code, CODES.BAD_REQUEST);
+  assert.strictEqual(badRequest.message, 'Fallback');
+  assert.strictEqual(badRequest.retryable, false);
+});
+
+test('errors without a response: timeouts and network errors', () => {
+  assert.strictEqual(fromRequestError({ code: 'ECONNABORTED' }, 'Fallback').code, CODES.TIMEOUT);
+  assert.strictEqual(fromRequestError({ message: 'timeout of 30000ms exceeded' }, 'Fallback').code, CODES.TIMEOUT);
+  assert.strictEqual(fromRequestError({ code: 'ENOTFOUND' }, 'Fallback').code, CODES.NETWORK);
+  assert.strictEqual(fromRequestError({ message: 'socket hang up' }, 'Fallback').code, CODES.NETWORK);
+  assert.ok(errors.isNetworkCode(CODES.TIMEOUT));
+  assert.ok(errors.isNetworkCode(CODES.NETWORK));
+
+  const unknown = fromRequestError(new Error('kaputt'), 'Fallback');
+  assert.strictEqual(unknown.code, CODES.UNKNOWN);
+  assert.strictEqual(unknown.message, 'Fallback');
+});
+
+test('per-request messages override the table text', () => {
+  const error = fromRequestError({ code: 'ECONNRESET' }, 'Fallback', { [CODES.NETWORK]: 'Upload abgebrochen' });
+  assert.strictEqual(error.code, CODES.NETWORK);
+  assert.strictEqual(error.message, 'Upload abgebrochen');
+});
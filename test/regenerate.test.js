@@ -0,0 +1,75 @@
+/**
+ * Wort-Diff für "Dokumentation neu erstellen" (src/regenerate)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { diffWords } = require('../src/regenerate');
+
+function join(segments, types) {
+  return segments.filter(segment => types.includes(segment.type)).map(segment => segment.text).join('');
+}
+
+test('identical texts are one "same" segment', () => {
+  assert.deepStrictEqual(diffWords('Befund: Karies 36', 'Befund: Karies 36'), [
+    { type: 'same', text: 'Befund: Karies 36' }
+  ]);
+});
+
+test('changed word in the middle', () => {
+  assert.deepStrictEqual(diffWords('Füllung an 36 gelegt', 'Füllung an 37 gelegt'), [
+    { type: 'same', text: 'Füllung an ' },
+    { type: 'removed', text: '36' },
+    { type: 'added', text: '37' },
+    { type: 'same', text: ' gelegt' }
+  ]);
+});
+
+test('inserted and removed words, line breaks stay tokens', () => {
+  const oldText = 'Anamnese: keine Beschwerden\nBefund: Karies 36';
+  const newText = 'Anamnese: keine akuten Beschwerden\nBefund: 36';
+  const segments = diffWords(oldText, newText);
+
+  assert.deepStrictEqual(segments, [
+    { type: 'same', text: 'Anamnese: keine ' },
+    { type: 'added', text: 'akuten ' },
+    { type: 'same', text: 'Beschwerden\nBefund:' },
+    { type: 'removed', text: ' Karies' },
+    { type: 'same', text: ' 36' }
+  ]);
+  assert.strictEqual(join(segments, ['same', 'removed']), oldText);
+  assert.strictEqual(join(segments, ['same', 'added']), newText);
+});
+
+test('empty texts', () => {
+  assert.deepStrictEqual(diffWords('', ''), []);
+  assert.deepStrictEqual(diffWords(null, 'Neu'), [{ type: 'added', text: 'Neu' }]);
+  assert.deepStrictEqual(diffWords('Alt', undefined), [{ type: 'removed', text: 'Alt' }]);
+});
+
+test('above MAX_DIFF_CELLS the changed middle is shown as removed/added', () => {
+  // 1100 differing words each (with spaces ~2200 tokens) -> > 4,000,000 table cells
+  const words = (prefix) => Array.from({ length: 1100 }, (_, i) => `${prefix}${i}`).join(' ');
+  const oldText = `Anfang ${words('alt')} Ende`;
+  const newText = `Anfang ${words('neu')} Ende`;
+
+  assert.deepStrictEqual(diffWords(oldText, newText), [
+    { type: 'same', text: 'Anfang ' },
+    { type: 'removed', text: words('alt') },
+    { type: 'added', text: words('neu') },
+    { type: 'same', text: ' Ende' }
+  ]);
+});
+
+test('below MAX_DIFF_CELLS long texts still get a word diff', () => {
+  // ~1000 tokens each -> table fits, only the single changed word differs
+  const words = Array.from({ length: 500 }, (_, i) => `w${i}`);
+  const changed = [...words];
+  changed[250] = 'x250';
+
+  const segments = diffWords(words.join(' '), changed.join(' '));
+  assert.deepStrictEqual(segments.filter(segment => segment.type !== 'same'), [
+    { type: 'removed', text: 'w250' },
+    { type: 'added', text: 'x250' }
+  ]);
+});
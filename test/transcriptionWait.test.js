@@ -0,0 +1,102 @@
+/**
+ * Warten auf die Transkription: Backoff, Zeitlimit, Restzeit (src/pipeline/transcriptionWait)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const transcriptionWait = require('../src/pipeline/transcriptionWait');
+const { CODES } = require('../src/errors');
+
+const MINUTE = 60 * 1000;
+
+test('poll delay: 1s in the first 20s, then +50% up to 10s', () => {
+  assert.strictEqual(transcriptionWait.getPollDelay(0, 0), 1000);
+  assert.strictEqual(transcriptionWait.getPollDelay(19000, 1000), 1000);
+  assert.strictEqual(transcriptionWait.getPollDelay(20000, 1000), 1500);
+  assert.strictEqual(transcriptionWait.getPollDelay(25000, 1500), 2250);
+  assert.strictEqual(transcriptionWait.getPollDelay(60000, 8000), 10000);
+  assert.strictEqual(transcriptionWait.getPollDelay(90000, 10000), 10000);
+  // No previous delay (first poll after a resume) starts fast again
+  assert.strictEqual(transcriptionWait.getPollDelay(90000, 0), 1000);
+});
+
+test('timeout: 5 minutes + audio duration, max 3 hours, 30 minutes if unknown', () => {
+  assert.strictEqual(transcriptionWait.getTimeoutMs(null), 30 * MINUTE);
+  assert.strictEqual(transcriptionWait.getTimeoutMs(0), 30 * MINUTE);
+  assert.strictEqual(transcriptionWait.getTimeoutMs(60), 6 * MINUTE);
+  // 90-minute meeting
+  assert.strictEqual(transcriptionWait.getTimeoutMs(90 * 60), 95 * MINUTE);
+  assert.strictEqual(transcriptionWait.getTimeoutMs(5 * 60 * 60), 180 * MINUTE);
+});
+
+const SAMPLES = {
+  // ms per audio second: 500, 250 (30s counts as 60s), 400 -> median 400
+  transcribe: [
+    { audioSeconds: 120, ms: 60000 },
+    { audioSeconds: 30, ms: 15000 },
+    { audioSeconds: 600, ms: 240000 }
+  ],
+  document: [
+    { docMode: 'single', ms: 10000 },
+    { docMode: 'single', ms: 20000 },
+    { docMode: 'agent-chain', ms: 90000 }
+  ]
+};
+
+test('ETA: median transcription rate minus elapsed time plus documentation of the same mode', () => {
+  const job = { audioSeconds: 300, docMode: 'single' };
+  assert.strictEqual(transcriptionWait.estimateFromSamples(job, 0, SAMPLES), 120000 + 15000);
+  assert.strictEqual(transcriptionWait.estimateFromSamples(job, 20000, SAMPLES), 100000 + 15000);
+  // Transcription should be done already - only the documentation is left
+  assert.strictEqual(transcriptionWait.estimateFromSamples(job, 500000, SAMPLES), 15000);
+});
+
+test('ETA: unknown mode uses all documentation samples, short audio counts as 60s', () => {
+  assert.strictEqual(transcriptionWait.estimateFromSamples({ audioSeconds: 300, docMode: 'neu' }, 0, SAMPLES), 120000 + 20000);
+  assert.strictEqual(transcriptionWait.estimateFromSamples({ audioSeconds: 10, docMode: 'single' }, 0, SAMPLES), 24000 + 15000);
+  assert.strictEqual(
+    transcriptionWait.estimateFromSamples({ audioSeconds: 300, docMode: 'single' }, 0, { ...SAMPLES, document: [] }),
+    120000
+  );
+});
+
+test('ETA: none without audio duration or with fewer than 3 samples', () => {
+  assert.strictEqual(transcriptionWait.estimateFromSamples({ audioSeconds: null, docMode: 'single' }, 0, SAMPLES), null);
+  assert.strictEqual(
+    transcriptionWait.estimateFromSamples({ audioSeconds: 300, docMode: 'single' }, 0, { ...SAMPLES, transcribe: SAMPLES.transcribe.slice(0, 2) }),
+    null
+  );
+});
+
+test('ETA text', () => {
+  assert.strictEqual(transcriptionWait.formatEta(null), null);
+  assert.strictEqual(transcriptionWait.formatEta(30000), 'fertig in weniger als 1 Min');
+  assert.strictEqual(transcriptionWait.formatEta(135000), 'fertig in ca. 2 Min');
+});
+
+test('waitForTranscription polls until the transcription is completed', async () => {
+  const statuses = ['processing', 'completed'];
+  const polled = [];
+  const result = await transcriptionWait.waitForTranscription({
+    getStatus: async () => ({ status: statuses.shift() }),
+    audioSeconds: 60,
+    onPoll: (status) => polled.push(status.status)
+  });
+  assert.deepStrictEqual(result, { status: 'completed' });
+  assert.deepStrictEqual(polled, ['processing', 'completed']);
+});
+
+test('waitForTranscription stops with CANCELED when the job is cancelled', async () => {
+  const controller = new AbortController();
+  await assert.rejects(
+    transcriptionWait.waitForTranscription({
+      getStatus: async () => {
+        controller.abort();
+        return { status: 'processing' };
+      },
+      audioSeconds: 60,
+      signal: controller.signal
+    }),
+    (error) => error.code === CODES.CANCELED
+  );
+});